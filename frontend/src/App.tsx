@@ -51,15 +51,28 @@ interface NapStatus {
   message: string
   shouldNap: boolean
   hasNappedToday?: boolean
+  possiblySick?: boolean
   sleepHours?: string
   sleepCategory?: string
   napPriority?: string
+  isNapTime?: boolean
+  isSleepTime?: boolean
+  timeWindow?: string
   currentTime?: string
+  timeZone?: string
   recommendation?: string
   quality?: string
   sleepScore?: number
   cached?: boolean
   error?: string
+  sleepDebt?: {
+    hours: string
+    level: string
+    windowDays: number
+    sleepNeedHours: number
+    nightsTracked: number
+    consecutiveShortNights: number
+  }
   details?: {
     totalSleepDurationSeconds?: number
     efficiency?: number
@@ -76,6 +89,12 @@ interface NapStatus {
   }
 }
 
+// Polling interval when the status stream is unavailable
+const POLL_INTERVAL_MS = 3 * 60 * 1000
+
+// Fall back to polling after this long without any stream event (heartbeats come every 25s)
+const STREAM_TIMEOUT_MS = 60 * 1000
+
 function App() {
   const [napStatus, setNapStatus] = useState<NapStatus | null>(null)
   const [loadingNap, setLoadingNap] = useState(true)  // Start with true for initial load
@@ -112,25 +131,61 @@ function App() {
 
 
   useEffect(() => {
-    fetchNapStatus()
-    // Refresh every 5 minutes
-    const interval = setInterval(() => fetchNapStatus(false), 3 * 60 * 1000)
-    return () => clearInterval(interval)
-  }, [fetchNapStatus])
+    // Live updates from the status stream; fall back to polling every 3 minutes
+    // when the browser or server can't stream, or the stream goes quiet
+    let pollInterval: ReturnType<typeof setInterval> | undefined
+    let watchdog: ReturnType<typeof setTimeout> | undefined
+    let source: EventSource | undefined
+
+    const startPolling = () => {
+      if (pollInterval) return
+      source?.close()
+      clearTimeout(watchdog)
+      fetchNapStatus()
+      pollInterval = setInterval(() => fetchNapStatus(false), POLL_INTERVAL_MS)
+    }
+
+    // Any event, heartbeats included, proves the stream is alive
+    const resetWatchdog = () => {
+      clearTimeout(watchdog)
+      watchdog = setTimeout(startPolling, STREAM_TIMEOUT_MS)
+    }
+
+    if (typeof EventSource === 'undefined') {
+      startPolling()
+    } else {
+      source = new EventSource(getApiUrl('/api/nap-status/stream'))
+      source.addEventListener('nap-status', (event) => {
+        resetWatchdog()
+        setNapStatus(JSON.parse((event as MessageEvent<string>).data) as NapStatus)
+        setLoadingNap(false)
+      })
+      source.addEventListener('heartbeat', resetWatchdog)
+      // The server keeps streaming after a failed refresh; fetch once to show the error
+      source.addEventListener('nap-error', () => {
+        resetWatchdog()
+        fetchNapStatus(false)
+      })
+      // EventSource reconnects on its own unless the server refused the stream
+      source.onerror = () => {
+        if (source?.readyState === EventSource.CLOSED) startPolling()
+      }
+      resetWatchdog()
+    }
+
+    return () => {
+      source?.close()
+      clearTimeout(watchdog)
+      clearInterval(pollInterval)
+    }
+  }, [fetchNapStatus, getApiUrl])
 
   // Update favicon and title based on nap status
   useEffect(() => {
     if (!napStatus) return
 
-    // Determine if it's sleep time (11 PM - 7 AM) in Mountain Time
-    const mountainTimeHour = parseInt(
-      new Date().toLocaleString('en-US', {
-        timeZone: 'America/Denver',
-        hour: '2-digit',
-        hour12: false
-      })
-    )
-    const isSleepTime = mountainTimeHour >= 23 || mountainTimeHour < 7
+    // Sleep time comes from the backend's configured schedule and timezone
+    const isSleepTime = !!napStatus.isSleepTime
     
     // Update document title
     document.title = isSleepTime ? 'Zzz' : 'Naptime?'
@@ -174,7 +229,7 @@ function App() {
                   {napStatus.cached && <span className="cached-indicator">[Cached]</span>}
                 </div>
 
-                {napStatus.message === "I Sleep" ? (
+                {napStatus.isSleepTime ? (
                   <img 
                     src="/i-sleep.png" 
                     alt="I Sleep" 
@@ -215,6 +270,12 @@ function App() {
                         <span className="value">{napStatus.quality}</span>
                       </div>
                     )}
+                    {napStatus.sleepDebt && napStatus.sleepDebt.nightsTracked > 0 && (
+                      <div className="detail-row">
+                        <span className="label">sleep debt:</span>
+                        <span className="value">{napStatus.sleepDebt.hours}h over {napStatus.sleepDebt.windowDays} days ({napStatus.sleepDebt.level})</span>
+                      </div>
+                    )}
                     {napStatus.details && (
                       <>
                         {napStatus.details.efficiency && (
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill the local sleep store with a person's whole sleep history
+ * (from Oura, or the sleep provider in their people config)
+ *
+ * Usage:
+ *   npm run backfill                          # walk back until the provider runs out of history
+ *   npm run backfill -- --since 2023-01-01    # import from a given day
+ *   npm run backfill -- --force               # refetch days the store already has
+ *   npm run backfill -- --person alex         # import someone other than the default person
+ *
+ * Options:
+ *   --since YYYY-MM-DD   First day to import (default: stop after 3 empty chunks)
+ *   --until YYYY-MM-DD   Last day to import (default: today in the person's timezone)
+ *   --chunk-days N       Days per provider request (default: 30)
+ *   --force              Refetch days that are already settled in the store
+ *   --person ID          Person from the people config (default: the default person)
+ */
+
+require('dotenv').config();
+
+const sleepHistory = require('../src/services/sleep-history');
+const sleepStore = require('../src/services/sleep-store');
+const { getPersonProvider } = require('../src/services/providers');
+const { getPerson, getDefaultPerson } = require('../src/config/people');
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--since' || arg === '--until') {
+      const value = argv[++i];
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+        throw new Error(`${arg} expects a YYYY-MM-DD date`);
+      }
+      options[arg.slice(2)] = value;
+    } else if (arg === '--chunk-days') {
+      const value = Number(argv[++i]);
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error('--chunk-days expects a positive whole number');
+      }
+      options.chunkDays = value;
+    } else if (arg === '--person') {
+      options.person = argv[++i];
+      if (!options.person) {
+        throw new Error('--person expects a person id');
+      }
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const { person: personId, ...options } = parseArgs(process.argv.slice(2));
+  const person = personId ? getPerson(personId) : getDefaultPerson();
+  if (!person) {
+    throw new Error(`No person with id "${personId}"`);
+  }
+
+  const provider = getPersonProvider(person);
+  if (provider.readsStore) {
+    throw new Error(`${person.id}'s sleep comes from exports, there is nothing to backfill: use npm run import-sleep`);
+  }
+  const accessToken = await provider.getAccessToken(person);
+  if (!accessToken) {
+    throw new Error(`No ${provider.name} credentials for ${person.id}: connect at /auth/login or set a static token`);
+  }
+
+  console.log(`Backfilling sleep store at ${sleepStore.open().path} for ${person.id}`);
+
+  const result = await sleepHistory.backfill(accessToken, {
+    ...options,
+    timeZone: person.timeZone,
+    personKey: person.storageKey,
+    provider: person.provider,
+    onProgress: ({ startDate, endDate, requests, sessions }) => {
+      const source = requests ? 'fetched' : 'already stored';
+      console.log(`  ${startDate} to ${endDate}: ${sessions} sessions (${source})`);
+    }
+  });
+
+  const stats = sleepStore.getStats(person.storageKey);
+  console.log(`Done: ${result.chunks} chunks, ${result.requests} ${provider.name} requests, ${result.startDate} to ${result.endDate}`);
+  console.log(`Store now holds ${stats.sessions} sessions from ${stats.firstDay || '-'} to ${stats.lastDay || '-'}`);
+}
+
+main()
+  .catch(error => {
+    console.error(`Backfill failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => sleepStore.close());
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Fake Oura API server for running the app offline
+ *
+ * Usage:
+ *   npm run fake-oura                                  # normal nights on port 8090
+ *   npm run fake-oura -- --scenario split-sleep
+ *   npm run fake-oura -- --fixtures ./my-fixtures      # serve recorded documents
+ *   npm run fake-oura -- --list                        # show the scenarios
+ *   npm run fake-oura -- --provider fitbit             # a fake Fitbit API instead
+ *
+ * Then start the app against it:
+ *   OURA_API_BASE_URL=http://localhost:8090/v2 OURA_API_TOKEN=fake npm run dev
+ * (or `make dev-offline`, which does both). With --provider, set that
+ * provider's base URL and token instead, e.g.
+ *   FITBIT_API_BASE_URL=http://localhost:8090 FITBIT_ACCESS_TOKEN=fake npm run dev
+ * with "provider": "fitbit" in the people config
+ *
+ * Options:
+ *   --port N            Port to listen on (default: 8090)
+ *   --scenario NAME     Scenario to serve (default: normal)
+ *   --fixtures DIR      Directory of <collection>.json files served instead of generated data
+ *   --page-size N       Documents per page, to exercise pagination (default: 50)
+ *   --retry-after N     Retry-After seconds for the rate-limited scenario (default: 30)
+ *   --provider NAME     Serve the scenario as fitbit, whoop or garmin instead of Oura
+ *   --list              Print the scenarios and exit
+ */
+
+require('dotenv').config();
+
+const { createFakeOuraApp } = require('../src/fake-oura');
+const { createFakeProviderApp } = require('../src/fake-oura/providers');
+const { listScenarios } = require('../src/fake-oura/scenarios');
+
+function parseArgs(argv) {
+  const options = { port: 8090 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--scenario') {
+      options.scenario = argv[++i];
+    } else if (arg === '--provider') {
+      options.provider = argv[++i];
+    } else if (arg === '--fixtures') {
+      options.fixturesDir = argv[++i];
+    } else if (arg === '--port' || arg === '--page-size' || arg === '--retry-after') {
+      const value = Number(argv[++i]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${arg} expects a whole number`);
+      }
+      const key = { '--port': 'port', '--page-size': 'pageSize', '--retry-after': 'retryAfterSeconds' }[arg];
+      options[key] = value;
+    } else if (arg === '--list') {
+      options.list = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.list) {
+    for (const { name, description } of listScenarios()) {
+      console.log(`${name.padEnd(14)} ${description}`);
+    }
+    return;
+  }
+
+  if (options.provider) {
+    const app = createFakeProviderApp(options.provider, options);
+    const envPrefix = options.provider.toUpperCase();
+    app.listen(options.port, () => {
+      console.log(`Fake ${options.provider} API listening on http://localhost:${options.port} (scenario: ${options.scenario || 'normal'})`);
+      console.log(`Start the app with ${envPrefix}_API_BASE_URL=http://localhost:${options.port} ${envPrefix}_ACCESS_TOKEN=fake`);
+    });
+    return;
+  }
+
+  const app = createFakeOuraApp(options);
+  app.listen(options.port, () => {
+    console.log(`Fake Oura API listening on http://localhost:${options.port}/v2 (scenario: ${options.scenario || 'normal'})`);
+    console.log(`Start the app with OURA_API_BASE_URL=http://localhost:${options.port}/v2 OURA_API_TOKEN=fake`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Import a person's sleep from an Apple Health or Google Fit export into
+ * the local sleep store, for people with "provider": "import"
+ *
+ * Usage:
+ *   npm run import-sleep -- ~/Downloads/apple_health_export/export.xml --person emily
+ *   npm run import-sleep -- ~/Downloads/Takeout/Fit --person emily
+ *   npm run import-sleep -- export.xml --since 2024-01-01
+ *
+ * Options:
+ *   --format FORMAT      apple-health or google-fit (default: from the path)
+ *   --since YYYY-MM-DD   First day to import (default: everything in the export)
+ *   --person ID          Person from the people config (default: the default person)
+ *
+ * Re-running with a newer export replaces the stored days it covers.
+ */
+
+require('dotenv').config();
+
+const sleepImport = require('../src/services/sleep-import');
+const sleepStore = require('../src/services/sleep-store');
+const { getPerson, getDefaultPerson } = require('../src/config/people');
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--since') {
+      const value = argv[++i];
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+        throw new Error(`${arg} expects a YYYY-MM-DD date`);
+      }
+      options.since = value;
+    } else if (arg === '--format') {
+      options.format = argv[++i];
+      if (!options.format) {
+        throw new Error('--format expects apple-health or google-fit');
+      }
+    } else if (arg === '--person') {
+      options.person = argv[++i];
+      if (!options.person) {
+        throw new Error('--person expects a person id');
+      }
+    } else if (arg.startsWith('--') || options.path) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.path = arg;
+    }
+  }
+  if (!options.path) {
+    throw new Error('Give the path to export.xml or a Takeout Fit directory');
+  }
+  return options;
+}
+
+async function main() {
+  const { person: personId, path: exportPath, ...options } = parseArgs(process.argv.slice(2));
+  const person = personId ? getPerson(personId) : getDefaultPerson();
+  if (!person) {
+    throw new Error(`No person with id "${personId}"`);
+  }
+  if (person.provider !== 'import') {
+    console.warn(`Note: ${person.id}'s provider is ${person.provider}, set "provider": "import" for the imported sleep to be used`);
+  }
+
+  console.log(`Importing ${exportPath} into sleep store at ${sleepStore.open().path} for ${person.id}`);
+
+  const result = await sleepImport.importExport(exportPath, {
+    ...options,
+    timeZone: person.timeZone,
+    personKey: person.storageKey
+  });
+
+  const range = result.startDate ? `, ${result.startDate} to ${result.endDate}` : '';
+  console.log(`Done: ${result.samples} ${result.format} samples, ${result.sessions} sessions${range}`);
+}
+
+main()
+  .catch(error => {
+    console.error(`Import failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => sleepStore.close());
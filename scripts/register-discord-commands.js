@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Register the /naptime slash command with Discord
+ *
+ * Overwrites the app's commands with the current definition, so it is safe to
+ * re-run (e.g. after adding people, who show up as choices).
+ *
+ * Usage:
+ *   npm run register-discord-commands                     # global (can take up to an hour to appear)
+ *   npm run register-discord-commands -- --guild 1234     # one server, shows up instantly
+ *   npm run register-discord-commands -- --dry-run        # print the commands without sending them
+ *
+ * Options:
+ *   --guild ID    Register in this server only (default: DISCORD_GUILD_ID, else global)
+ *   --dry-run     Print the command definitions and exit
+ *
+ * Needs DISCORD_APPLICATION_ID and DISCORD_BOT_TOKEN.
+ */
+
+require('dotenv').config();
+
+const axios = require('axios');
+const discord = require('../src/services/discord');
+const { DISCORD_API_URL, resolveDiscordRegistration } = require('../src/config/discord');
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--guild') {
+      options.guildId = argv[++i];
+      if (!/^\d+$/.test(options.guildId || '')) {
+        throw new Error('--guild expects a server id');
+      }
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const { dryRun, guildId } = parseArgs(process.argv.slice(2));
+  const commands = discord.getCommands();
+
+  if (dryRun) {
+    console.log(JSON.stringify(commands, null, 2));
+    return;
+  }
+
+  const registration = resolveDiscordRegistration(guildId ? { guildId } : {});
+  const scope = registration.guildId ? `/guilds/${registration.guildId}` : '';
+  const url = `${DISCORD_API_URL}/applications/${registration.applicationId}${scope}/commands`;
+
+  const response = await axios.put(url, commands, {
+    headers: { Authorization: `Bot ${registration.botToken}` },
+    timeout: 10000
+  });
+
+  const where = registration.guildId ? `server ${registration.guildId}` : 'all servers';
+  console.log(`Registered ${response.data.map(command => `/${command.name}`).join(', ')} for ${where}`);
+}
+
+main().catch(error => {
+  const detail = error.response ? `${error.response.status} ${JSON.stringify(error.response.data)}` : error.message;
+  console.error(`Registration failed: ${detail}`);
+  process.exitCode = 1;
+});
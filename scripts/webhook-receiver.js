@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Local webhook receiver for trying out nap webhooks
+ *
+ * Prints every event it gets and checks its signature.
+ *
+ * Usage:
+ *   npm run webhook-receiver -- --secret whsec_...              # listen on port 9876
+ *   npm run webhook-receiver -- --secret whsec_... --port 4000
+ *   npm run webhook-receiver -- --secret whsec_... --fail 2     # answer 503 twice to see retries
+ *
+ * Then register it (ADMIN_API_TOKEN from .env):
+ *   curl -X POST localhost:8080/api/webhooks -H "Authorization: Bearer $ADMIN_API_TOKEN" \
+ *     -H 'Content-Type: application/json' \
+ *     -d '{"url":"http://localhost:9876/hook","secret":"whsec_..."}'
+ *
+ * Options:
+ *   --secret SECRET   Webhook signing secret (required)
+ *   --port N          Port to listen on (default: 9876)
+ *   --fail N          Answer the first N requests with 503 (default: 0)
+ */
+
+const http = require('http');
+const { sign, safeEqual } = require('../src/utils/crypto');
+
+// Reject deliveries signed longer ago than this, like a real receiver should
+const MAX_AGE_SECONDS = 5 * 60;
+
+function parseArgs(argv) {
+  const options = { port: 9876, fail: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--secret') {
+      options.secret = argv[++i];
+    } else if (arg === '--port' || arg === '--fail') {
+      const value = Number(argv[++i]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${arg} expects a whole number`);
+      }
+      options[arg.slice(2)] = value;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  if (!options.secret) {
+    throw new Error('--secret is required');
+  }
+  return options;
+}
+
+function verify(req, body, secret) {
+  const timestamp = req.headers['x-naptime-timestamp'];
+  const signature = req.headers['x-naptime-signature'];
+  if (!timestamp || !signature) return 'missing signature headers';
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!(age <= MAX_AGE_SECONDS)) return `timestamp is ${Math.round(age)}s old`;
+
+  return safeEqual(signature, `sha256=${sign(`${timestamp}.${body}`, secret)}`) ? null : 'signature mismatch';
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  let failuresLeft = options.fail;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const problem = verify(req, body, options.secret);
+      const event = req.headers['x-naptime-event'];
+      const delivery = req.headers['x-naptime-delivery'];
+
+      if (problem) {
+        console.log(`✗ ${event} ${delivery}: ${problem}`);
+        return res.writeHead(401).end();
+      }
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        console.log(`↻ ${event} ${delivery}: answering 503 (${failuresLeft} more)`);
+        return res.writeHead(503).end();
+      }
+
+      console.log(`✓ ${event} ${delivery}`);
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+      res.writeHead(204).end();
+    });
+  });
+
+  server.listen(options.port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${options.port}`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
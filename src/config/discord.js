@@ -0,0 +1,68 @@
+/**
+ * Discord Configuration
+ * Settings for the /naptime interactions endpoint and command registration
+ *
+ * Set with env vars:
+ *   DISCORD_PUBLIC_KEY     - hex Ed25519 key from the app's "General Information" page;
+ *                            the interactions endpoint is off without it
+ *   DISCORD_APPLICATION_ID - application id (only needed to register commands)
+ *   DISCORD_BOT_TOKEN      - bot token (only needed to register commands)
+ *   DISCORD_GUILD_ID       - register in one server instead of globally (optional;
+ *                            guild commands show up instantly, global ones can take an hour)
+ *
+ * Embed images load from PUBLIC_BASE_URL (see config/site).
+ */
+
+const { resolvePublicBaseUrl } = require('./site');
+
+const DISCORD_API_URL = 'https://discord.com/api/v10';
+
+// Discord allows three seconds to answer, leave room for the network
+const RESPONSE_SECONDS = 2.5;
+
+/**
+ * Resolve the interactions endpoint settings from options and env vars
+ * @param {Object} options - { publicKey, publicBaseUrl } overriding the env vars
+ * @returns {Object|null} { publicKey, publicBaseUrl, responseSeconds }, or null when Discord isn't set up
+ * @throws {Error} If the public key or base URL is malformed
+ */
+function resolveDiscordConfig(options = {}) {
+  const publicKey = options.publicKey ?? process.env.DISCORD_PUBLIC_KEY;
+  if (!publicKey) return null;
+
+  if (!/^[0-9a-f]{64}$/i.test(publicKey)) {
+    throw new Error('DISCORD_PUBLIC_KEY must be a 64 character hex Ed25519 key');
+  }
+
+  return {
+    publicKey: publicKey.toLowerCase(),
+    publicBaseUrl: resolvePublicBaseUrl(options.publicBaseUrl ?? process.env.PUBLIC_BASE_URL),
+    responseSeconds: RESPONSE_SECONDS
+  };
+}
+
+/**
+ * Resolve the credentials the registration script needs
+ * @param {Object} options - { applicationId, botToken, guildId } overriding the env vars
+ * @returns {Object} { applicationId, botToken, guildId }
+ * @throws {Error} If the application id or bot token is missing
+ */
+function resolveDiscordRegistration(options = {}) {
+  const applicationId = options.applicationId ?? process.env.DISCORD_APPLICATION_ID;
+  const botToken = options.botToken ?? process.env.DISCORD_BOT_TOKEN;
+  if (!applicationId || !botToken) {
+    throw new Error('DISCORD_APPLICATION_ID and DISCORD_BOT_TOKEN are required to register commands');
+  }
+
+  return {
+    applicationId,
+    botToken,
+    guildId: options.guildId ?? process.env.DISCORD_GUILD_ID ?? null
+  };
+}
+
+module.exports = {
+  DISCORD_API_URL,
+  resolveDiscordConfig,
+  resolveDiscordRegistration
+};
@@ -0,0 +1,38 @@
+/**
+ * Logging Configuration
+ * Log level and output format
+ *
+ * Set with env vars:
+ *   LOG_LEVEL  - debug, info, warn or error (default: info)
+ *   LOG_FORMAT - json (one object per line, for Cloud Logging) or text
+ *                (default: json in production, text otherwise)
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['json', 'text'];
+
+/**
+ * Resolve the logging settings from options and env vars
+ * @param {Object} options - { level, format } overriding the env vars
+ * @returns {Object} { level, format }
+ * @throws {Error} If the level or format is unknown
+ */
+function resolveLoggingConfig(options = {}) {
+  const level = (options.level ?? process.env.LOG_LEVEL ?? 'info').toLowerCase();
+  const format = (options.format ?? process.env.LOG_FORMAT ??
+    (process.env.NODE_ENV === 'production' ? 'json' : 'text')).toLowerCase();
+
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}`);
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`LOG_FORMAT must be one of ${LOG_FORMATS.join(', ')}`);
+  }
+
+  return { level, format };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  resolveLoggingConfig
+};
@@ -0,0 +1,283 @@
+/**
+ * Message Pack Configuration
+ * The copy shown for each window and sleep state, loaded from JSON/YAML files
+ *
+ * Built-in packs live in src/config/message-packs (snarky, gentle, clinical).
+ * Put your own *.json / *.yaml / *.yml packs in NAP_MESSAGE_PACKS_DIR; a pack
+ * there replaces a built-in one with the same name. NAP_MESSAGE_PACK picks the
+ * default pack (snarky), a person's "messagePack" overrides it for them and
+ * ?pack= overrides both for one request.
+ *
+ * Translations sit next to their pack as <name>.<locale>.yaml (e.g.
+ * snarky.es.yaml) with the same format, and must be complete too. A request
+ * in a locale the pack isn't translated to gets the untranslated pack.
+ *
+ * Pack format:
+ *   name: gentle                     # must match the file name
+ *   locale: es                       # translations only, must match the file name
+ *   description: Kind and encouraging
+ *   windows:
+ *     default:                       # fallback for any window missing a state
+ *       no-data: { message, recommendation }
+ *     sleep:
+ *       default: { message, recommendation }   # fallback for any state in this window
+ *     pre-nap: | nap: | post-nap:
+ *       shambles | struggling | ok | oversleep | no-data: { message, recommendation }
+ *   napped: { message, recommendation }        # already napped today
+ *   sick: { message, recommendation }          # possibly getting sick
+ *   stale: { message, recommendation }         # Oura hasn't synced last night yet
+ *   sleep-debt:
+ *     maybe | yes: { message, recommendation } # debt escalates the nap decision
+ *
+ * Every window/state combination has to resolve to a message, otherwise the
+ * pack is rejected. Messages may use these {placeholders}:
+ *   {name}, {sleepHours}, {minutesUntilNap}, {daysBehind},
+ *   {wake}, {napStart}, {napEnd}, {bedtime},
+ *   {debtHours}, {debtDays}, {sickSignals}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getSupportedLocales } = require('../utils/i18n');
+
+const BUILT_IN_DIR = path.join(__dirname, 'message-packs');
+const DEFAULT_PACK = 'snarky';
+
+const WINDOWS = ['sleep', 'pre-nap', 'nap', 'post-nap'];
+const SLEEP_STATES = ['shambles', 'struggling', 'ok', 'oversleep', 'no-data'];
+const DEBT_PRIORITIES = ['maybe', 'yes'];
+const SINGLE_MESSAGES = ['napped', 'sick', 'stale'];
+
+const VARIABLES = [
+  'name', 'sleepHours', 'minutesUntilNap', 'daysBehind',
+  'wake', 'napStart', 'napEnd', 'bedtime',
+  'debtHours', 'debtDays', 'sickSignals'
+];
+
+const PACK_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Loaded packs by directory list, so files are read and validated once
+const loaded = new Map();
+
+/**
+ * Load every available message pack
+ * @returns {Map<string, Object>} Packs by name: { name, description, source, messages, translations }
+ * @throws {Error} If a pack file is unreadable or invalid
+ */
+function loadMessagePacks() {
+  const dirs = [BUILT_IN_DIR, process.env.NAP_MESSAGE_PACKS_DIR].filter(Boolean);
+  const key = dirs.join(path.delimiter);
+  if (loaded.has(key)) return loaded.get(key);
+
+  const packs = new Map();
+  for (const dir of dirs) {
+    const compiled = listPackFiles(dir).map(file => compileMessagePack(readPackFile(file), file));
+
+    // Packs first, so a replaced pack starts over without the old translations
+    for (const pack of compiled.filter(pack => !pack.locale)) {
+      packs.set(pack.name, { ...pack, translations: new Map() });
+    }
+    for (const translation of compiled.filter(pack => pack.locale)) {
+      const pack = packs.get(translation.name);
+      if (!pack) {
+        throw new Error(`Invalid message pack ${translation.source}: no "${translation.name}" pack to translate`);
+      }
+      pack.translations.set(translation.locale, translation.messages);
+    }
+  }
+
+  loaded.set(key, packs);
+  return packs;
+}
+
+/**
+ * Get the messages of a pack
+ * @param {string} name - Pack name (default: NAP_MESSAGE_PACK, then snarky)
+ * @param {string} locale - Supported locale to translate to (default: untranslated)
+ * @returns {Object} Complete message config, keyed by window/state like the pack
+ * @throws {Error} If there is no pack with that name
+ */
+function resolveMessagePack(name, locale) {
+  const packName = name || process.env.NAP_MESSAGE_PACK || DEFAULT_PACK;
+  const pack = loadMessagePacks().get(packName);
+  if (!pack) {
+    const available = [...loadMessagePacks().keys()].join(', ');
+    throw new Error(`Unknown message pack "${packName}" (available: ${available})`);
+  }
+  return (locale && pack.translations.get(locale)) || pack.messages;
+}
+
+/**
+ * Check that a pack name exists
+ * @param {string} name - Pack name
+ * @returns {boolean} True if the pack can be resolved
+ */
+function hasMessagePack(name) {
+  return loadMessagePacks().has(name);
+}
+
+/**
+ * Describe the available packs
+ * @returns {Array<Object>} [{ name, description, locales }]
+ */
+function listMessagePacks() {
+  return [...loadMessagePacks().values()].map(({ name, description, translations }) => ({
+    name,
+    description,
+    locales: [...translations.keys()].sort()
+  }));
+}
+
+/**
+ * Validate a raw pack and expand its fallbacks into a complete message config
+ * @param {Object} raw - Parsed pack file
+ * @param {string} source - File the pack came from, for error messages and the default name (optional)
+ * @returns {Object} { name, locale, description, source, messages } (locale is null for untranslated packs)
+ * @throws {Error} If the pack is malformed or misses a window/state combination
+ */
+function compileMessagePack(raw, source = null) {
+  const fail = (message) => {
+    throw new Error(`Invalid message pack${source ? ` ${source}` : ''}: ${message}`);
+  };
+
+  if (!isPlainObject(raw)) fail('expected an object');
+
+  // File names are <name>.<ext> or <name>.<locale>.<ext>
+  const [fileName, fileLocale] = source ? path.basename(source, path.extname(source)).split('.') : [];
+  const name = raw.name ?? fileName;
+  if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+    fail(`name "${name}" must use lowercase letters, digits and dashes`);
+  }
+  if (fileName && name !== fileName) {
+    fail(`name "${name}" does not match the file name "${fileName}"`);
+  }
+
+  const locale = raw.locale ?? fileLocale ?? null;
+  if (locale !== null && !getSupportedLocales().includes(locale)) {
+    fail(`locale "${locale}" has no catalog (supported: ${getSupportedLocales().join(', ')})`);
+  }
+  if (source && locale !== (fileLocale ?? null)) {
+    fail(`locale "${locale}" does not match the file name`);
+  }
+
+  checkKeys(raw, ['name', 'locale', 'description', 'windows', 'sleep-debt', ...SINGLE_MESSAGES], '', fail);
+  const windows = raw.windows ?? {};
+  if (!isPlainObject(windows)) fail('"windows" must be an object');
+  checkKeys(windows, ['default', ...WINDOWS], 'windows.', fail);
+  if (windows.default !== undefined) {
+    if (!isPlainObject(windows.default)) fail('"windows.default" must be an object');
+    checkKeys(windows.default, SLEEP_STATES, 'windows.default.', fail);
+  }
+
+  const messages = {};
+  for (const window of WINDOWS) {
+    const own = windows[window] ?? {};
+    if (!isPlainObject(own)) fail(`"windows.${window}" must be an object`);
+    checkKeys(own, ['default', ...SLEEP_STATES], `windows.${window}.`, fail);
+
+    messages[window] = {};
+    for (const state of SLEEP_STATES) {
+      const entry = own[state] ?? own.default ?? windows.default?.[state];
+      if (entry === undefined) fail(`missing a message for window "${window}", state "${state}"`);
+      messages[window][state] = checkMessage(entry, `windows.${window}.${state}`, fail);
+    }
+  }
+
+  for (const key of SINGLE_MESSAGES) {
+    if (raw[key] === undefined) fail(`missing the "${key}" message`);
+    messages[key] = checkMessage(raw[key], key, fail);
+  }
+
+  const debt = raw['sleep-debt'];
+  if (!isPlainObject(debt)) fail('missing the "sleep-debt" messages');
+  checkKeys(debt, DEBT_PRIORITIES, 'sleep-debt.', fail);
+  messages['sleep-debt'] = {};
+  for (const priority of DEBT_PRIORITIES) {
+    if (debt[priority] === undefined) fail(`missing the "sleep-debt.${priority}" message`);
+    messages['sleep-debt'][priority] = checkMessage(debt[priority], `sleep-debt.${priority}`, fail);
+  }
+
+  return {
+    name,
+    locale,
+    description: typeof raw.description === 'string' ? raw.description : '',
+    source,
+    messages
+  };
+}
+
+/**
+ * Forget loaded packs so the next lookup reads the files again
+ */
+function resetMessagePacks() {
+  loaded.clear();
+}
+
+// Helper functions
+
+function listPackFiles(dir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch (error) {
+    throw new Error(`Message pack directory ${dir} could not be read: ${error.message}`);
+  }
+
+  return entries
+    .filter(entry => PACK_EXTENSIONS.includes(path.extname(entry).toLowerCase()))
+    .sort()
+    .map(entry => path.join(dir, entry));
+}
+
+function readPackFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    return path.extname(file).toLowerCase() === '.json'
+      ? JSON.parse(text)
+      : yaml.load(text, { schema: yaml.CORE_SCHEMA, filename: file });
+  } catch (error) {
+    throw new Error(`Message pack ${file} could not be parsed: ${error.message}`);
+  }
+}
+
+function checkMessage(entry, label, fail) {
+  if (!isPlainObject(entry)) fail(`"${label}" must be an object with message and recommendation`);
+  checkKeys(entry, ['message', 'recommendation'], `${label}.`, fail);
+
+  for (const field of ['message', 'recommendation']) {
+    if (typeof entry[field] !== 'string' || entry[field].trim() === '') {
+      fail(`"${label}.${field}" must be a non-empty string`);
+    }
+    for (const [, variable] of entry[field].matchAll(/\{(\w+)\}/g)) {
+      if (!VARIABLES.includes(variable)) {
+        fail(`"${label}.${field}" uses unknown variable {${variable}}`);
+      }
+    }
+  }
+
+  return { message: entry.message, recommendation: entry.recommendation };
+}
+
+function checkKeys(object, allowed, prefix, fail) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key)) fail(`unknown key "${prefix}${key}"`);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  DEFAULT_PACK,
+  WINDOWS,
+  SLEEP_STATES,
+  VARIABLES,
+  loadMessagePacks,
+  resolveMessagePack,
+  hasMessagePack,
+  listMessagePacks,
+  compileMessagePack,
+  resetMessagePacks
+};
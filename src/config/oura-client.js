@@ -0,0 +1,93 @@
+/**
+ * Oura Client Configuration
+ * Timeouts, retries and the circuit breaker for Oura API calls
+ *
+ * Override the defaults with env vars:
+ *   OURA_API_BASE_URL             - API root, e.g. http://localhost:8090/v2 for the fake
+ *                                   Oura server (default https://api.ouraring.com/v2)
+ *   OURA_TIMEOUT_SECONDS          - how long one call may take (1-60, default 10)
+ *   OURA_MAX_RETRIES              - retries after a network error, timeout or 5xx (0-5, default 2)
+ *   OURA_RETRY_BASE_MS            - backoff before the first retry, doubled for each retry
+ *                                   after it and jittered (10-10000, default 300)
+ *   OURA_RETRY_AFTER_MAX_SECONDS  - longest Retry-After (on 429/503) worth waiting out within
+ *                                   a request; longer ones fail right away (0-60, default 5)
+ *   OURA_BREAKER_THRESHOLD        - consecutive failures that open the circuit (1-100, default 5)
+ *   OURA_BREAKER_COOLDOWN_SECONDS - how long an open circuit fails fast before letting
+ *                                   one trial call through (1-3600, default 30)
+ */
+
+const DEFAULT_BASE_URL = 'https://api.ouraring.com/v2';
+const DEFAULT_TIMEOUT_SECONDS = 10;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 300;
+const DEFAULT_RETRY_AFTER_MAX_SECONDS = 5;
+const DEFAULT_BREAKER_THRESHOLD = 5;
+const DEFAULT_BREAKER_COOLDOWN_SECONDS = 30;
+
+// Backoff never grows past this, however many retries are allowed
+const MAX_RETRY_DELAY_MS = 10000;
+
+/**
+ * Resolve Oura client settings from explicit options, env vars, then defaults
+ * @param {Object} options - Overrides, named like the returned settings
+ * @returns {Object} { baseUrl, timeoutSeconds, maxRetries, retryBaseMs, retryAfterMaxSeconds, breakerThreshold, breakerCooldownSeconds }
+ * @throws {Error} If the base URL isn't http(s) or a value is out of range
+ */
+function resolveOuraClientConfig(options = {}) {
+  const config = {
+    baseUrl: String(options.baseUrl ?? process.env.OURA_API_BASE_URL ?? DEFAULT_BASE_URL).replace(/\/+$/, ''),
+    timeoutSeconds: Number(options.timeoutSeconds ?? process.env.OURA_TIMEOUT_SECONDS ?? DEFAULT_TIMEOUT_SECONDS),
+    maxRetries: Number(options.maxRetries ?? process.env.OURA_MAX_RETRIES ?? DEFAULT_MAX_RETRIES),
+    retryBaseMs: Number(options.retryBaseMs ?? process.env.OURA_RETRY_BASE_MS ?? DEFAULT_RETRY_BASE_MS),
+    retryAfterMaxSeconds: Number(options.retryAfterMaxSeconds ?? process.env.OURA_RETRY_AFTER_MAX_SECONDS ?? DEFAULT_RETRY_AFTER_MAX_SECONDS),
+    breakerThreshold: Number(options.breakerThreshold ?? process.env.OURA_BREAKER_THRESHOLD ?? DEFAULT_BREAKER_THRESHOLD),
+    breakerCooldownSeconds: Number(options.breakerCooldownSeconds ?? process.env.OURA_BREAKER_COOLDOWN_SECONDS ?? DEFAULT_BREAKER_COOLDOWN_SECONDS)
+  };
+
+  if (!/^https?:\/\/[^/\s]+/.test(config.baseUrl)) {
+    throw new Error(`OURA_API_BASE_URL must be an http(s) URL, got ${config.baseUrl}`);
+  }
+  if (!Number.isFinite(config.timeoutSeconds) || config.timeoutSeconds < 1 || config.timeoutSeconds > 60) {
+    throw new Error(`Oura timeout must be between 1 and 60 seconds, got ${config.timeoutSeconds}`);
+  }
+  if (!Number.isInteger(config.maxRetries) || config.maxRetries < 0 || config.maxRetries > 5) {
+    throw new Error(`Oura retries must be a whole number between 0 and 5, got ${config.maxRetries}`);
+  }
+  if (!Number.isFinite(config.retryBaseMs) || config.retryBaseMs < 10 || config.retryBaseMs > 10000) {
+    throw new Error(`Oura retry base must be between 10 and 10000 ms, got ${config.retryBaseMs}`);
+  }
+  if (!Number.isFinite(config.retryAfterMaxSeconds) || config.retryAfterMaxSeconds < 0 || config.retryAfterMaxSeconds > 60) {
+    throw new Error(`Oura Retry-After limit must be between 0 and 60 seconds, got ${config.retryAfterMaxSeconds}`);
+  }
+  if (!Number.isInteger(config.breakerThreshold) || config.breakerThreshold < 1 || config.breakerThreshold > 100) {
+    throw new Error(`Oura breaker threshold must be a whole number between 1 and 100, got ${config.breakerThreshold}`);
+  }
+  if (!Number.isFinite(config.breakerCooldownSeconds) || config.breakerCooldownSeconds < 1 || config.breakerCooldownSeconds > 3600) {
+    throw new Error(`Oura breaker cooldown must be between 1 and 3600 seconds, got ${config.breakerCooldownSeconds}`);
+  }
+
+  return config;
+}
+
+/**
+ * Wait before a retry: exponential backoff with full jitter, so clients that
+ * failed together don't all retry together
+ * @param {number} retry - Retry number (1 for the first retry)
+ * @param {Object} config - Resolved Oura client config
+ * @param {Function} random - Random number source in [0, 1) (for tests)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(retry, config, random = Math.random) {
+  const ceiling = Math.min(MAX_RETRY_DELAY_MS, config.retryBaseMs * 2 ** (retry - 1));
+  return Math.round(random() * ceiling);
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  DEFAULT_TIMEOUT_SECONDS,
+  DEFAULT_MAX_RETRIES,
+  DEFAULT_BREAKER_THRESHOLD,
+  DEFAULT_BREAKER_COOLDOWN_SECONDS,
+  resolveOuraClientConfig,
+  getRetryDelay
+};
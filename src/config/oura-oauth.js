@@ -0,0 +1,47 @@
+/**
+ * Oura OAuth Configuration
+ * Client credentials and endpoints for the Oura authorization-code flow
+ *
+ * Set with env vars:
+ *   OURA_CLIENT_ID, OURA_CLIENT_SECRET - from the Oura developer portal
+ *   OURA_REDIRECT_URI - must match the app's registered redirect URI
+ *                       (default: http://localhost:<PORT>/auth/callback)
+ *   OURA_SCOPES       - space separated (default: personal daily heartrate session)
+ *   SESSION_SECRET    - signs the OAuth state and encrypts stored tokens
+ */
+
+const OURA_AUTHORIZE_URL = 'https://cloud.ouraring.com/oauth/authorize';
+const OURA_TOKEN_URL = 'https://api.ouraring.com/oauth/token';
+const DEFAULT_SCOPES = 'personal daily heartrate session';
+
+/**
+ * Resolve the OAuth settings from env vars
+ * @returns {Object|null} { clientId, clientSecret, redirectUri, scopes, sessionSecret }, or null when OAuth isn't set up
+ * @throws {Error} If client credentials are set without SESSION_SECRET
+ */
+function resolveOAuthConfig() {
+  const clientId = process.env.OURA_CLIENT_ID;
+  const clientSecret = process.env.OURA_CLIENT_SECRET;
+  if (!clientId || !clientSecret) return null;
+
+  const sessionSecret = process.env.SESSION_SECRET;
+  if (!sessionSecret) {
+    throw new Error('SESSION_SECRET is required when OURA_CLIENT_ID and OURA_CLIENT_SECRET are set');
+  }
+
+  const port = process.env.PORT || 8080;
+  return {
+    clientId,
+    clientSecret,
+    redirectUri: process.env.OURA_REDIRECT_URI || `http://localhost:${port}/auth/callback`,
+    scopes: process.env.OURA_SCOPES || DEFAULT_SCOPES,
+    sessionSecret
+  };
+}
+
+module.exports = {
+  OURA_AUTHORIZE_URL,
+  OURA_TOKEN_URL,
+  DEFAULT_SCOPES,
+  resolveOAuthConfig
+};
@@ -0,0 +1,34 @@
+/**
+ * Oura Recording Configuration
+ * Record Oura API responses to a fixture file, or replay them instead of calling Oura
+ *
+ * Set one of these env vars:
+ *   OURA_RECORD_PATH - JSON file every Oura response is saved to (scrubbed of
+ *                      tokens and personal details); the API is still called
+ *   OURA_REPLAY_PATH - JSON file recorded earlier; Oura responses come from it
+ *                      and the API is never called
+ */
+
+const path = require('path');
+
+/**
+ * Resolve the record/replay settings from explicit options, then env vars
+ * @param {Object} options - { recordPath, replayPath }
+ * @returns {Object|null} { mode: 'record'|'replay', path (absolute) }, or null when neither is set
+ * @throws {Error} If both are set
+ */
+function resolveOuraRecordingConfig(options = {}) {
+  const recordPath = options.recordPath ?? process.env.OURA_RECORD_PATH;
+  const replayPath = options.replayPath ?? process.env.OURA_REPLAY_PATH;
+
+  if (recordPath && replayPath) {
+    throw new Error('Set OURA_RECORD_PATH or OURA_REPLAY_PATH, not both');
+  }
+  if (recordPath) return { mode: 'record', path: path.resolve(recordPath) };
+  if (replayPath) return { mode: 'replay', path: path.resolve(replayPath) };
+  return null;
+}
+
+module.exports = {
+  resolveOuraRecordingConfig
+};
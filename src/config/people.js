@@ -0,0 +1,147 @@
+/**
+ * People Configuration
+ * The sleepers one deployment tracks
+ *
+ * Configure with NAP_PEOPLE (JSON array) or NAP_PEOPLE_FILE (path to a JSON file):
+ *   [
+ *     { "id": "emily", "name": "Emily" },
+ *     { "id": "alex", "name": "Alex", "timeZone": "Europe/London",
+ *       "provider": "fitbit", "tokenEnv": "FITBIT_TOKEN_ALEX",
+ *       "schedule": { "weekday": { "napStart": "13:00" } },
+ *       "messagePack": "gentle",
+ *       "messages": { "napped": { "recommendation": "Alex already napped." } } }
+ *   ]
+ *
+ * Per person (all optional except id):
+ *   name      - display name (default: the id)
+ *   timeZone  - IANA timezone (default: NAP_TIMEZONE)
+ *   schedule  - window schedule config (default: NAP_SCHEDULE)
+ *   sleepDebt - { windowDays, sleepNeedHours } (default: SLEEP_DEBT_DAYS / SLEEP_NEED_HOURS)
+ *   provider  - where their sleep comes from: oura, fitbit, whoop, garmin, or
+ *               import for phone exports (default: oura, see config/providers)
+ *   tokenEnv  - env var holding a static access token for this person's provider
+ *   messagePack - message pack name, see config/message-packs (default: NAP_MESSAGE_PACK)
+ *   messages  - message overrides, same shape as a compiled message pack
+ *
+ * The first person is the default: the original /api/nap-status style routes
+ * answer for them, and they keep OURA_API_TOKEN (or their provider's shared
+ * token variable), the token file and the stored sleep history from before
+ * multi-person support. Without any config there
+ * is a single default person, Emily.
+ */
+
+const fs = require('fs');
+const { resolveTimezone } = require('../utils/timezone');
+const { resolveSchedule } = require('./schedule');
+const { resolveSleepDebtConfig } = require('./sleep-debt');
+const { hasMessagePack } = require('./message-packs');
+const { DEFAULT_PROVIDER, hasProvider, listProviderIds } = require('./providers');
+
+const DEFAULT_PEOPLE = [{ id: 'emily', name: 'Emily' }];
+
+/**
+ * Resolve the configured people
+ * @param {Array<Object>} people - Explicit people config (default: NAP_PEOPLE, NAP_PEOPLE_FILE, then Emily)
+ * @returns {Array<Object>} Normalized people, default person first
+ * @throws {Error} If the config is malformed
+ */
+function resolvePeople(people) {
+  const config = people || readPeopleConfig() || DEFAULT_PEOPLE;
+  if (!Array.isArray(config) || config.length === 0) {
+    throw new Error('People config must be a non-empty array');
+  }
+
+  const seen = new Set();
+  return config.map((person, index) => {
+    const normalized = normalizePerson(person, index === 0);
+    if (seen.has(normalized.id)) {
+      throw new Error(`Duplicate person id "${normalized.id}"`);
+    }
+    seen.add(normalized.id);
+    return normalized;
+  });
+}
+
+/**
+ * Find a configured person by id
+ * @param {string} id - Person id
+ * @returns {Object|null} Normalized person, or null if there is no such person
+ */
+function getPerson(id) {
+  return resolvePeople().find(person => person.id === id) || null;
+}
+
+/**
+ * Get the default person (the first configured)
+ * @returns {Object} Normalized person
+ */
+function getDefaultPerson() {
+  return resolvePeople()[0];
+}
+
+// Helper functions
+
+function readPeopleConfig() {
+  if (process.env.NAP_PEOPLE) {
+    try {
+      return JSON.parse(process.env.NAP_PEOPLE);
+    } catch (error) {
+      throw new Error(`NAP_PEOPLE is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (process.env.NAP_PEOPLE_FILE) {
+    try {
+      return JSON.parse(fs.readFileSync(process.env.NAP_PEOPLE_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`NAP_PEOPLE_FILE could not be read: ${error.message}`);
+    }
+  }
+
+  return null;
+}
+
+function normalizePerson(person, isDefault) {
+  if (!person || typeof person !== 'object') {
+    throw new Error('Each person must be an object');
+  }
+
+  const { id } = person;
+  if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+    throw new Error(`Invalid person id "${id}": use lowercase letters, digits and dashes`);
+  }
+
+  if (person.messagePack !== undefined && !hasMessagePack(person.messagePack)) {
+    throw new Error(`Person "${id}": unknown message pack "${person.messagePack}"`);
+  }
+
+  if (person.provider !== undefined && !hasProvider(person.provider)) {
+    throw new Error(`Person "${id}": unknown sleep provider "${person.provider}", use one of: ${listProviderIds().join(', ')}`);
+  }
+
+  try {
+    return {
+      id,
+      name: person.name || id,
+      timeZone: resolveTimezone(person.timeZone),
+      schedule: resolveSchedule(person.schedule),
+      sleepDebt: resolveSleepDebtConfig(person.sleepDebt),
+      provider: person.provider || DEFAULT_PROVIDER,
+      tokenEnv: person.tokenEnv || null,
+      messagePack: person.messagePack || null,
+      messages: person.messages || null,
+      isDefault,
+      // Key for per-person storage; the default person keeps the original unkeyed storage
+      storageKey: isDefault ? '' : id
+    };
+  } catch (error) {
+    throw new Error(`Person "${id}": ${error.message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_PEOPLE,
+  resolvePeople,
+  getPerson,
+  getDefaultPerson
+};
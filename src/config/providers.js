@@ -0,0 +1,114 @@
+/**
+ * Sleep Provider Configuration
+ * The sleep data APIs a person's sessions can come from (see services/providers)
+ *
+ * Each person picks one with "provider" in the people config (default: oura).
+ * Oura has its own settings (config/oura-client, config/oura-oauth); the
+ * others are read with a static access token and can be pointed elsewhere,
+ * e.g. at the stand-ins in fake-oura/providers, with env vars:
+ *   FITBIT_API_BASE_URL - default https://api.fitbit.com
+ *   WHOOP_API_BASE_URL  - default https://api.prod.whoop.com
+ *   GARMIN_API_BASE_URL - default https://apis.garmin.com
+ * and given their own time limit per call (1-60 seconds, default 10):
+ *   FITBIT_TIMEOUT_SECONDS, WHOOP_TIMEOUT_SECONDS, GARMIN_TIMEOUT_SECONDS
+ *
+ * A person's token comes from their tokenEnv variable; the default person
+ * falls back to the provider's shared variable (FITBIT_ACCESS_TOKEN,
+ * WHOOP_ACCESS_TOKEN, GARMIN_ACCESS_TOKEN).
+ *
+ * The import provider has no API at all: its sleep is whatever was imported
+ * from Apple Health or Google Fit exports into the sleep store (see
+ * services/sleep-import).
+ */
+
+const { DEFAULT_BASE_URL: OURA_BASE_URL } = require('./oura-client');
+
+const DEFAULT_PROVIDER = 'oura';
+
+const DEFAULT_TIMEOUT_SECONDS = 10;
+
+const PROVIDERS = {
+  oura: {
+    name: 'Oura',
+    baseUrlEnv: 'OURA_API_BASE_URL',
+    defaultBaseUrl: OURA_BASE_URL,
+    timeoutEnv: 'OURA_TIMEOUT_SECONDS',
+    tokenEnv: 'OURA_API_TOKEN'
+  },
+  fitbit: {
+    name: 'Fitbit',
+    baseUrlEnv: 'FITBIT_API_BASE_URL',
+    defaultBaseUrl: 'https://api.fitbit.com',
+    timeoutEnv: 'FITBIT_TIMEOUT_SECONDS',
+    tokenEnv: 'FITBIT_ACCESS_TOKEN'
+  },
+  whoop: {
+    name: 'Whoop',
+    baseUrlEnv: 'WHOOP_API_BASE_URL',
+    defaultBaseUrl: 'https://api.prod.whoop.com',
+    timeoutEnv: 'WHOOP_TIMEOUT_SECONDS',
+    tokenEnv: 'WHOOP_ACCESS_TOKEN'
+  },
+  garmin: {
+    name: 'Garmin',
+    baseUrlEnv: 'GARMIN_API_BASE_URL',
+    defaultBaseUrl: 'https://apis.garmin.com',
+    timeoutEnv: 'GARMIN_TIMEOUT_SECONDS',
+    tokenEnv: 'GARMIN_ACCESS_TOKEN'
+  },
+  import: {
+    name: 'Health export'
+  }
+};
+
+/**
+ * Check a provider id
+ * @param {string} id - Provider id
+ * @returns {boolean} True if it names a known provider
+ */
+function hasProvider(id) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, id);
+}
+
+/**
+ * List the known provider ids
+ * @returns {Array<string>} Provider ids, Oura first
+ */
+function listProviderIds() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Resolve a provider's settings from explicit options, env vars, then defaults
+ * @param {string} id - Provider id
+ * @param {Object} options - { baseUrl, timeoutSeconds } overrides
+ * @returns {Object} { id, name, baseUrl, timeoutSeconds, tokenEnv } (null API settings without an API)
+ * @throws {Error} For an unknown provider, a base URL that isn't http(s) or a timeout out of range
+ */
+function resolveProviderConfig(id, options = {}) {
+  if (!hasProvider(id)) {
+    throw new Error(`Unknown sleep provider "${id}", use one of: ${listProviderIds().join(', ')}`);
+  }
+
+  const { name, baseUrlEnv, defaultBaseUrl, timeoutEnv, tokenEnv } = PROVIDERS[id];
+  if (!baseUrlEnv) return { id, name, baseUrl: null, timeoutSeconds: null, tokenEnv: null };
+
+  const baseUrl = String(options.baseUrl ?? process.env[baseUrlEnv] ?? defaultBaseUrl).replace(/\/+$/, '');
+  if (!/^https?:\/\/[^/\s]+/.test(baseUrl)) {
+    throw new Error(`${baseUrlEnv} must be an http(s) URL, got ${baseUrl}`);
+  }
+
+  const timeoutSeconds = Number(options.timeoutSeconds ?? process.env[timeoutEnv] ?? DEFAULT_TIMEOUT_SECONDS);
+  if (!Number.isFinite(timeoutSeconds) || timeoutSeconds < 1 || timeoutSeconds > 60) {
+    throw new Error(`${timeoutEnv} must be between 1 and 60 seconds, got ${timeoutSeconds}`);
+  }
+
+  return { id, name, baseUrl, timeoutSeconds, tokenEnv };
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  hasProvider,
+  listProviderIds,
+  resolveProviderConfig
+};
@@ -0,0 +1,197 @@
+/**
+ * Schedule Configuration
+ * Boundaries of the sleep, pre-nap, nap and post-nap windows
+ *
+ * A schedule has a weekday and a weekend day schedule. Each day schedule
+ * lists the local clock times ("HH:MM") where a window starts:
+ *   wake     - sleep ends, pre-nap starts
+ *   napStart - pre-nap ends, nap starts
+ *   napEnd   - nap ends, post-nap starts
+ *   bedtime  - post-nap ends, sleep starts (may be after midnight)
+ *
+ * Weekend values not given fall back to the weekday values.
+ * Override the defaults with the NAP_SCHEDULE env var (JSON), e.g.
+ *   {"weekday":{"napStart":"13:30"},"weekend":{"wake":"09:00","bedtime":"00:30"}}
+ */
+
+const DEFAULT_SCHEDULE = {
+  weekday: {
+    wake: '07:00',
+    napStart: '14:00',
+    napEnd: '17:00',
+    bedtime: '23:00'
+  },
+  weekend: {}
+};
+
+const BOUNDARIES = ['wake', 'napStart', 'napEnd', 'bedtime'];
+
+/**
+ * Parse an "HH:MM" clock time into minutes since midnight
+ * @param {string} value - Clock time in 24-hour "HH:MM" format
+ * @returns {number} Minutes since midnight (0-1439)
+ * @throws {Error} If the value is not a valid clock time
+ */
+function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid schedule time "${value}", expected HH:MM`);
+  }
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) {
+    throw new Error(`Invalid schedule time "${value}", expected HH:MM`);
+  }
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes since midnight for display (e.g. 840 -> "2 PM", 870 -> "2:30 PM")
+ * English keeps the short "2 PM" style; other locales use their own clock format
+ * @param {number} minutesOfDay - Minutes since midnight
+ * @param {string} locale - Language tag (default: English)
+ * @returns {string} Human readable clock time
+ */
+function formatClockTime(minutesOfDay, locale = 'en') {
+  if (!/^en\b/i.test(locale)) {
+    const date = new Date(Date.UTC(2000, 0, 1, 0, minutesOfDay % 1440));
+    return date.toLocaleString(locale, { timeZone: 'UTC', timeStyle: 'short' });
+  }
+
+  const hours24 = Math.floor(minutesOfDay / 60) % 24;
+  const minutes = minutesOfDay % 60;
+  const suffix = hours24 < 12 ? 'AM' : 'PM';
+  const hours12 = hours24 % 12 === 0 ? 12 : hours24 % 12;
+  return minutes === 0
+    ? `${hours12} ${suffix}`
+    : `${hours12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * Validate a schedule config and convert it to minutes since midnight
+ * @param {Object} config - Schedule config ({ weekday, weekend } of "HH:MM" strings)
+ * @returns {Object} Normalized schedule: { weekday, weekend } of minute values
+ * @throws {Error} If a time is malformed or the windows are out of order
+ */
+function normalizeSchedule(config = {}) {
+  const weekdayConfig = { ...DEFAULT_SCHEDULE.weekday, ...(config.weekday || {}) };
+  const weekendConfig = { ...weekdayConfig, ...(config.weekend || {}) };
+
+  return {
+    weekday: normalizeDaySchedule(weekdayConfig, 'weekday'),
+    weekend: normalizeDaySchedule(weekendConfig, 'weekend')
+  };
+}
+
+/**
+ * Resolve the schedule to use: an explicit config, NAP_SCHEDULE, or the default
+ * @param {Object} schedule - Schedule config or already-normalized schedule (optional)
+ * @returns {Object} Normalized schedule
+ */
+function resolveSchedule(schedule) {
+  if (schedule && isNormalized(schedule)) return schedule;
+  if (schedule) return normalizeSchedule(schedule);
+
+  if (process.env.NAP_SCHEDULE) {
+    let parsed;
+    try {
+      parsed = JSON.parse(process.env.NAP_SCHEDULE);
+    } catch (error) {
+      throw new Error(`NAP_SCHEDULE is not valid JSON: ${error.message}`);
+    }
+    return normalizeSchedule(parsed);
+  }
+
+  return normalizeSchedule(DEFAULT_SCHEDULE);
+}
+
+/**
+ * Pick the day schedule for a local weekday
+ * @param {Object} schedule - Normalized schedule
+ * @param {number} weekday - Local day of week (0 = Sunday ... 6 = Saturday)
+ * @returns {Object} Day schedule in minutes since midnight
+ */
+function getDaySchedule(schedule, weekday) {
+  return weekday === 0 || weekday === 6 ? schedule.weekend : schedule.weekday;
+}
+
+/**
+ * Pick the day schedule in effect at a local clock time
+ * Until the day's wake time the night before is still running, so its
+ * bedtime applies: a Saturday 00:30 bedtime covers Saturday 00:00-00:30,
+ * not Sunday's
+ * @param {Object} schedule - Normalized schedule
+ * @param {number} weekday - Local day of week (0 = Sunday ... 6 = Saturday)
+ * @param {number} minutesOfDay - Minutes since local midnight
+ * @returns {Object} Day schedule in minutes since midnight
+ */
+function getScheduleAt(schedule, weekday, minutesOfDay) {
+  const today = getDaySchedule(schedule, weekday);
+  if (minutesOfDay >= today.wake) return today;
+
+  const previousNight = getDaySchedule(schedule, (weekday + 6) % 7);
+  return previousNight.bedtime === today.bedtime ? today : { ...today, bedtime: previousNight.bedtime };
+}
+
+/**
+ * Determine the time window for a local clock time
+ * @param {number} minutesOfDay - Minutes since local midnight
+ * @param {Object} daySchedule - Day schedule in minutes since midnight
+ * @returns {string} Time window: 'sleep', 'pre-nap', 'nap', or 'post-nap'
+ */
+function getWindowAt(minutesOfDay, daySchedule) {
+  const { wake, napStart, napEnd, bedtime } = daySchedule;
+
+  // Bedtime after midnight (e.g. 00:30) sits before wake on the clock
+  const isSleep = bedtime > wake
+    ? minutesOfDay >= bedtime || minutesOfDay < wake
+    : minutesOfDay >= bedtime && minutesOfDay < wake;
+
+  if (isSleep) return 'sleep';
+  if (minutesOfDay >= wake && minutesOfDay < napStart) return 'pre-nap';
+  if (minutesOfDay >= napStart && minutesOfDay < napEnd) return 'nap';
+  return 'post-nap';
+}
+
+// Helper functions
+
+function normalizeDaySchedule(dayConfig, label) {
+  const day = {};
+  for (const boundary of BOUNDARIES) {
+    if (dayConfig[boundary] === undefined || dayConfig[boundary] === null) {
+      throw new Error(`Schedule ${label} is missing "${boundary}"`);
+    }
+    day[boundary] = parseClockTime(dayConfig[boundary]);
+  }
+
+  if (!(day.wake < day.napStart && day.napStart < day.napEnd)) {
+    throw new Error(`Schedule ${label} must satisfy wake < napStart < napEnd`);
+  }
+  if (day.bedtime > day.wake && day.bedtime < day.napEnd) {
+    throw new Error(`Schedule ${label} bedtime must be after napEnd or before wake`);
+  }
+  if (day.bedtime === day.wake) {
+    throw new Error(`Schedule ${label} bedtime and wake cannot be the same time`);
+  }
+
+  return day;
+}
+
+function isNormalized(schedule) {
+  return [schedule.weekday, schedule.weekend].every(day =>
+    day && BOUNDARIES.every(boundary => typeof day[boundary] === 'number')
+  );
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  parseClockTime,
+  formatClockTime,
+  normalizeSchedule,
+  resolveSchedule,
+  getDaySchedule,
+  getScheduleAt,
+  getWindowAt
+};
@@ -0,0 +1,45 @@
+/**
+ * Site Configuration
+ * Public address of this server, for links that leave it (embed images,
+ * link previews, badges)
+ *
+ * Set with env vars:
+ *   PUBLIC_BASE_URL - public origin, e.g. https://naptime.example.com
+ *                     (default: the origin each request was sent to)
+ */
+
+/**
+ * Resolve the configured public origin
+ * @param {string} value - URL overriding PUBLIC_BASE_URL (optional)
+ * @returns {string|null} Origin without a trailing slash, or null when not configured
+ * @throws {Error} If the value is not an absolute http(s) URL
+ */
+function resolvePublicBaseUrl(value = process.env.PUBLIC_BASE_URL) {
+  if (!value) return null;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error('PUBLIC_BASE_URL must be an absolute http or https URL');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error('PUBLIC_BASE_URL must be an absolute http or https URL');
+  }
+  return url.origin;
+}
+
+/**
+ * Public origin for a request: the configured origin, or the origin the request was sent to
+ * @param {Object} req - Express request
+ * @param {string|null} publicBaseUrl - Origin resolved once at startup (see resolvePublicBaseUrl)
+ * @returns {string} Origin without a trailing slash
+ */
+function getPublicBaseUrl(req, publicBaseUrl) {
+  return publicBaseUrl || `${req.protocol}://${req.get('host')}`;
+}
+
+module.exports = {
+  resolvePublicBaseUrl,
+  getPublicBaseUrl
+};
@@ -0,0 +1,45 @@
+/**
+ * Slack Configuration
+ * Settings for the /nap slash command and its interactive buttons
+ *
+ * Set with env vars:
+ *   SLACK_SIGNING_SECRET   - from the Slack app's "Basic Information" page;
+ *                            the integration is off without it
+ *   SLACK_RESPONSE_SECONDS - how long a command may spend fetching the status
+ *                            before it answers "checking" and follows up (1-2.5, default 2.5;
+ *                            Slack gives up after 3 seconds)
+ */
+
+// Slack rejects replays older than five minutes, so do we
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+
+const DEFAULT_RESPONSE_SECONDS = 2.5;
+
+/**
+ * Resolve the Slack settings from options and env vars
+ * @param {Object} options - { signingSecret, responseSeconds } overriding the env vars
+ * @returns {Object|null} { signingSecret, responseSeconds, maxRequestAgeSeconds }, or null when Slack isn't set up
+ * @throws {Error} If SLACK_RESPONSE_SECONDS is out of range
+ */
+function resolveSlackConfig(options = {}) {
+  const signingSecret = options.signingSecret ?? process.env.SLACK_SIGNING_SECRET;
+  if (!signingSecret) return null;
+
+  const responseSeconds = Number(
+    options.responseSeconds ?? process.env.SLACK_RESPONSE_SECONDS ?? DEFAULT_RESPONSE_SECONDS
+  );
+  if (!Number.isFinite(responseSeconds) || responseSeconds < 1 || responseSeconds > 2.5) {
+    throw new Error('SLACK_RESPONSE_SECONDS must be between 1 and 2.5');
+  }
+
+  return {
+    signingSecret,
+    responseSeconds,
+    maxRequestAgeSeconds: MAX_REQUEST_AGE_SECONDS
+  };
+}
+
+module.exports = {
+  MAX_REQUEST_AGE_SECONDS,
+  resolveSlackConfig
+};
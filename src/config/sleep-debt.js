@@ -0,0 +1,60 @@
+/**
+ * Sleep Debt Configuration
+ * Rolling window and nightly sleep need used for the sleep debt model
+ *
+ * Override the defaults with env vars:
+ *   SLEEP_DEBT_DAYS  - nights in the rolling window (1-30, default 7)
+ *   SLEEP_NEED_HOURS - target sleep per night (3-12, default 8)
+ */
+
+const DEFAULT_WINDOW_DAYS = 7;
+const DEFAULT_SLEEP_NEED_HOURS = 8;
+
+/**
+ * Debt levels by accumulated hours over the window (lower bound, inclusive)
+ */
+const DEBT_LEVELS = [
+  { level: 'severe', minHours: 10 },
+  { level: 'moderate', minHours: 6 },
+  { level: 'mild', minHours: 3 },
+  { level: 'none', minHours: 0 }
+];
+
+/**
+ * Resolve sleep debt settings from explicit options, env vars, then defaults
+ * @param {Object} options - Overrides
+ * @param {number} options.windowDays - Nights in the rolling window
+ * @param {number} options.sleepNeedHours - Target sleep per night in hours
+ * @returns {Object} { windowDays, sleepNeedHours }
+ * @throws {Error} If a value is out of range
+ */
+function resolveSleepDebtConfig(options = {}) {
+  const windowDays = Number(options.windowDays ?? process.env.SLEEP_DEBT_DAYS ?? DEFAULT_WINDOW_DAYS);
+  const sleepNeedHours = Number(options.sleepNeedHours ?? process.env.SLEEP_NEED_HOURS ?? DEFAULT_SLEEP_NEED_HOURS);
+
+  if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > 30) {
+    throw new Error(`Sleep debt window must be a whole number of days between 1 and 30, got ${windowDays}`);
+  }
+  if (!Number.isFinite(sleepNeedHours) || sleepNeedHours < 3 || sleepNeedHours > 12) {
+    throw new Error(`Sleep need must be between 3 and 12 hours, got ${sleepNeedHours}`);
+  }
+
+  return { windowDays, sleepNeedHours };
+}
+
+/**
+ * Map accumulated debt hours to a debt level
+ * @param {number} debtHours - Accumulated sleep debt in hours
+ * @returns {string} 'none', 'mild', 'moderate' or 'severe'
+ */
+function getDebtLevel(debtHours) {
+  return DEBT_LEVELS.find(({ minHours }) => debtHours >= minHours).level;
+}
+
+module.exports = {
+  DEFAULT_WINDOW_DAYS,
+  DEFAULT_SLEEP_NEED_HOURS,
+  DEBT_LEVELS,
+  resolveSleepDebtConfig,
+  getDebtLevel
+};
@@ -0,0 +1,42 @@
+/**
+ * Stream Configuration
+ * Timing of the /api/nap-status/stream Server-Sent Events
+ *
+ * Override the defaults with env vars:
+ *   NAP_STREAM_HEARTBEAT_SECONDS - seconds between heartbeat events (5-45, default 25; the
+ *                                  frontend falls back to polling after a minute without one)
+ *   NAP_STREAM_REFRESH_SECONDS   - seconds between checks for new Oura data (30-3600, default 120)
+ *
+ * Window boundaries are checked when they happen regardless of the refresh interval.
+ */
+
+const DEFAULT_HEARTBEAT_SECONDS = 25;
+const DEFAULT_REFRESH_SECONDS = 120;
+
+/**
+ * Resolve stream settings from explicit options, env vars, then defaults
+ * @param {Object} options - Overrides
+ * @param {number} options.heartbeatSeconds - Seconds between heartbeats
+ * @param {number} options.refreshSeconds - Seconds between status recomputations
+ * @returns {Object} { heartbeatSeconds, refreshSeconds }
+ * @throws {Error} If a value is out of range
+ */
+function resolveStreamConfig(options = {}) {
+  const heartbeatSeconds = Number(options.heartbeatSeconds ?? process.env.NAP_STREAM_HEARTBEAT_SECONDS ?? DEFAULT_HEARTBEAT_SECONDS);
+  const refreshSeconds = Number(options.refreshSeconds ?? process.env.NAP_STREAM_REFRESH_SECONDS ?? DEFAULT_REFRESH_SECONDS);
+
+  if (!Number.isFinite(heartbeatSeconds) || heartbeatSeconds < 5 || heartbeatSeconds > 45) {
+    throw new Error(`Stream heartbeat must be between 5 and 45 seconds, got ${heartbeatSeconds}`);
+  }
+  if (!Number.isFinite(refreshSeconds) || refreshSeconds < 30 || refreshSeconds > 3600) {
+    throw new Error(`Stream refresh must be between 30 and 3600 seconds, got ${refreshSeconds}`);
+  }
+
+  return { heartbeatSeconds, refreshSeconds };
+}
+
+module.exports = {
+  DEFAULT_HEARTBEAT_SECONDS,
+  DEFAULT_REFRESH_SECONDS,
+  resolveStreamConfig
+};
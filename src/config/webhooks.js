@@ -0,0 +1,62 @@
+/**
+ * Webhook Configuration
+ * Delivery timing for outbound webhooks
+ *
+ * Override the defaults with env vars:
+ *   WEBHOOK_MAX_ATTEMPTS       - attempts per delivery, including the first (1-10, default 5)
+ *   WEBHOOK_RETRY_BASE_SECONDS - wait before the first retry, doubled for each
+ *                                retry after it (1-3600, default 30)
+ *   WEBHOOK_TIMEOUT_SECONDS    - how long a receiver gets to answer (1-30, default 10)
+ *
+ * The admin API that registers webhooks needs ADMIN_API_TOKEN, and
+ * SESSION_SECRET to encrypt the signing secrets at rest.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const DEFAULT_TIMEOUT_SECONDS = 10;
+
+/**
+ * Resolve webhook settings from explicit options, env vars, then defaults
+ * @param {Object} options - Overrides
+ * @param {number} options.maxAttempts - Attempts per delivery
+ * @param {number} options.retryBaseSeconds - Wait before the first retry
+ * @param {number} options.timeoutSeconds - Request timeout
+ * @returns {Object} { maxAttempts, retryBaseSeconds, timeoutSeconds }
+ * @throws {Error} If a value is out of range
+ */
+function resolveWebhookConfig(options = {}) {
+  const maxAttempts = Number(options.maxAttempts ?? process.env.WEBHOOK_MAX_ATTEMPTS ?? DEFAULT_MAX_ATTEMPTS);
+  const retryBaseSeconds = Number(options.retryBaseSeconds ?? process.env.WEBHOOK_RETRY_BASE_SECONDS ?? DEFAULT_RETRY_BASE_SECONDS);
+  const timeoutSeconds = Number(options.timeoutSeconds ?? process.env.WEBHOOK_TIMEOUT_SECONDS ?? DEFAULT_TIMEOUT_SECONDS);
+
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 10) {
+    throw new Error(`Webhook attempts must be a whole number between 1 and 10, got ${maxAttempts}`);
+  }
+  if (!Number.isFinite(retryBaseSeconds) || retryBaseSeconds < 1 || retryBaseSeconds > 3600) {
+    throw new Error(`Webhook retry base must be between 1 and 3600 seconds, got ${retryBaseSeconds}`);
+  }
+  if (!Number.isFinite(timeoutSeconds) || timeoutSeconds < 1 || timeoutSeconds > 30) {
+    throw new Error(`Webhook timeout must be between 1 and 30 seconds, got ${timeoutSeconds}`);
+  }
+
+  return { maxAttempts, retryBaseSeconds, timeoutSeconds };
+}
+
+/**
+ * Wait before retrying a failed attempt
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {Object} config - Resolved webhook config
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts, config) {
+  return config.retryBaseSeconds * 1000 * 2 ** (attempts - 1);
+}
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_RETRY_BASE_SECONDS,
+  DEFAULT_TIMEOUT_SECONDS,
+  resolveWebhookConfig,
+  getRetryDelay
+};
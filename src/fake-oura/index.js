@@ -0,0 +1,149 @@
+/**
+ * Fake Oura Server
+ * A stand-in for the Oura v2 API, so the app runs and can be tested offline
+ *
+ * Serves /v2/usercollection/* the way Oura does (date filters, pages with
+ * next_token, Bearer auth) from a scenario (see ./scenarios) or from a
+ * fixtures directory. Point the app at it with
+ * OURA_API_BASE_URL=http://localhost:<port>/v2 and any OURA_API_TOKEN.
+ *
+ * A fixtures directory holds <collection>.json files, each an array of Oura
+ * documents or a { data: [...] } response, plus an optional
+ * personal_info.json. Collections it has replace the scenario's.
+ *
+ * The scenario can be switched while the server runs:
+ *   curl -X PUT localhost:8090/_fake/scenario -H 'Content-Type: application/json' -d '{"name":"rate-limited"}'
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { resolveTimezone } = require('../utils/timezone');
+const { resolveNow } = require('../utils/clock');
+const { listScenarios, buildScenario, DEFAULT_RETRY_AFTER_SECONDS } = require('./scenarios');
+
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Create the fake Oura app
+ * @param {Object} options - Settings
+ * @param {string} options.scenario - Scenario name (default: normal)
+ * @param {string} options.fixturesDir - Directory of <collection>.json files (optional)
+ * @param {string} options.timeZone - Sleeper's IANA timezone (default: NAP_TIMEZONE or America/Denver)
+ * @param {Date|string|number} options.now - Fixed "now" for generated data (default: current time)
+ * @param {number} options.pageSize - Documents per page (default: 50)
+ * @param {number} options.retryAfterSeconds - Retry-After sent by the rate-limited scenario (default: 30)
+ * @returns {Object} Express app
+ * @throws {Error} For an unknown scenario or unreadable fixtures
+ */
+function createFakeOuraApp(options = {}) {
+  const timeZone = resolveTimezone(options.timeZone);
+  const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+  const retryAfterSeconds = options.retryAfterSeconds ?? DEFAULT_RETRY_AFTER_SECONDS;
+  const fixtures = options.fixturesDir ? loadFixtures(options.fixturesDir) : {};
+  const personalInfo = fixtures.personal_info || require('./fixtures/personal_info.json');
+  delete fixtures.personal_info;
+
+  let scenario = options.scenario || 'normal';
+  buildScenario(scenario, { now: new Date(), timeZone, retryAfterSeconds });
+
+  const app = express();
+  app.use(express.json());
+
+  app.get('/_fake/scenario', (req, res) => {
+    res.json({ scenario, scenarios: listScenarios() });
+  });
+
+  app.put('/_fake/scenario', (req, res) => {
+    const name = req.body?.name;
+    try {
+      buildScenario(name, { now: new Date(), timeZone, retryAfterSeconds });
+    } catch (error) {
+      return res.status(400).json({ detail: error.message });
+    }
+    scenario = name;
+    res.json({ scenario });
+  });
+
+  app.use('/v2', (req, res, next) => {
+    if (!/^Bearer \S+/.test(req.get('Authorization') || '')) {
+      return res.status(401).json({ detail: 'Missing or malformed Authorization header' });
+    }
+
+    const built = buildScenario(scenario, { now: resolveNow(options.now), timeZone, retryAfterSeconds });
+    if (built.error) {
+      res.set(built.error.headers || {});
+      return res.status(built.error.status).json(built.error.body);
+    }
+    req.collections = { ...built.collections, ...fixtures };
+    next();
+  });
+
+  app.get('/v2/usercollection/personal_info', (req, res) => {
+    res.json(personalInfo);
+  });
+
+  app.get('/v2/usercollection/:collection', (req, res) => {
+    const documents = (req.collections[req.params.collection] || []).filter(document => inRange(document, req.query));
+
+    const offset = req.query.next_token ? decodeToken(req.query.next_token) : 0;
+    if (offset === null) {
+      return res.status(400).json({ detail: 'Invalid next_token' });
+    }
+
+    const end = offset + pageSize;
+    res.json({
+      data: documents.slice(offset, end),
+      next_token: end < documents.length ? encodeToken(end) : null
+    });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ detail: 'Not Found' });
+  });
+
+  return app;
+}
+
+// Helper functions
+
+function loadFixtures(directory) {
+  const fixtures = {};
+  for (const file of fs.readdirSync(directory)) {
+    if (path.extname(file) !== '.json') continue;
+
+    const content = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+    const collection = path.basename(file, '.json');
+    fixtures[collection] = collection === 'personal_info' || Array.isArray(content) ? content : content.data || [];
+  }
+  return fixtures;
+}
+
+// Oura's filters: start_date/end_date on the document's day (both inclusive),
+// start_datetime/end_datetime on its timestamp
+function inRange(document, query) {
+  if (document.day) {
+    if (query.start_date && document.day < query.start_date) return false;
+    if (query.end_date && document.day > query.end_date) return false;
+  }
+  if (document.timestamp && (query.start_datetime || query.end_datetime)) {
+    const time = Date.parse(document.timestamp);
+    if (query.start_datetime && time < Date.parse(query.start_datetime)) return false;
+    if (query.end_datetime && time > Date.parse(query.end_datetime)) return false;
+  }
+  return true;
+}
+
+function encodeToken(offset) {
+  return Buffer.from(`offset:${offset}`).toString('base64url');
+}
+
+function decodeToken(token) {
+  const match = /^offset:(\d+)$/.exec(Buffer.from(String(token), 'base64url').toString());
+  return match ? Number(match[1]) : null;
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  createFakeOuraApp
+};
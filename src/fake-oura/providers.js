@@ -0,0 +1,200 @@
+/**
+ * Fake Sleep Provider Servers
+ * Stand-ins for the Fitbit, Whoop and Garmin APIs the sleep providers read
+ * (see services/providers), serving the same scenarios as the fake Oura
+ * server in each vendor's own shape
+ *
+ * The nights come from ./scenarios and are rewritten per vendor, so the same
+ * scenario should give the same nap status whichever provider reads it.
+ * Point a provider at one with <PROVIDER>_API_BASE_URL=http://localhost:<port>
+ * and any access token.
+ *
+ *   fitbit - GET /1.2/user/-/sleep/date/:start/:end.json
+ *   whoop  - GET /developer/v2/activity/sleep and /developer/v2/recovery (paged)
+ *   garmin - GET /wellness-api/rest/sleeps (a day of summaries per call)
+ */
+
+const express = require('express');
+const { resolveTimezone, daysBetween } = require('../utils/timezone');
+const { resolveNow } = require('../utils/clock');
+const { buildScenario, DEFAULT_RETRY_AFTER_SECONDS } = require('./scenarios');
+
+const FAKE_PROVIDERS = ['fitbit', 'whoop', 'garmin'];
+
+// Whoop serves at most this many records per page
+const WHOOP_MAX_LIMIT = 25;
+
+/**
+ * Create a fake provider app
+ * @param {string} provider - 'fitbit', 'whoop' or 'garmin'
+ * @param {Object} options - Settings
+ * @param {string} options.scenario - Scenario name (default: normal)
+ * @param {string} options.timeZone - Sleeper's IANA timezone (default: NAP_TIMEZONE or America/Denver)
+ * @param {Date|string|number} options.now - Fixed "now" for generated data (default: current time)
+ * @param {number} options.retryAfterSeconds - Retry-After sent by the rate-limited scenario (default: 30)
+ * @returns {Object} Express app
+ * @throws {Error} For an unknown provider or scenario
+ */
+function createFakeProviderApp(provider, options = {}) {
+  if (!FAKE_PROVIDERS.includes(provider)) {
+    throw new Error(`No fake for provider "${provider}", use one of: ${FAKE_PROVIDERS.join(', ')}`);
+  }
+
+  const timeZone = resolveTimezone(options.timeZone);
+  const retryAfterSeconds = options.retryAfterSeconds ?? DEFAULT_RETRY_AFTER_SECONDS;
+  const scenario = options.scenario || 'normal';
+  buildScenario(scenario, { now: new Date(), timeZone, retryAfterSeconds });
+
+  const app = express();
+
+  app.use((req, res, next) => {
+    if (!/^Bearer \S+/.test(req.get('Authorization') || '')) {
+      return res.status(401).json({ message: 'Missing or malformed Authorization header' });
+    }
+
+    const built = buildScenario(scenario, { now: resolveNow(options.now), timeZone, retryAfterSeconds });
+    if (built.error) {
+      res.set(built.error.headers || {});
+      return res.status(built.error.status).json(built.error.body);
+    }
+    req.sessions = built.collections.sleep;
+    next();
+  });
+
+  if (provider === 'fitbit') {
+    app.get('/1.2/user/-/sleep/date/:start/:end.json', (req, res) => {
+      const { start, end } = req.params;
+      if (daysBetween(start, end) >= 100) {
+        return res.status(400).json({ errors: [{ errorType: 'validation', message: 'Max date range is 100 days' }] });
+      }
+      res.json({ sleep: req.sessions.filter(session => session.day >= start && session.day <= end).map(toFitbitLog) });
+    });
+  }
+
+  if (provider === 'whoop') {
+    const page = toRecords => (req, res) => {
+      const limit = Math.min(Number(req.query.limit) || 10, WHOOP_MAX_LIMIT);
+      const offset = Number(req.query.nextToken || 0);
+      const records = req.sessions
+        .filter(session => startsWithin(session, Date.parse(req.query.start), Date.parse(req.query.end)))
+        .flatMap(toRecords);
+      res.json({
+        records: records.slice(offset, offset + limit),
+        next_token: offset + limit < records.length ? String(offset + limit) : null
+      });
+    };
+    app.get('/developer/v2/activity/sleep', page(session => [toWhoopSleep(session)]));
+    app.get('/developer/v2/recovery', page(session => (session.readiness ? [toWhoopRecovery(session)] : [])));
+  }
+
+  if (provider === 'garmin') {
+    app.get('/wellness-api/rest/sleeps', (req, res) => {
+      const start = Number(req.query.summaryStartTimeInSeconds) * 1000;
+      const end = Number(req.query.summaryEndTimeInSeconds) * 1000;
+      if (!(end > start) || end - start > 24 * 60 * 60 * 1000) {
+        return res.status(400).json({ errorMessage: 'Time range must be positive and at most 86400 seconds' });
+      }
+      res.json(req.sessions
+        .filter(session => session.type === 'long_sleep' && startsWithin(session, start, end))
+        .map(toGarminSummary));
+    });
+  }
+
+  app.use((req, res) => {
+    res.status(404).json({ message: 'Not Found' });
+  });
+
+  return app;
+}
+
+// Helper functions
+
+// Open-ended on either side when the bound is missing
+function startsWithin(session, start, end) {
+  const time = Date.parse(session.bedtime_start);
+  return (Number.isNaN(start) || time >= start) && (Number.isNaN(end) || time < end);
+}
+
+// Fitbit writes local times without an offset
+function toFitbitLog(session) {
+  return {
+    logId: Number(`${session.day.replace(/-/g, '')}${session.period || 0}`),
+    dateOfSleep: session.day,
+    startTime: `${session.bedtime_start.slice(0, 19)}.000`,
+    endTime: `${session.bedtime_end.slice(0, 19)}.000`,
+    duration: session.time_in_bed * 1000,
+    efficiency: session.efficiency,
+    isMainSleep: session.type === 'long_sleep',
+    logType: 'auto_detected',
+    minutesAsleep: Math.round(session.total_sleep_duration / 60),
+    minutesAwake: Math.round(session.awake_time / 60),
+    timeInBed: Math.round(session.time_in_bed / 60),
+    type: 'stages',
+    levels: {
+      summary: {
+        deep: { minutes: Math.round(session.deep_sleep_duration / 60) },
+        light: { minutes: Math.round(session.light_sleep_duration / 60) },
+        rem: { minutes: Math.round(session.rem_sleep_duration / 60) },
+        wake: { minutes: Math.round(session.awake_time / 60) }
+      }
+    }
+  };
+}
+
+function toWhoopSleep(session) {
+  const localHour = Number(session.bedtime_start.slice(11, 13));
+  return {
+    id: `whoop-${session.id}`,
+    start: new Date(session.bedtime_start).toISOString(),
+    end: new Date(session.bedtime_end).toISOString(),
+    timezone_offset: session.bedtime_start.slice(19),
+    // Whoop calls daytime sleep a nap
+    nap: session.type !== 'long_sleep' && localHour >= 9 && localHour < 20,
+    score_state: 'SCORED',
+    score: {
+      stage_summary: {
+        total_in_bed_time_milli: session.time_in_bed * 1000,
+        total_awake_time_milli: session.awake_time * 1000,
+        total_no_data_time_milli: 0,
+        total_light_sleep_time_milli: session.light_sleep_duration * 1000,
+        total_slow_wave_sleep_time_milli: session.deep_sleep_duration * 1000,
+        total_rem_sleep_time_milli: session.rem_sleep_duration * 1000
+      },
+      sleep_efficiency_percentage: session.efficiency
+    }
+  };
+}
+
+function toWhoopRecovery(session) {
+  return {
+    sleep_id: `whoop-${session.id}`,
+    score_state: 'SCORED',
+    score: {
+      recovery_score: session.readiness.score,
+      resting_heart_rate: session.lowest_heart_rate,
+      hrv_rmssd_milli: session.average_hrv
+    }
+  };
+}
+
+function toGarminSummary(session) {
+  const start = Date.parse(session.bedtime_start);
+  // "-07:00" from the end of Oura's local time
+  const [, sign, hours, minutes] = /([+-])(\d{2}):(\d{2})$/.exec(session.bedtime_start);
+  return {
+    summaryId: `garmin-${session.id}`,
+    calendarDate: session.day,
+    startTimeInSeconds: Math.floor(start / 1000),
+    startTimeOffsetInSeconds: (sign === '-' ? -1 : 1) * (Number(hours) * 3600 + Number(minutes) * 60),
+    durationInSeconds: session.time_in_bed,
+    deepSleepDurationInSeconds: session.deep_sleep_duration,
+    lightSleepDurationInSeconds: session.light_sleep_duration,
+    remSleepInSeconds: session.rem_sleep_duration,
+    awakeDurationInSeconds: session.awake_time
+  };
+}
+
+module.exports = {
+  FAKE_PROVIDERS,
+  createFakeProviderApp
+};
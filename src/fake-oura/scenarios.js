@@ -0,0 +1,203 @@
+/**
+ * Fake Oura Scenarios
+ * Oura data generated around the current moment, so the app always has a
+ * "last night" to talk about
+ *
+ * Documents are built from the templates in ./fixtures (real Oura v2 shapes)
+ * with their dates, durations and scores filled in per night. Values vary
+ * from night to night but are the same every time for a given date.
+ */
+
+const { getZonedParts, zonedTimeToInstant, addDays } = require('../utils/timezone');
+
+const TEMPLATES = {
+  sleep: require('./fixtures/sleep.json'),
+  daily_sleep: require('./fixtures/daily_sleep.json'),
+  daily_readiness: require('./fixtures/daily_readiness.json'),
+  daily_activity: require('./fixtures/daily_activity.json')
+};
+
+// Nights generated before today
+const HISTORY_DAYS = 14;
+
+// Awake time between the two halves of a split night
+const SPLIT_GAP_MINUTES = 75;
+
+const DEFAULT_RETRY_AFTER_SECONDS = 30;
+
+const SCENARIOS = {
+  normal: {
+    description: 'Two weeks of ordinary nights, last night synced',
+    build: context => buildNights(context)
+  },
+  'short-night': {
+    description: 'Last night was under five hours',
+    build: context => buildNights(context, { lastNightHours: 4.6 })
+  },
+  'sync-delay': {
+    description: 'The ring hasn\'t synced since yesterday: nothing for last night yet',
+    build: context => buildNights(context, { skipLastNight: true })
+  },
+  'split-sleep': {
+    description: 'Last night came in two sessions with over an hour awake in between',
+    build: context => buildNights(context, { splitLastNight: true })
+  },
+  'nap-3pm': {
+    description: 'A half-hour nap at 3 PM today (shows up once it has ended)',
+    build: context => buildNights(context, { napAt: 15 * 60 })
+  },
+  unauthorized: {
+    description: 'Every call answers 401, like a revoked token',
+    error: () => ({ status: 401, body: { detail: 'Unauthorized' } })
+  },
+  'rate-limited': {
+    description: 'Every call answers 429 with Retry-After',
+    error: ({ retryAfterSeconds = DEFAULT_RETRY_AFTER_SECONDS }) => ({
+      status: 429,
+      headers: { 'Retry-After': String(retryAfterSeconds) },
+      body: { detail: 'Too Many Requests' }
+    })
+  }
+};
+
+/**
+ * Names and descriptions of every scenario
+ * @returns {Array<Object>} [{ name, description }]
+ */
+function listScenarios() {
+  return Object.entries(SCENARIOS).map(([name, { description }]) => ({ name, description }));
+}
+
+/**
+ * Build what a scenario serves at a moment
+ * @param {string} name - Scenario name (see listScenarios)
+ * @param {Object} context - { now: Date, timeZone, retryAfterSeconds }
+ * @returns {Object} { error: { status, headers, body } } or { collections: { sleep: [...], ... } }
+ * @throws {Error} With status 400 for an unknown scenario
+ */
+function buildScenario(name, context) {
+  const scenario = SCENARIOS[name];
+  if (!scenario) {
+    throw Object.assign(new Error(`Unknown scenario: ${name} (try ${Object.keys(SCENARIOS).join(', ')})`), { status: 400 });
+  }
+  return scenario.error ? { error: scenario.error(context) } : { collections: scenario.build(context) };
+}
+
+// Helper functions
+
+function buildNights({ now, timeZone }, options = {}) {
+  const today = getZonedParts(now, timeZone).dateString;
+  const collections = { sleep: [], daily_sleep: [], daily_readiness: [], daily_activity: [] };
+
+  for (let offset = HISTORY_DAYS; offset >= 0; offset--) {
+    const day = addDays(today, -offset);
+    const lastNight = offset === 0;
+    if (lastNight && options.skipLastNight) break;
+
+    const hours = lastNight && options.lastNightHours
+      ? options.lastNightHours
+      : 6.6 + 1.2 * pseudoRandom(`${day}:hours`);
+    // Lights out between 10:30 and 11:30 the evening before
+    const start = zonedTimeToInstant(addDays(day, -1), 22 * 60 + 30 + Math.round(60 * pseudoRandom(`${day}:bedtime`)), timeZone);
+    const score = scoreFor(hours);
+
+    const sessions = [];
+    if (lastNight && options.splitLastNight) {
+      const first = sleepSession(day, start, hours * 0.4, { timeZone, type: 'sleep', score });
+      const restart = new Date(Date.parse(first.bedtime_end) + SPLIT_GAP_MINUTES * 60000);
+      sessions.push(first, sleepSession(day, restart, hours * 0.6, { timeZone, period: 1, score }));
+    } else {
+      sessions.push(sleepSession(day, start, hours, { timeZone, score }));
+    }
+    collections.sleep.push(...sessions.filter(session => new Date(session.bedtime_end) <= now));
+
+    collections.daily_sleep.push(dailyDocument('daily_sleep', day, timeZone, { score }));
+    collections.daily_readiness.push(dailyDocument('daily_readiness', day, timeZone, { score: Math.min(95, score + 2) }));
+    collections.daily_activity.push(dailyDocument('daily_activity', day, timeZone, {
+      steps: Math.round(6000 + 6000 * pseudoRandom(`${day}:steps`))
+    }));
+  }
+
+  if (options.napAt) {
+    const nap = sleepSession(today, zonedTimeToInstant(today, options.napAt, timeZone), 35 / 60, {
+      timeZone, type: 'sleep', period: 2, score: 70
+    });
+    if (new Date(nap.bedtime_end) <= now) collections.sleep.push(nap);
+  }
+
+  return collections;
+}
+
+// A sleep session Oura files under `day` (the day it ends)
+function sleepSession(day, start, hours, { timeZone, type = 'long_sleep', period = 0, score }) {
+  const template = TEMPLATES.sleep;
+  const totalSleep = Math.round(hours * 3600);
+  const awake = Math.round(totalSleep * template.awake_time / template.total_sleep_duration);
+  const latency = Math.min(template.latency, awake);
+  const end = new Date(start.getTime() + (totalSleep + awake) * 1000);
+  const scale = totalSleep / template.total_sleep_duration;
+
+  return {
+    ...template,
+    id: `fake-sleep-${day}-${period}`,
+    day,
+    type,
+    period,
+    bedtime_start: toOuraDateTime(start, timeZone),
+    bedtime_end: toOuraDateTime(end, timeZone),
+    time_in_bed: totalSleep + awake,
+    total_sleep_duration: totalSleep,
+    awake_time: awake,
+    latency,
+    deep_sleep_duration: Math.round(template.deep_sleep_duration * scale),
+    light_sleep_duration: Math.round(template.light_sleep_duration * scale),
+    rem_sleep_duration: totalSleep - Math.round(template.deep_sleep_duration * scale) - Math.round(template.light_sleep_duration * scale),
+    restless_periods: Math.round(template.restless_periods * scale),
+    average_hrv: Math.round(template.average_hrv * (0.85 + 0.3 * pseudoRandom(`${day}:hrv`))),
+    lowest_heart_rate: template.lowest_heart_rate + Math.round(3 * pseudoRandom(`${day}:rhr`)),
+    readiness: type === 'long_sleep' ? { ...template.readiness, score: Math.min(95, score + 2) } : null
+  };
+}
+
+function dailyDocument(collection, day, timeZone, fields) {
+  const midnight = zonedTimeToInstant(day, 0, timeZone);
+  return {
+    ...TEMPLATES[collection],
+    id: `fake-${collection}-${day}`,
+    day,
+    timestamp: toOuraDateTime(midnight, timeZone),
+    ...fields
+  };
+}
+
+// Oura's sleep score roughly tracks hours slept
+function scoreFor(hours) {
+  return Math.max(40, Math.min(92, Math.round(50 + (hours - 4) * 11)));
+}
+
+// "2024-01-14T23:04:00-07:00", the way Oura writes local times
+function toOuraDateTime(instant, timeZone) {
+  const parts = getZonedParts(instant, timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offsetMinutes = Math.round((wallClock - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const pad = value => String(value).padStart(2, '0');
+  const absolute = Math.abs(offsetMinutes);
+  return `${parts.dateString}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+// Stable number in [0, 1) for a seed, so a date always gets the same night
+function pseudoRandom(seed) {
+  let hash = 2166136261;
+  for (const char of seed) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+}
+
+module.exports = {
+  DEFAULT_RETRY_AFTER_SECONDS,
+  listScenarios,
+  buildScenario
+};
@@ -10,26 +10,29 @@ const fs = require('fs');
 // Load environment variables
 require('dotenv').config();
 
-// Enhanced logging function
-function logWithTimestamp(level, message, data = null) {
-  const timestamp = new Date().toISOString();
-  const mountainTime = new Date().toLocaleString("en-US", { 
-    timeZone: "America/Denver",
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit'
-  });
-  
-  const logMessage = `[${timestamp}] [MT: ${mountainTime}] [${level.toUpperCase()}] ${message}`;
-  
-  if (data) {
-    console.log(logMessage, data);
-  } else {
-    console.log(logMessage);
-  }
+const { DEFAULT_TIMEZONE, isValidTimezone, resolveTimezone } = require('./utils/timezone');
+const { resolveSchedule } = require('./config/schedule');
+const { resolveOAuthConfig } = require('./config/oura-oauth');
+const { resolvePeople, getDefaultPerson } = require('./config/people');
+const { resolveStreamConfig } = require('./config/stream');
+const { resolveSlackConfig } = require('./config/slack');
+const { resolveDiscordConfig } = require('./config/discord');
+const { resolvePublicBaseUrl, getPublicBaseUrl } = require('./config/site');
+const { resolveLoggingConfig } = require('./config/logging');
+const { resolveOuraClientConfig } = require('./config/oura-client');
+const { resolveOuraRecordingConfig } = require('./config/oura-recording');
+const { loadMessagePacks, resolveMessagePack } = require('./config/message-packs');
+const { negotiateLocale, getDefaultLocale, translate } = require('./utils/i18n');
+const { logger, withLogContext, resolveRequestId, resolveTrace } = require('./utils/logger');
+
+// Route pattern a request matched, e.g. "/api/people/:id/nap-status" ("unmatched" for static files and 404s)
+function getRoutePattern(req) {
+  if (!req.route) return 'unmatched';
+  // Routes registered as ['/x', '/people/:id/x'] report the alternative that matched
+  const paths = [].concat(req.route.path);
+  const hasParams = Object.keys(req.params || {}).length > 0;
+  const path = paths.find(candidate => String(candidate).includes(':') === hasParams) || paths[0];
+  return req.baseUrl && path === '/' ? req.baseUrl : `${req.baseUrl}${path}`;
 }
 
 // Load build info
@@ -47,35 +50,180 @@ try {
     const fileContent = fs.readFileSync(buildInfoFile, 'utf8');
     const fileBuildInfo = JSON.parse(fileContent);
     buildInfo = { ...buildInfo, ...fileBuildInfo };
-    logWithTimestamp('info', 'Build info loaded from file', buildInfo);
+    logger.info('Build info loaded from file', buildInfo);
   } else {
-    logWithTimestamp('warn', 'Build info file not found, using environment variables');
+    logger.warn('Build info file not found, using environment variables');
   }
 } catch (error) {
-  logWithTimestamp('error', 'Failed to load build info', error.message);
+  logger.error('Failed to load build info', { error: error.message });
 }
 
 // Import routes
 const apiRoutes = require('./routes/api');
+const authRoutes = require('./routes/auth');
+const webhookRoutes = require('./routes/webhooks');
+const slackRoutes = require('./routes/slack');
+const discordRoutes = require('./routes/discord');
+const metricsRoutes = require('./routes/metrics');
+const webhooks = require('./services/webhooks');
+const napStream = require('./services/nap-stream');
+const share = require('./services/share');
+const ouraClient = require('./services/oura-client');
+const metrics = require('./services/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-logWithTimestamp('info', `Initializing Emily Nap Server on port ${PORT}`);
-logWithTimestamp('info', 'Environment variables loaded', {
+logger.info(`Initializing Emily Nap Server on port ${PORT}`);
+logger.info('Environment variables loaded', {
   NODE_ENV: process.env.NODE_ENV || 'development',
   PORT: PORT,
-  OURA_API_TOKEN: process.env.OURA_API_TOKEN ? 'SET' : 'MISSING'
+  OURA_API_TOKEN: Boolean(process.env.OURA_API_TOKEN),
+  OURA_CLIENT_ID: process.env.OURA_CLIENT_ID ? 'SET' : 'MISSING',
+  NAP_TIMEZONE: process.env.NAP_TIMEZONE || `${DEFAULT_TIMEZONE} (default)`
+});
+
+if (process.env.NAP_TIMEZONE && !isValidTimezone(process.env.NAP_TIMEZONE)) {
+  logger.warn(`NAP_TIMEZONE "${process.env.NAP_TIMEZONE}" is not a valid IANA timezone, using ${DEFAULT_TIMEZONE}`);
+}
+
+try {
+  logger.info('Logging configured', resolveLoggingConfig());
+} catch (error) {
+  logger.error('Invalid logging configuration, using the defaults', { error: error.message });
+}
+
+try {
+  if (resolveOAuthConfig()) {
+    logger.info('Oura OAuth enabled, connect an account at /auth/login');
+  }
+} catch (error) {
+  logger.error('Invalid Oura OAuth configuration', { error: error.message });
+}
+
+// Checked once, so a bad value can't fail every page load
+let publicBaseUrl = null;
+try {
+  publicBaseUrl = resolvePublicBaseUrl();
+} catch (error) {
+  logger.error('Invalid PUBLIC_BASE_URL, links use the origin of each request', { error: error.message });
+}
+
+try {
+  logger.info('Oura API client configured', resolveOuraClientConfig());
+} catch (error) {
+  logger.error('Invalid Oura API client configuration', { error: error.message });
+}
+
+try {
+  const recording = resolveOuraRecordingConfig();
+  if (recording?.mode === 'record') {
+    logger.info('Recording Oura responses', { path: recording.path });
+  } else if (recording?.mode === 'replay') {
+    logger.warn('Replaying recorded Oura responses, the Oura API will not be called', { path: recording.path });
+  }
+} catch (error) {
+  logger.error('Invalid Oura recording configuration', { error: error.message });
+}
+
+try {
+  const schedule = resolveSchedule();
+  logger.info('Nap schedule loaded', {
+    source: process.env.NAP_SCHEDULE ? 'NAP_SCHEDULE' : 'default',
+    schedule
+  });
+} catch (error) {
+  logger.error('Invalid nap schedule configuration', { error: error.message });
+}
+
+try {
+  // Fails on any pack missing a window/state combination
+  const packs = loadMessagePacks();
+  resolveMessagePack();
+  logger.info('Message packs loaded', {
+    packs: [...packs.keys()],
+    default: process.env.NAP_MESSAGE_PACK || 'snarky (default)'
+  });
+} catch (error) {
+  logger.error('Invalid message pack configuration', { error: error.message });
+}
+
+try {
+  logger.info('Nap status stream configured', resolveStreamConfig());
+} catch (error) {
+  logger.error('Invalid nap status stream configuration', { error: error.message });
+}
+
+try {
+  if (resolveSlackConfig()) {
+    logger.info('Slack app enabled at /integrations/slack/command');
+  }
+} catch (error) {
+  logger.error('Invalid Slack configuration', { error: error.message });
+}
+
+try {
+  if (resolveDiscordConfig()) {
+    logger.info('Discord app enabled at /integrations/discord/interactions');
+  }
+} catch (error) {
+  logger.error('Invalid Discord configuration', { error: error.message });
+}
+
+try {
+  const people = resolvePeople();
+  logger.info('People loaded', {
+    source: process.env.NAP_PEOPLE ? 'NAP_PEOPLE' : (process.env.NAP_PEOPLE_FILE || 'default'),
+    people: people.map(person => `${person.id} (${person.timeZone})`)
+  });
+} catch (error) {
+  logger.error('Invalid people configuration', { error: error.message });
+}
+
+// Request context: every request gets an id (the caller's X-Request-Id, or a new
+// one), sent back in X-Request-Id and attached to every log line written while
+// handling it. When it ends, it's counted per route pattern (raw URLs would
+// explode the metric labels) and logged as one access log line.
+app.use((req, res, next) => {
+  const logContext = { requestId: resolveRequestId(req.get('X-Request-Id')) };
+  const trace = resolveTrace(req.get('X-Cloud-Trace-Context'));
+  if (trace) logContext.trace = trace;
+
+  req.id = logContext.requestId;
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    metrics.observeRequest(getRoutePattern(req), req.method, res.statusCode, seconds);
+
+    // 'finish' fires outside the request's async context, so restore it
+    withLogContext(logContext, () => {
+      logger[res.statusCode >= 500 ? 'error' : 'info'](`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+        httpRequest: {
+          requestMethod: req.method,
+          requestUrl: req.originalUrl,
+          status: res.statusCode,
+          userAgent: req.get('User-Agent'),
+          remoteIp: req.ip,
+          latency: `${seconds.toFixed(3)}s`
+        }
+      });
+    });
+  });
+
+  withLogContext(logContext, next);
 });
 
 // CORS middleware for development
 if (process.env.NODE_ENV !== 'production') {
-  logWithTimestamp('info', 'Configuring CORS for development');
+  logger.info('Configuring CORS for development');
   app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', 'http://localhost:5173');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
     res.header('Access-Control-Allow-Credentials', 'true');
+    res.header('Access-Control-Expose-Headers', 'X-Request-Id');
     
     // Handle preflight requests
     if (req.method === 'OPTIONS') {
@@ -85,38 +233,39 @@ if (process.env.NODE_ENV !== 'production') {
     next();
   });
 } else {
-  logWithTimestamp('info', 'Production mode - CORS disabled');
+  logger.info('Production mode - CORS disabled');
 }
 
 // Middleware
-logWithTimestamp('info', 'Configuring Express middleware');
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Add request logging middleware
-app.use((req, res, next) => {
-  logWithTimestamp('info', `${req.method} ${req.url}`, {
-    userAgent: req.get('User-Agent'),
-    ip: req.ip || req.connection.remoteAddress
-  });
-  next();
-});
+logger.info('Configuring Express middleware');
+// Keep the raw body next to the parsed one, integrations sign the exact bytes
+const keepRawBody = (req, res, buffer) => {
+  req.rawBody = buffer.toString('utf8');
+};
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // Store API configuration in app locals  
 app.locals.ouraApiToken = process.env.OURA_API_TOKEN;
 
 // Serve static files (frontend)
 const frontendPath = path.join(__dirname, '../frontend/dist');
-logWithTimestamp('info', `Configuring static file serving from: ${frontendPath}`);
-app.use(express.static(frontendPath));
+logger.info(`Configuring static file serving from: ${frontendPath}`);
+// index.html is served by the root route, which adds the link preview tags
+app.use(express.static(frontendPath, { index: false }));
 
 // Routes
-logWithTimestamp('info', 'Configuring routes');
+logger.info('Configuring routes');
+app.use('/api/webhooks', webhookRoutes);
 app.use('/api', apiRoutes);
+app.use('/auth', authRoutes);
+app.use('/integrations/slack', slackRoutes);
+app.use('/integrations/discord', discordRoutes);
+app.use('/metrics', metricsRoutes);
 
 // Build info endpoint
 app.get('/api/build-info', (req, res) => {
-  logWithTimestamp('info', 'Build info requested');
+  logger.debug('Build info requested');
   res.json(buildInfo);
 });
 
@@ -130,30 +279,48 @@ app.get('/health', (req, res) => {
     uptime: Math.floor(process.uptime()),
     buildInfo: buildInfo,
     configuration: {
-      ouraApiToken: process.env.OURA_API_TOKEN ? 'configured' : 'missing'
+      ouraApiToken: process.env.OURA_API_TOKEN ? 'configured' : 'missing',
+      ouraOAuth: process.env.OURA_CLIENT_ID && process.env.OURA_CLIENT_SECRET ? 'configured' : 'missing',
+      timeZone: resolveTimezone()
+    },
+    oura: {
+      circuit: ouraClient.getCircuitState()
     }
   };
   
-  logWithTimestamp('info', 'Health check requested', healthData);
+  logger.debug('Health check requested');
   res.json(healthData);
 });
 
 // Root route - serve frontend
 app.get('/', (req, res) => {
   const frontendPath = path.join(__dirname, '../frontend/dist/index.html');
-  logWithTimestamp('info', 'Root route requested', { frontendPath });
-  
-  res.sendFile(frontendPath, (err) => {
-    if (err) {
-      logWithTimestamp('warn', 'Frontend file not found, serving fallback HTML', { error: err.message });
-      // Fallback for development - serve a simple HTML page
-      res.send(`
+  logger.debug('Root route requested', { frontendPath });
+
+  // Link previews (Open Graph/Twitter) show the cached verdict in the browser's language
+  const locale = negotiateLocale(req.get('Accept-Language')) || getDefaultLocale();
+  const metaTags = share.getMetaTags(getDefaultPerson(), { baseUrl: getPublicBaseUrl(req, publicBaseUrl), locale });
+  res.vary('Accept-Language');
+  res.set('Cache-Control', 'no-cache');
+
+  fs.readFile(frontendPath, 'utf8', (err, html) => {
+    if (!err) {
+      res.type('html').send(html.replace('</head>', `  ${metaTags}\n  </head>`));
+      return;
+    }
+
+    logger.warn('Frontend file not found, serving fallback HTML', { error: err.message });
+    // Fallback for development - serve a simple HTML page in the browser's language
+    const t = (key) => translate(locale, `fallbackPage.${key}`);
+    res.set('Content-Language', locale);
+    res.send(`
         <!DOCTYPE html>
-        <html lang="en">
+        <html lang="${locale}">
         <head>
             <meta charset="UTF-8">
             <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Does Emily Need a Nap?</title>
+            <title>${t('title')}</title>
+            ${metaTags}
             <style>
                 body {
                     font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -201,18 +368,18 @@ app.get('/', (req, res) => {
         </head>
         <body>
             <div class="container">
-                <h1>Does Emily Need a Nap?</h1>
+                <h1>${t('title')}</h1>
                 <div>
-                    <a href="/api/nap-status" class="button">Check Nap Status</a>
+                    <a href="/api/nap-status" class="button">${t('checkStatus')}</a>
                 </div>
                 <div class="status">
-                    <p>Backend is running!</p>
-                    <p>Environment: ${process.env.NODE_ENV || 'development'}</p>
-                    <p>Build: ${buildInfo.buildTimestamp || 'unknown'}</p>
-                    <p>Git: ${buildInfo.gitCommit || 'unknown'} (${buildInfo.gitBranch || 'unknown'})</p>
+                    <p>${t('running')}</p>
+                    <p>${t('environment')}: ${process.env.NODE_ENV || 'development'}</p>
+                    <p>${t('build')}: ${buildInfo.buildTimestamp || 'unknown'}</p>
+                    <p>${t('git')}: ${buildInfo.gitCommit || 'unknown'} (${buildInfo.gitBranch || 'unknown'})</p>
                     <div style="margin-top: 1rem;">
-                        <a href="/api/build-info" class="button" style="font-size: 0.8rem;">View Build Info</a>
-                        <a href="/health" class="button" style="font-size: 0.8rem;">Health Check</a>
+                        <a href="/api/build-info" class="button" style="font-size: 0.8rem;">${t('buildInfo')}</a>
+                        <a href="/health" class="button" style="font-size: 0.8rem;">${t('health')}</a>
                     </div>
                 </div>
             </div>
@@ -221,82 +388,93 @@ app.get('/', (req, res) => {
                 document.querySelector('a[href="/api/nap-status"]').onclick = async (e) => {
                     e.preventDefault();
                     try {
-                        const response = await fetch('/api/nap-status');
+                        const response = await fetch('/api/nap-status?lang=${locale}');
                         const data = await response.json();
                         document.querySelector('.status').innerHTML = 
                             '<h3>' + data.message + '</h3>' +
-                            '<p>Sleep: ' + data.sleepHours + ' hours</p>' +
-                            '<p>Current time: ' + data.currentTime + '</p>';
+                            '<p>' + ${JSON.stringify(t('sleep'))} + ': ' + data.sleepHours + ' ' + ${JSON.stringify(t('hours'))} + '</p>' +
+                            '<p>' + ${JSON.stringify(t('currentTime'))} + ': ' + data.currentTime + '</p>';
                     } catch (error) {
                         document.querySelector('.status').innerHTML = 
-                            '<p>Error: ' + error.message + '</p>';
+                            '<p>' + ${JSON.stringify(t('error'))} + ': ' + error.message + '</p>';
                     }
                 };
             </script>
         </body>
         </html>
       `);
-    }
   });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  logWithTimestamp('error', 'Server error occurred', {
-    error: err.message,
-    stack: err.stack,
-    url: req.url,
+  logger.error('Server error occurred', {
+    error: err,
+    url: req.originalUrl,
     method: req.method
   });
   
   res.status(500).json({ 
     error: 'Something went wrong!', 
+    requestId: req.id,
     message: process.env.NODE_ENV === 'development' ? err.message : 'Internal Server Error'
   });
 });
 
 // 404 handler
 app.use((req, res) => {
-  logWithTimestamp('warn', '404 - Route not found', { url: req.url, method: req.method });
+  logger.warn('404 - Route not found', { url: req.url, method: req.method });
   res.status(404).json({ error: 'Not found' });
 });
 
 // Start server
 if (require.main === module) {
   const server = app.listen(PORT, () => {
-    logWithTimestamp('info', '=== Emily Nap Server Started ===');
-    logWithTimestamp('info', `Running on port: ${PORT}`);
-    logWithTimestamp('info', `Environment: ${process.env.NODE_ENV || 'development'}`);
-    logWithTimestamp('info', `Node.js version: ${process.version}`);
+    logger.info('=== Emily Nap Server Started ===');
+    logger.info(`Running on port: ${PORT}`);
+    logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info(`Node.js version: ${process.version}`);
     
     // Log build information
-    logWithTimestamp('info', '=== Build Information ===', buildInfo);
+    logger.info('=== Build Information ===', buildInfo);
     
     // Log environment configuration status
-    logWithTimestamp('info', '=== Environment Configuration ===', {
-      OURA_API_TOKEN: process.env.OURA_API_TOKEN ? 'SET' : 'NOT SET',
+    logger.info('=== Environment Configuration ===', {
+      OURA_API_TOKEN: Boolean(process.env.OURA_API_TOKEN),
+      NAP_TIMEZONE: process.env.NAP_TIMEZONE || `${DEFAULT_TIMEZONE} (default)`,
       PORT: PORT,
       NODE_ENV: process.env.NODE_ENV || 'development'
     });
     
-    logWithTimestamp('info', '=== Server Ready ===');
+    try {
+      webhooks.start();
+      logger.info('Webhooks started', { webhooks: webhooks.list().length });
+    } catch (error) {
+      logger.error('Webhooks could not be started', { error: error.message });
+    }
+
+    logger.info('=== Server Ready ===');
   });
-  
-  // Graceful shutdown handling
-  process.on('SIGTERM', () => {
-    logWithTimestamp('info', 'SIGTERM received, shutting down gracefully');
+
+  // Open event streams would otherwise keep server.close() waiting forever
+  const shutdown = () => {
+    webhooks.stop();
+    napStream.reset();
     server.close(() => {
-      logWithTimestamp('info', 'Server closed');
+      logger.info('Server closed');
       process.exit(0);
     });
+  };
+  
+  // Graceful shutdown handling
+  process.on('SIGTERM', () => {
+    logger.info('SIGTERM received, shutting down gracefully');
+    shutdown();
   });
 
   process.on('SIGINT', () => {
-    logWithTimestamp('info', 'SIGINT received, shutting down gracefully');
-    server.close(() => {
-      logWithTimestamp('info', 'Server closed');
-      process.exit(0);
-    });
+    logger.info('SIGINT received, shutting down gracefully');
+    shutdown();
   });
 }
 
@@ -1,13 +1,35 @@
 /**
  * API Routes
  * Main API endpoints for nap status and health checks
+ *
+ * Per-person endpoints are also served under /people/:id/... for everyone in
+ * the people config; the unprefixed routes answer for the default person.
  */
 
 const express = require('express');
 const router = express.Router();
-const ouraService = require('../services/oura');
+const sleepHistory = require('../services/sleep-history');
+const ouraAuth = require('../services/oura-auth');
+const { getPersonProvider } = require('../services/providers');
 const napCalculator = require('../services/nap-calculator');
+const napReplay = require('../services/replay');
+const napCalendar = require('../services/calendar');
+const share = require('../services/share');
+const napStatus = require('../services/nap-status');
 const cache = require('../services/cache');
+const napStream = require('../services/nap-stream');
+const ouraClient = require('../services/oura-client');
+const { getLocalDateString, addDays } = require('../utils/timezone');
+const { parseTimestamp } = require('../utils/clock');
+const { resolvePeople, getPerson, getDefaultPerson } = require('../config/people');
+const { hasProvider, resolveProviderConfig } = require('../config/providers');
+const { DEFAULT_PACK, hasMessagePack, listMessagePacks } = require('../config/message-packs');
+const { resolveStreamConfig } = require('../config/stream');
+const { matchLocale, negotiateLocale, getDefaultLocale, getSupportedLocales } = require('../utils/i18n');
+const { logger } = require('../utils/logger');
+
+// Overview ordering: most in need of a nap first, people we couldn't check last
+const PRIORITY_ORDER = ['yes', 'maybe', 'none', 'unknown'];
 
 /**
  * Simple hello endpoint for frontend connectivity test
@@ -24,106 +46,60 @@ router.get('/hello', (req, res) => {
 /**
  * Get nap status endpoint
  * Determines if Emily needs a nap based on sleep data and current time
+ * Pass ?at=<ISO timestamp> to ask what the status was (or would be) at that moment
+ * and ?pack=<name> to word it with another message pack. The language follows
+ * Accept-Language, or ?lang=<locale> to pick one explicitly
  */
-router.get('/nap-status', async (req, res) => {
-  const requestId = Math.random().toString(36).substring(7);
+router.get(['/nap-status', '/people/:id/nap-status'], resolvePerson, resolveWording, async (req, res) => {
   const timestamp = new Date().toISOString();
+  const { person } = req;
   
   try {
-    // Use hardcoded access token from environment
-    const accessToken = process.env.OURA_API_TOKEN;
+    // Stored OAuth token (refreshed as needed), or a static token
+    const provider = getPersonProvider(person);
+    const accessToken = await provider.getAccessToken(person);
     
     // Token check removed - too noisy
     
     if (!accessToken) {
-      console.error('Missing OURA_API_TOKEN');
+      logger.error(`No ${provider.name} credentials: connect at /auth/login or set a static token`, { person: person.id });
       return res.status(500).json({
         error: 'Configuration error',
-        message: 'Oura API token not configured',
+        message: `${provider.name} API token not configured`,
         timestamp: timestamp,
-        requestId: requestId
+        requestId: req.id
       });
     }
 
-    // Create cache key
-    const cacheKey = 'emily_nap_status';
-
-    // Check if force refresh is requested
-    const forceRefresh = req.query.force === 'true';
-
-    // Check cache first (2 minute cache, unless force refresh)
-    if (!forceRefresh) {
-      const cachedStatus = cache.get(cacheKey);
-      if (cachedStatus) {
-        console.log(`[${timestamp}] Returning cached data from ${cachedStatus.lastUpdated}`);
-        return res.json({
-          ...cachedStatus,
-          cached: true,
-          cacheTime: cachedStatus.lastUpdated
-        });
-      }
-    } else {
-      console.log(`[${timestamp}] Force refresh requested, bypassing cache`);
+    // One instant for the whole calculation: ?at= or now
+    const asOf = parseAsOf(req);
+    if (asOf.error) {
+      return res.status(400).json(asOf.error);
     }
 
-    // Get sleep data from Oura API
-    console.log(`[${timestamp}] Fetching fresh data from Oura API`);
-    const sleepData = await ouraService.getYesterdaySleep(accessToken);
-    console.log(`[${timestamp}] Received ${sleepData?.data?.length || 0} sleep records from Oura`);
-
-    // Calculate nap status
-    const status = napCalculator.calculateNapStatus(sleepData);
-    console.log(`[${timestamp}] Calculated nap status: ${status.message}`);
-
-    // Add raw API data for debugging
-    status.debugData = {
-      apiResponse: sleepData,
-      fetchTimestamp: timestamp,
-      dateRange: {
-        requested: `${new Date().toISOString().split('T')[0]} (today)`,
-        apiParams: {
-          start_date: new Date(Date.now() - 86400000).toISOString().split('T')[0],
-          end_date: new Date(Date.now() + 86400000).toISOString().split('T')[0]
-        }
-      },
-      recordsFound: sleepData?.data?.length || 0,
-      selectedRecord: sleepData?.data?.find(r => r.day === new Date().toISOString().split('T')[0] && r.type === 'long_sleep') || 
-                     sleepData?.data?.find(r => r.type === 'long_sleep') ||
-                     sleepData?.data?.[0]
-    };
-    
-    // Cache the result for 2 minutes (reduced from 5)
-    cache.set(cacheKey, status, 120);
-    console.log(`[${timestamp}] Cached new data for 2 minutes`);
+    // Point-in-time queries never read or write the live cache
+    const forceRefresh = req.query.force === 'true' || asOf.isExplicit;
+    if (forceRefresh) {
+      logger.info('Force refresh requested, bypassing cache', { person: person.id });
+    }
+
+    const status = await napStatus.getNapStatus(person, accessToken, asOf, { forceRefresh, wording: req.wording });
 
     // Return the status with debug data
     res.json(status);
 
   } catch (error) {
-    console.error('Nap status API error:', error.message);
+    logger.error('Nap status API error', { error });
 
     // Handle different error types
     if (error.status === 401) {
       return res.status(401).json({
         error: 'Authentication failed',
-        message: 'Oura API token is invalid or expired'
-      });
-    }
-
-    if (error.status === 429) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        message: 'Too many requests to Oura API. Please try again later.',
-        retryAfter: 60
+        message: `${getPersonProvider(req.person).name} API token is invalid or expired`
       });
     }
 
-    if (error.message.includes('Network')) {
-      return res.status(503).json({
-        error: 'Service unavailable',
-        message: 'Unable to connect to Oura API. Please try again later.'
-      });
-    }
+    if (sendProviderUnavailable(res, error)) return;
 
     // Generic error
     res.status(500).json({
@@ -134,30 +110,172 @@ router.get('/nap-status', async (req, res) => {
   }
 });
 
+/**
+ * Stream nap status changes as Server-Sent Events
+ * Sends the current status right away, then a "nap-status" event whenever it
+ * changes (a window boundary passes, new Oura data arrives, a nap is detected)
+ * and "heartbeat" events in between. Accepts ?pack= and ?lang= like
+ * /nap-status; the stream is always live, so there is no ?at=
+ */
+router.get(['/nap-status/stream', '/people/:id/nap-status/stream'], resolvePerson, resolveWording, async (req, res) => {
+  const { person, wording } = req;
+
+  // Refuse up front, so EventSource clients give up instead of reconnecting
+  try {
+    resolveStreamConfig();
+    const provider = getPersonProvider(person);
+    if (!(await provider.getAccessToken(person))) {
+      return res.status(500).json({
+        error: 'Configuration error',
+        message: `${provider.name} API token not configured`
+      });
+    }
+  } catch (error) {
+    logger.error('Nap status stream error', { error: error.message });
+    return res.status(error.status === 401 ? 401 : 500).json({
+      error: error.status === 401 ? 'Authentication failed' : 'Failed to fetch nap status'
+    });
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const unsubscribe = napStream.subscribe(napStatus.getStatusKey(person, wording), res, {
+    timeZone: person.timeZone,
+    schedule: person.schedule,
+    compute: ({ forceRefresh }) => napStatus.getLiveNapStatus(person, { forceRefresh, wording })
+  });
+  req.on('close', unsubscribe);
+});
+
+/**
+ * List the configured people
+ */
+router.get('/people', (req, res) => {
+  res.json({
+    people: resolvePeople().map(person => ({
+      id: person.id,
+      name: person.name,
+      timeZone: person.timeZone,
+      isDefault: person.isDefault,
+      messagePack: person.messagePack,
+      provider: person.provider,
+      // How Oura is connected; null for people on another provider
+      oura: person.provider === 'oura' ? ouraAuth.getStatus(person).source : null
+    }))
+  });
+});
+
+/**
+ * List the message packs ?pack= and the people config can use
+ */
+router.get('/message-packs', (req, res) => {
+  res.json({
+    default: process.env.NAP_MESSAGE_PACK || DEFAULT_PACK,
+    packs: listMessagePacks()
+  });
+});
+
+/**
+ * Who needs a nap right now
+ * Nap status for everyone, most in need first. One person's provider trouble
+ * is reported on their entry instead of failing the whole overview.
+ * Accepts the same ?at=, ?force=, ?pack= and ?lang= as /nap-status
+ */
+router.get('/overview', resolveWording, async (req, res) => {
+  const asOf = parseAsOf(req);
+  if (asOf.error) {
+    return res.status(400).json(asOf.error);
+  }
+  const forceRefresh = req.query.force === 'true' || asOf.isExplicit;
+
+  const people = await Promise.all(resolvePeople().map(async person => {
+    const entry = { id: person.id, name: person.name, timeZone: person.timeZone };
+    try {
+      const provider = getPersonProvider(person);
+      const accessToken = await provider.getAccessToken(person);
+      if (!accessToken) {
+        return { ...entry, napPriority: 'unknown', needsNap: false, error: `${provider.name} API token not configured` };
+      }
+
+      const status = await napStatus.getNapStatus(person, accessToken, asOf, { forceRefresh, wording: req.wording });
+      return {
+        ...entry,
+        needsNap: status.needsNap,
+        napPriority: status.napPriority,
+        message: status.message,
+        recommendation: status.recommendation,
+        timeWindow: status.timeWindow,
+        currentTime: status.currentTime,
+        sleepHours: status.sleepHours,
+        hasNappedToday: status.hasNappedToday,
+        possiblySick: status.possiblySick,
+        lastUpdated: status.lastUpdated,
+        cached: Boolean(status.cached)
+      };
+    } catch (error) {
+      logger.error('Overview nap status failed', { person: person.id, error: error.message });
+      return { ...entry, napPriority: 'unknown', needsNap: false, error: error.message };
+    }
+  }));
+
+  people.sort((a, b) => priorityRank(a.napPriority) - priorityRank(b.napPriority));
+
+  res.json({
+    asOf: asOf.now.toISOString(),
+    needsNap: people.filter(person => person.needsNap).map(person => person.id),
+    people
+  });
+});
+
 /**
  * Get detailed nap recommendations
+ * Accepts the same ?at= timestamp, ?pack= and ?lang= as /nap-status
  */
-router.get('/nap-recommendations', async (req, res) => {
+router.get(['/nap-recommendations', '/people/:id/nap-recommendations'], resolvePerson, resolveWording, async (req, res) => {
   try {
-    const accessToken = process.env.OURA_API_TOKEN;
+    const { person } = req;
+    const provider = getPersonProvider(person);
+    const accessToken = await provider.getAccessToken(person);
     
     if (!accessToken) {
       return res.status(500).json({
         error: 'Configuration error',
-        message: 'Oura API token not configured'
+        message: `${provider.name} API token not configured`
       });
     }
 
+    const asOf = parseAsOf(req);
+    if (asOf.error) {
+      return res.status(400).json(asOf.error);
+    }
+    const now = asOf.now;
+
     // Get sleep data
-    const sleepData = await ouraService.getYesterdaySleep(accessToken);
+    const [sleepData, history, readiness] = await Promise.all([
+      sleepHistory.getYesterdaySleep(accessToken, napStatus.historyOptions(person, { now })),
+      napStatus.fetchSleepHistory(accessToken, person, now),
+      napStatus.fetchReadiness(accessToken, person, now)
+    ]);
     
     // Get detailed recommendations
-    const recommendations = napCalculator.getDetailedRecommendations(sleepData);
+    const recommendations = napCalculator.getDetailedRecommendations(sleepData, {
+      ...napStatus.calculationOptions(person, req.wording),
+      history,
+      readiness,
+      now
+    });
     
     res.json(recommendations);
 
   } catch (error) {
-    console.error('Recommendations API error:', error);
+    logger.error('Recommendations API error', { error });
+    if (sendProviderUnavailable(res, error)) return;
     res.status(500).json({
       error: 'Failed to fetch recommendations',
       message: error.message
@@ -165,34 +283,215 @@ router.get('/nap-recommendations', async (req, res) => {
   }
 });
 
+/**
+ * Replay a past day
+ * Re-runs the nap calculator across ?date=YYYY-MM-DD and returns a timeline of
+ * every message, priority, window and sync-state change that day.
+ * Pass ?at=<ISO timestamp> as well (or instead of date) to also get the
+ * exact status shown at that moment, and ?pack= or ?lang= to replay it in
+ * another voice or language.
+ */
+router.get(['/replay', '/people/:id/replay'], resolvePerson, resolveWording, async (req, res) => {
+  try {
+    const { person } = req;
+    const provider = getPersonProvider(person);
+    const accessToken = await provider.getAccessToken(person);
+
+    if (!accessToken) {
+      return res.status(500).json({
+        error: 'Configuration error',
+        message: `${provider.name} API token not configured`
+      });
+    }
+
+    const { timeZone } = person;
+
+    const asOf = parseAsOf(req);
+    if (asOf.error) {
+      return res.status(400).json(asOf.error);
+    }
+
+    const date = req.query.date === undefined
+      ? (asOf.isExplicit ? getLocalDateString(asOf.now, timeZone) : null)
+      : parseDateParam(req.query.date);
+    if (!date) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: '`date` must be a YYYY-MM-DD date (or pass `at` to replay that day)'
+      });
+    }
+
+    // Records for the day itself plus the sleep debt window leading up to it
+    const { windowDays } = person.sleepDebt;
+    const [sleepData, readiness] = await Promise.all([
+      sleepHistory.getSleepRange(accessToken, addDays(date, -windowDays), addDays(date, 1), napStatus.historyOptions(person)),
+      provider.getReadiness(accessToken, date, { timeZone }).catch(error => {
+        logger.warn('Readiness fetch failed, using sleep record readiness', { error: error.message });
+        return null;
+      })
+    ]);
+
+    const options = { ...napStatus.calculationOptions(person, req.wording), readiness };
+    const replay = napReplay.buildTimeline(sleepData, { ...options, date });
+    const response = {
+      ...replay,
+      recordsFound: sleepData?.data?.length || 0
+    };
+
+    if (asOf.isExplicit) {
+      response.status = napReplay.statusAt(sleepData, { ...options, now: asOf.now });
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    logger.error('Replay API error', { error });
+    if (sendProviderUnavailable(res, error)) return;
+    res.status(500).json({
+      error: 'Failed to replay nap status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * iCalendar feed of upcoming nap windows and past naps
+ * Subscribe to it in Google Calendar, Apple Calendar or Outlook. Today's
+ * window is tagged with its nap priority. Query: ?days=<1-60> of upcoming
+ * windows (default 14), ?history=<0-365> days of past naps (default 30),
+ * plus ?pack= and ?lang= for the wording
+ */
+router.get(['/calendar.ics', '/people/:id/calendar.ics'], resolvePerson, resolveWording, async (req, res) => {
+  try {
+    const { person } = req;
+    const provider = getPersonProvider(person);
+    const accessToken = await provider.getAccessToken(person);
+
+    if (!accessToken) {
+      return res.status(500).json({
+        error: 'Configuration error',
+        message: `${provider.name} API token not configured`
+      });
+    }
+
+    const days = parseCountParam(req.query.days, 1, 60, 14);
+    const historyDays = parseCountParam(req.query.history, 0, 365, 30);
+    if (days === null || historyDays === null) {
+      return res.status(400).json({
+        error: 'Invalid range',
+        message: '`days` must be a whole number from 1 to 60 and `history` from 0 to 365'
+      });
+    }
+
+    // Past naps plus the sleep debt window behind today's priority
+    const now = new Date();
+    const today = getLocalDateString(now, person.timeZone);
+    const startDate = addDays(today, -Math.max(historyDays, person.sleepDebt.windowDays));
+    const endDate = addDays(today, 1);
+
+    // Calendar apps poll on their own schedule, 15 minutes is fresh enough
+    const sleepData = await cache.cached(
+      `${person.id}_calendar_sleep:${startDate}:${endDate}`,
+      () => sleepHistory.getSleepRange(accessToken, startDate, endDate, napStatus.historyOptions(person)),
+      900
+    );
+
+    // Naps older than ?history= are dropped, the rest only fed the sleep debt
+    const historyStart = addDays(today, -historyDays);
+    const feed = napCalendar.buildFeed(sleepData, {
+      ...napStatus.calculationOptions(person, req.wording),
+      personId: person.id,
+      days,
+      historyStart,
+      now
+    });
+
+    res.type('text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${person.id}-naps.ics"`);
+    res.send(feed);
+
+  } catch (error) {
+    logger.error('Calendar API error', { error });
+    if (sendProviderUnavailable(res, error)) return;
+    res.status(500).json({
+      error: 'Failed to build nap calendar',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Status badge for READMEs and dashboards
+ * A shields.io style SVG with the current message, colored by nap priority
+ * (grey when the sleep provider can't be reached). Query: ?label= (default: the person's
+ * name), plus ?pack= and ?lang= for the wording
+ */
+router.get(['/badge.svg', '/people/:id/badge.svg'], resolvePerson, resolveWording, async (req, res) => {
+  const { person, wording } = req;
+  const label = typeof req.query.label === 'string' && req.query.label.trim()
+    ? req.query.label.trim().slice(0, 40)
+    : person.name;
+
+  const status = await share.getStatus(person, wording);
+
+  // Image proxies (e.g. GitHub's camo) must not keep an old verdict
+  res.set('Cache-Control', 'no-cache, max-age=0');
+  res.type('image/svg+xml');
+  res.send(share.buildBadge(label, status, wording.locale));
+});
+
+/**
+ * Open Graph image for link previews
+ * A 1200x630 PNG with the current message, last night's sleep and the
+ * favicon picture. Accepts ?pack= and ?lang=
+ */
+router.get(['/og-image.png', '/people/:id/og-image.png'], resolvePerson, resolveWording, async (req, res) => {
+  try {
+    const { person, wording } = req;
+    const status = await share.getStatus(person, wording);
+    const png = share.renderOgImage(person, status, wording.locale);
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('image/png');
+    res.send(png);
+
+  } catch (error) {
+    logger.error('Open Graph image error', { error });
+    res.status(500).json({
+      error: 'Failed to render image',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Get Emily's sleep history (last 7 days)
  */
-router.get('/sleep-history', async (req, res) => {
+router.get(['/sleep-history', '/people/:id/sleep-history'], resolvePerson, async (req, res) => {
   try {
-    const accessToken = process.env.OURA_API_TOKEN;
+    const { person } = req;
+    const provider = getPersonProvider(person);
+    const accessToken = await provider.getAccessToken(person);
     
     if (!accessToken) {
       return res.status(500).json({
         error: 'Configuration error',
-        message: 'Oura API token not configured'
+        message: `${provider.name} API token not configured`
       });
     }
 
-    // Calculate date range (last 7 days)
-    const endDate = new Date();
-    endDate.setDate(endDate.getDate() - 1); // Yesterday
-    const startDate = new Date(endDate);
-    startDate.setDate(startDate.getDate() - 6); // 7 days ago
-
-    const startDateString = startDate.toISOString().split('T')[0];
-    const endDateString = endDate.toISOString().split('T')[0];
+    // Calculate date range (last 7 days) in the sleeper's timezone
+    const { timeZone } = person;
+    const today = getLocalDateString(new Date(), timeZone);
+    const endDateString = addDays(today, -1); // Yesterday
+    const startDateString = addDays(endDateString, -6); // 7 days ago
 
-    // Get sleep data range
-    const sleepData = await ouraService.getSleepRange(
+    // Get sleep data range (stored history first, the provider for anything missing)
+    const sleepData = await sleepHistory.getSleepRange(
       accessToken, 
       startDateString, 
-      endDateString
+      endDateString,
+      napStatus.historyOptions(person)
     );
 
     // Process data for frontend
@@ -216,7 +515,8 @@ router.get('/sleep-history', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Sleep history API error:', error);
+    logger.error('Sleep history API error', { error });
+    if (sendProviderUnavailable(res, error)) return;
     res.status(500).json({
       error: 'Failed to fetch sleep history',
       message: error.message
@@ -232,32 +532,32 @@ router.get('/debug/sleep', async (req, res) => {
   // Temporarily allow in all environments for debugging
 
   try {
-    const accessToken = process.env.OURA_API_TOKEN;
+    const person = getDefaultPerson();
+    const provider = getPersonProvider(person);
+    const accessToken = await provider.getAccessToken(person);
     
     if (!accessToken) {
       return res.status(500).json({
         error: 'Configuration error',
-        message: 'Oura API token not configured'
+        message: `${provider.name} API token not configured`
       });
     }
 
     // Get past 3 days of sleep data
-    const endDate = new Date();
-    const startDate = new Date(endDate);
-    startDate.setDate(startDate.getDate() - 3);
-
-    const startDateString = startDate.toISOString().split('T')[0];
-    const endDateString = endDate.toISOString().split('T')[0];
+    const { timeZone } = person;
+    const endDateString = getLocalDateString(new Date(), timeZone);
+    const startDateString = addDays(endDateString, -3);
 
     // Get sleep data range
-    const sleepData = await ouraService.getSleepRange(
+    const sleepData = await provider.getSleepRange(
       accessToken, 
       startDateString, 
-      endDateString
+      endDateString,
+      { timeZone }
     );
 
     // Also try getting yesterday's sleep specifically
-    const yesterdayData = await ouraService.getYesterdaySleep(accessToken);
+    const yesterdayData = await provider.getYesterdaySleep(accessToken, { timeZone });
 
     res.json({
       dateRange: `${startDateString} to ${endDateString}`,
@@ -273,7 +573,7 @@ router.get('/debug/sleep', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Debug sleep API error:', error);
+    logger.error('Debug sleep API error', { error });
     res.status(500).json({
       error: 'Failed to fetch debug sleep data',
       message: error.message,
@@ -296,6 +596,160 @@ router.post('/cache/clear', (req, res) => {
 
 // Helper functions
 
+/**
+ * Answer for a sleep provider outage or rate limit, passing on when to try again
+ * Only Oura calls go through the circuit breaker, so only Oura errors report it
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from a provider call (source is the provider id)
+ * @returns {boolean} True if a response was sent, false for other errors
+ */
+function sendProviderUnavailable(res, error) {
+  const source = hasProvider(error.source) ? error.source : 'oura';
+  const name = `${resolveProviderConfig(source).name} API`;
+  let circuit;
+  if (source === 'oura') {
+    const { state, retryAt } = ouraClient.getCircuitState();
+    circuit = { state, retryAt };
+  }
+
+  if (error.status === 429) {
+    // The provider's own Retry-After when it sent one
+    const retryAfter = error.retryAfter ?? 60;
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      error: 'Rate limit exceeded',
+      message: `Too many requests to ${name}. Please try again later.`,
+      retryAfter,
+      circuit
+    });
+    return true;
+  }
+
+  if (hasProvider(error.source) && error.status >= 500) {
+    const retryAfter = error.retryAfter;
+    if (retryAfter !== undefined) res.set('Retry-After', String(retryAfter));
+    res.status(503).json({
+      error: 'Service unavailable',
+      message: error.code === 'CIRCUIT_OPEN'
+        ? `${name} keeps failing, so calls to it are paused. Please try again later.`
+        : `Unable to connect to ${name}. Please try again later.`,
+      retryAfter,
+      circuit
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Attach the person a request is about as req.person
+ * /people/:id/... routes 404 for unknown ids; the rest get the default person
+ */
+function resolvePerson(req, res, next) {
+  const person = req.params.id === undefined ? getDefaultPerson() : getPerson(req.params.id);
+  if (!person) {
+    return res.status(404).json({
+      error: 'Unknown person',
+      message: `No person with id "${req.params.id}"`
+    });
+  }
+
+  req.person = person;
+  next();
+}
+
+/**
+ * Attach the requested message pack and locale as req.wording
+ * The pack comes from ?pack=, the locale from ?lang= or Accept-Language;
+ * an unknown pack or ?lang= is a 400, an unsupported Accept-Language falls
+ * back to the default locale
+ */
+function resolveWording(req, res, next) {
+  const pack = req.query.pack === undefined ? undefined : String(req.query.pack);
+  if (pack !== undefined && !hasMessagePack(pack)) {
+    return res.status(400).json({
+      error: 'Invalid message pack',
+      message: `Unknown message pack "${pack}", see /api/message-packs`
+    });
+  }
+
+  let locale;
+  if (req.query.lang !== undefined) {
+    locale = matchLocale(String(req.query.lang));
+    if (!locale) {
+      return res.status(400).json({
+        error: 'Unsupported language',
+        message: `\`lang\` must be one of: ${getSupportedLocales().join(', ')}`
+      });
+    }
+  } else {
+    locale = negotiateLocale(req.get('Accept-Language')) || getDefaultLocale();
+  }
+
+  res.set('Content-Language', locale);
+  res.vary('Accept-Language');
+  req.wording = { pack, locale };
+  next();
+}
+
+/**
+ * Sort rank of a nap priority for the overview
+ * @param {string} priority - napPriority from the calculator
+ * @returns {number} Lower sorts first
+ */
+function priorityRank(priority) {
+  const rank = PRIORITY_ORDER.indexOf(priority);
+  return rank === -1 ? PRIORITY_ORDER.length : rank;
+}
+
+/**
+ * Read the ?at= "as of" timestamp from a request
+ * @param {Object} req - Express request
+ * @returns {Object} { now, isExplicit } or { error } with a 400 response body
+ */
+function parseAsOf(req) {
+  if (req.query.at === undefined) {
+    return { now: new Date(), isExplicit: false };
+  }
+
+  const now = parseTimestamp(req.query.at);
+  if (!now) {
+    return {
+      error: {
+        error: 'Invalid timestamp',
+        message: '`at` must be an ISO 8601 timestamp or epoch milliseconds'
+      }
+    };
+  }
+  return { now, isExplicit: true };
+}
+
+/**
+ * Validate a YYYY-MM-DD date query value
+ * @param {string} value - Raw query value
+ * @returns {string|null} The date, or null if it is not a real calendar date
+ */
+function parseDateParam(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  // addDays normalizes impossible dates like 2024-02-30, so they won't round-trip
+  return addDays(value, 0) === value ? value : null;
+}
+
+/**
+ * Validate a whole number query value
+ * @param {string} value - Raw query value
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {number} fallback - Value when the parameter is missing
+ * @returns {number|null} The number, or null if it is not a whole number in range
+ */
+function parseCountParam(value, min, max, fallback) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : null;
+}
+
 /**
  * Calculate average sleep hours from history
  */
@@ -0,0 +1,194 @@
+/**
+ * Auth Routes
+ * Oura OAuth2 login, callback and connection status
+ */
+
+const express = require('express');
+const router = express.Router();
+const ouraAuth = require('../services/oura-auth');
+const ouraService = require('../services/oura');
+const { getPerson, getDefaultPerson } = require('../config/people');
+const { safeEqual } = require('../utils/crypto');
+const { logger } = require('../utils/logger');
+
+const STATE_COOKIE = 'oura_oauth_state';
+
+/**
+ * Start the OAuth flow: redirect to Oura's consent page
+ * Until a person has an account connected, any visitor could connect
+ * theirs, so the first connect needs ?token=<ADMIN_API_TOKEN>
+ * Query: ?person=<id> to connect someone other than the default person
+ */
+router.get('/login', (req, res) => {
+  if (!ouraAuth.isConfigured()) {
+    return res.status(500).json({
+      error: 'Configuration error',
+      message: 'Oura OAuth is not configured'
+    });
+  }
+
+  const person = resolveQueryPerson(req, res);
+  if (!person) return;
+
+  if (!ouraAuth.getStatus(person).connected) {
+    if (!process.env.ADMIN_API_TOKEN) {
+      return res.status(503).json({
+        error: 'Setup disabled',
+        message: 'Set ADMIN_API_TOKEN to connect the first Oura account'
+      });
+    }
+    if (!isAdminRequest(req)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Connecting the first Oura account needs ?token=<ADMIN_API_TOKEN>'
+      });
+    }
+  }
+
+  const { state, nonce } = ouraAuth.createState(person);
+  res.cookie(STATE_COOKIE, nonce, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: 10 * 60 * 1000,
+    path: '/auth'
+  });
+  res.redirect(ouraAuth.getAuthorizationUrl(state));
+});
+
+/**
+ * OAuth redirect target: exchange the code and store the tokens
+ */
+router.get('/callback', async (req, res) => {
+  if (!ouraAuth.isConfigured()) {
+    return res.status(500).json({
+      error: 'Configuration error',
+      message: 'Oura OAuth is not configured'
+    });
+  }
+
+  const nonce = readCookie(req, STATE_COOKIE);
+  res.clearCookie(STATE_COOKIE, { path: '/auth' });
+
+  if (req.query.error) {
+    return res.status(400).json({
+      error: 'Authorization denied',
+      message: `Oura returned: ${req.query.error}`
+    });
+  }
+
+  const personId = ouraAuth.verifyState(req.query.state, nonce);
+  const person = personId && getPerson(personId);
+  if (!person) {
+    return res.status(400).json({
+      error: 'Invalid state',
+      message: 'Login expired or did not start here, try /auth/login again'
+    });
+  }
+
+  if (!req.query.code) {
+    return res.status(400).json({
+      error: 'Missing code',
+      message: 'Oura did not return an authorization code'
+    });
+  }
+
+  try {
+    const tokens = await ouraAuth.exchangeCode(req.query.code);
+    const userInfo = await ouraService.getUserInfo(tokens.accessToken);
+    ouraAuth.connect(tokens, userInfo?.id, person);
+
+    logger.info('Oura account connected', { person: person.id, ouraUser: userInfo?.id });
+    res.redirect(person.isDefault ? '/?connected=oura' : `/?connected=oura&person=${person.id}`);
+
+  } catch (error) {
+    logger.error('OAuth callback error', { error: error.message });
+
+    if (error.status === 403) {
+      return res.status(403).json({
+        error: 'Account mismatch',
+        message: error.message
+      });
+    }
+
+    res.status(error.status === 401 ? 401 : 500).json({
+      error: 'Failed to connect Oura account',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Which credentials the API is using and when they expire
+ * Query: ?person=<id> (default: the default person)
+ */
+router.get('/status', (req, res) => {
+  const person = resolveQueryPerson(req, res);
+  if (!person) return;
+
+  res.json({ person: person.id, ...ouraAuth.getStatus(person) });
+});
+
+/**
+ * Forget the stored OAuth tokens (for development/testing)
+ * Query: ?person=<id> (default: the default person)
+ */
+router.post('/logout', (req, res) => {
+  if (process.env.NODE_ENV !== 'development') {
+    return res.status(403).json({ error: 'Not available in production' });
+  }
+
+  const person = resolveQueryPerson(req, res);
+  if (!person) return;
+
+  ouraAuth.disconnect(person);
+  res.json({ message: `Oura account disconnected for ${person.id}` });
+});
+
+// Helper functions
+
+/**
+ * Resolve the ?person= query, sending a 404 if it names nobody
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} Normalized person, or null if a response was sent
+ */
+function resolveQueryPerson(req, res) {
+  if (!req.query.person) return getDefaultPerson();
+
+  const person = getPerson(String(req.query.person));
+  if (!person) {
+    res.status(404).json({
+      error: 'Unknown person',
+      message: `No person with id "${req.query.person}"`
+    });
+  }
+  return person;
+}
+
+/**
+ * Check the admin token, from ?token= (login is a browser link) or a Bearer header
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the request carries ADMIN_API_TOKEN
+ */
+function isAdminRequest(req) {
+  const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+  const token = scheme === 'Bearer' ? credentials : req.query.token;
+  return Boolean(token) && safeEqual(String(token), process.env.ADMIN_API_TOKEN);
+}
+
+/**
+ * Read a cookie from the request header
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value, or null if not set
+ */
+function readCookie(req, name) {
+  for (const pair of (req.headers.cookie || '').split(';')) {
+    const [key, ...rest] = pair.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+module.exports = router;
@@ -0,0 +1,66 @@
+/**
+ * Discord Routes
+ * Interactions endpoint of the Discord app
+ *
+ * Set the app's "Interactions Endpoint URL" to /integrations/discord/interactions
+ * and register /naptime with `npm run register-discord-commands`. Every request
+ * must carry a valid Ed25519 signature; the endpoint is off unless
+ * DISCORD_PUBLIC_KEY is set.
+ */
+
+const express = require('express');
+const router = express.Router();
+const discord = require('../services/discord');
+const { resolveDiscordConfig } = require('../config/discord');
+const { logger } = require('../utils/logger');
+
+/**
+ * Interactions: Discord's endpoint check (PING) and /naptime
+ */
+router.post('/interactions', verifyDiscordRequest, async (req, res) => {
+  const { publicBaseUrl, responseSeconds } = req.discordConfig;
+
+  const response = await discord.handleInteraction(req.body, {
+    baseUrl: publicBaseUrl || `${req.protocol}://${req.get('host')}`,
+    responseSeconds
+  });
+  if (!response) {
+    return res.status(400).json({ error: 'Unsupported interaction' });
+  }
+
+  res.json(response);
+});
+
+// Helper functions
+
+function verifyDiscordRequest(req, res, next) {
+  let config;
+  try {
+    config = resolveDiscordConfig();
+  } catch (error) {
+    logger.error('Invalid Discord configuration', { error: error.message });
+    return res.status(500).json({ error: 'Configuration error', message: 'Discord integration is misconfigured' });
+  }
+
+  if (!config) {
+    return res.status(503).json({
+      error: 'Discord integration disabled',
+      message: 'Set DISCORD_PUBLIC_KEY to enable the Discord app'
+    });
+  }
+
+  const verified = discord.verifySignature({
+    signature: req.get('X-Signature-Ed25519'),
+    timestamp: req.get('X-Signature-Timestamp'),
+    rawBody: req.rawBody
+  }, config);
+  if (!verified) {
+    // Discord probes the endpoint with bad signatures and expects a 401
+    return res.status(401).json({ error: 'Invalid request signature' });
+  }
+
+  req.discordConfig = config;
+  next();
+}
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Metrics Route
+ * Prometheus scrape endpoint
+ *
+ * Open by default. Set METRICS_TOKEN to require
+ * "Authorization: Bearer <METRICS_TOKEN>" (Prometheus: `authorization.credentials`).
+ */
+
+const express = require('express');
+const metrics = require('../services/metrics');
+const cache = require('../services/cache');
+const napStream = require('../services/nap-stream');
+const ouraClient = require('../services/oura-client');
+const { safeEqual } = require('../utils/crypto');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Metrics in the Prometheus text format
+ */
+router.get('/', requireMetricsToken, async (req, res) => {
+  try {
+    const text = await metrics.render({
+      cacheKeys: cache.getSizeInfo().keys,
+      streamSubscribers: napStream.getStats().subscribers,
+      ouraCircuit: ouraClient.getCircuitState().state
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.set('Content-Type', metrics.getContentType());
+    res.send(text);
+
+  } catch (error) {
+    logger.error('Metrics error', { error });
+    res.status(500).json({
+      error: 'Failed to collect metrics',
+      message: error.message
+    });
+  }
+});
+
+// Helper functions
+
+function requireMetricsToken(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return next();
+
+  const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !credentials || !safeEqual(credentials, token)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+module.exports = router;
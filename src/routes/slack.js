@@ -0,0 +1,97 @@
+/**
+ * Slack Routes
+ * Slash command and interactivity endpoints of the Slack app
+ *
+ * Point the app's slash command (e.g. /nap) at /integrations/slack/command and
+ * its Interactivity Request URL at /integrations/slack/interactive. Every
+ * request must carry a valid X-Slack-Signature; the integration is off
+ * unless SLACK_SIGNING_SECRET is set.
+ */
+
+const express = require('express');
+const router = express.Router();
+const slack = require('../services/slack');
+const { resolveSlackConfig } = require('../config/slack');
+const { withDeadline } = require('../utils/promise');
+const { logger } = require('../utils/logger');
+
+router.use(verifySlackRequest);
+
+/**
+ * Slash command: "/nap", "/nap alex" or "/nap help"
+ * Answers in the channel when the status is ready within Slack's time limit,
+ * otherwise says it's checking and posts the status to response_url
+ */
+router.post('/command', async (req, res) => {
+  const { command, text, response_url: responseUrl } = req.body || {};
+  const { person, help, unknown } = slack.parseCommand(text);
+
+  if (!person) {
+    return res.json(slack.buildHelpMessage(command, help ? undefined : unknown));
+  }
+
+  const pending = slack.getStatusMessage(person);
+  const message = await withDeadline(pending, req.slackConfig.responseSeconds * 1000);
+  if (message) {
+    return res.json(message);
+  }
+
+  res.json(slack.buildCheckingMessage(person));
+  if (responseUrl) {
+    slack.respond(responseUrl, await pending);
+  }
+});
+
+/**
+ * Interactive components: the "Refresh" button under a status
+ * Slack only wants a quick 200 here; the fresh status (skipping the cache,
+ * like ?force=true) replaces the original message through response_url
+ */
+router.post('/interactive', async (req, res) => {
+  let payload;
+  try {
+    payload = JSON.parse(req.body?.payload);
+  } catch {
+    return res.status(400).json({ error: 'Invalid payload' });
+  }
+
+  const action = slack.parseRefreshAction(payload);
+  res.status(200).end();
+  if (!action) return;
+
+  const message = await slack.getStatusMessage(action.person, { forceRefresh: true });
+  await slack.respond(action.responseUrl, { ...message, replace_original: message.response_type === 'in_channel' });
+});
+
+// Helper functions
+
+function verifySlackRequest(req, res, next) {
+  let config;
+  try {
+    config = resolveSlackConfig();
+  } catch (error) {
+    logger.error('Invalid Slack configuration', { error: error.message });
+    return res.status(500).json({ error: 'Configuration error', message: 'Slack integration is misconfigured' });
+  }
+
+  if (!config) {
+    return res.status(503).json({
+      error: 'Slack integration disabled',
+      message: 'Set SLACK_SIGNING_SECRET to enable the Slack app'
+    });
+  }
+
+  const verified = slack.verifySignature({
+    timestamp: req.get('X-Slack-Request-Timestamp'),
+    signature: req.get('X-Slack-Signature'),
+    rawBody: req.rawBody
+  }, config);
+  if (!verified) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  req.slackConfig = config;
+  next();
+}
+
+module.exports = router;
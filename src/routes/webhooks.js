@@ -0,0 +1,111 @@
+/**
+ * Webhook Routes
+ * Admin API to register webhooks and read their delivery log
+ *
+ * Every route needs "Authorization: Bearer <ADMIN_API_TOKEN>", and the API is
+ * off unless ADMIN_API_TOKEN and SESSION_SECRET are set.
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhooks = require('../services/webhooks');
+const { safeEqual } = require('../utils/crypto');
+const { logger } = require('../utils/logger');
+
+router.use(requireAdmin);
+
+/**
+ * List webhooks
+ */
+router.get('/', (req, res) => {
+  res.json({ webhooks: webhooks.list() });
+});
+
+/**
+ * Register a webhook
+ * Body: { url, description?, people?: [ids], secret? }
+ * The response is the only time the signing secret is shown
+ */
+router.post('/', (req, res) => {
+  try {
+    const { url, description, people, secret } = req.body || {};
+    res.status(201).json(webhooks.register({ url, description, people: people ?? null, secret }));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: 'Invalid webhook', message: error.message });
+    }
+    logger.error('Webhook registration failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to register webhook' });
+  }
+});
+
+/**
+ * Get a webhook
+ */
+router.get('/:id', (req, res) => {
+  const webhook = webhooks.get(req.params.id);
+  if (!webhook) return notFound(res);
+  res.json(webhook);
+});
+
+/**
+ * Delete a webhook and its delivery log
+ */
+router.delete('/:id', (req, res) => {
+  if (!webhooks.remove(req.params.id)) return notFound(res);
+  res.status(204).end();
+});
+
+/**
+ * Delivery log of a webhook, newest first
+ * Query: ?limit=<1-200> (default 50)
+ */
+router.get('/:id/deliveries', (req, res) => {
+  if (!webhooks.get(req.params.id)) return notFound(res);
+
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return res.status(400).json({
+      error: 'Invalid limit',
+      message: '`limit` must be a whole number between 1 and 200'
+    });
+  }
+
+  res.json({ deliveries: webhooks.getDeliveries(req.params.id, limit) });
+});
+
+/**
+ * Send a "ping" event to check the receiver
+ * Answers with the delivery after its first attempt
+ */
+router.post('/:id/ping', async (req, res) => {
+  const delivery = await webhooks.ping(req.params.id);
+  if (!delivery) return notFound(res);
+  res.json(delivery);
+});
+
+// Helper functions
+
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token || !process.env.SESSION_SECRET) {
+    return res.status(503).json({
+      error: 'Admin API disabled',
+      message: 'Set ADMIN_API_TOKEN and SESSION_SECRET to manage webhooks'
+    });
+  }
+
+  const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !credentials || !safeEqual(credentials, token)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+function notFound(res) {
+  return res.status(404).json({ error: 'Unknown webhook' });
+}
+
+module.exports = router;
@@ -4,6 +4,8 @@
  */
 
 const NodeCache = require('node-cache');
+const metrics = require('./metrics');
+const { logger } = require('../utils/logger');
 
 class CacheService {
   constructor() {
@@ -14,20 +16,18 @@ class CacheService {
       useClones: false // Don't clone objects for better performance
     });
 
-    // Setup event listeners for monitoring (only in development)
-    if (process.env.NODE_ENV === 'development') {
-      this.cache.on('set', (key, value) => {
-        console.log(`Cache SET: ${key}`);
-      });
+    // Log cache traffic at debug level (LOG_LEVEL=debug)
+    this.cache.on('set', (key, value) => {
+      logger.debug('Cache SET', { key });
+    });
 
-      this.cache.on('del', (key, value) => {
-        console.log(`Cache DEL: ${key}`);
-      });
+    this.cache.on('del', (key, value) => {
+      logger.debug('Cache DEL', { key });
+    });
 
-      this.cache.on('expired', (key, value) => {
-        console.log(`Cache EXPIRED: ${key}`);
-      });
-    }
+    this.cache.on('expired', (key, value) => {
+      logger.debug('Cache EXPIRED', { key });
+    });
   }
 
   /**
@@ -36,7 +36,9 @@ class CacheService {
    * @returns {*} Cached value or undefined
    */
   get(key) {
-    return this.cache.get(key);
+    const value = this.cache.get(key);
+    metrics.recordCacheLookup(key, value !== undefined);
+    return value;
   }
 
   /**
@@ -100,7 +102,7 @@ class CacheService {
    */
   flush() {
     this.cache.flushAll();
-    console.log('Cache flushed');
+    logger.debug('Cache flushed');
   }
 
   /**
@@ -141,18 +143,18 @@ class CacheService {
     // Check cache first
     const cached = this.get(key);
     if (cached !== undefined) {
-      console.log(`Cache HIT: ${key}`);
+      logger.debug('Cache HIT', { key });
       return cached;
     }
 
     // Fetch data and cache it
-    console.log(`Cache MISS: ${key}`);
+    logger.debug('Cache MISS', { key });
     try {
       const data = await fetchFunction();
       this.set(key, data, ttl);
       return data;
     } catch (error) {
-      console.error(`Cache fetch error for ${key}:`, error);
+      logger.error('Cache fetch error', { key, error });
       throw error;
     }
   }
@@ -167,7 +169,7 @@ class CacheService {
     
     if (matchingKeys.length > 0) {
       this.cache.del(matchingKeys);
-      console.log(`Cleared ${matchingKeys.length} cache entries matching pattern: ${pattern}`);
+      logger.debug('Cleared cache entries', { pattern, count: matchingKeys.length });
     }
   }
 
@@ -192,7 +194,7 @@ class CacheService {
   setupPeriodicCleanup(interval = 300000) { // 5 minutes default
     setInterval(() => {
       const stats = this.getStats();
-      console.log(`Cache stats - Keys: ${stats.keys}, Hits: ${stats.hits}, Misses: ${stats.misses}`);
+      logger.info('Cache stats', { keys: stats.keys, hits: stats.hits, misses: stats.misses });
       
       // Optional: Clear old entries based on custom logic
       // This is already handled by NodeCache automatically
@@ -0,0 +1,162 @@
+/**
+ * Nap Calendar Service
+ * Upcoming nap windows and past naps as a subscribable iCalendar feed
+ *
+ * Upcoming windows come from the person's schedule. Today's window is tagged
+ * with the priority the app will show when it opens, given the sleep synced
+ * so far; later days can't be judged before their night's sleep, so they
+ * are listed untagged. Past naps are the sleep sessions the nap calculator
+ * counts as naps (see NapCalculator.isNap).
+ */
+
+const NapCalculator = require("./nap-calculator");
+const NapReplay = require("./replay");
+const {
+  resolveTimezone,
+  getZonedParts,
+  getLocalDateString,
+  zonedTimeToInstant,
+  addDays,
+} = require("../utils/timezone");
+const { resolveSchedule, getDaySchedule } = require("../config/schedule");
+const { resolveNow } = require("../utils/clock");
+const { buildCalendar } = require("../utils/ical");
+const { translate, getDefaultLocale } = require("../utils/i18n");
+
+// RFC 5545 PRIORITY: 1 is the highest, 9 the lowest
+const ICAL_PRIORITY = { yes: 1, maybe: 5, none: 9 };
+
+class NapCalendar {
+  /**
+   * Build the iCalendar feed for a person
+   * @param {Object} sleepData - Sleep records covering the nap history and the sleep debt window
+   * @param {Object} options - Calculation options (see NapCalculator.calculateNapStatus)
+   * @param {string} options.personId - Person id, used in event UIDs
+   * @param {number} options.days - Days of upcoming nap windows, today included (default: 14)
+   * @param {string} options.historyStart - First local date (YYYY-MM-DD) of past naps to list (default: all)
+   * @returns {string} iCalendar text
+   */
+  static buildFeed(sleepData, options = {}) {
+    const timeZone = resolveTimezone(options.timeZone);
+    const now = resolveNow(options.now);
+    const locale = options.locale || getDefaultLocale();
+    const name = options.name;
+    const t = (key, variables) => translate(locale, `calendar.${key}`, variables);
+
+    const windows = this.getNapWindows({ ...options, timeZone, now });
+    const today = getLocalDateString(now, timeZone);
+
+    const windowEvents = windows.map((window) => {
+      const event = {
+        uid: `nap-window-${options.personId}-${window.date}@naptime`,
+        start: window.start,
+        end: window.end,
+        summary: t("napWindow", { name }),
+        categories: ["nap-window"],
+        transparent: true,
+      };
+      if (window.date !== today) return event;
+
+      // What the app will say once the window opens (or says now, if it's open)
+      const status = NapReplay.statusAt(sleepData, {
+        ...options,
+        timeZone,
+        locale,
+        now: window.start > now ? window.start : now,
+      });
+      const priority = status.napPriority;
+      return {
+        ...event,
+        summary: t("napWindowPriority", {
+          name,
+          priority: translate(locale, `priority.${priority}`),
+        }),
+        description: `${status.message}\n${status.recommendation}`,
+        categories: ["nap-window", `priority-${priority}`],
+        priority: ICAL_PRIORITY[priority] ?? 0,
+      };
+    });
+
+    const pastNaps = this.getPastNaps(sleepData, {
+      timeZone,
+      now,
+      since: options.historyStart,
+    });
+    const napEvents = pastNaps.map((record) => ({
+      uid: `nap-${record.id || record.bedtime_start}@naptime`,
+      start: new Date(record.bedtime_start),
+      end: new Date(record.bedtime_end),
+      summary: t("nap", {
+        name,
+        duration: NapCalculator.formatDuration(
+          Math.round((record.total_sleep_duration || 0) / 60),
+          locale,
+        ),
+      }),
+      categories: ["nap"],
+      transparent: false,
+    }));
+
+    return buildCalendar({
+      name: t("name", { name }),
+      timeZone,
+      events: [...napEvents, ...windowEvents],
+      now,
+    });
+  }
+
+  /**
+   * List the nap windows that haven't ended yet
+   * @param {Object} options - { timeZone, schedule, now, days }
+   * @returns {Array<Object>} Windows in order: { date, start: Date, end: Date }
+   */
+  static getNapWindows(options = {}) {
+    const timeZone = resolveTimezone(options.timeZone);
+    const schedule = resolveSchedule(options.schedule);
+    const now = resolveNow(options.now);
+    const days = options.days ?? 14;
+    const today = getLocalDateString(now, timeZone);
+
+    const windows = [];
+    for (let offset = 0; offset < days; offset++) {
+      const date = addDays(today, offset);
+
+      // The schedule in effect is the one for the date's local weekday
+      const midday = zonedTimeToInstant(date, 12 * 60, timeZone);
+      const daySchedule = getDaySchedule(
+        schedule,
+        getZonedParts(midday, timeZone).weekday,
+      );
+
+      const start = zonedTimeToInstant(date, daySchedule.napStart, timeZone);
+      const end = zonedTimeToInstant(date, daySchedule.napEnd, timeZone);
+      if (end > now) {
+        windows.push({ date, start, end });
+      }
+    }
+    return windows;
+  }
+
+  /**
+   * List the naps that have ended, oldest first
+   * @param {Object} sleepData - Sleep records
+   * @param {Object} options - { timeZone, now, since } where since is the first Oura day to include (optional)
+   * @returns {Array<Object>} Oura sleep records classified as naps
+   */
+  static getPastNaps(sleepData, options = {}) {
+    const timeZone = resolveTimezone(options.timeZone);
+    const now = resolveNow(options.now);
+
+    return (sleepData?.data || [])
+      .filter(
+        (record) =>
+          record.bedtime_end &&
+          new Date(record.bedtime_end) <= now &&
+          (!options.since || record.day >= options.since) &&
+          NapCalculator.isNap(record, timeZone),
+      )
+      .sort((a, b) => new Date(a.bedtime_start) - new Date(b.bedtime_start));
+  }
+}
+
+module.exports = NapCalendar;
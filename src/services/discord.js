@@ -0,0 +1,254 @@
+/**
+ * Discord Service
+ * Verifies Discord interactions and words nap statuses as embeds
+ *
+ * /naptime answers with an embed of the current verdict: the status message,
+ * the recommendation, last night's sleep and nap priority, colored by
+ * priority, with the same pictures the frontend shows (i-sleep.png at sleep
+ * time, good-for-her.gif after a nap). Interactions are signed with Ed25519
+ * over "<timestamp><body>" using the app's public key.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const napStatus = require('./nap-status');
+const { resolvePeople, getPerson, getDefaultPerson } = require('../config/people');
+const { DISCORD_API_URL } = require('../config/discord');
+const { translate, getDefaultLocale } = require('../utils/i18n');
+const { withDeadline } = require('../utils/promise');
+const { logger } = require('../utils/logger');
+
+const COMMAND_NAME = 'naptime';
+
+const InteractionType = {
+  PING: 1,
+  APPLICATION_COMMAND: 2
+};
+
+const ResponseType = {
+  PONG: 1,
+  CHANNEL_MESSAGE: 4,
+  DEFERRED_CHANNEL_MESSAGE: 5
+};
+
+// Message flag: only the person who ran the command sees it
+const EPHEMERAL = 1 << 6;
+
+// Discord caps a string option at 25 choices
+const MAX_CHOICES = 25;
+
+const PRIORITY_COLORS = {
+  yes: 0xe74c3c,
+  maybe: 0xf1c40f,
+  none: 0x2ecc71,
+  unknown: 0x95a5a6
+};
+
+// DER header turning a raw 32 byte Ed25519 key into an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+class DiscordService {
+  constructor() {
+    // Parsed public keys by hex, so each key is only imported once
+    this.keys = new Map();
+  }
+
+  /**
+   * Check an interaction's Ed25519 signature against the app's public key
+   * @param {Object} request - { signature, timestamp, rawBody } from the X-Signature-* headers and body
+   * @param {Object} config - Resolved Discord config (publicKey)
+   * @returns {boolean} True if Discord signed this body
+   */
+  verifySignature({ signature, timestamp, rawBody }, config) {
+    if (!signature || !timestamp || rawBody === undefined || !/^[0-9a-f]{128}$/i.test(signature)) {
+      return false;
+    }
+
+    try {
+      return crypto.verify(
+        null,
+        Buffer.from(timestamp + rawBody),
+        this.getPublicKey(config.publicKey),
+        Buffer.from(signature, 'hex')
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Answer an interaction
+   * Pings get a pong and /naptime gets the status embed. When the status isn't
+   * ready in time, the answer is a deferred "thinking…" response that is
+   * edited once the status arrives.
+   * @param {Object} interaction - Verified interaction from Discord
+   * @param {Object} options - { baseUrl } for embed images, { responseSeconds } to wait before deferring
+   * @returns {Promise<Object|null>} Interaction response, or null for interactions we don't handle
+   */
+  async handleInteraction(interaction, { baseUrl, responseSeconds }) {
+    if (interaction?.type === InteractionType.PING) {
+      return { type: ResponseType.PONG };
+    }
+    if (interaction?.type !== InteractionType.APPLICATION_COMMAND) return null;
+
+    const command = this.parseCommand(interaction);
+    if (!command) return null;
+    if (!command.person) {
+      return { type: ResponseType.CHANNEL_MESSAGE, data: this.buildUnknownPersonMessage(command.unknown) };
+    }
+
+    const pending = this.getStatusMessage(command.person, baseUrl);
+    const message = await withDeadline(pending, responseSeconds * 1000);
+    if (message) {
+      return { type: ResponseType.CHANNEL_MESSAGE, data: message };
+    }
+
+    pending.then(late => this.editOriginal(interaction, late));
+    return { type: ResponseType.DEFERRED_CHANNEL_MESSAGE };
+  }
+
+  /**
+   * Slash command definitions, as sent to Discord by the registration script
+   * @returns {Array<Object>} Application commands
+   */
+  getCommands() {
+    const name = getDefaultPerson().name;
+    const people = resolvePeople();
+
+    const command = {
+      name: COMMAND_NAME,
+      type: 1,
+      description: translate('en', 'chat.commandDescription', { name }),
+      description_localizations: { 'es-ES': translate('es', 'chat.commandDescription', { name }) },
+      options: []
+    };
+
+    if (people.length > 1) {
+      command.options.push({
+        type: 3,
+        name: 'person',
+        description: translate('en', 'chat.personOption', { name }),
+        description_localizations: { 'es-ES': translate('es', 'chat.personOption', { name }) },
+        required: false,
+        choices: people.slice(0, MAX_CHOICES).map(person => ({ name: person.name, value: person.id }))
+      });
+    }
+
+    return [command];
+  }
+
+  /**
+   * Work out what an application command asks for
+   * @param {Object} interaction - Interaction from Discord
+   * @returns {Object|null} { person } or { unknown: id }, or null for a command we don't know
+   */
+  parseCommand(interaction) {
+    if (interaction?.data?.name !== COMMAND_NAME) return null;
+
+    const option = (interaction.data.options || []).find(candidate => candidate.name === 'person');
+    if (!option) return { person: getDefaultPerson() };
+
+    const person = getPerson(String(option.value));
+    return person ? { person } : { unknown: String(option.value) };
+  }
+
+  /**
+   * Get a person's status as an interaction message
+   * Failures become an ephemeral error message rather than throwing
+   * @param {Object} person - Normalized person
+   * @param {string} baseUrl - Public origin to load the embed images from
+   * @returns {Promise<Object>} Message data ({ embeds } or { content, flags })
+   */
+  async getStatusMessage(person, baseUrl) {
+    try {
+      const status = await napStatus.getLiveNapStatus(person);
+      return { embeds: [this.buildStatusEmbed(person, status, baseUrl)] };
+    } catch (error) {
+      logger.error('Discord nap status failed', { person: person.id, error: error.message });
+      return this.buildTextMessage(translate(getDefaultLocale(), 'chat.error', { name: person.name }));
+    }
+  }
+
+  /**
+   * Build the embed for a nap status
+   * @param {Object} person - Normalized person
+   * @param {Object} status - Output of calculateNapStatus (as returned by the nap status service)
+   * @param {string} baseUrl - Public origin to load the images from
+   * @returns {Object} Discord embed
+   */
+  buildStatusEmbed(person, status, baseUrl) {
+    const locale = status.locale || getDefaultLocale();
+    const t = (key, values) => translate(locale, `chat.${key}`, values);
+    const priority = status.napPriority || 'unknown';
+
+    const embed = {
+      title: `${person.name}: ${status.message}`,
+      description: status.recommendation,
+      color: PRIORITY_COLORS[priority] ?? PRIORITY_COLORS.unknown,
+      fields: [
+        { name: t('sleep'), value: t('sleepValue', { hours: status.sleepHours ?? '0.0', quality: status.quality }), inline: true },
+        { name: t('napPriority'), value: translate(locale, `priority.${priority}`), inline: true },
+        { name: t('localTime'), value: status.currentTime, inline: true }
+      ],
+      timestamp: status.lastUpdated
+    };
+
+    // Same pictures as the frontend
+    const image = status.isSleepTime ? 'i-sleep.png' : status.hasNappedToday ? 'good-for-her.gif' : null;
+    if (image && baseUrl) {
+      embed.image = { url: `${baseUrl}/${image}` };
+    }
+
+    return embed;
+  }
+
+  /**
+   * Build a plain message only the person who ran the command can see
+   * @param {string} content - Message text (markdown)
+   * @returns {Object} Message data
+   */
+  buildTextMessage(content) {
+    return { content, flags: EPHEMERAL };
+  }
+
+  /**
+   * Build the reply for a person option that matches nobody (e.g. after the people config changed)
+   * @param {string} unknown - Person id from the command
+   * @returns {Object} Message data
+   */
+  buildUnknownPersonMessage(unknown) {
+    const people = resolvePeople().map(person => person.name).join(', ');
+    return this.buildTextMessage(translate(getDefaultLocale(), 'chat.unknownPerson', { text: unknown, people }));
+  }
+
+  /**
+   * Replace a deferred response with the real message
+   * @param {Object} interaction - Interaction from Discord (application_id, token)
+   * @param {Object} message - Message data
+   * @returns {Promise<void>} Resolves once Discord accepted it; failures are logged
+   */
+  async editOriginal(interaction, message) {
+    const url = `${DISCORD_API_URL}/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`;
+    try {
+      await axios.patch(url, message, { timeout: 10000 });
+    } catch (error) {
+      logger.error('Discord follow-up failed', { error: error.message });
+    }
+  }
+
+  // Helper methods
+
+  getPublicKey(hex) {
+    if (!this.keys.has(hex)) {
+      this.keys.set(hex, crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(hex, 'hex')]),
+        format: 'der',
+        type: 'spki'
+      }));
+    }
+    return this.keys.get(hex);
+  }
+}
+
+// Export singleton instance
+module.exports = new DiscordService();
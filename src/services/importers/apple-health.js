@@ -0,0 +1,94 @@
+/**
+ * Apple Health Importer
+ * Reads sleep analysis samples from an Apple Health export.xml
+ *
+ * The export (Health app > profile > Export All Health Data, then unzip)
+ * holds every health record as a <Record> element, and can run to gigabytes,
+ * so it is streamed and only sleep analysis records are parsed:
+ *
+ *   <Record type="HKCategoryTypeIdentifierSleepAnalysis" sourceName="Emily's Apple Watch"
+ *     startDate="2024-01-14 23:04:00 -0700" endDate="2024-01-15 00:12:00 -0700"
+ *     value="HKCategoryValueSleepAnalysisAsleepCore"/>
+ *
+ * Watches since watchOS 9 record stages (core, deep, REM, awake); older
+ * watches and iPhone bedtime tracking record plain "asleep" or "in bed".
+ */
+
+const fs = require('fs');
+
+const SLEEP_ANALYSIS = 'HKCategoryTypeIdentifierSleepAnalysis';
+
+// Apple's sleep values and the stage each one counts as (core sleep is light sleep)
+const STAGES = {
+  HKCategoryValueSleepAnalysisInBed: 'inBed',
+  HKCategoryValueSleepAnalysisAsleep: 'asleep',
+  HKCategoryValueSleepAnalysisAsleepUnspecified: 'asleep',
+  HKCategoryValueSleepAnalysisAsleepCore: 'light',
+  HKCategoryValueSleepAnalysisAsleepDeep: 'deep',
+  HKCategoryValueSleepAnalysisAsleepREM: 'rem',
+  HKCategoryValueSleepAnalysisAwake: 'awake'
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+/**
+ * Read the sleep samples in an export
+ * @param {string} filePath - Path to export.xml
+ * @returns {Promise<Array<Object>>} [{ start, end (epoch ms), stage, source }]
+ * @throws {Error} If the file can't be read or isn't an Apple Health export
+ */
+async function readAppleHealthSamples(filePath) {
+  const samples = [];
+  let buffer = '';
+  let isExport = false;
+
+  for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: 1024 * 1024 })) {
+    buffer += chunk;
+    isExport = isExport || buffer.includes('<HealthData');
+
+    // Everything before the last "<" holds only whole tags
+    const cut = buffer.lastIndexOf('<');
+    if (cut <= 0) continue;
+    const complete = buffer.slice(0, cut);
+    buffer = buffer.slice(cut);
+
+    for (const [tag] of complete.matchAll(/<Record\s[^>]*>/g)) {
+      if (!tag.includes(SLEEP_ANALYSIS)) continue;
+      const sample = toSample(readAttributes(tag));
+      if (sample) samples.push(sample);
+    }
+  }
+
+  if (!isExport) {
+    throw Object.assign(new Error(`${filePath} is not an Apple Health export.xml`), { status: 400 });
+  }
+  return samples;
+}
+
+// Helper functions
+
+function readAttributes(tag) {
+  const attributes = {};
+  for (const [, name, value] of tag.matchAll(/(\w+)="([^"]*)"/g)) {
+    attributes[name] = value.replace(/&(amp|lt|gt|quot|apos);/g, (entity, name) => ENTITIES[name]);
+  }
+  return attributes;
+}
+
+function toSample(attributes) {
+  const stage = STAGES[attributes.value];
+  const start = parseAppleDate(attributes.startDate);
+  const end = parseAppleDate(attributes.endDate);
+  if (attributes.type !== SLEEP_ANALYSIS || !stage || Number.isNaN(start) || !(end > start)) return null;
+  return { start, end, stage, source: attributes.sourceName || null };
+}
+
+// "2024-01-14 23:04:00 -0700"
+function parseAppleDate(value) {
+  const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/.exec(String(value || ''));
+  return match ? Date.parse(`${match[1]}T${match[2]}${match[3]}:${match[4]}`) : NaN;
+}
+
+module.exports = {
+  readAppleHealthSamples
+};
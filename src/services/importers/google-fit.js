@@ -0,0 +1,107 @@
+/**
+ * Google Fit Importer
+ * Reads sleep from a Google Takeout export of Google Fit
+ *
+ * Point it at the unzipped Takeout/Fit directory (or one file in it). Sleep
+ * shows up in two kinds of JSON file, both read:
+ *
+ *   All Sessions/*.json - one session each; sleep sessions have
+ *     "fitnessActivity": "sleep", ISO startTime/endTime and optional stage
+ *     segments ("sleep.light", "sleep.deep", "sleep.rem", "sleep.awake")
+ *   All Data/*.json     - { "Data Points": [...] }; points of type
+ *     com.google.sleep.segment carry startTimeNanos/endTimeNanos and the
+ *     stage as an int (1 awake, 2 asleep, 3 out of bed, 4 light, 5 deep, 6 REM)
+ *
+ * Other files are skipped. A night often appears in both; overlapping
+ * samples are merged when sessions are built, so it isn't counted twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SEGMENT_TYPE = 'com.google.sleep.segment';
+
+const ACTIVITY_STAGES = {
+  sleep: 'asleep',
+  'sleep.light': 'light',
+  'sleep.deep': 'deep',
+  'sleep.rem': 'rem',
+  'sleep.awake': 'awake'
+};
+
+// Out of bed (3) ends up as a gap between samples
+const SEGMENT_STAGES = { 1: 'awake', 2: 'asleep', 4: 'light', 5: 'deep', 6: 'rem' };
+
+/**
+ * Read the sleep samples in a Takeout export
+ * @param {string} exportPath - Takeout Fit directory or a single JSON file from it
+ * @returns {Promise<Array<Object>>} [{ start, end (epoch ms), stage, source }]
+ * @throws {Error} If the path can't be read or a JSON file is malformed
+ */
+async function readGoogleFitSamples(exportPath) {
+  const samples = [];
+  for (const file of listJsonFiles(exportPath)) {
+    let content;
+    try {
+      content = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      throw Object.assign(new Error(`${file} is not valid JSON: ${error.message}`), { status: 400 });
+    }
+    samples.push(...fromSession(content), ...fromDataPoints(content));
+  }
+  return samples;
+}
+
+// Helper functions
+
+function listJsonFiles(exportPath) {
+  if (!fs.statSync(exportPath).isDirectory()) return [exportPath];
+  return fs.readdirSync(exportPath, { withFileTypes: true })
+    .flatMap(entry => {
+      const entryPath = path.join(exportPath, entry.name);
+      if (entry.isDirectory()) return listJsonFiles(entryPath);
+      return path.extname(entry.name) === '.json' ? [entryPath] : [];
+    })
+    .sort();
+}
+
+function fromSession(content) {
+  if (content?.fitnessActivity !== 'sleep') return [];
+
+  const segments = (content.segment || [])
+    .map(segment => toSample(segment.startTime, segment.endTime, ACTIVITY_STAGES[segment.fitnessActivity]))
+    .filter(Boolean);
+  if (segments.length) return segments;
+
+  const whole = toSample(content.startTime, content.endTime, 'asleep');
+  return whole ? [whole] : [];
+}
+
+function fromDataPoints(content) {
+  if (!Array.isArray(content?.['Data Points'])) return [];
+
+  return content['Data Points']
+    .filter(point => point.dataTypeName === SEGMENT_TYPE)
+    .map(point => toSample(
+      nanosToMillis(point.startTimeNanos),
+      nanosToMillis(point.endTimeNanos),
+      SEGMENT_STAGES[point.fitValue?.[0]?.value?.intVal]
+    ))
+    .filter(Boolean);
+}
+
+function toSample(startValue, endValue, stage) {
+  const start = typeof startValue === 'number' ? startValue : Date.parse(startValue);
+  const end = typeof endValue === 'number' ? endValue : Date.parse(endValue);
+  if (!stage || Number.isNaN(start) || !(end > start)) return null;
+  return { start, end, stage, source: 'Google Fit' };
+}
+
+// Nanosecond timestamps are past Number's exact range, so they're cut down as strings
+function nanosToMillis(value) {
+  return /^\d+$/.test(String(value ?? '')) ? Number(BigInt(value) / 1000000n) : NaN;
+}
+
+module.exports = {
+  readGoogleFitSamples
+};
@@ -0,0 +1,201 @@
+/**
+ * Metrics Service
+ * Prometheus metrics for requests, Oura API calls, the cache and each person's verdict
+ *
+ * Metrics live in their own registry (not prom-client's global one) and are
+ * served as Prometheus text at /metrics. Person gauges are updated whenever a
+ * live status is calculated, so they show the latest verdict the app served.
+ */
+
+const client = require('prom-client');
+
+const PRIORITIES = ['yes', 'maybe', 'none', 'unknown'];
+const CIRCUIT_STATES = ['closed', 'half-open', 'open'];
+
+// Seconds; Oura calls are slower than most app routes
+const REQUEST_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const OURA_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+class MetricsService {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry });
+
+    const registers = [this.registry];
+
+    this.httpRequests = new client.Counter({
+      name: 'naptime_http_requests_total',
+      help: 'HTTP requests by route, method and status code',
+      labelNames: ['route', 'method', 'status'],
+      registers
+    });
+    this.httpDuration = new client.Histogram({
+      name: 'naptime_http_request_duration_seconds',
+      help: 'HTTP request latency by route and method',
+      labelNames: ['route', 'method'],
+      buckets: REQUEST_BUCKETS,
+      registers
+    });
+
+    this.ouraRequests = new client.Counter({
+      name: 'naptime_oura_requests_total',
+      help: 'Oura API calls by endpoint and response status (network_error when there was no response)',
+      labelNames: ['endpoint', 'status'],
+      registers
+    });
+    this.ouraDuration = new client.Histogram({
+      name: 'naptime_oura_request_duration_seconds',
+      help: 'Oura API call latency by endpoint',
+      labelNames: ['endpoint'],
+      buckets: OURA_BUCKETS,
+      registers
+    });
+    this.ouraErrors = new client.Counter({
+      name: 'naptime_oura_errors_total',
+      help: 'Failed Oura API calls by endpoint and status',
+      labelNames: ['endpoint', 'status'],
+      registers
+    });
+
+    this.cacheLookups = new client.Counter({
+      name: 'naptime_cache_lookups_total',
+      help: 'Cache lookups by key (without its date/wording suffix) and result',
+      labelNames: ['key', 'result'],
+      registers
+    });
+    this.cacheKeys = new client.Gauge({
+      name: 'naptime_cache_keys',
+      help: 'Entries in the cache',
+      registers
+    });
+
+    this.sleepHours = new client.Gauge({
+      name: 'naptime_sleep_hours',
+      help: 'Hours of sleep behind the latest verdict',
+      labelNames: ['person'],
+      registers
+    });
+    this.napPriority = new client.Gauge({
+      name: 'naptime_nap_priority',
+      help: 'Latest nap priority, 1 for the current one and 0 for the others',
+      labelNames: ['person', 'priority'],
+      registers
+    });
+    this.daysBehind = new client.Gauge({
+      name: 'naptime_data_days_behind',
+      help: 'Days the latest Oura sleep record lags behind today (0 when up to date)',
+      labelNames: ['person'],
+      registers
+    });
+    this.statusUpdated = new client.Gauge({
+      name: 'naptime_status_last_updated_seconds',
+      help: 'Unix time the latest verdict was calculated',
+      labelNames: ['person'],
+      registers
+    });
+
+    this.streamSubscribers = new client.Gauge({
+      name: 'naptime_stream_subscribers',
+      help: 'Open nap status event streams',
+      registers
+    });
+
+    this.ouraCircuit = new client.Gauge({
+      name: 'naptime_oura_circuit_state',
+      help: 'Oura API circuit breaker, 1 for the current state and 0 for the others',
+      labelNames: ['state'],
+      registers
+    });
+  }
+
+  /**
+   * Record a finished HTTP request
+   * @param {string} route - Route pattern (e.g. '/api/nap-status'), not the raw URL
+   * @param {string} method - HTTP method
+   * @param {number} status - Response status code
+   * @param {number} seconds - Time to the end of the response
+   */
+  observeRequest(route, method, status, seconds) {
+    this.httpRequests.inc({ route, method, status: String(status) });
+    this.httpDuration.observe({ route, method }, seconds);
+  }
+
+  /**
+   * Record an Oura API call
+   * @param {string} endpoint - API path (e.g. '/usercollection/sleep')
+   * @param {number|string} status - Response status, or 'network_error'
+   * @param {number} seconds - Call duration
+   */
+  observeOuraCall(endpoint, status, seconds) {
+    const labels = { endpoint, status: String(status) };
+    this.ouraRequests.inc(labels);
+    this.ouraDuration.observe({ endpoint }, seconds);
+    if (status === 'network_error' || status >= 400) {
+      this.ouraErrors.inc(labels);
+    }
+  }
+
+  /**
+   * Record a cache lookup
+   * @param {string} key - Full cache key, e.g. "emily_sleep_history:2024-01-10:2024-01-16"
+   * @param {boolean} hit - Whether a value was found
+   */
+  recordCacheLookup(key, hit) {
+    this.cacheLookups.inc({ key: getKeyName(key), result: hit ? 'hit' : 'miss' });
+  }
+
+  /**
+   * Update a person's gauges from a freshly calculated status
+   * @param {string} person - Person id
+   * @param {Object} status - Nap status from the calculator
+   */
+  recordNapStatus(person, status) {
+    this.sleepHours.set({ person }, Number(status.sleepHours) || 0);
+    for (const priority of PRIORITIES) {
+      this.napPriority.set({ person, priority }, status.napPriority === priority ? 1 : 0);
+    }
+    this.daysBehind.set({ person }, status.daysBehind || 0);
+    this.statusUpdated.set({ person }, Date.parse(status.lastUpdated) / 1000 || 0);
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   * @param {Object} snapshot - Point-in-time values: { cacheKeys, streamSubscribers, ouraCircuit }
+   * @returns {Promise<string>} Exposition text
+   */
+  async render(snapshot = {}) {
+    if (snapshot.cacheKeys !== undefined) this.cacheKeys.set(snapshot.cacheKeys);
+    if (snapshot.streamSubscribers !== undefined) this.streamSubscribers.set(snapshot.streamSubscribers);
+    if (snapshot.ouraCircuit !== undefined) {
+      for (const state of CIRCUIT_STATES) {
+        this.ouraCircuit.set({ state }, snapshot.ouraCircuit === state ? 1 : 0);
+      }
+    }
+    return this.registry.metrics();
+  }
+
+  /**
+   * Content type of the rendered metrics
+   * @returns {string} MIME type with the format version
+   */
+  getContentType() {
+    return this.registry.contentType;
+  }
+
+  /**
+   * Zero every metric (for tests)
+   */
+  reset() {
+    this.registry.resetMetrics();
+  }
+}
+
+// Helper functions
+
+// Cache keys end in dates and wording (":2024-01-16", ":gentle:es"), keep the stable part
+function getKeyName(key) {
+  return String(key).split(':')[0];
+}
+
+// Export singleton instance
+module.exports = new MetricsService();
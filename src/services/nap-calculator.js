@@ -3,64 +3,73 @@
  * Core logic for determining if Emily needs a nap based on sleep data and time
  */
 
+const {
+  resolveTimezone,
+  getZonedParts,
+  getLocalHour,
+  formatLocalTime,
+  daysBetween,
+  addDays,
+} = require("../utils/timezone");
+const {
+  resolveSchedule,
+  getScheduleAt,
+  getWindowAt,
+  formatClockTime,
+} = require("../config/schedule");
+const {
+  resolveSleepDebtConfig,
+  getDebtLevel,
+} = require("../config/sleep-debt");
+const { resolveNow } = require("../utils/clock");
+const { resolveMessagePack } = require("../config/message-packs");
+const { getDefaultPerson } = require("../config/people");
+const { getDefaultLocale, translate } = require("../utils/i18n");
+
 class NapCalculator {
   /**
-   * Calculate whether Emily needs a nap based on sleep data and current Mountain Time
+   * Calculate whether Emily needs a nap based on sleep data and the sleeper's local time
    * @param {Object} sleepData - Sleep data from Oura API
+   * @param {Object} options - Calculation options
+   * @param {string} options.timeZone - IANA timezone of the sleeper (default: NAP_TIMEZONE or America/Denver)
+   * @param {Object} options.schedule - Window schedule config (default: NAP_SCHEDULE or 7 AM / 2-5 PM / 11 PM)
+   * @param {Object} options.history - Multi-day sleep data for the debt model (default: sleepData)
+   * @param {Object} options.sleepDebt - Debt settings ({ windowDays, sleepNeedHours })
+   * @param {Object} options.readiness - Daily readiness data from Oura (default: readiness embedded in the sleep record)
+   * @param {Date|string|number} options.now - Instant to calculate the status as of (default: current time)
+   * @param {string} options.messagePack - Message pack name (default: NAP_MESSAGE_PACK or snarky)
+   * @param {Object} options.messages - Message overrides merged over the pack (per sleeper)
+   * @param {string} options.name - Sleeper's name for {name} in messages (default: the default person's name)
+   * @param {string} options.locale - Supported locale for messages, labels and times (default: NAP_LOCALE or en)
    * @returns {Object} Nap status with details
    */
-  static calculateNapStatus(sleepData) {
+  static calculateNapStatus(sleepData, options = {}) {
+    const timeZone = resolveTimezone(options.timeZone);
+    const schedule = resolveSchedule(options.schedule);
+    const now = resolveNow(options.now);
+    const locale = options.locale || getDefaultLocale();
+    const messages = this.resolveMessages(options.messages, options.messagePack, locale);
+    const name = options.name || getDefaultPerson().name;
+
     // Find the main sleep session for last night
     // Look for 'long_sleep' type on today's date (Oura assigns sleep to the day it ends)
-    // IMPORTANT: Use Mountain Time for date, not UTC
-    const nowMT = new Date().toLocaleString("en-US", {
-      timeZone: "America/Denver",
-      year: "numeric",
-      month: "2-digit",
-      day: "2-digit",
-    });
-    // Convert MM/DD/YYYY to YYYY-MM-DD format
-    const [month, day, year] = nowMT.split("/");
-    const today = `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
-
-    // Check if there's been a nap today (sleep that started between 11am-10pm MT)
-    const todayNap = sleepData?.data?.find((record) => {
-      if (record.day !== today) return false;
-
-      // Parse the bedtime_start to check if it's during daytime (11am-10pm MT)
-      const bedtimeStart = new Date(record.bedtime_start);
-
-      // Convert to Mountain Time to get the correct hour
-      const startHour = parseInt(
-        bedtimeStart.toLocaleString("en-US", {
-          timeZone: "America/Denver",
-          hour: "2-digit",
-          hour12: false,
-        }),
-        10
-      );
+    // IMPORTANT: Use the sleeper's local date, not UTC
+    const today = getZonedParts(now, timeZone).dateString;
 
-      // A nap is sleep that starts between 11am (11:00) and 10pm (22:00)
-      const isDaytimeNap = startHour >= 11 && startHour < 22;
-
-      // Include late_nap type OR any sleep during daytime hours
-      // But only if it's within the 11am-10pm window
-      return (
-        (record.type === "late_nap" && isDaytimeNap) ||
-        (isDaytimeNap && record.type !== "long_sleep")
-      );
-    });
+    // Check if there's been a nap today (sleep that started between 11am-10pm local time)
+    const todayNap = sleepData?.data?.find(
+      (record) => record.day === today && this.isNap(record, timeZone),
+    );
 
     // Find today's long_sleep record (main sleep) or fall back to most recent long_sleep
     let sleepRecord = sleepData?.data?.find(
       (record) => record.day === today && record.type === "long_sleep",
     );
 
-    // Check if we should have today's data but don't (using Mountain Time)
-    const timeInfo = this.getMountainTimeInfo();
-    // After 8 AM MT, Oura usually has synced last night's data
-    const OURA_SYNC_HOUR = 8;
-    const shouldHaveTodaysData = timeInfo.hour >= OURA_SYNC_HOUR;
+    // Check if we should have today's data but don't (using local time)
+    const timeInfo = this.getMountainTimeInfo({ timeZone, schedule, now, locale });
+    // After 8 AM local time, Oura usually has synced last night's data
+    const shouldHaveTodaysData = timeInfo.hour >= this.OURA_SYNC_HOUR;
     
     // Track if data is stale
     let isStaleData = false;
@@ -74,9 +83,7 @@ class NapCalculator {
       
       // Check if this fallback data is stale
       if (sleepRecord && shouldHaveTodaysData) {
-        const recordDate = new Date(sleepRecord.day);
-        const todayDate = new Date(today);
-        daysBehind = Math.floor((todayDate - recordDate) / (1000 * 60 * 60 * 24));
+        daysBehind = daysBetween(sleepRecord.day, today);
         
         if (daysBehind > 0) {
           isStaleData = true;
@@ -91,6 +98,12 @@ class NapCalculator {
         sleepData?.data?.[0];
     }
 
+    // Rolling sleep debt over the configured window
+    const sleepDebt = this.calculateSleepDebt(options.history || sleepData, {
+      ...options.sleepDebt,
+      today,
+    });
+
     // Only count main sleep duration, exclude naps
     const sleepSeconds = sleepRecord?.total_sleep_duration || 0;
     const sleepHours = sleepSeconds / 3600;
@@ -99,16 +112,11 @@ class NapCalculator {
     const hasNoData = sleepSeconds === 0 || !sleepRecord;
     if (hasNoData) {
       // Get current time window for no-data message
-      const now = new Date();
-      const hour = parseInt(
-        now.toLocaleString("en-US", {
-          timeZone: "America/Denver",
-          hour: "2-digit",
-          hour12: false,
-        }),
+      const timeWindow = timeInfo.timeWindow;
+      const noDataConfig = this.formatMessageConfig(
+        messages[timeWindow]["no-data"],
+        this.getMessageVariables(timeInfo, sleepDebt, null, { name, sleepHours: 0 }),
       );
-      const timeWindow = this.getTimeWindow(hour);
-      const noDataConfig = this.MESSAGE_CONFIG[timeWindow]["no-data"];
 
       // Return special status when we have no data
       return {
@@ -117,18 +125,24 @@ class NapCalculator {
         sleepScore: null,
         sleepCategory: "no-data",
         napPriority: "unknown",
-        quality: "Unknown",
+        quality: this.getSleepQuality(null, locale),
         isNapTime: timeWindow === "nap",
         isSleepTime: timeWindow === "sleep",
-        currentTime: new Date().toLocaleString("en-US", {
-          timeZone: "America/Denver",
-          timeStyle: "short",
-        }),
-        lastUpdated: new Date().toISOString(),
+        timeWindow,
+        currentTime: formatLocalTime(now, timeZone, locale),
+        timeZone,
+        locale,
+        schedule: timeInfo.schedule,
+        lastUpdated: now.toISOString(),
         message: noDataConfig.message,
         shouldNap: false,
         recommendation: noDataConfig.recommendation,
         hasNappedToday: false,
+        isStaleData: false,
+        daysBehind: 0,
+        possiblySick: false,
+        sleepDebt,
+        recovery: null,
         details: {
           totalSleepDurationSeconds: 0,
           efficiency: null,
@@ -142,18 +156,16 @@ class NapCalculator {
     // Get readiness score (proxy for sleep quality in sleep sessions)
     const sleepScore = sleepRecord?.readiness?.score || null;
 
-    // Get current time in Mountain Time (America/Denver)
-    const now = new Date();
-    const hourString = now.toLocaleString("en-US", {
-      timeZone: "America/Denver",
-      hour: "2-digit",
-      hour12: false,
+    // Physiological recovery signals (readiness, HRV, resting HR, temperature)
+    const recovery = this.assessRecovery(sleepRecord, {
+      readiness: options.readiness,
+      history: options.history || sleepData,
+      locale,
     });
-    const hour = parseInt(hourString, 10);
+    const possiblySick = recovery.possiblySick;
 
-
-    // Time windows in Mountain Time
-    const timeWindow = this.getTimeWindow(hour);
+    // Time windows in the sleeper's local time, from the configured schedule
+    const timeWindow = timeInfo.timeWindow;
     const isNapTime = timeWindow === "nap";
     const isSleepTime = timeWindow === "sleep";
 
@@ -167,17 +179,16 @@ class NapCalculator {
     
     // Check if data is stale
     if (isStaleData && shouldHaveTodaysData) {
-      messageConfig = {
-        message: "Oura Hasn't Synced",
-        recommendation: `Last night's sleep data hasn't synced yet. Showing data from ${daysBehind} day(s) ago. Try syncing your Oura ring.`
-      };
+      messageConfig = messages.stale;
     } else if (isSleepTime) {
       // During sleep time, always show "I Sleep" regardless of nap status
-      messageConfig = this.MESSAGE_CONFIG[timeWindow][sleepState];
+      messageConfig = messages[timeWindow][sleepState];
     } else if (hasNappedToday) {
-      messageConfig = this.MESSAGE_CONFIG.napped;
+      messageConfig = messages.napped;
+    } else if (possiblySick) {
+      messageConfig = messages.sick;
     } else {
-      messageConfig = this.MESSAGE_CONFIG[timeWindow][sleepState];
+      messageConfig = messages[timeWindow][sleepState];
     }
 
     // Determine nap need based on configuration
@@ -198,17 +209,37 @@ class NapCalculator {
         needsNap = true;
         napPriority = "maybe";
       }
-    }
 
+      // Accumulated debt escalates the decision during nap time:
+      // a bad night after a good week stays "maybe", a bad streak becomes "yes"
+      const debtPriority = this.getDebtNapPriority(sleepState, sleepDebt.level);
+      if (isNapTime && this.isHigherPriority(debtPriority, napPriority)) {
+        needsNap = true;
+        napPriority = debtPriority;
+        if (!(isStaleData && shouldHaveTodaysData) && !possiblySick) {
+          messageConfig = messages["sleep-debt"][debtPriority];
+        }
+      }
 
-    const message = messageConfig.message;
-    const configRecommendation = messageConfig.recommendation;
+      // Possibly getting sick: rest whenever awake, regardless of sleep hours
+      if (possiblySick && !isSleepTime) {
+        needsNap = true;
+        napPriority = "yes";
+      }
+    }
+
+    const { message, recommendation: configRecommendation } =
+      this.formatMessageConfig(
+        messageConfig,
+        this.getMessageVariables(timeInfo, sleepDebt, recovery, {
+          name,
+          sleepHours,
+          daysBehind,
+        }),
+      );
 
     // Format current time for display
-    const currentTime = now.toLocaleString("en-US", {
-      timeZone: "America/Denver",
-      timeStyle: "short",
-    });
+    const currentTime = formatLocalTime(now, timeZone, locale);
 
     return {
       needsNap,
@@ -216,15 +247,24 @@ class NapCalculator {
       sleepScore: sleepScore,
       sleepCategory: sleepCategory,
       napPriority: napPriority,
-      quality: this.getSleepQuality(sleepScore),
+      quality: this.getSleepQuality(sleepScore, locale),
       isNapTime,
       isSleepTime,
+      timeWindow,
       currentTime,
-      lastUpdated: new Date().toISOString(),
+      timeZone,
+      locale,
+      schedule: timeInfo.schedule,
+      lastUpdated: now.toISOString(),
       message,
       shouldNap: needsNap,
       recommendation: configRecommendation,
       hasNappedToday,
+      isStaleData: isStaleData && shouldHaveTodaysData,
+      daysBehind,
+      possiblySick,
+      sleepDebt,
+      recovery,
       details: {
         totalSleepDurationSeconds: sleepSeconds,
         efficiency: sleepRecord?.efficiency,
@@ -241,6 +281,22 @@ class NapCalculator {
     };
   }
 
+  /**
+   * Check whether a sleep record is a nap
+   * A nap is any non-long_sleep session (late_nap included) that starts
+   * between 11am and 10pm in the sleeper's timezone
+   * @param {Object} record - Oura sleep record
+   * @param {string} timeZone - Sleeper's IANA timezone
+   * @returns {boolean} True if the record counts as a nap
+   */
+  static isNap(record, timeZone) {
+    if (!record?.bedtime_start || record.type === "long_sleep") return false;
+
+    // Convert bedtime_start to the sleeper's timezone to get the correct hour
+    const startHour = getLocalHour(new Date(record.bedtime_start), timeZone);
+    return startHour >= 11 && startHour < 22;
+  }
+
   /**
    * Convert seconds to hours with decimal precision
    * @param {number} seconds - Sleep duration in seconds
@@ -252,135 +308,356 @@ class NapCalculator {
     return hours.toFixed(precision);
   }
 
+  /**
+   * Calculate rolling sleep debt over the configured window
+   * Every night's shortfall against the sleep need adds to the debt, longer
+   * nights pay it back, and nights without data are left out
+   * @param {Object} sleepData - Sleep data covering the window (from getSleepRange)
+   * @param {Object} options - Options
+   * @param {string} options.today - Local date (YYYY-MM-DD) the window ends on
+   * @param {string} options.timeZone - IANA timezone used when today is not given
+   * @param {Date|string|number} options.now - Instant used when today is not given (default: current time)
+   * @param {number} options.windowDays - Nights in the window (default: SLEEP_DEBT_DAYS or 7)
+   * @param {number} options.sleepNeedHours - Target sleep per night (default: SLEEP_NEED_HOURS or 8)
+   * @returns {Object} Sleep debt summary
+   */
+  static calculateSleepDebt(sleepData, options = {}) {
+    const { windowDays, sleepNeedHours } = resolveSleepDebtConfig(options);
+    const today =
+      options.today ||
+      getZonedParts(
+        resolveNow(options.now),
+        resolveTimezone(options.timeZone),
+      ).dateString;
+
+    // Total sleep per Oura day, naps included since they pay back debt too
+    const secondsByDay = {};
+    for (const record of sleepData?.data || []) {
+      if (!record.day || !record.total_sleep_duration) continue;
+      secondsByDay[record.day] =
+        (secondsByDay[record.day] || 0) + record.total_sleep_duration;
+    }
+
+    const nights = [];
+    for (let offset = windowDays - 1; offset >= 0; offset--) {
+      const date = addDays(today, -offset);
+      const seconds = secondsByDay[date];
+      nights.push({
+        date,
+        sleepHours: seconds === undefined ? null : seconds / 3600,
+      });
+    }
+
+    const tracked = nights.filter((night) => night.sleepHours !== null);
+    const balance = tracked.reduce(
+      (sum, night) => sum + (sleepNeedHours - night.sleepHours),
+      0,
+    );
+    const debtHours = Math.max(0, balance);
+
+    // Streak of short nights ending with the most recent tracked night
+    let consecutiveShortNights = 0;
+    for (let i = tracked.length - 1; i >= 0; i--) {
+      if (tracked[i].sleepHours >= sleepNeedHours) break;
+      consecutiveShortNights++;
+    }
+
+    return {
+      hours: debtHours.toFixed(1),
+      level: getDebtLevel(debtHours),
+      windowDays,
+      sleepNeedHours,
+      nightsTracked: tracked.length,
+      shortNights: tracked.filter((night) => night.sleepHours < sleepNeedHours)
+        .length,
+      consecutiveShortNights,
+      nights: nights.map((night) => ({
+        date: night.date,
+        sleepHours:
+          night.sleepHours === null ? null : night.sleepHours.toFixed(1),
+      })),
+    };
+  }
+
+  /**
+   * Thresholds for the "possibly getting sick" signal
+   */
+  static RECOVERY_THRESHOLDS = {
+    temperatureDeviation: 0.5, // °C above the sleeper's normal
+    hrvDropPercent: 20, // HRV this far below baseline
+    restingHeartRateRise: 5, // bpm above baseline
+    lowContributor: 40, // readiness contributor score (1-100) considered poor
+    lowReadiness: 60, // overall readiness score considered poor
+    minBaselineNights: 3, // nights needed before trusting a personal baseline
+  };
+
+  /**
+   * Assess recovery from readiness, HRV, resting heart rate and temperature
+   * A raised temperature plus one other signal, or any three signals, means
+   * possibly getting sick. Sleep hours are deliberately not an input.
+   * @param {Object} sleepRecord - Main sleep record from Oura
+   * @param {Object} options - Options
+   * @param {Object} options.readiness - Daily readiness response or record (default: sleepRecord.readiness)
+   * @param {Object} options.history - Sleep data used to build HRV / resting HR baselines
+   * @param {string} options.locale - Locale for the signal details (default: NAP_LOCALE or en)
+   * @returns {Object} Recovery summary with signals and possiblySick flag
+   */
+  static assessRecovery(sleepRecord, options = {}) {
+    const t = (key, value) => translate(options.locale, `signals.${key}`, { value });
+    const thresholds = this.RECOVERY_THRESHOLDS;
+    const readiness =
+      this.pickReadiness(options.readiness, sleepRecord?.day) ||
+      sleepRecord?.readiness ||
+      {};
+    const contributors = readiness.contributors || {};
+    const signals = [];
+
+    // Baselines from earlier main sleeps (excluding this record)
+    const earlier = (options.history?.data || []).filter(
+      (record) =>
+        record.type === "long_sleep" &&
+        sleepRecord?.day &&
+        record.day < sleepRecord.day,
+    );
+    const average = (values) =>
+      values.length >= thresholds.minBaselineNights
+        ? values.reduce((sum, value) => sum + value, 0) / values.length
+        : null;
+    const hrvBaseline = average(
+      earlier.map((r) => r.average_hrv).filter(Number.isFinite),
+    );
+    const rhrBaseline = average(
+      earlier.map((r) => r.lowest_heart_rate).filter(Number.isFinite),
+    );
+
+    // Body temperature
+    const temperatureDeviation = Number.isFinite(readiness.temperature_deviation)
+      ? readiness.temperature_deviation
+      : null;
+    if (
+      temperatureDeviation !== null &&
+      temperatureDeviation >= thresholds.temperatureDeviation
+    ) {
+      signals.push({
+        type: "temperature",
+        detail: t("temperature", temperatureDeviation.toFixed(1)),
+      });
+    }
+
+    // Heart rate variability
+    const hrv = Number.isFinite(sleepRecord?.average_hrv)
+      ? sleepRecord.average_hrv
+      : null;
+    const hrvChangePercent =
+      hrv !== null && hrvBaseline
+        ? Math.round(((hrv - hrvBaseline) / hrvBaseline) * 100)
+        : null;
+    if (hrvChangePercent !== null) {
+      if (hrvChangePercent <= -thresholds.hrvDropPercent) {
+        signals.push({
+          type: "hrv",
+          detail: t("hrvDrop", Math.abs(hrvChangePercent)),
+        });
+      }
+    } else if (contributors.hrv_balance < thresholds.lowContributor) {
+      signals.push({ type: "hrv", detail: t("hrvLow") });
+    }
+
+    // Resting heart rate
+    const restingHeartRate = Number.isFinite(sleepRecord?.lowest_heart_rate)
+      ? sleepRecord.lowest_heart_rate
+      : null;
+    const restingHeartRateChange =
+      restingHeartRate !== null && rhrBaseline
+        ? Math.round(restingHeartRate - rhrBaseline)
+        : null;
+    if (restingHeartRateChange !== null) {
+      if (restingHeartRateChange >= thresholds.restingHeartRateRise) {
+        signals.push({
+          type: "resting-heart-rate",
+          detail: t("restingHeartRateRise", restingHeartRateChange),
+        });
+      }
+    } else if (contributors.resting_heart_rate < thresholds.lowContributor) {
+      signals.push({
+        type: "resting-heart-rate",
+        detail: t("restingHeartRateHigh"),
+      });
+    }
+
+    // Overall readiness
+    const readinessScore = Number.isFinite(readiness.score)
+      ? readiness.score
+      : null;
+    if (readinessScore !== null && readinessScore < thresholds.lowReadiness) {
+      signals.push({
+        type: "readiness",
+        detail: t("readiness", readinessScore),
+      });
+    }
+
+    const hasFever = signals.some((signal) => signal.type === "temperature");
+    const possiblySick =
+      (hasFever && signals.length >= 2) || signals.length >= 3;
+
+    return {
+      possiblySick,
+      signals,
+      readinessScore,
+      temperatureDeviation,
+      hrv: {
+        value: hrv,
+        baseline: hrvBaseline === null ? null : Math.round(hrvBaseline),
+        changePercent: hrvChangePercent,
+      },
+      restingHeartRate: {
+        value: restingHeartRate,
+        baseline: rhrBaseline === null ? null : Math.round(rhrBaseline),
+        change: restingHeartRateChange,
+      },
+      contributors,
+    };
+  }
+
+  /**
+   * Pick the readiness record for a day from a daily_readiness response
+   * @param {Object} readiness - Response ({ data: [...] }) or a single record
+   * @param {string} day - Oura day (YYYY-MM-DD)
+   * @returns {Object|null} Readiness record for that day, or null (another day's says nothing about this night)
+   */
+  static pickReadiness(readiness, day) {
+    if (!readiness) return null;
+    if (!Array.isArray(readiness.data)) return readiness;
+    return readiness.data.find((record) => record.day === day) || null;
+  }
+
+  /**
+   * Nap priority implied by accumulated sleep debt during nap time
+   * @param {string} sleepState - Last night's sleep state
+   * @param {string} debtLevel - Sleep debt level
+   * @returns {string} 'yes', 'maybe' or 'none'
+   */
+  static getDebtNapPriority(sleepState, debtLevel) {
+    if (debtLevel === "severe") return "yes";
+    if (debtLevel === "moderate") {
+      return sleepState === "struggling" ? "yes" : "maybe";
+    }
+    return "none";
+  }
+
+  /**
+   * Compare nap priorities
+   * @param {string} a - Nap priority
+   * @param {string} b - Nap priority
+   * @returns {boolean} True if a is more urgent than b
+   */
+  static isHigherPriority(a, b) {
+    const order = ["none", "maybe", "yes"];
+    return order.indexOf(a) > order.indexOf(b);
+  }
+
+  /**
+   * Format a number of minutes as hours and minutes (e.g. "2 hours 30 minutes")
+   * @param {number} minutes - Duration in minutes
+   * @param {string} locale - Supported locale (default: NAP_LOCALE or en)
+   * @returns {string} Human readable duration
+   */
+  static formatDuration(minutes, locale) {
+    const hours = Math.floor(minutes / 60);
+    const remainder = minutes % 60;
+    const parts = [];
+    if (hours > 0) {
+      parts.push(translate(locale, `duration.${hours === 1 ? "hour" : "hours"}`, { count: hours }));
+    }
+    if (remainder > 0 || hours === 0) {
+      parts.push(translate(locale, `duration.${remainder === 1 ? "minute" : "minutes"}`, { count: remainder }));
+    }
+    return parts.join(" ");
+  }
+
   /**
    * Get sleep quality assessment based on Oura score
    * @param {number} score - Oura sleep score (0-100)
+   * @param {string} locale - Supported locale (default: NAP_LOCALE or en)
    * @returns {string} Quality description
    */
-  static getSleepQuality(score) {
-    if (!score) return "Unknown";
-    if (score >= 85) return "Excellent";
-    if (score >= 70) return "Good";
-    if (score >= 55) return "Fair";
-    return "Poor";
+  static getSleepQuality(score, locale) {
+    return translate(locale, `quality.${this.getSleepQualityLevel(score)}`);
   }
 
   /**
-   * Configuration for messages based on time window and sleep state
+   * Get the untranslated sleep quality level for an Oura score
+   * @param {number} score - Sleep score
+   * @returns {string} 'excellent', 'good', 'fair', 'poor' or 'unknown'
    */
-  static MESSAGE_CONFIG = {
-    sleep: {
-      shambles: {
-        message: "I Sleep",
-        recommendation: "Emily SHOULD be asleep right now.",
-      },
-      struggling: {
-        message: "I Sleep",
-        recommendation: "Emily SHOULD be asleep right now.",
-      },
-      ok: {
-        message: "I Sleep",
-        recommendation: "Emily SHOULD be asleep right now.",
-      },
-      oversleep: {
-        message: "I Sleep",
-        recommendation: "Emily SHOULD be asleep right now.",
-      },
-      "no-data": {
-        message: "I Sleep",
-        recommendation: "Emily SHOULD be asleep right now.",
-      },
-    },
-    "pre-nap": {
-      shambles: {
-        message: "Not Nap Time",
-        recommendation:
-          "Emily is in shambles. She needs to survive until nap time at 2 PM.",
-      },
-      struggling: {
-        message: "Not Nap Time",
-        recommendation:
-          "Emily has bad sleep habits, and she is ashamed of them. But now is not the time for a nap. She should try to get more sleep tonight.",
-      },
-      ok: {
-        message: "Not Nap Time",
-        recommendation: "Emily got decent sleep. No nap needed yet.",
-      },
-      oversleep: {
-        message: "Not Nap Time",
-        recommendation: "Emily might be getting sick - she slept over 9 hours.",
-      },
-      "no-data": {
-        message: "Not Nap Time",
-        recommendation:
-          "The Oura API is responding, but no sleep data has been fetched yet. Emily's ring might still be syncing, or idk something dumb might have happened lmao",
-      },
-    },
-    nap: {
-      shambles: {
-        message: "NAP TIME",
-        recommendation:
-          "Emily is severely sleep deprived. She should take a nap RIGHT NOW. GO TO BED",
-      },
-      struggling: {
-        message: "Maybe Nap Time",
-        recommendation:
-          "Emily is probably struggling a little. She is probably considering a nap. Maybe you should, too.",
-      },
-      ok: {
-        message: "Not Nap Time",
-        recommendation:
-          "Emily doesn't NEED to nap. But it could be fun. You never know what might happen during a nap!",
-      },
-      oversleep: {
-        message: "NAP TIME",
-        recommendation:
-          "Emily slept more than 9 hours, which might indicate she's getting sick, because that is way too much sleep, yall are crazy",
-      },
-      "no-data": {
-        message: "Unknown",
-        recommendation:
-          "The Oura API is responding, but no sleep data has been fetched yet. Emily's ring might still be syncing, or idk something dumb might have happened lmao",
-      },
-    },
-    "post-nap": {
-      shambles: { message: "Not Nap Time", recommendation: "GO TO BED GIRL" },
-      struggling: {
-        message: "Not Nap Time",
-        recommendation:
-          "Emily really should have slept more last night. She is a bad, bad girl. But it's too late to nap. She must live with the consequences of her choices until it is time for bed.",
-      },
-      ok: {
-        message: "Not Nap Time",
-        recommendation: "Emily is OK. But it is not nap time.",
-      },
-      oversleep: {
-        message: "Not Nap Time",
-        recommendation:
-          "Emily might be getting sick - she slept over 9 hours. Who does that???",
-      },
-      "no-data": {
-        message: "Not Nap Time",
-        recommendation:
-          "The Oura API is responding, but no sleep data has been fetched yet. Emily's ring might still be syncing, or idk something dumb might have happened lmao",
-      },
-    },
-    napped: {
-      message: "Napping Has Occurred",
-      recommendation: "Emily has napped already. Another nap would be silly.",
-    },
-  };
+  static getSleepQualityLevel(score) {
+    if (!score) return "unknown";
+    if (score >= 85) return "excellent";
+    if (score >= 70) return "good";
+    if (score >= 55) return "fair";
+    return "poor";
+  }
+
+  /**
+   * Local hour after which last night's data should have synced from Oura
+   */
+  static OURA_SYNC_HOUR = 8;
 
   /**
-   * Determine time window based on hour
+   * Determine time window based on local clock time and schedule
    * @param {number} hour - Hour in 24-hour format
+   * @param {number} minute - Minute of the hour (default: 0)
+   * @param {Object} daySchedule - Day schedule in minutes since midnight (default: today's in NAP_TIMEZONE)
    * @returns {string} Time window: 'sleep', 'pre-nap', 'nap', or 'post-nap'
    */
-  static getTimeWindow(hour) {
-    if (hour >= 23 || hour < 7) return "sleep"; // 11 PM - 7 AM
-    if (hour >= 7 && hour < 14) return "pre-nap"; // 7 AM - 2 PM
-    if (hour >= 14 && hour < 17) return "nap"; // 2 PM - 5 PM
-    return "post-nap"; // 5 PM - 11 PM
+  static getTimeWindow(hour, minute = 0, daySchedule = null) {
+    const minutesOfDay = hour * 60 + minute;
+    const day = daySchedule || getScheduleAt(
+      resolveSchedule(),
+      getZonedParts(resolveNow(), resolveTimezone()).weekday,
+      minutesOfDay,
+    );
+    return getWindowAt(minutesOfDay, day);
+  }
+
+  /**
+   * Messages for a calculation: a message pack plus per-sleeper overrides
+   * Overrides use the same shape and may replace any single message
+   * @param {Object} overrides - Partial message config (optional)
+   * @param {string} packName - Message pack (default: NAP_MESSAGE_PACK or snarky)
+   * @param {string} locale - Locale to use the pack's translation for (optional)
+   * @returns {Object} Complete message config
+   */
+  static resolveMessages(overrides, packName, locale) {
+    const pack = resolveMessagePack(packName, locale);
+    if (!overrides) return pack;
+
+    const merge = (base, override) => {
+      const merged = { ...base };
+      for (const [key, value] of Object.entries(override)) {
+        const isGroup = value && typeof value === "object" && base?.[key] && typeof base[key] === "object";
+        merged[key] = isGroup ? merge(base[key], value) : value;
+      }
+      return merged;
+    };
+    return merge(pack, overrides);
+  }
+
+  /**
+   * Fill {placeholders} in a message config
+   * @param {Object} messageConfig - { message, recommendation }
+   * @param {Object} variables - Values by placeholder name (see getMessageVariables)
+   * @returns {Object} Message config with placeholders replaced
+   */
+  static formatMessageConfig(messageConfig, variables) {
+    const fill = (text) =>
+      text.replace(/\{(\w+)\}/g, (match, key) =>
+        variables[key] !== undefined ? variables[key] : match,
+      );
+    return {
+      message: fill(messageConfig.message),
+      recommendation: fill(messageConfig.recommendation),
+    };
   }
 
   /**
@@ -410,96 +687,144 @@ class NapCalculator {
   }
 
   /**
-   * Get current Mountain Time information
+   * Build the placeholder values available to messages
+   * @param {Object} timeInfo - Result of getMountainTimeInfo
+   * @param {Object} sleepDebt - Result of calculateSleepDebt
+   * @param {Object} recovery - Result of assessRecovery (optional)
+   * @param {Object} extra - { name, sleepHours, daysBehind } for the current sleeper (optional)
+   * @returns {Object} Values for every variable a message pack may use (see config/message-packs)
+   */
+  static getMessageVariables(timeInfo, sleepDebt, recovery = null, extra = {}) {
+    return {
+      ...timeInfo.schedule,
+      name: extra.name,
+      sleepHours: (extra.sleepHours || 0).toFixed(1),
+      minutesUntilNap: Math.max(0, timeInfo.minutesUntilNap),
+      daysBehind: extra.daysBehind || 0,
+      debtHours: sleepDebt.hours,
+      debtDays: sleepDebt.windowDays,
+      sickSignals: (recovery?.signals || [])
+        .map((signal) => signal.detail)
+        .join(", "),
+    };
+  }
+
+  /**
+   * Get current local time information for the sleeper (Mountain Time by default)
+   * @param {Object} options - Options
+   * @param {string} options.timeZone - IANA timezone (default: NAP_TIMEZONE or America/Denver)
+   * @param {Object} options.schedule - Window schedule config (default: NAP_SCHEDULE or built-in)
+   * @param {Date|string|number} options.now - Instant to describe (default: current time)
+   * @param {string} options.locale - Locale for the formatted times (default: NAP_LOCALE or en)
    * @returns {Object} Time information object
    */
-  static getMountainTimeInfo() {
-    const now = new Date();
-    const hour = parseInt(
-      now.toLocaleString("en-US", {
-        timeZone: "America/Denver",
-        hour: "2-digit",
-        hour12: false,
-      }),
-      10
-    );
-    const minute = parseInt(
-      now.toLocaleString("en-US", {
-        timeZone: "America/Denver",
-        minute: "2-digit",
-      }),
-      10
-    );
+  static getMountainTimeInfo(options = {}) {
+    const timeZone = resolveTimezone(options.timeZone);
+    const schedule = resolveSchedule(options.schedule);
+    const now = resolveNow(options.now);
+    const locale = options.locale || getDefaultLocale();
+    const { hour, minute, weekday } = getZonedParts(now, timeZone);
+    const daySchedule = getScheduleAt(schedule, weekday, hour * 60 + minute);
+    const timeWindow = this.getTimeWindow(hour, minute, daySchedule);
 
     return {
       hour: hour,
       minute: minute,
-      formatted: now.toLocaleString("en-US", {
-        timeZone: "America/Denver",
-        timeStyle: "short",
-      }),
-      fullFormatted: now.toLocaleString("en-US", {
-        timeZone: "America/Denver",
-      }),
-      isNapTime: this.getTimeWindow(hour) === "nap",
+      timeZone: timeZone,
+      formatted: formatLocalTime(now, timeZone, locale),
+      fullFormatted: now.toLocaleString(locale, { timeZone }),
+      timeWindow: timeWindow,
+      isNapTime: timeWindow === "nap",
+      minutesUntilNap: daySchedule.napStart - (hour * 60 + minute),
+      schedule: {
+        wake: formatClockTime(daySchedule.wake, locale),
+        napStart: formatClockTime(daySchedule.napStart, locale),
+        napEnd: formatClockTime(daySchedule.napEnd, locale),
+        bedtime: formatClockTime(daySchedule.bedtime, locale),
+      },
     };
   }
 
   /**
-   * Check if it's currently nap time (2-5 PM Mountain Time)
+   * Check if it's currently nap time (per the configured schedule)
+   * @param {Object} options - Options passed to getMountainTimeInfo
    * @returns {boolean} Whether it's nap time
    */
-  static isCurrentlyNapTime() {
-    const timeInfo = this.getMountainTimeInfo();
+  static isCurrentlyNapTime(options = {}) {
+    const timeInfo = this.getMountainTimeInfo(options);
     return timeInfo.isNapTime;
   }
 
   /**
    * Calculate detailed nap recommendations
    * @param {Object} sleepData - Sleep data from Oura API
+   * @param {Object} options - Calculation options (see calculateNapStatus)
    * @returns {Object} Detailed recommendations
    */
-  static getDetailedRecommendations(sleepData) {
-    const status = this.calculateNapStatus(sleepData);
-    const timeInfo = this.getMountainTimeInfo();
+  static getDetailedRecommendations(sleepData, options = {}) {
+    // Pin one instant so the status and time info can't disagree
+    const asOf = { ...options, now: resolveNow(options.now) };
+    const status = this.calculateNapStatus(sleepData, asOf);
+    const timeInfo = this.getMountainTimeInfo(asOf);
+    const { locale } = status;
+    const t = (key, variables) => translate(locale, `recommendations.${key}`, variables);
 
     let recommendations = [];
 
+    if (status.possiblySick) {
+      const details = status.recovery.signals
+        .map((signal) => signal.detail)
+        .join(", ");
+      recommendations.push(t("sick", { signals: details }));
+      recommendations.push(t("sickRest"));
+    }
+
     if (status.needsNap) {
-      recommendations.push("Take a 20-30 minute nap now");
-      recommendations.push("Find a quiet, dark place to rest");
-      recommendations.push("Set an alarm to avoid oversleeping");
+      recommendations.push(t("napNow"));
+      recommendations.push(t("napQuietPlace"));
+      recommendations.push(t("napAlarm"));
     } else if (
       status.sleepCategory === "severely-deprived" &&
       !status.needsNap
     ) {
       // This shouldn't happen with new logic, but keeping for safety
-      recommendations.push("Take a nap immediately - severe sleep deprivation");
+      recommendations.push(t("napImmediately"));
     } else if (status.sleepCategory === "oversleep") {
-      recommendations.push("Take a nap - you might be getting sick");
-      recommendations.push(
-        "Monitor how you feel and consider seeing a doctor if oversleeping continues",
-      );
+      recommendations.push(t("oversleepNap"));
+      recommendations.push(t("oversleepMonitor"));
     } else if (status.sleepCategory === "struggling" && !status.isNapTime) {
-      const hoursUntilNapTime = 14 - timeInfo.hour;
-      if (hoursUntilNapTime > 0 && hoursUntilNapTime < 12) {
+      const { napStart, napEnd } = timeInfo.schedule;
+      if (timeInfo.minutesUntilNap > 0 && timeInfo.minutesUntilNap < 12 * 60) {
         recommendations.push(
-          `Wait ${hoursUntilNapTime} hours until nap time (2 PM)`,
+          t("waitForNap", {
+            duration: this.formatDuration(timeInfo.minutesUntilNap, locale),
+            napStart,
+          }),
         );
       } else {
-        recommendations.push("Nap time is 2:00-5:00 PM Mountain Time");
+        recommendations.push(t("napWindow", { napStart, napEnd }));
       }
-      recommendations.push("Consider going to bed earlier tonight");
+      recommendations.push(t("bedEarlier"));
     } else if (status.sleepCategory === "good") {
-      recommendations.push("You got good sleep last night");
-      recommendations.push("Stay active and maintain your energy");
+      recommendations.push(t("goodSleep"));
+      recommendations.push(t("stayActive"));
+    }
+
+    if (["moderate", "severe"].includes(status.sleepDebt?.level)) {
+      recommendations.push(
+        t("sleepDebt", {
+          hours: status.sleepDebt.hours,
+          days: status.sleepDebt.windowDays,
+        }),
+      );
+      recommendations.push(t("payBackDebt"));
     }
 
     return {
       ...status,
       recommendations,
       timeInfo,
-      sleepQuality: this.getSleepQuality(status.sleepScore),
+      sleepQuality: this.getSleepQuality(status.sleepScore, locale),
     };
   }
 }
@@ -0,0 +1,215 @@
+/**
+ * Nap Status Service
+ * Computes a person's live or point-in-time nap status from their sleep
+ * provider's data (Oura unless configured otherwise)
+ *
+ * Shared by the API routes, the status stream and the webhook watcher, so
+ * they all see the same cached status for a person and wording.
+ */
+
+const sleepHistory = require('./sleep-history');
+const { getPersonProvider } = require('./providers');
+const napCalculator = require('./nap-calculator');
+const cache = require('./cache');
+const metrics = require('./metrics');
+const { logger } = require('../utils/logger');
+const { getLocalDateString, addDays } = require('../utils/timezone');
+const { getDefaultLocale } = require('../utils/i18n');
+
+class NapStatusService {
+  /**
+   * Per-person settings for the nap calculator and replay
+   * @param {Object} person - Normalized person
+   * @param {Object} wording - { pack, locale } from the request (optional)
+   * @returns {Object} { name, timeZone, schedule, sleepDebt, locale, messagePack, messages }
+   */
+  calculationOptions(person, wording = {}) {
+    const options = {
+      name: person.name,
+      timeZone: person.timeZone,
+      schedule: person.schedule,
+      sleepDebt: person.sleepDebt
+    };
+    if (wording.locale) options.locale = wording.locale;
+    if (wording.pack || person.messagePack) options.messagePack = wording.pack || person.messagePack;
+    if (person.messages) options.messages = person.messages;
+    return options;
+  }
+
+  /**
+   * Sleep history options for a person
+   * @param {Object} person - Normalized person
+   * @param {Object} extra - More options to pass (e.g. { now })
+   * @returns {Object} { timeZone, personKey, provider, ...extra }
+   */
+  historyOptions(person, extra = {}) {
+    return { timeZone: person.timeZone, personKey: person.storageKey, provider: person.provider, ...extra };
+  }
+
+  /**
+   * Cache and stream channel key of a person's nap status
+   * Each pack and language words the status differently, so each gets its own key
+   * @param {Object} person - Normalized person
+   * @param {Object} wording - { pack, locale } from the request
+   * @returns {string} Key, e.g. "emily_nap_status" or "alex_nap_status:gentle:es"
+   */
+  getStatusKey(person, wording = {}) {
+    return [
+      `${person.id}_nap_status`,
+      wording.pack,
+      wording.locale && wording.locale !== getDefaultLocale() ? wording.locale : null
+    ].filter(Boolean).join(':');
+  }
+
+  /**
+   * Get a person's cached nap status, without calling their provider
+   * @param {Object} person - Normalized person
+   * @param {Object} wording - { pack, locale } from the request
+   * @returns {Object|null} Nap status, or null if none is cached
+   */
+  getCachedNapStatus(person, wording = {}) {
+    return cache.get(this.getStatusKey(person, wording)) || null;
+  }
+
+  /**
+   * Get a person's nap status, from the 2 minute cache when possible
+   * @param {Object} person - Normalized person
+   * @param {string} accessToken - Sleep provider token for the person
+   * @param {Object} asOf - { now, isExplicit } (explicitly requested instants are never cached)
+   * @param {Object} options - { forceRefresh } to skip the cache read, { wording }: { pack, locale }
+   * @returns {Promise<Object>} Nap status with debug data
+   */
+  async getNapStatus(person, accessToken, asOf, { forceRefresh = false, wording = {} } = {}) {
+    const timestamp = new Date().toISOString();
+    const { timeZone } = person;
+    const { now } = asOf;
+
+    const cacheKey = this.getStatusKey(person, wording);
+
+    // Check cache first (2 minute cache, unless force refresh)
+    if (!forceRefresh) {
+      const cachedStatus = cache.get(cacheKey);
+      if (cachedStatus) {
+        logger.debug('Returning cached nap status', { person: person.id, lastUpdated: cachedStatus.lastUpdated });
+        return {
+          ...cachedStatus,
+          cached: true,
+          cacheTime: cachedStatus.lastUpdated
+        };
+      }
+    }
+
+    // Get sleep data from the person's provider
+    logger.debug('Fetching fresh nap status data', { person: person.id, provider: person.provider });
+    const [sleepData, history, readiness] = await Promise.all([
+      sleepHistory.getYesterdaySleep(accessToken, this.historyOptions(person, { now })),
+      this.fetchSleepHistory(accessToken, person, now),
+      this.fetchReadiness(accessToken, person, now)
+    ]);
+    logger.debug('Received sleep records', { person: person.id, records: sleepData?.data?.length || 0 });
+
+    // Calculate nap status
+    const status = napCalculator.calculateNapStatus(sleepData, {
+      ...this.calculationOptions(person, wording),
+      history,
+      readiness,
+      now
+    });
+    logger.info('Calculated nap status', { person: person.id, message: status.message, napPriority: status.napPriority });
+
+    // Add raw API data for debugging
+    const today = getLocalDateString(now, timeZone);
+    status.debugData = {
+      apiResponse: sleepData,
+      fetchTimestamp: timestamp,
+      dateRange: {
+        requested: `${today} (today, ${timeZone})`,
+        apiParams: {
+          start_date: addDays(today, -1),
+          end_date: addDays(today, 1)
+        }
+      },
+      recordsFound: sleepData?.data?.length || 0,
+      selectedRecord: sleepData?.data?.find(r => r.day === today && r.type === 'long_sleep') || 
+                     sleepData?.data?.find(r => r.type === 'long_sleep') ||
+                     sleepData?.data?.[0]
+    };
+
+    // Cache the result for 2 minutes (reduced from 5)
+    if (!asOf.isExplicit) {
+      metrics.recordNapStatus(person.id, status);
+      cache.set(cacheKey, status, 120);
+    }
+
+    return status;
+  }
+
+  /**
+   * Get a person's status right now with their stored or static provider token
+   * @param {Object} person - Normalized person
+   * @param {Object} options - { forceRefresh, wording }, as for getNapStatus
+   * @returns {Promise<Object>} Nap status with debug data
+   * @throws {Error} With status 500 if the person has no credentials for their provider
+   */
+  async getLiveNapStatus(person, options = {}) {
+    const provider = getPersonProvider(person);
+    const accessToken = await provider.getAccessToken(person);
+    if (!accessToken) {
+      throw Object.assign(new Error(`No ${provider.name} credentials for ${person.id}`), { status: 500 });
+    }
+    return this.getNapStatus(person, accessToken, { now: new Date(), isExplicit: false }, options);
+  }
+
+  /**
+   * Fetch sleep records for the sleep debt window (cached for 30 minutes)
+   * Debt is a nice-to-have, so failures are logged and reported as null
+   * @param {string} accessToken - Sleep provider token
+   * @param {Object} person - Normalized person (timezone, debt window, storage key)
+   * @param {Date} now - Instant the window ends at
+   * @returns {Promise<Object|null>} Sleep data for the window, or null
+   */
+  async fetchSleepHistory(accessToken, person, now) {
+    try {
+      const { timeZone } = person;
+      const { windowDays } = person.sleepDebt;
+      const today = getLocalDateString(now, timeZone);
+      const startDate = addDays(today, -(windowDays - 1));
+
+      const history = await cache.cached(
+        `${person.id}_sleep_history:${startDate}:${today}`,
+        () => sleepHistory.getSleepRange(accessToken, startDate, today, this.historyOptions(person)),
+        1800
+      );
+      return history || null;
+    } catch (error) {
+      logger.warn('Sleep history fetch failed, skipping sleep debt', { person: person.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Fetch today's daily readiness (cached for 30 minutes)
+   * Readiness only sharpens the "possibly sick" signal, so failures are reported as null
+   * @param {string} accessToken - Sleep provider token
+   * @param {Object} person - Normalized person
+   * @param {Date} now - Instant whose local day to fetch
+   * @returns {Promise<Object|null>} Daily readiness response, or null (also for providers without readiness)
+   */
+  async fetchReadiness(accessToken, person, now) {
+    try {
+      const today = getLocalDateString(now, person.timeZone);
+      const readiness = await cache.cached(
+        `${person.id}_readiness:${today}`,
+        () => getPersonProvider(person).getReadiness(accessToken, today, { timeZone: person.timeZone }),
+        1800
+      );
+      return readiness || null;
+    } catch (error) {
+      logger.warn('Readiness fetch failed, using sleep record readiness', { person: person.id, error: error.message });
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new NapStatusService();
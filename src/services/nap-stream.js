@@ -0,0 +1,235 @@
+/**
+ * Nap Stream Service
+ * Pushes nap status changes to Server-Sent Events subscribers and in-process watchers
+ *
+ * Subscribers asking for the same person, pack and language share a channel.
+ * A channel recomputes the status at the next point where it can change on
+ * its own (window boundaries, midnight, the Oura sync hour) and every refresh
+ * interval in between to pick up new Oura data and naps. An event is only
+ * sent when the status visibly changed; heartbeats keep idle connections
+ * open through proxies and let clients notice a dead stream.
+ */
+
+const NapReplay = require('./replay');
+const { getLocalDateString, addDays } = require('../utils/timezone');
+const { resolveStreamConfig, DEFAULT_REFRESH_SECONDS } = require('../config/stream');
+const { logger } = require('../utils/logger');
+
+// How long EventSource clients wait before reconnecting
+const RETRY_MS = 5000;
+
+// Land just after a window boundary rather than on it
+const BOUNDARY_DELAY_MS = 1000;
+
+// Fields that make a status visibly different (timestamps and debug data don't count)
+const CHANGE_FIELDS = [
+  'message',
+  'recommendation',
+  'needsNap',
+  'napPriority',
+  'timeWindow',
+  'hasNappedToday',
+  'possiblySick',
+  'isStaleData',
+  'sleepHours',
+  'sleepCategory',
+  'locale'
+];
+
+class NapStreamService {
+  constructor() {
+    // Open channels by key, each with its listeners, last status and timers
+    this.channels = new Map();
+  }
+
+  /**
+   * Subscribe an event-stream response to a channel
+   * The subscriber gets the channel's current status right away, or with
+   * everyone else once the first computation finishes
+   * @param {string} key - Channel key (person, pack and language)
+   * @param {Object} res - Response with the event-stream headers already sent
+   * @param {Object} source - How the channel computes its status
+   * @param {Function} source.compute - ({ forceRefresh }) => Promise resolving to a nap status
+   * @param {string} source.timeZone - IANA timezone of the person
+   * @param {Object} source.schedule - Normalized schedule of the person
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(key, res, source) {
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const listener = (event, data, id) => this.send(res, event, data, id);
+    listener.response = res;
+    return this.watch(key, listener, source);
+  }
+
+  /**
+   * Watch a channel in-process
+   * The listener is called with (event, data, id) for every "nap-status",
+   * "nap-error" and "heartbeat" event, starting with the current status
+   * @param {string} key - Channel key (person, pack and language)
+   * @param {Function} listener - (event, data, id) => void
+   * @param {Object} source - How the channel computes its status (see subscribe)
+   * @returns {Function} Stop watching
+   */
+  watch(key, listener, source) {
+    let channel = this.channels.get(key);
+    if (!channel) {
+      channel = this.openChannel(key, source);
+    } else if (channel.status) {
+      listener('nap-status', channel.status, channel.eventId);
+    }
+    channel.listeners.add(listener);
+
+    return () => this.unwatch(key, listener);
+  }
+
+  /**
+   * Remove a listener, closing its channel when it was the last one
+   * @param {string} key - Channel key
+   * @param {Function} listener - Listener passed to watch (or created by subscribe)
+   */
+  unwatch(key, listener) {
+    const channel = this.channels.get(key);
+    if (!channel) return;
+
+    channel.listeners.delete(listener);
+    if (channel.listeners.size === 0) this.closeChannel(channel);
+  }
+
+  /**
+   * Find the next instant where a person's status can change without new data
+   * @param {Date} now - Current instant
+   * @param {Object} options - { timeZone, schedule }
+   * @returns {Date} Next window boundary, local midnight or Oura sync hour
+   */
+  getNextCheckpoint(now, { timeZone, schedule }) {
+    const today = getLocalDateString(now, timeZone);
+    return [today, addDays(today, 1)]
+      .flatMap(date => NapReplay.getCheckpoints(null, { date, timeZone, schedule }))
+      .find(checkpoint => checkpoint.at > now)
+      .at;
+  }
+
+  /**
+   * Describe the open channels
+   * @returns {Object} { channels, subscribers } (subscribers counts event streams only)
+   */
+  getStats() {
+    const listeners = [...this.channels.values()].flatMap(channel => [...channel.listeners]);
+    return {
+      channels: this.channels.size,
+      subscribers: listeners.filter(listener => listener.response).length
+    };
+  }
+
+  /**
+   * End every stream and close all channels
+   */
+  reset() {
+    for (const channel of [...this.channels.values()]) {
+      for (const listener of channel.listeners) listener.response?.end();
+      this.closeChannel(channel);
+    }
+  }
+
+  // Helper methods
+
+  openChannel(key, source) {
+    const { heartbeatSeconds } = resolveStreamConfig();
+    const channel = {
+      key,
+      compute: source.compute,
+      timeZone: source.timeZone,
+      schedule: source.schedule,
+      listeners: new Set(),
+      status: null,
+      signature: null,
+      eventId: 0,
+      timer: null,
+      closed: false
+    };
+
+    channel.heartbeat = setInterval(() => {
+      this.broadcast(channel, 'heartbeat', { at: new Date().toISOString() });
+    }, heartbeatSeconds * 1000);
+    channel.heartbeat.unref();
+
+    this.channels.set(key, channel);
+    this.refresh(channel);
+    return channel;
+  }
+
+  closeChannel(channel) {
+    channel.closed = true;
+    clearInterval(channel.heartbeat);
+    clearTimeout(channel.timer);
+    this.channels.delete(channel.key);
+  }
+
+  async refresh(channel, { forceRefresh = false } = {}) {
+    try {
+      const status = await channel.compute({ forceRefresh });
+      if (channel.closed) return;
+
+      const signature = JSON.stringify(CHANGE_FIELDS.map(field => status[field] ?? null));
+      if (signature !== channel.signature) {
+        channel.signature = signature;
+        channel.status = status;
+        channel.eventId += 1;
+        this.broadcast(channel, 'nap-status', status, channel.eventId);
+      }
+    } catch (error) {
+      if (channel.closed) return;
+      logger.error('Nap stream refresh failed', { channel: channel.key, error: error.message });
+      this.broadcast(channel, 'nap-error', {
+        error: 'Failed to fetch nap status',
+        status: error.status || null
+      });
+    }
+
+    this.scheduleRefresh(channel);
+  }
+
+  scheduleRefresh(channel) {
+    let refreshSeconds = DEFAULT_REFRESH_SECONDS;
+    let atCheckpoint = false;
+    let delay;
+    try {
+      ({ refreshSeconds } = resolveStreamConfig());
+      const now = new Date();
+      const untilCheckpoint = this.getNextCheckpoint(now, channel).getTime() - now.getTime();
+
+      // A boundary within the interval: recompute right after it, bypassing the
+      // cache since a cached status still shows the old window
+      atCheckpoint = untilCheckpoint <= refreshSeconds * 1000;
+      delay = atCheckpoint ? untilCheckpoint + BOUNDARY_DELAY_MS : refreshSeconds * 1000;
+    } catch (error) {
+      // Keep the channel alive on the plain interval rather than let it go quiet
+      logger.error('Nap stream scheduling failed', { channel: channel.key, error: error.message });
+      atCheckpoint = false;
+      delay = refreshSeconds * 1000;
+    }
+
+    channel.timer = setTimeout(() => this.refresh(channel, { forceRefresh: atCheckpoint }), delay);
+    channel.timer.unref();
+  }
+
+  broadcast(channel, event, data, id) {
+    for (const listener of channel.listeners) {
+      try {
+        listener(event, data, id);
+      } catch (error) {
+        logger.error('Nap stream listener failed', { channel: channel.key, error: error.message });
+      }
+    }
+  }
+
+  send(res, event, data, id) {
+    const lines = id === undefined ? [] : [`id: ${id}`];
+    lines.push(`event: ${event}`, `data: ${JSON.stringify(data)}`);
+    res.write(`${lines.join('\n')}\n\n`);
+  }
+}
+
+// Export singleton instance
+module.exports = new NapStreamService();
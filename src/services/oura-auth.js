@@ -0,0 +1,306 @@
+/**
+ * Oura Auth Service
+ * OAuth2 authorization-code flow and refresh-token rotation for the Oura API
+ *
+ * When OAuth is set up, the tokens from /auth/login are stored encrypted and
+ * refreshed automatically. Otherwise the static OURA_API_TOKEN is used.
+ *
+ * Every method takes an optional person (see config/people) and defaults to
+ * the default person, whose tokens live where they did before multi-person
+ * support.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const tokenStore = require('./token-store');
+const {
+  OURA_AUTHORIZE_URL,
+  OURA_TOKEN_URL,
+  resolveOAuthConfig
+} = require('../config/oura-oauth');
+const { getDefaultPerson } = require('../config/people');
+const { sign, safeEqual } = require('../utils/crypto');
+
+// How long a login attempt has to come back through /auth/callback
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Refresh this long before the access token actually expires
+const EXPIRY_SKEW_MS = 60 * 1000;
+
+class OuraAuthService {
+  constructor() {
+    // In-flight refreshes by storage key, shared so concurrent 401s only rotate a token once
+    this.refreshing = new Map();
+    // Storage key each handed-out OAuth access token belongs to, for 401 recovery
+    this.tokenOwners = new Map();
+  }
+
+  /**
+   * Whether the OAuth flow is configured
+   * @returns {boolean} True if client credentials and SESSION_SECRET are set
+   */
+  isConfigured() {
+    return resolveOAuthConfig() !== null;
+  }
+
+  /**
+   * Create a signed, expiring OAuth state value
+   * The nonce is also set as a cookie so the callback can check it came
+   * from the same browser that started the login
+   * @param {Object} person - Person the login is for (default: the default person)
+   * @returns {Object} { state, nonce }
+   */
+  createState(person = getDefaultPerson()) {
+    const { sessionSecret } = this.requireConfig();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const payload = `${nonce}.${person.id}.${Date.now() + STATE_TTL_MS}`;
+    return { state: `${payload}.${sign(payload, sessionSecret)}`, nonce };
+  }
+
+  /**
+   * Check an OAuth state value returned to the callback
+   * @param {string} state - State from the callback query
+   * @param {string} nonce - Nonce from the login cookie
+   * @returns {string|null} Id of the person the login is for, or null if the state is forged, expired or doesn't match the nonce
+   */
+  verifyState(state, nonce) {
+    const { sessionSecret } = this.requireConfig();
+    const [stateNonce, personId, expires, signature] = String(state || '').split('.');
+    if (!stateNonce || !personId || !expires || !signature || !nonce) return null;
+
+    const valid = safeEqual(signature, sign(`${stateNonce}.${personId}.${expires}`, sessionSecret)) &&
+      safeEqual(stateNonce, nonce) &&
+      Number(expires) > Date.now();
+    return valid ? personId : null;
+  }
+
+  /**
+   * Build the Oura authorization URL to send the user to
+   * @param {string} state - Value from createState()
+   * @returns {string} Authorization URL
+   */
+  getAuthorizationUrl(state) {
+    const { clientId, redirectUri, scopes } = this.requireConfig();
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: scopes,
+      state
+    });
+    return `${OURA_AUTHORIZE_URL}?${params}`;
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   * @param {string} code - Code from the callback query
+   * @returns {Promise<Object>} { accessToken, refreshToken, expiresAt, scope }
+   */
+  async exchangeCode(code) {
+    const { clientId, clientSecret, redirectUri } = this.requireConfig();
+    return this.requestTokens({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      client_secret: clientSecret
+    });
+  }
+
+  /**
+   * Store tokens for an Oura account
+   * Only one account can be connected per person; connecting a different one
+   * requires disconnecting first, so a stranger can't swap in their own ring
+   * @param {Object} tokens - Tokens from exchangeCode()
+   * @param {string} userId - Oura user id the tokens belong to
+   * @param {Object} person - Person to connect (default: the default person)
+   * @throws {Error} With status 403 if a different account is already connected
+   */
+  connect(tokens, userId, person = getDefaultPerson()) {
+    const { sessionSecret } = this.requireConfig();
+    const existing = tokenStore.load(sessionSecret, person.storageKey);
+    if (existing?.userId && existing.userId !== userId) {
+      const error = new Error('A different Oura account is already connected');
+      error.status = 403;
+      throw error;
+    }
+
+    tokenStore.save({ ...tokens, userId, connectedAt: new Date().toISOString() }, sessionSecret, person.storageKey);
+  }
+
+  /**
+   * Remove the stored tokens
+   * @param {Object} person - Person to disconnect (default: the default person)
+   */
+  disconnect(person = getDefaultPerson()) {
+    tokenStore.clear(person.storageKey);
+  }
+
+  /**
+   * Get an access token for Oura API calls
+   * Uses the stored OAuth token (refreshing it if it's about to expire),
+   * falling back to the person's tokenEnv variable and, for the default
+   * person, the static OURA_API_TOKEN
+   * @param {Object} person - Person whose ring to read (default: the default person)
+   * @returns {Promise<string|null>} Access token, or null if none is configured
+   */
+  async getAccessToken(person = getDefaultPerson()) {
+    const config = resolveOAuthConfig();
+    const tokens = config && tokenStore.load(config.sessionSecret, person.storageKey);
+
+    if (tokens) {
+      const accessToken = Date.parse(tokens.expiresAt) - EXPIRY_SKEW_MS > Date.now()
+        ? tokens.accessToken
+        : (await this.refresh(person.storageKey)).accessToken;
+      this.tokenOwners.set(accessToken, person.storageKey);
+      return accessToken;
+    }
+
+    return this.getStaticToken(person);
+  }
+
+  /**
+   * Recover from a 401 returned for an access token
+   * @param {string} failedToken - Access token Oura rejected
+   * @returns {Promise<string|null>} A new access token to retry with, or null if the token can't be refreshed
+   */
+  async handleUnauthorized(failedToken) {
+    // Static tokens are never recorded and can't be refreshed; guessing an
+    // owner would retry with someone else's token
+    if (!this.tokenOwners.has(failedToken)) return null;
+
+    const personKey = this.tokenOwners.get(failedToken);
+    const config = resolveOAuthConfig();
+    const tokens = config && tokenStore.load(config.sessionSecret, personKey);
+    if (!tokens?.refreshToken) return null;
+
+    // Another request already rotated it
+    if (tokens.accessToken !== failedToken) return tokens.accessToken;
+
+    const { accessToken } = await this.refresh(personKey);
+    this.tokenOwners.set(accessToken, personKey);
+    return accessToken;
+  }
+
+  /**
+   * Rotate the stored tokens with the refresh token
+   * Oura refresh tokens are single use, so the new one is saved right away
+   * @param {string} personKey - Person storage key (default: '' for the default person)
+   * @returns {Promise<Object>} The new stored tokens
+   * @throws {Error} With status 401 if there is nothing to refresh or Oura rejects it
+   */
+  async refresh(personKey = '') {
+    if (!this.refreshing.has(personKey)) {
+      this.refreshing.set(personKey, this.rotateTokens(personKey).finally(() => {
+        this.refreshing.delete(personKey);
+      }));
+    }
+    return this.refreshing.get(personKey);
+  }
+
+  /**
+   * Describe the current auth setup
+   * @param {Object} person - Person to describe (default: the default person)
+   * @returns {Object} { configured, connected, source, expiresAt, scope, userId }
+   */
+  getStatus(person = getDefaultPerson()) {
+    const config = resolveOAuthConfig();
+    const tokens = config && tokenStore.load(config.sessionSecret, person.storageKey);
+
+    let source = 'none';
+    if (tokens) source = 'oauth';
+    else if (this.getStaticToken(person)) source = 'env';
+
+    return {
+      configured: config !== null,
+      connected: Boolean(tokens),
+      source,
+      expiresAt: tokens?.expiresAt || null,
+      scope: tokens?.scope || null,
+      userId: tokens?.userId || null
+    };
+  }
+
+  // Helper methods
+
+  requireConfig() {
+    const config = resolveOAuthConfig();
+    if (!config) {
+      throw new Error('Oura OAuth is not configured (set OURA_CLIENT_ID and OURA_CLIENT_SECRET)');
+    }
+    return config;
+  }
+
+  getStaticToken(person) {
+    if (person.tokenEnv && process.env[person.tokenEnv]) {
+      return process.env[person.tokenEnv];
+    }
+    // The shared token only ever belongs to the default person
+    return person.isDefault ? process.env.OURA_API_TOKEN || null : null;
+  }
+
+  async rotateTokens(personKey) {
+    const { clientId, clientSecret, sessionSecret } = this.requireConfig();
+    const current = tokenStore.load(sessionSecret, personKey);
+    if (!current?.refreshToken) {
+      const error = new Error('No Oura refresh token stored, connect at /auth/login');
+      error.status = 401;
+      throw error;
+    }
+
+    const refreshed = await this.requestTokens({
+      grant_type: 'refresh_token',
+      refresh_token: current.refreshToken,
+      client_id: clientId,
+      client_secret: clientSecret
+    });
+
+    const tokens = {
+      ...current,
+      ...refreshed,
+      refreshToken: refreshed.refreshToken || current.refreshToken,
+      refreshedAt: new Date().toISOString()
+    };
+    tokenStore.save(tokens, sessionSecret, personKey);
+    // Requests already sent with the token just rotated (later pages of a
+    // collection) still need to find their owner; older ones are dropped
+    for (const [token, owner] of this.tokenOwners) {
+      if (owner === personKey && token !== current.accessToken) this.tokenOwners.delete(token);
+    }
+    this.tokenOwners.set(tokens.accessToken, personKey);
+    return tokens;
+  }
+
+  async requestTokens(params) {
+    try {
+      const response = await axios.post(OURA_TOKEN_URL, new URLSearchParams(params).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+      const { access_token, refresh_token, expires_in, scope } = response.data;
+
+      return {
+        accessToken: access_token,
+        refreshToken: refresh_token,
+        expiresAt: new Date(Date.now() + (expires_in || 0) * 1000).toISOString(),
+        scope: scope || null
+      };
+    } catch (error) {
+      if (error.response) {
+        // invalid_grant and friends mean the user has to log in again
+        const rejected = [400, 401].includes(error.response.status);
+        const authError = new Error(
+          `Oura token request failed: ${error.response.status} ${error.response.data?.error || error.response.statusText}`
+        );
+        authError.status = rejected ? 401 : error.response.status;
+        throw authError;
+      } else if (error.request) {
+        throw new Error('Network error: No response from Oura token endpoint');
+      } else {
+        throw error;
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new OuraAuthService();
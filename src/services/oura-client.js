@@ -0,0 +1,201 @@
+/**
+ * Oura HTTP Client
+ * The one place Oura API calls are made: timeouts, retries, rate limits and a circuit breaker
+ *
+ * Failures are handled by kind:
+ * - network errors, timeouts and 5xx responses are retried with jittered
+ *   exponential backoff, and a call that still fails counts towards opening
+ *   the circuit
+ * - 429s (and 503s) with a Retry-After short enough to wait out are retried
+ *   after exactly that long; otherwise the error carries `retryAfter`
+ *   (seconds) so routes can pass the real wait on
+ * - other 4xx responses are not retried (401s are handled by OuraService)
+ *
+ * While the circuit is open calls fail right away with status 503 and code
+ * CIRCUIT_OPEN. Errors from Oura (or from not reaching it) have
+ * source: 'oura'. See config/oura-client for the settings.
+ *
+ * With OURA_RECORD_PATH set every response is also saved to a fixture file;
+ * with OURA_REPLAY_PATH responses come from one instead (see OuraRecorder).
+ */
+
+const axios = require('axios');
+const metrics = require('./metrics');
+const ouraRecorder = require('./oura-recorder');
+const CircuitBreaker = require('../utils/circuit-breaker');
+const { resolveOuraClientConfig, getRetryDelay } = require('../config/oura-client');
+const { resolveOuraRecordingConfig } = require('../config/oura-recording');
+const { delay } = require('../utils/promise');
+const { logger } = require('../utils/logger');
+
+// Errors without a response that are worth another try
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ERR_NETWORK'
+]);
+
+class OuraClient {
+  constructor() {
+    this.breaker = new CircuitBreaker();
+  }
+
+  /**
+   * GET an Oura API endpoint
+   * @param {string} path - Endpoint path under the v2 API (e.g. '/usercollection/sleep')
+   * @param {Object} options - { accessToken, params }
+   * @returns {Promise<Object>} Response body
+   * @throws {Error} With status (503 for network errors and an open circuit), data,
+   *   retryAfter (seconds, when known) and code
+   */
+  async get(path, { accessToken, params } = {}) {
+    const config = resolveOuraClientConfig();
+    const recording = resolveOuraRecordingConfig();
+
+    if (recording?.mode === 'replay') {
+      // Recorded errors are thrown as they were, without retries or the breaker
+      const response = ouraRecorder.replay(recording.path, path, params);
+      if (response.status >= 400) throw toApiError({ response }, config);
+      return response.data;
+    }
+
+    if (!this.breaker.allowRequest()) {
+      const { retryAfter } = this.breaker.getState();
+      throw Object.assign(new Error('Oura API unavailable: too many recent failures, calls are paused'), {
+        status: 503,
+        code: 'CIRCUIT_OPEN',
+        source: 'oura',
+        retryAfter
+      });
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = process.hrtime.bigint();
+      let error;
+      try {
+        const response = await axios.get(`${config.baseUrl}${path}`, {
+          ...(params && { params }),
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: config.timeoutSeconds * 1000
+        });
+        this.observe(path, params, response.status, startedAt, attempt);
+        if (recording) ouraRecorder.record(recording.path, path, params, response);
+        this.breaker.recordSuccess();
+        return response.data;
+      } catch (requestError) {
+        error = toApiError(requestError, config);
+        if (recording && requestError.response) {
+          ouraRecorder.record(recording.path, path, params, requestError.response);
+        }
+        this.observe(path, params, requestError.response?.status ?? 'network_error', startedAt, attempt, error);
+      }
+
+      const transient = isTransient(error);
+      const rateLimited = error.status === 429;
+      if (!transient && !rateLimited) {
+        // Oura answered, the request was the problem
+        this.breaker.recordSuccess();
+        throw error;
+      }
+
+      // Wait what Oura asked for, when it asked for something reasonable
+      const waitMs = error.retryAfter !== undefined
+        ? error.retryAfter * 1000
+        : getRetryDelay(attempt, config);
+      const canRetry = attempt <= config.maxRetries &&
+        (error.retryAfter === undefined || error.retryAfter <= config.retryAfterMaxSeconds);
+
+      if (!canRetry) {
+        if (transient) this.breaker.recordFailure(breakerOptions(config));
+        else this.breaker.recordSuccess();
+        throw error;
+      }
+
+      logger.info('Retrying Oura API call', { endpoint: path, attempt, status: error.status, waitMs });
+      await delay(waitMs);
+    }
+  }
+
+  /**
+   * Describe the circuit breaker
+   * @returns {Object} { state: 'closed'|'open'|'half-open', failures, retryAt, retryAfter }
+   */
+  getCircuitState() {
+    return this.breaker.getState();
+  }
+
+  /**
+   * Close the circuit and forget past failures
+   */
+  resetCircuit() {
+    this.breaker.reset();
+  }
+
+  // Helper methods
+
+  observe(path, params, status, startedAt, attempt, error) {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    metrics.observeOuraCall(path, status, seconds);
+
+    const fields = { endpoint: path, params, status, attempt, durationMs: Math.round(seconds * 1000) };
+    if (error) {
+      logger.warn('Oura API call failed', { ...fields, error: error.message });
+    } else {
+      logger.debug('Oura API call', fields);
+    }
+  }
+}
+
+// Helper functions
+
+// Map an axios error to one with the status, body and retry time routes need
+function toApiError(error, config) {
+  if (error.response) {
+    const { status, statusText, data, headers } = error.response;
+    const apiError = new Error(`Oura API Error: ${status} ${statusText}`);
+    apiError.status = status;
+    apiError.source = 'oura';
+    apiError.data = data;
+    const retryAfter = parseRetryAfter(headers?.['retry-after']);
+    if (retryAfter !== undefined) apiError.retryAfter = retryAfter;
+    return apiError;
+  }
+
+  if (error.request) {
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    return Object.assign(
+      new Error(timedOut
+        ? `Network error: Oura API timed out after ${config.timeoutSeconds}s`
+        : 'Network error: No response from Oura API'),
+      { status: 503, code: error.code, source: 'oura' }
+    );
+  }
+
+  // Something happened in setting up the request
+  return error;
+}
+
+function isTransient(error) {
+  if (error.status === undefined) return NETWORK_ERROR_CODES.has(error.code);
+  return error.code !== 'CIRCUIT_OPEN' && (error.status === 408 || error.status >= 500);
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+function breakerOptions(config) {
+  return {
+    threshold: config.breakerThreshold,
+    cooldownMs: config.breakerCooldownSeconds * 1000
+  };
+}
+
+// Export singleton instance
+module.exports = new OuraClient();
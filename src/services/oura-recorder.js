@@ -0,0 +1,182 @@
+/**
+ * Oura Recorder
+ * Saves Oura API responses to a fixture file and serves them back, so a
+ * production incident can be replayed exactly (see config/oura-recording)
+ *
+ * A fixture file ("cassette") holds every request/response pair seen while
+ * recording, keyed by endpoint and query parameters:
+ *
+ *   {
+ *     "version": 1,
+ *     "recordedAt": "2024-01-18T01:30:00.000Z",    // first response, the "now" to replay at
+ *     "timeZone": "America/Denver",
+ *     "interactions": [{
+ *       "recordedAt": "...",
+ *       "request": { "path": "/usercollection/sleep", "params": { "start_date": "..." } },
+ *       "response": { "status": 200, "statusText": "OK", "headers": {}, "data": { ... } }
+ *     }]
+ *   }
+ *
+ * Requests are never recorded with their token. Personal details (email,
+ * age, weight, height, sex, tag notes) are blanked and document ids replaced
+ * with stable hashes, so fixtures can be committed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { resolveTimezone } = require('../utils/timezone');
+const { logger } = require('../utils/logger');
+
+const CASSETTE_VERSION = 1;
+
+// personal_info fields and free-text tag notes, blanked in recordings
+const PERSONAL_FIELDS = new Set(['email', 'age', 'weight', 'height', 'biological_sex', 'comment', 'text']);
+
+// Ids are hashed rather than dropped so documents that refer to each other still match
+const ID_FIELDS = new Set(['id', 'user_id']);
+
+// Response headers worth keeping (Retry-After drives rate-limit handling)
+const RECORDED_HEADERS = ['retry-after'];
+
+class OuraRecorder {
+  constructor() {
+    this.cassettes = new Map();
+  }
+
+  /**
+   * Save a response, replacing an earlier one for the same request
+   * Never throws: a failed write is logged and the request carries on
+   * @param {string} file - Cassette path
+   * @param {string} endpoint - API path (e.g. '/usercollection/sleep')
+   * @param {Object} params - Query parameters (optional)
+   * @param {Object} response - { status, statusText, headers, data }
+   */
+  record(file, endpoint, params, response) {
+    try {
+      const cassette = this.load(file, { create: true });
+      const key = requestKey(endpoint, params);
+      const interaction = {
+        recordedAt: new Date().toISOString(),
+        request: { path: endpoint, params: { ...params } },
+        response: {
+          status: response.status,
+          statusText: response.statusText || '',
+          headers: pickHeaders(response.headers),
+          data: scrub(response.data)
+        }
+      };
+
+      const index = cassette.interactions.findIndex(existing => requestKey(existing.request.path, existing.request.params) === key);
+      if (index === -1) {
+        cassette.interactions.push(interaction);
+      } else {
+        cassette.interactions[index] = interaction;
+      }
+      cassette.recordedAt = cassette.recordedAt || interaction.recordedAt;
+
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const temp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(temp, `${JSON.stringify(cassette, null, 2)}\n`);
+      fs.renameSync(temp, file);
+      logger.debug('Recorded Oura response', { file, endpoint, params, status: response.status });
+    } catch (error) {
+      logger.warn('Could not record Oura response', { file, endpoint, error: error.message });
+    }
+  }
+
+  /**
+   * Find the recorded response for a request
+   * @param {string} file - Cassette path
+   * @param {string} endpoint - API path (e.g. '/usercollection/sleep')
+   * @param {Object} params - Query parameters (optional)
+   * @returns {Object} { status, statusText, headers, data }
+   * @throws {Error} With code REPLAY_MISS if the request wasn't recorded
+   */
+  replay(file, endpoint, params) {
+    const cassette = this.load(file);
+    const key = requestKey(endpoint, params);
+    const interaction = cassette.interactions.find(existing => requestKey(existing.request.path, existing.request.params) === key);
+
+    if (!interaction) {
+      throw Object.assign(new Error(`No recorded Oura response for GET ${key} in ${file}`), {
+        status: 500,
+        code: 'REPLAY_MISS'
+      });
+    }
+    logger.debug('Replayed Oura response', { file, endpoint, params, status: interaction.response.status });
+    return interaction.response;
+  }
+
+  /**
+   * Read a cassette (cached after the first read)
+   * @param {string} file - Cassette path
+   * @param {Object} options - { create: start an empty cassette when the file doesn't exist }
+   * @returns {Object} Cassette
+   * @throws {Error} If the file is missing (without create), unreadable or from another version
+   */
+  load(file, { create = false } = {}) {
+    const resolved = path.resolve(file);
+    if (this.cassettes.has(resolved)) return this.cassettes.get(resolved);
+
+    let cassette;
+    if (create && !fs.existsSync(resolved)) {
+      cassette = { version: CASSETTE_VERSION, recordedAt: null, timeZone: resolveTimezone(), interactions: [] };
+    } else {
+      cassette = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+      if (cassette.version !== CASSETTE_VERSION || !Array.isArray(cassette.interactions)) {
+        throw new Error(`${resolved} is not a version ${CASSETTE_VERSION} Oura recording`);
+      }
+    }
+
+    this.cassettes.set(resolved, cassette);
+    return cassette;
+  }
+
+  /**
+   * Forget cached cassettes so the next use reads the files again
+   */
+  reset() {
+    this.cassettes.clear();
+  }
+}
+
+// Helper functions
+
+// "/usercollection/sleep?end_date=...&start_date=..." with the parameters sorted
+function requestKey(endpoint, params = {}) {
+  const query = Object.keys(params || {})
+    .filter(name => params[name] !== undefined && params[name] !== null)
+    .sort()
+    .map(name => `${name}=${params[name]}`)
+    .join('&');
+  return query ? `${endpoint}?${query}` : endpoint;
+}
+
+function pickHeaders(headers) {
+  const picked = {};
+  for (const name of RECORDED_HEADERS) {
+    if (headers?.[name] !== undefined) picked[name] = String(headers[name]);
+  }
+  return picked;
+}
+
+function scrub(value) {
+  if (Array.isArray(value)) return value.map(scrub);
+  if (value === null || typeof value !== 'object') return value;
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (PERSONAL_FIELDS.has(key)) {
+      copy[key] = null;
+    } else if (ID_FIELDS.has(key) && typeof item === 'string') {
+      copy[key] = crypto.createHash('sha256').update(item).digest('hex').slice(0, 16);
+    } else {
+      copy[key] = scrub(item);
+    }
+  }
+  return copy;
+}
+
+// Export singleton instance
+module.exports = new OuraRecorder();
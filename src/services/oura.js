@@ -1,84 +1,66 @@
 /**
  * Oura API Service
  * Handles all interactions with the Oura Ring API v2
+ *
+ * Collection endpoints (/usercollection/<name>) are paged: a response with a
+ * next_token has more documents behind it. getCollection follows every page
+ * and iterateCollection yields documents one at a time, so ranges of any
+ * length come back whole. All calls go through request(), so every method
+ * fails the same way: errors from OuraClient (status, retryAfter, source) and
+ * one token refresh on a 401.
  */
 
-const axios = require('axios');
+const { resolveTimezone, getLocalDateString, addDays } = require('../utils/timezone');
+const { resolveNow } = require('../utils/clock');
+const ouraAuth = require('./oura-auth');
+const ouraClient = require('./oura-client');
 
-const OURA_API_BASE = 'https://api.ouraring.com/v2';
+// Paged collection endpoints; heartrate takes start_datetime/end_datetime, the
+// rest start_date/end_date
+const COLLECTIONS = new Set([
+  'sleep',
+  'daily_sleep',
+  'daily_readiness',
+  'daily_activity',
+  'daily_stress',
+  'heartrate',
+  'session',
+  'tag',
+  'enhanced_tag',
+  'workout'
+]);
 
 class OuraService {
   /**
    * Get yesterday's sleep data from Oura API
    * @param {string} accessToken - OAuth access token
+   * @param {Object} options - Request options
+   * @param {string} options.timeZone - IANA timezone of the sleeper (default: NAP_TIMEZONE or America/Denver)
+   * @param {Date|string|number} options.now - Instant whose "last night" to fetch (default: current time)
    * @returns {Promise<Object>} Sleep data response
    */
-  async getYesterdaySleep(accessToken) {
+  async getYesterdaySleep(accessToken, options = {}) {
     // IMPORTANT: Oura assigns sleep to the day it ENDS
     // So "last night's sleep" will be under TODAY's date if you woke up today
     // We need to fetch today's date to get last night's sleep
     
-    // CRITICAL FIX: Use Mountain Time for date calculations, not UTC
-    // This ensures proper date alignment when it's past midnight UTC but still previous day in Mountain Time
-    const now = new Date();
-    const todayMT = now.toLocaleDateString("en-US", { 
-      timeZone: "America/Denver",
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit'
-    });
-    // Convert MM/DD/YYYY to YYYY-MM-DD format for today
-    const [month, day, year] = todayMT.split('/');
-    const todayDateString = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-    
-    // Calculate yesterday and tomorrow in Mountain Time
-    const todayMTDate = new Date(`${todayDateString}T00:00:00`);
-    const yesterdayMT = new Date(todayMTDate);
-    yesterdayMT.setDate(yesterdayMT.getDate() - 1);
-    const tomorrowMT = new Date(todayMTDate);
-    tomorrowMT.setDate(tomorrowMT.getDate() + 1);
+    // CRITICAL FIX: Use the sleeper's local date, not UTC
+    // This ensures proper date alignment when it's past midnight UTC but still the previous day locally
+    const timeZone = resolveTimezone(options.timeZone);
+    const todayDateString = getLocalDateString(resolveNow(options.now), timeZone);
     
     // Fetch yesterday through tomorrow to ensure we get all sleep sessions
     // This captures split sleep sessions and handles timezone/sync delays
-    const startDateString = yesterdayMT.toISOString().split('T')[0];
-    const endDateString = tomorrowMT.toISOString().split('T')[0];
+    const startDateString = addDays(todayDateString, -1);
+    const endDateString = addDays(todayDateString, 1);
 
-    try {
-      // Use the sleep endpoint to get detailed sleep sessions
-      // This returns individual sleep periods (can be multiple per day)
-      const response = await axios.get(
-        `${OURA_API_BASE}/usercollection/sleep`,
-        {
-          params: {
-            start_date: startDateString,
-            end_date: endDateString
-          },
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      // Return the full response which may contain multiple sleep sessions
-      // The caller should look for the 'long_sleep' type for main sleep
-      return response.data;
-    } catch (error) {
-      // Add more context to error for better debugging
-      if (error.response) {
-        // The request was made and the server responded with a status code
-        const apiError = new Error(`Oura API Error: ${error.response.status} ${error.response.statusText}`);
-        apiError.status = error.response.status;
-        apiError.data = error.response.data;
-        throw apiError;
-      } else if (error.request) {
-        // The request was made but no response was received
-        throw new Error('Network error: No response from Oura API');
-      } else {
-        // Something happened in setting up the request
-        throw error;
-      }
-    }
+    // Use the sleep endpoint to get detailed sleep sessions
+    // This returns individual sleep periods (can be multiple per day)
+    // The caller should look for the 'long_sleep' type for main sleep
+    return this.getCollection(accessToken, 'sleep', {
+      start_date: startDateString,
+      end_date: endDateString
+    });
   }
 
   /**
@@ -87,30 +69,7 @@ class OuraService {
    * @returns {Promise<Object>} User info response
    */
   async getUserInfo(accessToken) {
-    try {
-      const response = await axios.get(
-        `${OURA_API_BASE}/usercollection/personal_info`,
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      return response.data;
-    } catch (error) {
-      if (error.response) {
-        const apiError = new Error(`Oura API Error: ${error.response.status} ${error.response.statusText}`);
-        apiError.status = error.response.status;
-        apiError.data = error.response.data;
-        throw apiError;
-      } else if (error.request) {
-        throw new Error('Network error: No response from Oura API');
-      } else {
-        throw error;
-      }
-    }
+    return this.request(accessToken, '/usercollection/personal_info');
   }
 
   /**
@@ -120,34 +79,10 @@ class OuraService {
    * @returns {Promise<Object>} Readiness data response
    */
   async getReadiness(accessToken, date) {
-    try {
-      const response = await axios.get(
-        `${OURA_API_BASE}/usercollection/daily_readiness`,
-        {
-          params: {
-            start_date: date,
-            end_date: date
-          },
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      return response.data;
-    } catch (error) {
-      if (error.response) {
-        const apiError = new Error(`Oura API Error: ${error.response.status} ${error.response.statusText}`);
-        apiError.status = error.response.status;
-        apiError.data = error.response.data;
-        throw apiError;
-      } else if (error.request) {
-        throw new Error('Network error: No response from Oura API');
-      } else {
-        throw error;
-      }
-    }
+    return this.getCollection(accessToken, 'daily_readiness', {
+      start_date: date,
+      end_date: date
+    });
   }
 
   /**
@@ -155,37 +90,140 @@ class OuraService {
    * @param {string} accessToken - OAuth access token
    * @param {string} startDate - Start date in YYYY-MM-DD format
    * @param {string} endDate - End date in YYYY-MM-DD format
-   * @returns {Promise<Object>} Sleep data response
+   * @returns {Promise<Object>} Sleep data response (every page)
    */
   async getSleepRange(accessToken, startDate, endDate) {
-    try {
-      const response = await axios.get(
-        `${OURA_API_BASE}/usercollection/sleep`,
-        {
-          params: {
-            start_date: startDate,
-            end_date: endDate
-          },
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      return response.data;
-    } catch (error) {
-      if (error.response) {
-        const apiError = new Error(`Oura API Error: ${error.response.status} ${error.response.statusText}`);
-        apiError.status = error.response.status;
-        apiError.data = error.response.data;
-        throw apiError;
-      } else if (error.request) {
-        throw new Error('Network error: No response from Oura API');
+    return this.getDateRange(accessToken, 'sleep', startDate, endDate);
+  }
+
+  /**
+   * Get daily sleep scores for a date range
+   * @param {string} accessToken - OAuth access token
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @returns {Promise<Object>} Daily sleep response (every page)
+   */
+  async getDailySleep(accessToken, startDate, endDate) {
+    return this.getDateRange(accessToken, 'daily_sleep', startDate, endDate);
+  }
+
+  /**
+   * Get daily activity (steps, calories, activity score) for a date range
+   * @param {string} accessToken - OAuth access token
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @returns {Promise<Object>} Daily activity response (every page)
+   */
+  async getDailyActivity(accessToken, startDate, endDate) {
+    return this.getDateRange(accessToken, 'daily_activity', startDate, endDate);
+  }
+
+  /**
+   * Get daily stress and recovery time for a date range
+   * @param {string} accessToken - OAuth access token
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @returns {Promise<Object>} Daily stress response (every page)
+   */
+  async getDailyStress(accessToken, startDate, endDate) {
+    return this.getDateRange(accessToken, 'daily_stress', startDate, endDate);
+  }
+
+  /**
+   * Get heart rate samples between two instants
+   * Oura keeps these at a few minutes' resolution, so long ranges span many pages
+   * @param {string} accessToken - OAuth access token
+   * @param {Date|string} start - Start instant (Date or ISO 8601)
+   * @param {Date|string} end - End instant (Date or ISO 8601)
+   * @returns {Promise<Object>} Heart rate response (every page)
+   */
+  async getHeartRate(accessToken, start, end) {
+    return this.getCollection(accessToken, 'heartrate', {
+      start_datetime: toDateTimeParam(start),
+      end_datetime: toDateTimeParam(end)
+    });
+  }
+
+  /**
+   * Get guided and unguided sessions (meditation, breathing, naps started in the app)
+   * @param {string} accessToken - OAuth access token
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @returns {Promise<Object>} Session response (every page)
+   */
+  async getSessions(accessToken, startDate, endDate) {
+    return this.getDateRange(accessToken, 'session', startDate, endDate);
+  }
+
+  /**
+   * Get the user's tags (the older, free-text kind)
+   * @param {string} accessToken - OAuth access token
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @returns {Promise<Object>} Tag response (every page)
+   */
+  async getTags(accessToken, startDate, endDate) {
+    return this.getDateRange(accessToken, 'tag', startDate, endDate);
+  }
+
+  /**
+   * Get the user's enhanced tags (typed, with start and end times)
+   * @param {string} accessToken - OAuth access token
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @returns {Promise<Object>} Enhanced tag response (every page)
+   */
+  async getEnhancedTags(accessToken, startDate, endDate) {
+    return this.getDateRange(accessToken, 'enhanced_tag', startDate, endDate);
+  }
+
+  /**
+   * Get workouts for a date range
+   * @param {string} accessToken - OAuth access token
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @returns {Promise<Object>} Workout response (every page)
+   */
+  async getWorkouts(accessToken, startDate, endDate) {
+    return this.getDateRange(accessToken, 'workout', startDate, endDate);
+  }
+
+  /**
+   * Yield every document of a collection, fetching pages as they're needed
+   * Stop iterating early and no further pages are requested.
+   * @param {string} accessToken - OAuth access token
+   * @param {string} collection - Collection name (e.g. 'sleep', 'heartrate')
+   * @param {Object} params - Range parameters (start_date/end_date or start_datetime/end_datetime)
+   * @returns {AsyncGenerator<Object>} Documents in Oura's order
+   * @throws {Error} With status 400 for an unknown collection, or the request's error
+   */
+  async *iterateCollection(accessToken, collection, params = {}) {
+    for await (const page of this.pages(accessToken, collection, params)) {
+      if (Array.isArray(page.data)) yield* page.data;
+    }
+  }
+
+  /**
+   * Fetch a whole collection range, following next_token across pages
+   * @param {string} accessToken - OAuth access token
+   * @param {string} collection - Collection name (e.g. 'sleep', 'heartrate')
+   * @param {Object} params - Range parameters (start_date/end_date or start_datetime/end_datetime)
+   * @returns {Promise<Object>} The response with every page's documents in `data` and no next_token
+   * @throws {Error} With status 400 for an unknown collection, or the request's error
+   */
+  async getCollection(accessToken, collection, params = {}) {
+    let response;
+    for await (const page of this.pages(accessToken, collection, params)) {
+      if (!response) {
+        response = page;
+      } else if (Array.isArray(page?.data)) {
+        response = { ...response, data: [...response.data, ...page.data], next_token: null };
       } else {
-        throw error;
+        // A malformed page is skipped, like iterateCollection does, and ends the paging
+        response = { ...response, next_token: null };
       }
     }
+    return response;
   }
 
   /**
@@ -205,7 +243,79 @@ class OuraService {
       throw error;
     }
   }
+
+  /**
+   * GET an Oura API endpoint
+   * A 401 on a stored OAuth token triggers one refresh and retry
+   * @param {string} accessToken - OAuth access token
+   * @param {string} path - Endpoint path under the v2 API (e.g. '/usercollection/sleep')
+   * @param {Object} params - Query parameters (optional)
+   * @returns {Promise<Object>} Response body
+   */
+  async request(accessToken, path, params) {
+    try {
+      return await this.get(accessToken, path, params);
+    } catch (error) {
+      if (error.status !== 401) throw error;
+
+      const refreshedToken = await ouraAuth.handleUnauthorized(accessToken);
+      if (!refreshedToken) throw error;
+      return this.get(refreshedToken, path, params);
+    }
+  }
+
+  /**
+   * Single GET against the Oura API (timeouts, retries and rate limits are handled by OuraClient)
+   * @param {string} accessToken - OAuth access token
+   * @param {string} path - Endpoint path under the v2 API
+   * @param {Object} params - Query parameters (optional)
+   * @returns {Promise<Object>} Response body
+   */
+  async get(accessToken, path, params) {
+    return ouraClient.get(path, { accessToken, params });
+  }
+
+  // Helper methods
+
+  getDateRange(accessToken, collection, startDate, endDate) {
+    return this.getCollection(accessToken, collection, {
+      start_date: startDate,
+      end_date: endDate
+    });
+  }
+
+  // Raw pages of a collection; a page without data or next_token is the last
+  async *pages(accessToken, collection, params) {
+    if (!COLLECTIONS.has(collection)) {
+      throw Object.assign(new Error(`Unknown Oura collection: ${collection}`), { status: 400 });
+    }
+
+    const path = `/usercollection/${collection}`;
+    const seenTokens = new Set();
+    let nextToken = null;
+    do {
+      const page = await this.request(accessToken, path, nextToken ? { ...params, next_token: nextToken } : params);
+      yield page;
+
+      nextToken = Array.isArray(page?.data) ? page.next_token : null;
+      if (nextToken && seenTokens.has(nextToken)) {
+        // A repeated token would page forever
+        throw Object.assign(new Error(`Oura API Error: repeated next_token for ${path}`), { status: 502, source: 'oura' });
+      }
+      if (nextToken) seenTokens.add(nextToken);
+    } while (nextToken);
+  }
+}
+
+// Helper functions
+
+function toDateTimeParam(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw Object.assign(new Error(`Invalid date-time: ${value}`), { status: 400 });
+  }
+  return date.toISOString();
 }
 
 // Export singleton instance
-module.exports = new OuraService();
\ No newline at end of file
+module.exports = new OuraService();
@@ -0,0 +1,97 @@
+/**
+ * Fitbit Sleep Provider
+ * Reads sleep logs from the Fitbit Web API (sleep log v1.2)
+ *
+ *   GET /1.2/user/-/sleep/date/<start>/<end>.json  (at most 100 days per call)
+ *
+ * Fitbit files a log under the day it ended (dateOfSleep) like Oura does,
+ * and marks the main sleep of each night with isMainSleep. Its times are
+ * local without an offset, so they are read in the sleeper's timezone.
+ * Stage durations only come with "stages" logs; "classic" logs (short or
+ * phone-tracked sleep) leave them null. Fitbit has no readiness score.
+ */
+
+const SleepProvider = require('./provider');
+const { createSession, formatLocalDateTime } = require('./session');
+const { resolveTimezone, zonedTimeToInstant, addDays, daysBetween } = require('../../utils/timezone');
+
+// Longest date range the sleep log endpoint accepts
+const MAX_RANGE_DAYS = 100;
+
+class FitbitProvider extends SleepProvider {
+  constructor() {
+    super('fitbit');
+  }
+
+  /**
+   * Get sleep sessions for a date range (inclusive)
+   * @param {string} accessToken - Fitbit access token
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @param {Object} options - { timeZone } of the sleeper, to read Fitbit's local times
+   * @returns {Promise<Object>} { data: SleepSession[] }
+   */
+  async getSleepRange(accessToken, startDate, endDate, options = {}) {
+    const timeZone = resolveTimezone(options.timeZone);
+    const logs = [];
+
+    for (let chunkStart = startDate; chunkStart <= endDate; chunkStart = addDays(chunkStart, MAX_RANGE_DAYS)) {
+      const chunkEnd = daysBetween(chunkStart, endDate) < MAX_RANGE_DAYS ? endDate : addDays(chunkStart, MAX_RANGE_DAYS - 1);
+      const response = await this.request(`/1.2/user/-/sleep/date/${chunkStart}/${chunkEnd}.json`, { accessToken });
+      logs.push(...(response?.sleep || []));
+    }
+
+    return {
+      data: logs
+        .map(log => toSession(log, timeZone))
+        .sort((a, b) => a.bedtime_start.localeCompare(b.bedtime_start))
+    };
+  }
+
+  /**
+   * Fitbit has no readiness score
+   * @returns {Promise<null>} Always null
+   */
+  async getReadiness() {
+    return null;
+  }
+}
+
+// Helper functions
+
+function toSession(log, timeZone) {
+  const start = readLocalTime(log.startTime, timeZone);
+  const end = readLocalTime(log.endTime, timeZone);
+  const stages = log.type === 'stages' ? log.levels?.summary : null;
+  const minutes = level => (Number.isFinite(stages?.[level]?.minutes) ? stages[level].minutes * 60 : null);
+
+  return createSession({
+    id: `fitbit:${log.logId}`,
+    day: log.dateOfSleep,
+    type: log.isMainSleep ? 'long_sleep' : 'sleep',
+    bedtime_start: formatLocalDateTime(start.instant, start.offsetMinutes),
+    bedtime_end: formatLocalDateTime(end.instant, end.offsetMinutes),
+    total_sleep_duration: log.minutesAsleep * 60,
+    time_in_bed: Number.isFinite(log.timeInBed) ? log.timeInBed * 60 : null,
+    awake_time: Number.isFinite(log.minutesAwake) ? log.minutesAwake * 60 : null,
+    deep_sleep_duration: minutes('deep'),
+    light_sleep_duration: minutes('light'),
+    rem_sleep_duration: minutes('rem'),
+    efficiency: log.efficiency
+  });
+}
+
+// "2024-01-14T23:04:30.000" in the sleeper's timezone, as an instant and its offset
+function readLocalTime(value, timeZone) {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/.exec(String(value || ''));
+  if (!match) {
+    throw new Error(`Fitbit sleep log has an unreadable time "${value}"`);
+  }
+  const [, date, hours, minutes, seconds = '0'] = match;
+  const instant = zonedTimeToInstant(date, Number(hours) * 60 + Number(minutes), timeZone).getTime() + Number(seconds) * 1000;
+  const wallClock = Date.parse(`${date}T${hours}:${minutes}:${seconds.padStart(2, '0')}Z`);
+  return { instant, offsetMinutes: Math.round((wallClock - instant) / 60000) };
+}
+
+// Export singleton instance
+module.exports = new FitbitProvider();
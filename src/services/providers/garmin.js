@@ -0,0 +1,100 @@
+/**
+ * Garmin Sleep Provider
+ * Reads sleep summaries from a Garmin Health style pull API
+ *
+ *   GET /wellness-api/rest/sleeps?summaryStartTimeInSeconds=&summaryEndTimeInSeconds=
+ *
+ * Each call covers at most a day of summary start times, so ranges are
+ * fetched a day at a time. A summary is one night's main sleep, filed
+ * under its calendarDate (the day it ended) with its own UTC offset. A
+ * summary can be sent again as Garmin refines it; the latest copy wins.
+ * Garmin's sleep endpoint has no HRV, resting heart rate or readiness.
+ */
+
+const SleepProvider = require('./provider');
+const { createSession, formatLocalDateTime } = require('./session');
+const { resolveTimezone, zonedTimeToInstant, addDays } = require('../../utils/timezone');
+
+// Longest window one call may ask for
+const MAX_WINDOW_SECONDS = 24 * 60 * 60;
+
+class GarminProvider extends SleepProvider {
+  constructor() {
+    super('garmin');
+  }
+
+  /**
+   * Get sleep sessions for a date range (inclusive)
+   * @param {string} accessToken - Garmin access token
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @param {Object} options - { timeZone } of the sleeper, to turn days into instants
+   * @returns {Promise<Object>} { data: SleepSession[] }
+   */
+  async getSleepRange(accessToken, startDate, endDate, options = {}) {
+    const timeZone = resolveTimezone(options.timeZone);
+    // A night that ends on startDate starts the evening before
+    const from = Math.floor(zonedTimeToInstant(addDays(startDate, -1), 12 * 60, timeZone).getTime() / 1000);
+    const until = Math.floor(zonedTimeToInstant(addDays(endDate, 1), 0, timeZone).getTime() / 1000);
+
+    const summaries = new Map();
+    for (let windowStart = from; windowStart < until; windowStart += MAX_WINDOW_SECONDS) {
+      const response = await this.request('/wellness-api/rest/sleeps', {
+        accessToken,
+        params: {
+          summaryStartTimeInSeconds: windowStart,
+          summaryEndTimeInSeconds: Math.min(windowStart + MAX_WINDOW_SECONDS, until)
+        }
+      });
+      for (const summary of Array.isArray(response) ? response : []) {
+        summaries.set(summary.summaryId, summary);
+      }
+    }
+
+    return {
+      data: [...summaries.values()]
+        .filter(summary => summary.calendarDate >= startDate && summary.calendarDate <= endDate)
+        .map(toSession)
+        .sort((a, b) => a.bedtime_start.localeCompare(b.bedtime_start))
+    };
+  }
+
+  /**
+   * Garmin's sleep summaries have no readiness score
+   * @returns {Promise<null>} Always null
+   */
+  async getReadiness() {
+    return null;
+  }
+}
+
+// Helper functions
+
+function toSession(summary) {
+  const offsetMinutes = Math.round((summary.startTimeOffsetInSeconds || 0) / 60);
+  const start = summary.startTimeInSeconds * 1000;
+  const end = start + summary.durationInSeconds * 1000;
+  const deep = summary.deepSleepDurationInSeconds ?? null;
+  const light = summary.lightSleepDurationInSeconds ?? null;
+  const rem = summary.remSleepInSeconds ?? null;
+  const awake = summary.awakeDurationInSeconds ?? null;
+  const asleep = (deep || 0) + (light || 0) + (rem || 0);
+
+  return createSession({
+    id: `garmin:${summary.summaryId}`,
+    day: summary.calendarDate,
+    type: 'long_sleep',
+    bedtime_start: formatLocalDateTime(start, offsetMinutes),
+    bedtime_end: formatLocalDateTime(end, offsetMinutes),
+    total_sleep_duration: asleep,
+    time_in_bed: summary.durationInSeconds,
+    awake_time: awake,
+    deep_sleep_duration: deep,
+    light_sleep_duration: light,
+    rem_sleep_duration: rem,
+    efficiency: summary.durationInSeconds > 0 ? Math.round(100 * asleep / summary.durationInSeconds) : null
+  });
+}
+
+// Export singleton instance
+module.exports = new GarminProvider();
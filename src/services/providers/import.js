@@ -0,0 +1,53 @@
+/**
+ * Imported Sleep Provider
+ * For people without a sleep API: their sessions are whatever was imported
+ * from Apple Health or Google Fit exports (see services/sleep-import), read
+ * straight from the sleep store
+ *
+ * Sleep history never syncs these people from anywhere (readsStore), so the
+ * store is the whole truth and last night shows up with the next import.
+ */
+
+const sleepStore = require('../sleep-store');
+const SleepProvider = require('./provider');
+
+// There is nothing to authenticate with, but routes expect a token
+const IMPORT_TOKEN = 'import';
+
+class ImportProvider extends SleepProvider {
+  constructor() {
+    super('import');
+    this.readsStore = true;
+  }
+
+  /**
+   * No credentials are needed to read imported sleep
+   * @returns {Promise<string>} A placeholder token
+   */
+  async getAccessToken() {
+    return IMPORT_TOKEN;
+  }
+
+  /**
+   * Get imported sessions for a date range (inclusive)
+   * @param {string} accessToken - Ignored
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @param {Object} options - { personKey } (default: '' for the default person)
+   * @returns {Promise<Object>} { data: SleepSession[] }
+   */
+  async getSleepRange(accessToken, startDate, endDate, options = {}) {
+    return sleepStore.getSessions(startDate, endDate, options.personKey || '');
+  }
+
+  /**
+   * Phone exports have no readiness score
+   * @returns {Promise<null>} Always null
+   */
+  async getReadiness() {
+    return null;
+  }
+}
+
+// Export singleton instance
+module.exports = new ImportProvider();
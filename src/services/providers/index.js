@@ -0,0 +1,63 @@
+/**
+ * Sleep Providers
+ * Where a person's sleep sessions come from, picked per person with
+ * "provider" in the people config (see config/providers)
+ *
+ * Every provider has the same interface and returns the normalized session
+ * model from ./session, so nothing past this point knows which API the
+ * data came from:
+ *   id, name
+ *   getAccessToken(person)                               -> Promise<string|null>
+ *   getSleepRange(accessToken, startDate, endDate, opts) -> Promise<{ data: SleepSession[] }>
+ *   getYesterdaySleep(accessToken, { timeZone, now })    -> Promise<{ data: SleepSession[] }>
+ *   getReadiness(accessToken, date, { timeZone })        -> Promise<{ data: Readiness[] }|null>
+ * opts is { timeZone, personKey } of the sleeper. Errors carry status,
+ * retryAfter and source (the provider id). A provider with readsStore set
+ * has nothing to sync: sleep history reads its sessions from the store.
+ */
+
+const { DEFAULT_PROVIDER, hasProvider, listProviderIds } = require('../../config/providers');
+
+const PROVIDERS = {
+  oura: require('./oura'),
+  fitbit: require('./fitbit'),
+  whoop: require('./whoop'),
+  garmin: require('./garmin'),
+  import: require('./import')
+};
+
+/**
+ * Get a provider by id
+ * @param {string} id - Provider id (default: oura)
+ * @returns {Object} Provider
+ * @throws {Error} For an unknown provider
+ */
+function getProvider(id = DEFAULT_PROVIDER) {
+  if (!hasProvider(id)) {
+    throw new Error(`Unknown sleep provider "${id}", use one of: ${listProviderIds().join(', ')}`);
+  }
+  return PROVIDERS[id];
+}
+
+/**
+ * Get the provider a person's sleep comes from
+ * @param {Object} person - Normalized person
+ * @returns {Object} Provider
+ */
+function getPersonProvider(person) {
+  return getProvider(person.provider);
+}
+
+/**
+ * List the providers
+ * @returns {Array<Object>} { id, name } for each provider
+ */
+function listProviders() {
+  return listProviderIds().map(id => ({ id, name: PROVIDERS[id].name }));
+}
+
+module.exports = {
+  getProvider,
+  getPersonProvider,
+  listProviders
+};
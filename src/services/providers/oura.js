@@ -0,0 +1,59 @@
+/**
+ * Oura Sleep Provider
+ * Oura's sleep documents already are the session model, so this adapter
+ * hands calls straight to the Oura service and auth (OAuth, token refresh,
+ * retries, circuit breaker, recording all stay there)
+ */
+
+const ouraService = require('../oura');
+const ouraAuth = require('../oura-auth');
+const SleepProvider = require('./provider');
+
+class OuraProvider extends SleepProvider {
+  constructor() {
+    super('oura');
+  }
+
+  /**
+   * Get a person's Oura token: stored OAuth tokens (refreshed as needed), then static tokens
+   * @param {Object} person - Normalized person
+   * @returns {Promise<string|null>} Access token, or null if none is configured
+   */
+  async getAccessToken(person) {
+    return ouraAuth.getAccessToken(person);
+  }
+
+  /**
+   * Get sleep sessions for a date range (inclusive)
+   * @param {string} accessToken - Oura access token
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @returns {Promise<Object>} Oura sleep response
+   */
+  async getSleepRange(accessToken, startDate, endDate) {
+    return ouraService.getSleepRange(accessToken, startDate, endDate);
+  }
+
+  /**
+   * Get last night's sleep
+   * @param {string} accessToken - Oura access token
+   * @param {Object} options - { timeZone, now }
+   * @returns {Promise<Object>} Oura sleep response
+   */
+  async getYesterdaySleep(accessToken, { timeZone, now } = {}) {
+    return ouraService.getYesterdaySleep(accessToken, { timeZone, now });
+  }
+
+  /**
+   * Get a day's daily readiness
+   * @param {string} accessToken - Oura access token
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @returns {Promise<Object>} Oura daily readiness response
+   */
+  async getReadiness(accessToken, date) {
+    return ouraService.getReadiness(accessToken, date);
+  }
+}
+
+// Export singleton instance
+module.exports = new OuraProvider();
@@ -0,0 +1,131 @@
+/**
+ * Sleep Provider Base
+ * Shared plumbing for the providers read over a plain HTTP API with a
+ * static access token (Fitbit, Whoop, Garmin)
+ *
+ * Subclasses implement getSleepRange; last night and readiness are derived
+ * from it unless the provider has something better. Errors carry the same
+ * fields as Oura's (status, data, retryAfter) with source set to the
+ * provider id, so routes can report any provider's outage or rate limit.
+ */
+
+const axios = require('axios');
+const { resolveProviderConfig } = require('../../config/providers');
+const { resolveTimezone, getLocalDateString, addDays } = require('../../utils/timezone');
+const { resolveNow } = require('../../utils/clock');
+const { createReadiness } = require('./session');
+
+class SleepProvider {
+  /**
+   * @param {string} id - Provider id from config/providers
+   */
+  constructor(id) {
+    this.id = id;
+    this.name = resolveProviderConfig(id).name;
+  }
+
+  /**
+   * Get a person's access token
+   * Their tokenEnv variable, then (for the default person) the provider's shared variable
+   * @param {Object} person - Normalized person
+   * @returns {Promise<string|null>} Access token, or null if none is configured
+   */
+  async getAccessToken(person) {
+    if (person.tokenEnv && process.env[person.tokenEnv]) {
+      return process.env[person.tokenEnv];
+    }
+    const { tokenEnv } = resolveProviderConfig(this.id);
+    return person.isDefault ? process.env[tokenEnv] || null : null;
+  }
+
+  /**
+   * Get sleep sessions for a date range (inclusive)
+   * @param {string} accessToken - Provider access token
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @param {Object} options - { timeZone, personKey } of the sleeper
+   * @returns {Promise<Object>} { data: SleepSession[] }
+   */
+  async getSleepRange(accessToken, startDate, endDate, options = {}) {
+    throw new Error(`${this.name} provider does not implement getSleepRange`);
+  }
+
+  /**
+   * Get last night's sleep (yesterday through tomorrow, like Oura)
+   * @param {string} accessToken - Provider access token
+   * @param {Object} options - { timeZone, now, personKey }
+   * @returns {Promise<Object>} { data: SleepSession[] }
+   */
+  async getYesterdaySleep(accessToken, options = {}) {
+    const timeZone = resolveTimezone(options.timeZone);
+    const today = getLocalDateString(resolveNow(options.now), timeZone);
+    return this.getSleepRange(accessToken, addDays(today, -1), addDays(today, 1), {
+      timeZone,
+      personKey: options.personKey
+    });
+  }
+
+  /**
+   * Get a day's readiness, taken from that night's main sleep
+   * @param {string} accessToken - Provider access token
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @param {Object} options - { timeZone }
+   * @returns {Promise<Object|null>} { data: Readiness[] }, or null if the provider has no readiness
+   */
+  async getReadiness(accessToken, date, options = {}) {
+    const { data } = await this.getSleepRange(accessToken, date, date, options);
+    const night = data.find(session => session.type === 'long_sleep' && session.readiness);
+    return night ? { data: [createReadiness({ ...night.readiness, day: date })] } : null;
+  }
+
+  // Helper methods
+
+  /**
+   * GET a path under the provider's base URL
+   * @param {string} path - Path, e.g. '/1.2/user/-/sleep/date/2024-01-14/2024-01-15.json'
+   * @param {Object} options - { accessToken, params }
+   * @returns {Promise<Object>} Response body
+   * @throws {Error} With status (503 when unreachable), data, retryAfter and source
+   */
+  async request(path, { accessToken, params } = {}) {
+    const { baseUrl, timeoutSeconds } = resolveProviderConfig(this.id);
+    try {
+      const response = await axios.get(`${baseUrl}${path}`, {
+        ...(params && { params }),
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: timeoutSeconds * 1000
+      });
+      return response.data;
+    } catch (error) {
+      throw this.toApiError(error);
+    }
+  }
+
+  toApiError(error) {
+    if (error.response) {
+      const { status, statusText, data, headers } = error.response;
+      const apiError = Object.assign(new Error(`${this.name} API Error: ${status} ${statusText}`), {
+        status,
+        source: this.id,
+        data
+      });
+      const retryAfter = Number(headers?.['retry-after']);
+      if (headers?.['retry-after'] !== undefined && Number.isFinite(retryAfter)) {
+        apiError.retryAfter = Math.max(0, Math.ceil(retryAfter));
+      }
+      return apiError;
+    }
+
+    if (error.request) {
+      return Object.assign(new Error(`Network error: No response from ${this.name} API`), {
+        status: 503,
+        code: error.code,
+        source: this.id
+      });
+    }
+
+    return error;
+  }
+}
+
+module.exports = SleepProvider;
@@ -0,0 +1,175 @@
+/**
+ * Sleep Session Model
+ * The provider-neutral shape every sleep provider returns
+ *
+ * Field names follow Oura's v2 sleep documents, which the nap calculator,
+ * the sleep store and years of stored history already use, so Oura sessions
+ * pass through untouched and the other providers map onto them. Fields a
+ * provider doesn't measure are null.
+ *
+ * @typedef {Object} SleepSession
+ * @property {string} id - Provider-scoped id, e.g. "fitbit:26589710670" (plain for Oura)
+ * @property {string} day - Local day the session counts toward (YYYY-MM-DD), the day it ended
+ * @property {string} type - 'long_sleep' for the main sleep of the night, 'late_nap' for a
+ *   nap, 'sleep' for anything else (the other half of a split night)
+ * @property {string} bedtime_start - Local time with UTC offset, e.g. "2024-01-14T23:04:00-07:00"
+ * @property {string} bedtime_end - Same format as bedtime_start
+ * @property {number} total_sleep_duration - Seconds asleep
+ * @property {number|null} time_in_bed - Seconds from bedtime_start to bedtime_end
+ * @property {number|null} awake_time - Seconds awake in bed
+ * @property {number|null} deep_sleep_duration - Seconds
+ * @property {number|null} light_sleep_duration - Seconds
+ * @property {number|null} rem_sleep_duration - Seconds
+ * @property {number|null} efficiency - Percent of time in bed asleep (0-100)
+ * @property {number|null} average_hrv - Milliseconds (RMSSD)
+ * @property {number|null} lowest_heart_rate - Beats per minute
+ * @property {Readiness|null} readiness - The provider's recovery verdict for the night
+ *
+ * @typedef {Object} Readiness
+ * @property {string} day - Local day (YYYY-MM-DD)
+ * @property {number|null} score - 0-100, higher is better recovered
+ * @property {number|null} temperature_deviation - Degrees Celsius from the sleeper's baseline
+ * @property {Object} contributors - 0-100 sub-scores (hrv_balance, resting_heart_rate, ...)
+ */
+
+const { getZonedParts } = require('../../utils/timezone');
+
+const SESSION_TYPES = ['long_sleep', 'sleep', 'late_nap'];
+
+/**
+ * Build a session, with null for every field not given
+ * @param {Object} fields - Session fields, see SleepSession
+ * @returns {SleepSession} Session
+ * @throws {Error} If day, type, bedtimes or total_sleep_duration are missing or invalid
+ */
+function createSession(fields) {
+  const session = {
+    id: fields.id,
+    day: fields.day,
+    type: fields.type,
+    bedtime_start: fields.bedtime_start,
+    bedtime_end: fields.bedtime_end,
+    total_sleep_duration: fields.total_sleep_duration,
+    time_in_bed: fields.time_in_bed ?? null,
+    awake_time: fields.awake_time ?? null,
+    deep_sleep_duration: fields.deep_sleep_duration ?? null,
+    light_sleep_duration: fields.light_sleep_duration ?? null,
+    rem_sleep_duration: fields.rem_sleep_duration ?? null,
+    efficiency: fields.efficiency ?? null,
+    average_hrv: fields.average_hrv ?? null,
+    lowest_heart_rate: fields.lowest_heart_rate ?? null,
+    readiness: fields.readiness ?? null
+  };
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(session.day || '')) {
+    throw new Error(`Sleep session ${session.id} has no valid day`);
+  }
+  if (!SESSION_TYPES.includes(session.type)) {
+    throw new Error(`Sleep session ${session.id} has unknown type "${session.type}"`);
+  }
+  if (Number.isNaN(Date.parse(session.bedtime_start)) || Number.isNaN(Date.parse(session.bedtime_end))) {
+    throw new Error(`Sleep session ${session.id} has no valid bedtimes`);
+  }
+  if (!Number.isFinite(session.total_sleep_duration)) {
+    throw new Error(`Sleep session ${session.id} has no total sleep duration`);
+  }
+
+  return session;
+}
+
+/**
+ * Build a readiness record
+ * @param {Object} fields - { day, score, temperature_deviation, contributors }
+ * @returns {Readiness} Readiness
+ */
+function createReadiness(fields) {
+  return {
+    day: fields.day,
+    score: fields.score ?? null,
+    temperature_deviation: fields.temperature_deviation ?? null,
+    contributors: fields.contributors || {}
+  };
+}
+
+/**
+ * Write an instant as local time with its UTC offset
+ * @param {number} instant - Epoch milliseconds
+ * @param {number} offsetMinutes - Local offset from UTC (e.g. -420 for UTC-7)
+ * @returns {string} e.g. "2024-01-14T23:04:00-07:00"
+ */
+function formatLocalDateTime(instant, offsetMinutes) {
+  const local = new Date(Math.floor(instant / 1000) * 1000 + offsetMinutes * 60000).toISOString().slice(0, 19);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  const pad = value => String(value).padStart(2, '0');
+  return `${local}${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+/**
+ * Write an instant as local time in a timezone, with that zone's offset then
+ * @param {number} instant - Epoch milliseconds
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} e.g. "2024-01-14T23:04:00-07:00"
+ */
+function formatZonedDateTime(instant, timeZone) {
+  const seconds = Math.floor(instant / 1000) * 1000;
+  const parts = getZonedParts(new Date(seconds), timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return formatLocalDateTime(seconds, Math.round((wallClock - seconds) / 60000));
+}
+
+/**
+ * Parse a "+HH:MM" / "-HH:MM" / "Z" UTC offset
+ * @param {string} offset - Offset text
+ * @returns {number|null} Minutes from UTC, or null if unreadable
+ */
+function parseOffset(offset) {
+  if (offset === 'Z') return 0;
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(String(offset || ''));
+  if (!match) return null;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Seconds between two values, skipping missing ones
+ * @param {...number|null|undefined} values - Durations in milliseconds
+ * @returns {number|null} Rounded total in seconds, or null if every value is missing
+ */
+function millisToSeconds(...values) {
+  const present = values.filter(Number.isFinite);
+  return present.length ? Math.round(present.reduce((sum, value) => sum + value, 0) / 1000) : null;
+}
+
+/**
+ * Settle session types: the longest session of each day that isn't a nap
+ * becomes that night's long_sleep
+ * Sessions already typed late_nap are left alone; the rest should come in as 'sleep'
+ * @param {Array<SleepSession>} sessions - Sessions (updated in place)
+ * @returns {Array<SleepSession>} The same sessions
+ */
+function markMainSleeps(sessions) {
+  const longest = new Map();
+  for (const session of sessions) {
+    if (session.type === 'late_nap') continue;
+    const current = longest.get(session.day);
+    if (!current || session.total_sleep_duration > current.total_sleep_duration) {
+      longest.set(session.day, session);
+    }
+  }
+  for (const session of longest.values()) {
+    session.type = 'long_sleep';
+  }
+  return sessions;
+}
+
+module.exports = {
+  SESSION_TYPES,
+  createSession,
+  createReadiness,
+  markMainSleeps,
+  formatLocalDateTime,
+  formatZonedDateTime,
+  parseOffset,
+  millisToSeconds
+};
@@ -0,0 +1,120 @@
+/**
+ * Whoop Sleep Provider
+ * Reads sleeps and recoveries from the Whoop developer API (v2)
+ *
+ *   GET /developer/v2/activity/sleep?start=&end=&limit=&nextToken=
+ *   GET /developer/v2/recovery?start=&end=&limit=&nextToken=
+ *
+ * Both filter on when a record started and page with next_token. Sleeps
+ * come with their own UTC offset, so the day they count toward is the local
+ * day they ended, as with Oura. Whoop flags naps; the longest other sleep
+ * of a day is its main sleep. Each night's recovery supplies the resting
+ * heart rate, HRV and a readiness score (Whoop's recovery score). Sleeps
+ * Whoop hasn't scored yet have no durations and are left out until it has.
+ */
+
+const SleepProvider = require('./provider');
+const { createSession, createReadiness, markMainSleeps, formatLocalDateTime, parseOffset, millisToSeconds } = require('./session');
+const { resolveTimezone, zonedTimeToInstant, addDays } = require('../../utils/timezone');
+
+// Largest page Whoop serves
+const PAGE_LIMIT = 25;
+
+class WhoopProvider extends SleepProvider {
+  constructor() {
+    super('whoop');
+  }
+
+  /**
+   * Get sleep sessions for a date range (inclusive)
+   * @param {string} accessToken - Whoop access token
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @param {Object} options - { timeZone } of the sleeper, to turn days into instants
+   * @returns {Promise<Object>} { data: SleepSession[] }
+   */
+  async getSleepRange(accessToken, startDate, endDate, options = {}) {
+    const timeZone = resolveTimezone(options.timeZone);
+    // A night that ends on startDate starts the evening before
+    const params = {
+      start: zonedTimeToInstant(addDays(startDate, -1), 12 * 60, timeZone).toISOString(),
+      end: zonedTimeToInstant(addDays(endDate, 1), 0, timeZone).toISOString()
+    };
+
+    const [sleeps, recoveries] = await Promise.all([
+      this.getAll('/developer/v2/activity/sleep', accessToken, params),
+      this.getAll('/developer/v2/recovery', accessToken, params)
+    ]);
+    const recoveryBySleep = new Map(recoveries
+      .filter(recovery => recovery.score_state === 'SCORED')
+      .map(recovery => [recovery.sleep_id, recovery.score]));
+
+    const sessions = sleeps
+      .filter(sleep => sleep.score_state === 'SCORED')
+      .map(sleep => toSession(sleep, recoveryBySleep.get(sleep.id)))
+      .filter(session => session.day >= startDate && session.day <= endDate);
+
+    return { data: markMainSleeps(sessions).sort((a, b) => a.bedtime_start.localeCompare(b.bedtime_start)) };
+  }
+
+  // Helper methods
+
+  async getAll(path, accessToken, params) {
+    const records = [];
+    const seenTokens = new Set();
+    let nextToken;
+    do {
+      const response = await this.request(path, {
+        accessToken,
+        params: { ...params, limit: PAGE_LIMIT, ...(nextToken && { nextToken }) }
+      });
+      records.push(...(response?.records || []));
+      nextToken = response?.next_token || null;
+      if (nextToken && seenTokens.has(nextToken)) {
+        // A repeated token would page forever
+        throw Object.assign(new Error(`${this.name} API Error: repeated next_token for ${path}`), { status: 502, source: this.id });
+      }
+      if (nextToken) seenTokens.add(nextToken);
+    } while (nextToken);
+    return records;
+  }
+}
+
+// Helper functions
+
+function toSession(sleep, recovery) {
+  const offsetMinutes = parseOffset(sleep.timezone_offset) ?? 0;
+  const start = Date.parse(sleep.start);
+  const end = Date.parse(sleep.end);
+  const stages = sleep.score?.stage_summary || {};
+  const bedtimeEnd = formatLocalDateTime(end, offsetMinutes);
+  const day = bedtimeEnd.slice(0, 10);
+
+  return createSession({
+    id: `whoop:${sleep.id}`,
+    day,
+    // Settled by markMainSleeps
+    type: sleep.nap ? 'late_nap' : 'sleep',
+    bedtime_start: formatLocalDateTime(start, offsetMinutes),
+    bedtime_end: bedtimeEnd,
+    total_sleep_duration: millisToSeconds(
+      stages.total_light_sleep_time_milli,
+      stages.total_slow_wave_sleep_time_milli,
+      stages.total_rem_sleep_time_milli
+    ) ?? 0,
+    time_in_bed: millisToSeconds(stages.total_in_bed_time_milli),
+    awake_time: millisToSeconds(stages.total_awake_time_milli),
+    deep_sleep_duration: millisToSeconds(stages.total_slow_wave_sleep_time_milli),
+    light_sleep_duration: millisToSeconds(stages.total_light_sleep_time_milli),
+    rem_sleep_duration: millisToSeconds(stages.total_rem_sleep_time_milli),
+    efficiency: Number.isFinite(sleep.score?.sleep_efficiency_percentage)
+      ? Math.round(sleep.score.sleep_efficiency_percentage)
+      : null,
+    average_hrv: Number.isFinite(recovery?.hrv_rmssd_milli) ? Math.round(recovery.hrv_rmssd_milli) : null,
+    lowest_heart_rate: recovery?.resting_heart_rate ?? null,
+    readiness: recovery && !sleep.nap ? createReadiness({ day, score: recovery.recovery_score }) : null
+  });
+}
+
+// Export singleton instance
+module.exports = new WhoopProvider();
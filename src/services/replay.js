@@ -0,0 +1,192 @@
+/**
+ * Nap Replay Service
+ * Re-runs the nap calculator across a past day to audit what the app said
+ */
+
+const NapCalculator = require("./nap-calculator");
+const {
+  resolveTimezone,
+  getZonedParts,
+  getLocalDateString,
+  formatLocalTime,
+  zonedTimeToInstant,
+  addDays,
+} = require("../utils/timezone");
+const { resolveSchedule, getDaySchedule, getScheduleAt } = require("../config/schedule");
+const { resolveNow } = require("../utils/clock");
+
+class NapReplay {
+  /**
+   * Calculate the nap status as it would have been shown at an instant
+   * Only sessions that had ended by then are visible, since Oura can't
+   * have synced a session that was still in progress
+   * @param {Object} sleepData - Sleep records covering the day and the debt window
+   * @param {Object} options - Calculation options (see NapCalculator.calculateNapStatus)
+   * @param {Date|string|number} options.now - Instant to replay
+   * @returns {Object} Nap status
+   */
+  static statusAt(sleepData, options = {}) {
+    const timeZone = resolveTimezone(options.timeZone);
+    const now = resolveNow(options.now);
+    const today = getLocalDateString(now, timeZone);
+
+    const visible = (sleepData?.data || []).filter((record) =>
+      this.isVisibleAt(record, now),
+    );
+
+    // Same yesterday-through-tomorrow slice the live route gets from getYesterdaySleep
+    const recent = visible.filter(
+      (record) =>
+        record.day >= addDays(today, -1) && record.day <= addDays(today, 1),
+    );
+
+    return NapCalculator.calculateNapStatus(
+      { data: recent },
+      { ...options, timeZone, now, history: { data: visible } },
+    );
+  }
+
+  /**
+   * Build a timeline of status changes across one local day
+   * The status is evaluated at every point where it can change (window
+   * boundaries, the Oura sync hour, and the end of each sleep session) and
+   * an entry is kept whenever the message, priority, window or sync state changes
+   * @param {Object} sleepData - Sleep records covering the day and the debt window
+   * @param {Object} options - Calculation options (see NapCalculator.calculateNapStatus)
+   * @param {string} options.date - Local date to replay (YYYY-MM-DD)
+   * @returns {Object} { date, timeZone, checkpoints, timeline }
+   */
+  static buildTimeline(sleepData, options = {}) {
+    const timeZone = resolveTimezone(options.timeZone);
+    const schedule = resolveSchedule(options.schedule);
+    const calcOptions = { ...options, timeZone, schedule };
+    delete calcOptions.date;
+
+    const checkpoints = this.getCheckpoints(sleepData, {
+      date: options.date,
+      timeZone,
+      schedule,
+    });
+
+    const timeline = [];
+    let previousKey = null;
+
+    for (const checkpoint of checkpoints) {
+      const status = this.statusAt(sleepData, {
+        ...calcOptions,
+        now: checkpoint.at,
+      });
+      const syncState = this.getSyncState(status);
+      const key = [
+        status.message,
+        status.napPriority,
+        status.timeWindow,
+        syncState,
+        status.sleepHours,
+        status.hasNappedToday,
+      ].join("|");
+
+      if (key === previousKey) continue;
+      previousKey = key;
+
+      timeline.push({
+        at: checkpoint.at.toISOString(),
+        localTime: formatLocalTime(checkpoint.at, timeZone, status.locale),
+        reasons: checkpoint.reasons,
+        message: status.message,
+        recommendation: status.recommendation,
+        napPriority: status.napPriority,
+        needsNap: status.needsNap,
+        timeWindow: status.timeWindow,
+        syncState,
+        sleepHours: status.sleepHours,
+        hasNappedToday: status.hasNappedToday,
+        possiblySick: status.possiblySick,
+      });
+    }
+
+    return {
+      date: options.date,
+      timeZone,
+      checkpoints: checkpoints.length,
+      timeline,
+    };
+  }
+
+  /**
+   * List the instants in a local day where the nap status can change
+   * @param {Object} sleepData - Sleep records
+   * @param {Object} options - { date, timeZone, schedule }
+   * @returns {Array<Object>} Sorted checkpoints: { at: Date, reasons: string[] }
+   */
+  static getCheckpoints(sleepData, options) {
+    const { date, timeZone, schedule } = options;
+    const dayStart = zonedTimeToInstant(date, 0, timeZone);
+    const dayEnd = zonedTimeToInstant(date, 24 * 60, timeZone);
+
+    // The schedule in effect is the one for the date's local weekday
+    const midday = zonedTimeToInstant(date, 12 * 60, timeZone);
+    const weekday = getZonedParts(midday, timeZone).weekday;
+    const daySchedule = getDaySchedule(schedule, weekday);
+    // Last night's bedtime, when it fell after midnight into this date
+    const { bedtime: nightBedtime } = getScheduleAt(schedule, weekday, 0);
+
+    const candidates = [
+      { minutes: 0, reason: "start of day" },
+      { minutes: daySchedule.wake, reason: "pre-nap window starts" },
+      { minutes: daySchedule.napStart, reason: "nap window starts" },
+      { minutes: daySchedule.napEnd, reason: "post-nap window starts" },
+      nightBedtime < daySchedule.wake && { minutes: nightBedtime, reason: "sleep window starts" },
+      daySchedule.bedtime > daySchedule.wake && { minutes: daySchedule.bedtime, reason: "sleep window starts" },
+      { minutes: NapCalculator.OURA_SYNC_HOUR * 60, reason: "Oura sync hour" },
+    ].filter(Boolean).map(({ minutes, reason }) => ({
+      at: zonedTimeToInstant(date, minutes, timeZone),
+      reason,
+    }));
+
+    for (const record of sleepData?.data || []) {
+      if (!record.bedtime_end) continue;
+      const ended = new Date(record.bedtime_end);
+      if (ended >= dayStart && ended < dayEnd) {
+        candidates.push({
+          at: ended,
+          reason: `${record.type || "sleep"} session ends`,
+        });
+      }
+    }
+
+    // Merge checkpoints that fall on the same instant
+    const byInstant = new Map();
+    for (const { at, reason } of candidates) {
+      const entry = byInstant.get(at.getTime()) || { at, reasons: [] };
+      entry.reasons.push(reason);
+      byInstant.set(at.getTime(), entry);
+    }
+
+    return [...byInstant.values()].sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Whether a sleep record could have been synced by an instant
+   * @param {Object} record - Oura sleep record
+   * @param {Date} instant - Instant to check
+   * @returns {boolean} True if the session had ended (or has no end time)
+   */
+  static isVisibleAt(record, instant) {
+    if (!record.bedtime_end) return true;
+    return new Date(record.bedtime_end) <= instant;
+  }
+
+  /**
+   * Classify a status by the state of its data
+   * @param {Object} status - Nap status
+   * @returns {string} 'no-data', 'stale' or 'synced'
+   */
+  static getSyncState(status) {
+    if (status.sleepCategory === "no-data") return "no-data";
+    if (status.isStaleData) return "stale";
+    return "synced";
+  }
+}
+
+module.exports = NapReplay;
@@ -0,0 +1,279 @@
+/**
+ * Share Service
+ * Status badge, Open Graph image and link preview tags for the live verdict
+ *
+ * The badge is a shields.io style SVG colored by nap priority. The Open
+ * Graph image is an SVG card (message, sleep hours and the same picture as
+ * the favicon: i-sleep.png when a nap is due or it's sleep time,
+ * real-shit.png otherwise) rasterized to PNG with resvg. Text needs a font:
+ * system fonts are used, or set OG_IMAGE_FONT to a .ttf/.otf file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const napStatus = require('./nap-status');
+const cache = require('./cache');
+const { translate, getDefaultLocale } = require('../utils/i18n');
+const { logger } = require('../utils/logger');
+
+const OG_WIDTH = 1200;
+const OG_HEIGHT = 630;
+
+// shields.io colors
+const BADGE_COLORS = {
+  yes: '#e05d44',
+  maybe: '#dfb317',
+  none: '#4c1',
+  unknown: '#9f9f9f'
+};
+
+const FONT_FAMILY = 'DejaVu Sans, Verdana, Geneva, Lato, sans-serif';
+
+// Built frontend first, then the sources (development without a build)
+const IMAGE_DIRS = [
+  path.join(__dirname, '../../frontend/dist'),
+  path.join(__dirname, '../../frontend/public')
+];
+
+class ShareService {
+  constructor() {
+    // Base64 pictures by file name, read once
+    this.images = new Map();
+    // Status lookups started for link previews, by status key
+    this.warming = new Map();
+  }
+
+  /**
+   * Get a person's live status for a badge or preview, without failing
+   * @param {Object} person - Normalized person
+   * @param {Object} wording - { pack, locale }
+   * @returns {Promise<Object|null>} Nap status, or null if Oura is unavailable
+   */
+  async getStatus(person, wording = {}) {
+    return napStatus.getLiveNapStatus(person, { wording }).catch(error => {
+      logger.warn('Share status failed', { person: person.id, error: error.message });
+      return null;
+    });
+  }
+
+  /**
+   * Build a shields.io style badge
+   * @param {string} label - Left-hand text (e.g. the person's name)
+   * @param {Object|null} status - Nap status, or null when it's unavailable
+   * @param {string} locale - Supported locale for the fallback text
+   * @returns {string} SVG
+   */
+  buildBadge(label, status, locale = getDefaultLocale()) {
+    const value = status ? status.message : translate(locale, 'share.unavailable');
+    const color = BADGE_COLORS[status?.napPriority] || BADGE_COLORS.unknown;
+
+    const labelWidth = Math.round(estimateTextWidth(label, 11)) + 10;
+    const valueWidth = Math.round(estimateTextWidth(value, 11)) + 10;
+    const width = labelWidth + valueWidth;
+    const title = escapeXml(`${label}: ${value}`);
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">`,
+      `<title>${title}</title>`,
+      '<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>',
+      `<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>`,
+      '<g clip-path="url(#r)">',
+      `<rect width="${labelWidth}" height="20" fill="#555"/>`,
+      `<rect x="${labelWidth}" width="${valueWidth}" height="20" fill="${color}"/>`,
+      `<rect width="${width}" height="20" fill="url(#s)"/>`,
+      '</g>',
+      `<g fill="#fff" text-anchor="middle" font-family="${FONT_FAMILY}" font-size="11">`,
+      `<text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(label)}</text>`,
+      `<text x="${labelWidth / 2}" y="14">${escapeXml(label)}</text>`,
+      `<text x="${labelWidth + valueWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(value)}</text>`,
+      `<text x="${labelWidth + valueWidth / 2}" y="14">${escapeXml(value)}</text>`,
+      '</g>',
+      '</svg>'
+    ].join('');
+  }
+
+  /**
+   * Build the Open Graph card as SVG
+   * @param {Object} person - Normalized person
+   * @param {Object|null} status - Nap status, or null when it's unavailable
+   * @param {string} locale - Supported locale for the labels
+   * @returns {string} SVG, 1200x630
+   */
+  buildOgSvg(person, status, locale = getDefaultLocale()) {
+    const t = (key, values) => translate(locale, `share.${key}`, values);
+    const message = status ? status.message : t('unavailable');
+    const subtitle = !status ? '' : status.sleepCategory === 'no-data'
+      ? t('noData')
+      : t('sleptHours', { name: person.name, hours: status.sleepHours });
+    const footer = [t('siteName'), status?.currentTime].filter(Boolean).join(' · ');
+
+    // Big text on the left, picture on the right
+    const lines = wrapText(message, 16).slice(0, 3);
+    const messageSize = lines.length > 2 ? 64 : 80;
+    const firstBaseline = 150 + messageSize;
+    const text = lines.map((line, index) =>
+      `<text x="80" y="${firstBaseline + index * messageSize * 1.15}" font-size="${messageSize}" font-weight="900">${escapeXml(line)}</text>`
+    );
+    const subtitleY = firstBaseline + (lines.length - 1) * messageSize * 1.15 + 80;
+
+    const image = this.getImageDataUri(status?.shouldNap || status?.isSleepTime ? 'i-sleep.png' : 'real-shit.png');
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${OG_WIDTH}" height="${OG_HEIGHT}" viewBox="0 0 ${OG_WIDTH} ${OG_HEIGHT}">`,
+      '<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="#667eea"/><stop offset="1" stop-color="#764ba2"/></linearGradient></defs>',
+      `<rect width="${OG_WIDTH}" height="${OG_HEIGHT}" fill="url(#bg)"/>`,
+      `<g fill="#fff" font-family="${FONT_FAMILY}">`,
+      ...text,
+      subtitle ? `<text x="80" y="${subtitleY}" font-size="36" fill-opacity=".9">${escapeXml(subtitle)}</text>` : '',
+      `<text x="80" y="${OG_HEIGHT - 60}" font-size="28" fill-opacity=".7">${escapeXml(footer)}</text>`,
+      '</g>',
+      image ? `<image x="780" y="135" width="360" height="360" preserveAspectRatio="xMidYMid meet" xlink:href="${image}"/>` : '',
+      '</svg>'
+    ].join('');
+  }
+
+  /**
+   * Render the Open Graph card as PNG, reusing the last render while the status is unchanged
+   * @param {Object} person - Normalized person
+   * @param {Object|null} status - Nap status, or null when it's unavailable
+   * @param {string} locale - Supported locale for the labels
+   * @returns {Buffer} PNG image
+   */
+  renderOgImage(person, status, locale = getDefaultLocale()) {
+    const key = `${person.id}_og_image:${locale}:${status?.message}:${status?.lastUpdated}`;
+    const cached = cache.get(key);
+    if (cached) return cached;
+
+    const png = this.rasterize(this.buildOgSvg(person, status, locale));
+    cache.set(key, png, 300);
+    return png;
+  }
+
+  /**
+   * Build Open Graph and Twitter meta tags for the page
+   * @param {Object} person - Normalized person
+   * @param {Object|null} status - Nap status, or null for generic tags
+   * @param {Object} options - { baseUrl, locale }
+   * @returns {string} HTML meta tags
+   */
+  buildMetaTags(person, status, { baseUrl, locale = getDefaultLocale() }) {
+    const title = status
+      ? `${person.name}: ${status.message}`
+      : translate(locale, 'fallbackPage.title');
+    const description = status
+      ? [status.recommendation, status.sleepCategory === 'no-data' ? null : translate(locale, 'share.sleptHours', { name: person.name, hours: status.sleepHours })]
+        .filter(Boolean).join(' ')
+      : translate(locale, 'share.unavailable');
+    // A new URL per status, so previews don't keep an old verdict cached
+    const version = status ? `&v=${encodeURIComponent(status.lastUpdated)}` : '';
+    const image = `${baseUrl}/api/og-image.png?lang=${locale}${version}`;
+
+    const tags = [
+      ['property', 'og:type', 'website'],
+      ['property', 'og:site_name', translate(locale, 'share.siteName')],
+      ['property', 'og:url', `${baseUrl}/`],
+      ['property', 'og:title', title],
+      ['property', 'og:description', description],
+      ['property', 'og:locale', locale],
+      ['property', 'og:image', image],
+      ['property', 'og:image:type', 'image/png'],
+      ['property', 'og:image:width', String(OG_WIDTH)],
+      ['property', 'og:image:height', String(OG_HEIGHT)],
+      ['property', 'og:image:alt', title],
+      ['name', 'twitter:card', 'summary_large_image'],
+      ['name', 'twitter:title', title],
+      ['name', 'twitter:description', description],
+      ['name', 'twitter:image', image]
+    ];
+    return tags
+      .map(([attribute, key, content]) => `<meta ${attribute}="${key}" content="${escapeXml(content)}" />`)
+      .join('\n    ');
+  }
+
+  /**
+   * Get the link preview tags for a person from their cached status
+   * The page never waits on the sleep API: without a cached status the tags
+   * are generic, and a lookup starts so the next load has the verdict
+   * @param {Object} person - Normalized person
+   * @param {Object} options - { baseUrl, locale }
+   * @returns {string} HTML meta tags
+   */
+  getMetaTags(person, { baseUrl, locale }) {
+    const status = napStatus.getCachedNapStatus(person, { locale });
+    if (!status) this.warmStatus(person, { locale });
+    return this.buildMetaTags(person, status, { baseUrl, locale });
+  }
+
+  // Helper methods
+
+  warmStatus(person, wording) {
+    const key = napStatus.getStatusKey(person, wording);
+    if (this.warming.has(key)) return;
+    this.warming.set(key, this.getStatus(person, wording).finally(() => this.warming.delete(key)));
+  }
+
+  rasterize(svg) {
+    const { Resvg } = require('@resvg/resvg-js');
+    const fontFile = process.env.OG_IMAGE_FONT;
+    const resvg = new Resvg(svg, {
+      fitTo: { mode: 'width', value: OG_WIDTH },
+      font: {
+        loadSystemFonts: true,
+        fontFiles: fontFile ? [fontFile] : [],
+        defaultFontFamily: 'DejaVu Sans'
+      }
+    });
+    return resvg.render().asPng();
+  }
+
+  getImageDataUri(fileName) {
+    if (!this.images.has(fileName)) {
+      const file = IMAGE_DIRS.map(dir => path.join(dir, fileName)).find(candidate => fs.existsSync(candidate));
+      this.images.set(fileName, file ? `data:image/png;base64,${fs.readFileSync(file).toString('base64')}` : null);
+    }
+    return this.images.get(fileName);
+  }
+}
+
+// Helper functions
+
+// Rough Verdana widths (in em) so badges fit their text without measuring fonts
+function estimateTextWidth(text, fontSize) {
+  let ems = 0;
+  for (const char of String(text)) {
+    if (/[iIl.,:;'|!]/.test(char)) ems += 0.32;
+    else if (/[mwMW]/.test(char)) ems += 0.95;
+    else if (/[A-Z]/.test(char)) ems += 0.72;
+    else if (char === ' ') ems += 0.35;
+    else ems += 0.62;
+  }
+  return ems * fontSize;
+}
+
+// Greedy word wrap to at most maxChars per line
+function wrapText(text, maxChars) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (line && (line + ' ' + word).length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Export singleton instance
+module.exports = new ShareService();
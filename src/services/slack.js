@@ -0,0 +1,201 @@
+/**
+ * Slack Service
+ * Verifies Slack requests and words nap statuses as Block Kit messages
+ *
+ * The slash command answers in the channel with the status message, last
+ * night's sleep, the recommendation and the sleep phase breakdown, plus a
+ * "Refresh" button. The button skips the status cache, like ?force=true on
+ * /api/nap-status, and replaces the message with the fresh status.
+ */
+
+const axios = require('axios');
+const napStatus = require('./nap-status');
+const NapCalculator = require('./nap-calculator');
+const { resolvePeople, getPerson, getDefaultPerson } = require('../config/people');
+const { sign, safeEqual } = require('../utils/crypto');
+const { translate, getDefaultLocale } = require('../utils/i18n');
+const { formatLocalTime } = require('../utils/timezone');
+const { logger } = require('../utils/logger');
+
+const REFRESH_ACTION_ID = 'refresh_nap_status';
+
+class SlackService {
+  /**
+   * Check a request's X-Slack-Signature against the signing secret
+   * @param {Object} request - { timestamp, signature, rawBody } from the request
+   * @param {Object} config - Resolved Slack config (signingSecret, maxRequestAgeSeconds)
+   * @param {number} now - Current time in ms (default: Date.now())
+   * @returns {boolean} True if Slack signed this body recently
+   */
+  verifySignature({ timestamp, signature, rawBody }, config, now = Date.now()) {
+    if (!timestamp || !signature || rawBody === undefined) return false;
+
+    const age = Math.abs(now / 1000 - Number(timestamp));
+    if (!(age <= config.maxRequestAgeSeconds)) return false;
+
+    const expected = `v0=${sign(`v0:${timestamp}:${rawBody}`, config.signingSecret)}`;
+    return safeEqual(signature, expected);
+  }
+
+  /**
+   * Work out who a slash command asks about
+   * Accepts a person id or name (any case); empty text means the default person
+   * @param {string} text - Text typed after the command
+   * @returns {Object} { person }, { help: true }, or { unknown: text }
+   */
+  parseCommand(text = '') {
+    const query = text.trim();
+    if (!query) return { person: getDefaultPerson() };
+    if (query.toLowerCase() === 'help') return { help: true };
+
+    const person = getPerson(query.toLowerCase()) ||
+      resolvePeople().find(candidate => candidate.name.toLowerCase() === query.toLowerCase());
+    return person ? { person } : { unknown: query };
+  }
+
+  /**
+   * Get a person's status worded as a Slack message
+   * Failures become an ephemeral error message rather than throwing
+   * @param {Object} person - Normalized person
+   * @param {Object} options - { forceRefresh } to skip the status cache
+   * @returns {Promise<Object>} Slack message
+   */
+  async getStatusMessage(person, { forceRefresh = false } = {}) {
+    try {
+      const status = await napStatus.getLiveNapStatus(person, { forceRefresh });
+      return this.buildStatusMessage(person, status);
+    } catch (error) {
+      logger.error('Slack nap status failed', { person: person.id, error: error.message });
+      return this.buildTextMessage(translate(getDefaultLocale(), 'chat.error', { name: person.name }));
+    }
+  }
+
+  /**
+   * Build the Block Kit message for a nap status
+   * @param {Object} person - Normalized person
+   * @param {Object} status - Output of calculateNapStatus (as returned by the nap status service)
+   * @returns {Object} Slack message posted in the channel
+   */
+  buildStatusMessage(person, status) {
+    const locale = status.locale || getDefaultLocale();
+    const t = (key, values) => translate(locale, `chat.${key}`, values);
+    const details = status.details || {};
+    const updatedAt = formatLocalTime(new Date(status.lastUpdated), person.timeZone, locale);
+
+    const context = [];
+    if (details.totalSleepDurationSeconds > 0) {
+      context.push(t('phases', {
+        deep: NapCalculator.formatDuration(details.deepSleepMinutes, locale),
+        rem: NapCalculator.formatDuration(details.remSleepMinutes, locale),
+        light: NapCalculator.formatDuration(details.lightSleepMinutes, locale)
+      }));
+      if (details.efficiency) {
+        context.push(t('efficiency', { value: details.efficiency }));
+      }
+    }
+    context.push(t(status.cached ? 'updatedCached' : 'updated', { time: updatedAt }));
+
+    return {
+      response_type: 'in_channel',
+      text: `${person.name}: ${status.message}`,
+      blocks: [
+        {
+          type: 'header',
+          text: { type: 'plain_text', text: `${person.name}: ${status.message}`, emoji: true }
+        },
+        {
+          type: 'section',
+          fields: [
+            { type: 'mrkdwn', text: `*${t('sleep')}*\n${t('sleepValue', { hours: status.sleepHours ?? '0.0', quality: status.quality })}` },
+            { type: 'mrkdwn', text: `*${t('napPriority')}*\n${translate(locale, `priority.${status.napPriority || 'unknown'}`)}` },
+            { type: 'mrkdwn', text: `*${t('localTime')}*\n${status.currentTime}` }
+          ]
+        },
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: status.recommendation }
+        },
+        {
+          type: 'context',
+          elements: context.map(text => ({ type: 'mrkdwn', text }))
+        },
+        {
+          type: 'actions',
+          elements: [
+            {
+              type: 'button',
+              action_id: REFRESH_ACTION_ID,
+              text: { type: 'plain_text', text: t('refresh') },
+              value: person.id
+            }
+          ]
+        }
+      ]
+    };
+  }
+
+  /**
+   * Build a plain message only the person who asked can see
+   * @param {string} text - Message text (mrkdwn)
+   * @returns {Object} Slack message
+   */
+  buildTextMessage(text) {
+    return { response_type: 'ephemeral', text };
+  }
+
+  /**
+   * Build the usage message for "/nap help" or an unknown name
+   * @param {string} command - The slash command as typed (e.g. "/nap")
+   * @param {string} unknown - Name that matched nobody (optional)
+   * @returns {Object} Slack message
+   */
+  buildHelpMessage(command, unknown) {
+    const locale = getDefaultLocale();
+    const people = resolvePeople().map(person => person.name).join(', ');
+    const text = unknown
+      ? translate(locale, 'chat.unknownPerson', { text: unknown, people })
+      : translate(locale, 'chat.help', { command: command || '/nap', name: getDefaultPerson().name, people });
+    return this.buildTextMessage(text);
+  }
+
+  /**
+   * Build the placeholder sent when the status takes too long for Slack's 3 second limit
+   * @param {Object} person - Normalized person
+   * @returns {Object} Slack message
+   */
+  buildCheckingMessage(person) {
+    return this.buildTextMessage(translate(getDefaultLocale(), 'chat.checking', { name: person.name }));
+  }
+
+  /**
+   * Read the refresh button press out of an interactive payload
+   * @param {Object} payload - Parsed "payload" field of the interactive request
+   * @returns {Object|null} { person, responseUrl }, or null if it isn't a refresh for a known person
+   */
+  parseRefreshAction(payload) {
+    if (payload?.type !== 'block_actions') return null;
+
+    const action = (payload.actions || []).find(candidate => candidate.action_id === REFRESH_ACTION_ID);
+    const person = action && getPerson(action.value);
+    if (!person || !payload.response_url) return null;
+
+    return { person, responseUrl: payload.response_url };
+  }
+
+  /**
+   * Send a message to a command's or action's response_url
+   * @param {string} responseUrl - response_url from Slack
+   * @param {Object} message - Slack message
+   * @returns {Promise<void>} Resolves once Slack accepted it; failures are logged
+   */
+  async respond(responseUrl, message) {
+    try {
+      await axios.post(responseUrl, message, { timeout: 10000 });
+    } catch (error) {
+      logger.error('Slack response_url post failed', { error: error.message });
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new SlackService();
@@ -0,0 +1,193 @@
+/**
+ * Sleep History Service
+ * Reads sleep sessions from the local store first and only asks the
+ * person's sleep provider (Oura unless configured otherwise) for the days
+ * the store can't answer for yet
+ */
+
+const { getProvider } = require('./providers');
+const sleepStore = require('./sleep-store');
+const { resolveTimezone, getLocalDateString, addDays } = require('../utils/timezone');
+const { resolveNow } = require('../utils/clock');
+const { logger } = require('../utils/logger');
+
+class SleepHistoryService {
+  constructor() {
+    this.storeError = null;
+  }
+
+  /**
+   * Get sleep sessions for a date range (inclusive), store first
+   * @param {string} accessToken - OAuth access token
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @param {Object} options - Request options
+   * @param {string} options.timeZone - IANA timezone of the sleeper (default: NAP_TIMEZONE or America/Denver)
+   * @param {string} options.personKey - Person storage key (default: '' for the default person)
+   * @param {string} options.provider - Sleep provider id (default: oura)
+   * @returns {Promise<Object>} { data: SleepSession[] }, see providers/session
+   */
+  async getSleepRange(accessToken, startDate, endDate, options = {}) {
+    if (getProvider(options.provider).readsStore) {
+      return sleepStore.getSessions(startDate, endDate, options.personKey || '');
+    }
+    if (!this.isStoreAvailable()) {
+      return getProvider(options.provider).getSleepRange(accessToken, startDate, endDate, {
+        timeZone: resolveTimezone(options.timeZone)
+      });
+    }
+
+    const personKey = options.personKey || '';
+    for (const range of sleepStore.getMissingRanges(startDate, endDate, personKey)) {
+      await this.syncRange(accessToken, range.startDate, range.endDate, options);
+    }
+
+    return sleepStore.getSessions(startDate, endDate, personKey);
+  }
+
+  /**
+   * Get last night's sleep (yesterday through tomorrow), store first
+   * Recent days are never settled, so live requests still reach the provider;
+   * requests for a past instant are answered from the store
+   * @param {string} accessToken - OAuth access token
+   * @param {Object} options - Request options
+   * @param {string} options.timeZone - IANA timezone of the sleeper (default: NAP_TIMEZONE or America/Denver)
+   * @param {Date|string|number} options.now - Instant whose "last night" to fetch (default: current time)
+   * @param {string} options.personKey - Person storage key (default: '' for the default person)
+   * @param {string} options.provider - Sleep provider id (default: oura)
+   * @returns {Promise<Object>} Sleep data response
+   */
+  async getYesterdaySleep(accessToken, options = {}) {
+    const timeZone = resolveTimezone(options.timeZone);
+    const now = resolveNow(options.now);
+    const personKey = options.personKey || '';
+    const today = getLocalDateString(now, timeZone);
+    const startDate = addDays(today, -1);
+    const endDate = addDays(today, 1);
+
+    // Imported sleep only ever lives in the store
+    const provider = getProvider(options.provider);
+    if (provider.readsStore || (this.isStoreAvailable() && sleepStore.getMissingRanges(startDate, endDate, personKey).length === 0)) {
+      return sleepStore.getSessions(startDate, endDate, personKey);
+    }
+
+    const sleepData = await provider.getYesterdaySleep(accessToken, { timeZone, now });
+    this.save(startDate, endDate, sleepData, { timeZone, personKey });
+    return sleepData;
+  }
+
+  /**
+   * Fetch a date range from the provider and save it to the store
+   * @param {string} accessToken - OAuth access token
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @param {Object} options - Request options ({ timeZone, personKey, provider })
+   * @returns {Promise<Object>} Provider response
+   */
+  async syncRange(accessToken, startDate, endDate, options = {}) {
+    const sleepData = await getProvider(options.provider).getSleepRange(accessToken, startDate, endDate, {
+      timeZone: resolveTimezone(options.timeZone)
+    });
+    this.save(startDate, endDate, sleepData, options);
+    return sleepData;
+  }
+
+  /**
+   * Import the whole sleep history into the store
+   * Walks backwards from `until` in chunks. Without `since`, it stops after
+   * `maxEmptyChunks` chunks in a row come back with no sessions.
+   * Days that are already settled are skipped unless `force` is set.
+   * @param {string} accessToken - OAuth access token
+   * @param {Object} options - Backfill options
+   * @param {string} options.since - First day to import (YYYY-MM-DD, optional)
+   * @param {string} options.until - Last day to import (default: sleeper's today)
+   * @param {number} options.chunkDays - Days per provider request (default: 30)
+   * @param {number} options.maxEmptyChunks - Empty chunks in a row before stopping (default: 3)
+   * @param {boolean} options.force - Refetch days the store already has
+   * @param {string} options.timeZone - IANA timezone of the sleeper
+   * @param {string} options.personKey - Person storage key (default: '' for the default person)
+   * @param {string} options.provider - Sleep provider id (default: oura)
+   * @param {Function} options.onProgress - Called after each chunk with { startDate, endDate, requests, sessions }
+   * @returns {Promise<Object>} { startDate, endDate, chunks, requests, sessions }
+   */
+  async backfill(accessToken, options = {}) {
+    const timeZone = resolveTimezone(options.timeZone);
+    const personKey = options.personKey || '';
+    const { provider } = options;
+    const chunkDays = options.chunkDays || 30;
+    const maxEmptyChunks = options.maxEmptyChunks || 3;
+    const until = options.until || getLocalDateString(new Date(), timeZone);
+
+    let endDate = until;
+    let startDate = until;
+    let chunks = 0;
+    let requests = 0;
+    let sessions = 0;
+    let emptyChunks = 0;
+
+    while (!options.since || endDate >= options.since) {
+      startDate = addDays(endDate, -(chunkDays - 1));
+      if (options.since && startDate < options.since) startDate = options.since;
+
+      const ranges = options.force
+        ? [{ startDate, endDate }]
+        : sleepStore.getMissingRanges(startDate, endDate, personKey);
+      for (const range of ranges) {
+        await this.syncRange(accessToken, range.startDate, range.endDate, { timeZone, personKey, provider });
+      }
+
+      const chunkSessions = sleepStore.getSessions(startDate, endDate, personKey).data.length;
+      chunks++;
+      requests += ranges.length;
+      sessions += chunkSessions;
+      if (options.onProgress) {
+        options.onProgress({ startDate, endDate, requests: ranges.length, sessions: chunkSessions });
+      }
+
+      emptyChunks = chunkSessions === 0 ? emptyChunks + 1 : 0;
+      if (!options.since && emptyChunks >= maxEmptyChunks) break;
+
+      endDate = addDays(startDate, -1);
+    }
+
+    return { startDate, endDate: until, chunks, requests, sessions };
+  }
+
+  /**
+   * Check that the store can be opened
+   * The store is an optimization, so when SQLite is unavailable we log once
+   * and read straight from the provider instead
+   * @returns {boolean} True if the store is usable
+   */
+  isStoreAvailable() {
+    try {
+      sleepStore.open();
+      this.storeError = null;
+      return true;
+    } catch (error) {
+      if (this.storeError !== error.message) {
+        logger.warn('Sleep store unavailable, reading from the sleep provider', { error: error.message });
+        this.storeError = error.message;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Save a provider response for a date range to the store
+   * Responses without a data array are not saved, so those days get fetched again
+   * @param {string} startDate - First day fetched (YYYY-MM-DD)
+   * @param {string} endDate - Last day fetched (YYYY-MM-DD)
+   * @param {Object} sleepData - Provider response
+   * @param {Object} options - { timeZone, personKey }
+   */
+  save(startDate, endDate, sleepData, options = {}) {
+    if (!Array.isArray(sleepData?.data) || !this.isStoreAvailable()) return;
+    // The sleeper's date at fetch time decides when these days count as settled
+    const syncedOn = getLocalDateString(new Date(), resolveTimezone(options.timeZone));
+    sleepStore.saveRange(startDate, endDate, sleepData.data, syncedOn, options.personKey || '');
+  }
+}
+
+// Export singleton instance
+module.exports = new SleepHistoryService();
@@ -0,0 +1,182 @@
+/**
+ * Sleep Import Service
+ * Turns Apple Health and Google Fit exports into sleep sessions and saves
+ * them to the sleep store, for people without a sleep API
+ *
+ * Both exports are lists of timed samples (asleep, in bed, a sleep stage or
+ * awake), often from more than one device. Samples less than an hour apart
+ * make one session; within it, overlapping samples are merged so a night
+ * recorded by both watch and phone counts once. Sessions get the normalized
+ * shape from providers/session, filed under the local day they ended:
+ * the longest of the day is the main sleep, and short sleep the calculator
+ * would count as a nap is typed as one.
+ *
+ * Give such a person "provider": "import" in the people config and the nap
+ * calculator runs on the imported sessions, with no live API at all.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const sleepStore = require('./sleep-store');
+const NapCalculator = require('./nap-calculator');
+const { readAppleHealthSamples } = require('./importers/apple-health');
+const { readGoogleFitSamples } = require('./importers/google-fit');
+const { createSession, markMainSleeps, formatZonedDateTime } = require('./providers/session');
+const { resolveTimezone, getLocalDateString } = require('../utils/timezone');
+
+const FORMATS = {
+  'apple-health': { name: 'Apple Health', read: readAppleHealthSamples },
+  'google-fit': { name: 'Google Fit', read: readGoogleFitSamples }
+};
+
+// Samples further apart than this belong to different sessions
+const SESSION_GAP_MS = 60 * 60 * 1000;
+
+// Shorter sessions are noise (a phone picked up in bed)
+const MIN_SESSION_MS = 15 * 60 * 1000;
+
+// Sleep starting in the calculator's nap window (NapCalculator.isNap) and shorter than this is a nap
+const NAP_MAX_MS = 4 * 60 * 60 * 1000;
+
+const ASLEEP_STAGES = ['asleep', 'light', 'deep', 'rem'];
+
+class SleepImportService {
+  /**
+   * Work out an export's format from its path
+   * @param {string} exportPath - export.xml, or a Takeout Fit directory or JSON file
+   * @returns {string} 'apple-health' or 'google-fit'
+   * @throws {Error} With status 400 if the path is neither
+   */
+  detectFormat(exportPath) {
+    const extension = path.extname(exportPath).toLowerCase();
+    if (extension === '.xml') return 'apple-health';
+    if (extension === '.json' || fs.statSync(exportPath).isDirectory()) return 'google-fit';
+    throw Object.assign(new Error(`Can't tell what ${exportPath} is: expected an Apple Health export.xml or a Google Takeout Fit directory`), {
+      status: 400
+    });
+  }
+
+  /**
+   * Read an export into sleep sessions
+   * @param {string} exportPath - export.xml, or a Takeout Fit directory or JSON file
+   * @param {Object} options - Import options
+   * @param {string} options.format - 'apple-health' or 'google-fit' (default: from the path)
+   * @param {string} options.timeZone - Sleeper's IANA timezone (default: NAP_TIMEZONE or America/Denver)
+   * @param {string} options.since - First day to keep (YYYY-MM-DD, optional)
+   * @param {string} options.personKey - Person storage key, part of session ids (default: '')
+   * @returns {Promise<Object>} { format, samples, sessions }
+   * @throws {Error} With status 400 for an unknown format or unreadable export
+   */
+  async readExport(exportPath, options = {}) {
+    const format = options.format || this.detectFormat(exportPath);
+    if (!FORMATS[format]) {
+      throw Object.assign(new Error(`Unknown export format "${format}", use apple-health or google-fit`), { status: 400 });
+    }
+
+    const timeZone = resolveTimezone(options.timeZone);
+    const samples = await FORMATS[format].read(exportPath);
+    const sessions = this.buildSessions(samples, { timeZone, format, personKey: options.personKey })
+      .filter(session => !options.since || session.day >= options.since);
+
+    return { format, samples: samples.length, sessions };
+  }
+
+  /**
+   * Import an export into the sleep store
+   * Stored sessions in the export's date range are replaced, so importing a
+   * newer export of the same data is safe
+   * @param {string} exportPath - export.xml, or a Takeout Fit directory or JSON file
+   * @param {Object} options - As for readExport
+   * @returns {Promise<Object>} { format, samples, sessions, startDate, endDate }, dates null when nothing was found
+   */
+  async importExport(exportPath, options = {}) {
+    const timeZone = resolveTimezone(options.timeZone);
+    const personKey = options.personKey || '';
+    const { format, samples, sessions } = await this.readExport(exportPath, { ...options, timeZone, personKey });
+    if (!sessions.length) {
+      return { format, samples, sessions: 0, startDate: null, endDate: null };
+    }
+
+    const days = sessions.map(session => session.day).sort();
+    const startDate = days[0];
+    const endDate = days[days.length - 1];
+    sleepStore.saveRange(startDate, endDate, sessions, getLocalDateString(new Date(), timeZone), personKey);
+
+    return { format, samples, sessions: sessions.length, startDate, endDate };
+  }
+
+  /**
+   * Group samples into sleep sessions
+   * @param {Array<Object>} samples - [{ start, end (epoch ms), stage }]
+   * @param {Object} options - { timeZone, format, personKey }
+   * @returns {Array<SleepSession>} Sessions, oldest first
+   */
+  buildSessions(samples, { timeZone, format = 'import', personKey = '' } = {}) {
+    const groups = [];
+    for (const sample of [...samples].sort((a, b) => a.start - b.start)) {
+      const current = groups[groups.length - 1];
+      if (current && sample.start <= current.end + SESSION_GAP_MS) {
+        current.samples.push(sample);
+        current.end = Math.max(current.end, sample.end);
+      } else {
+        groups.push({ start: sample.start, end: sample.end, samples: [sample] });
+      }
+    }
+
+    const sessions = groups
+      .filter(group => group.end - group.start >= MIN_SESSION_MS)
+      .map(group => toSession(group, { timeZone, format, personKey }));
+    return markMainSleeps(sessions);
+  }
+}
+
+// Helper functions
+
+function toSession(group, { timeZone, format, personKey }) {
+  const stageMs = stages => unionMs(group.samples.filter(sample => stages.includes(sample.stage)));
+  const inBed = group.end - group.start;
+  // Phone-only tracking records time in bed and nothing else
+  const asleep = stageMs(ASLEEP_STAGES) || stageMs(['inBed']);
+  const hasStages = group.samples.some(sample => ['light', 'deep', 'rem'].includes(sample.stage));
+  const seconds = ms => Math.round(ms / 1000);
+
+  const bedtimeStart = formatZonedDateTime(group.start, timeZone);
+  const bedtimeEnd = formatZonedDateTime(group.end, timeZone);
+  const isNap = inBed < NAP_MAX_MS && NapCalculator.isNap({ type: 'sleep', bedtime_start: bedtimeStart }, timeZone);
+
+  return createSession({
+    id: `${format}:${personKey ? `${personKey}:` : ''}${Math.floor(group.start / 1000)}`,
+    day: bedtimeEnd.slice(0, 10),
+    // Settled by markMainSleeps
+    type: isNap ? 'late_nap' : 'sleep',
+    bedtime_start: bedtimeStart,
+    bedtime_end: bedtimeEnd,
+    total_sleep_duration: seconds(asleep),
+    time_in_bed: seconds(inBed),
+    awake_time: seconds(inBed - asleep),
+    deep_sleep_duration: hasStages ? seconds(stageMs(['deep'])) : null,
+    light_sleep_duration: hasStages ? seconds(stageMs(['light'])) : null,
+    rem_sleep_duration: hasStages ? seconds(stageMs(['rem'])) : null,
+    efficiency: inBed > 0 ? Math.round(100 * asleep / inBed) : null
+  });
+}
+
+// Total time covered by intervals, overlaps counted once
+function unionMs(intervals) {
+  let total = 0;
+  let currentStart = null;
+  let currentEnd = null;
+  for (const { start, end } of [...intervals].sort((a, b) => a.start - b.start)) {
+    if (currentEnd === null || start > currentEnd) {
+      if (currentEnd !== null) total += currentEnd - currentStart;
+      currentStart = start;
+      currentEnd = end;
+    } else {
+      currentEnd = Math.max(currentEnd, end);
+    }
+  }
+  return currentEnd === null ? total : total + currentEnd - currentStart;
+}
+
+// Export singleton instance
+module.exports = new SleepImportService();
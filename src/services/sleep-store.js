@@ -0,0 +1,290 @@
+/**
+ * Sleep Store Service
+ * SQLite-backed history of every sleep session pulled from Oura
+ *
+ * Sessions are keyed by person and record id and upserted, so revised
+ * records replace the earlier copy. Each fetched day is also recorded so we know
+ * which days the store can answer for without asking Oura again.
+ * Rows belong to a person's storage key ('' for the default person).
+ *
+ * Configure the database file with SLEEP_STORE_PATH (default: data/sleep.db).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { addDays, daysBetween } = require('../utils/timezone');
+
+const DEFAULT_STORE_PATH = 'data/sleep.db';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sleep_sessions (
+    id TEXT NOT NULL,
+    person_id TEXT NOT NULL DEFAULT '',
+    day TEXT NOT NULL,
+    type TEXT,
+    bedtime_start TEXT,
+    bedtime_end TEXT,
+    record TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (person_id, id)
+  );
+  CREATE INDEX IF NOT EXISTS sleep_sessions_person_day ON sleep_sessions (person_id, day);
+
+  CREATE TABLE IF NOT EXISTS synced_days (
+    person_id TEXT NOT NULL DEFAULT '',
+    day TEXT NOT NULL,
+    synced_on TEXT NOT NULL,
+    PRIMARY KEY (person_id, day)
+  );
+`;
+
+// Bump when SCHEMA changes and add the upgrade to MIGRATIONS
+const SCHEMA_VERSION = 2;
+
+const MIGRATIONS = {
+  // Single sleeper -> per-person rows; existing rows belong to the default person ('')
+  1: `
+    ALTER TABLE sleep_sessions ADD COLUMN person_id TEXT NOT NULL DEFAULT '';
+    DROP INDEX IF EXISTS sleep_sessions_day;
+    CREATE INDEX IF NOT EXISTS sleep_sessions_person_day ON sleep_sessions (person_id, day);
+    DROP TABLE synced_days;
+    CREATE TABLE synced_days (
+      person_id TEXT NOT NULL DEFAULT '',
+      day TEXT NOT NULL,
+      synced_on TEXT NOT NULL,
+      PRIMARY KEY (person_id, day)
+    );
+  `,
+  // Provider ids aren't unique across people, so key sessions by person and id
+  2: `
+    CREATE TABLE sleep_sessions_v2 (
+      id TEXT NOT NULL,
+      person_id TEXT NOT NULL DEFAULT '',
+      day TEXT NOT NULL,
+      type TEXT,
+      bedtime_start TEXT,
+      bedtime_end TEXT,
+      record TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (person_id, id)
+    );
+    INSERT INTO sleep_sessions_v2 (id, person_id, day, type, bedtime_start, bedtime_end, record, updated_at)
+      SELECT id, person_id, day, type, bedtime_start, bedtime_end, record, updated_at FROM sleep_sessions;
+    DROP TABLE sleep_sessions;
+    ALTER TABLE sleep_sessions_v2 RENAME TO sleep_sessions;
+    CREATE INDEX IF NOT EXISTS sleep_sessions_person_day ON sleep_sessions (person_id, day);
+  `
+};
+
+class SleepStore {
+  // Days after which a synced day is no longer refetched from Oura
+  static SETTLED_AFTER_DAYS = 2;
+
+  constructor() {
+    this.db = null;
+    this.path = null;
+  }
+
+  /**
+   * Open the database, creating the file and schema if needed
+   * Called lazily by every other method
+   * @param {string} storePath - Database file, or ':memory:' (default: SLEEP_STORE_PATH or data/sleep.db)
+   * @returns {SleepStore} This store
+   */
+  open(storePath) {
+    if (this.db) return this;
+
+    const resolved = storePath || process.env.SLEEP_STORE_PATH || DEFAULT_STORE_PATH;
+    if (resolved !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(resolved)), { recursive: true });
+    }
+
+    // Loaded here so a missing native build only disables the store
+    const Database = require('better-sqlite3');
+    this.db = new Database(resolved);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+    this.path = resolved;
+    return this;
+  }
+
+  /**
+   * Create the schema, or upgrade a database written by an older version
+   */
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+    const hasTables = this.db
+      .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'sleep_sessions'")
+      .get();
+
+    this.db.transaction(() => {
+      if (!hasTables) {
+        this.db.exec(SCHEMA);
+      } else {
+        for (let next = version + 1; next <= SCHEMA_VERSION; next++) {
+          this.db.exec(MIGRATIONS[next]);
+        }
+      }
+      this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    })();
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.path = null;
+    }
+  }
+
+  /**
+   * Get stored sessions for a date range (inclusive)
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @param {string} personKey - Person storage key (default: '' for the default person)
+   * @returns {Object} Sleep data in the Oura response shape: { data: [...] }
+   */
+  getSessions(startDate, endDate, personKey = '') {
+    const rows = this.open().db
+      .prepare('SELECT record FROM sleep_sessions WHERE person_id = ? AND day BETWEEN ? AND ? ORDER BY day, bedtime_start')
+      .all(personKey, startDate, endDate);
+
+    return { data: rows.map(row => JSON.parse(row.record)) };
+  }
+
+  /**
+   * Save the result of fetching a date range from Oura
+   * Upserts every record and drops stored sessions in the range that Oura
+   * no longer returns, then marks each day in the range as synced
+   * @param {string} startDate - First day fetched (YYYY-MM-DD)
+   * @param {string} endDate - Last day fetched (YYYY-MM-DD)
+   * @param {Array<Object>} records - Sleep records returned by Oura
+   * @param {string} syncedOn - Sleeper's local date at the time of the fetch (YYYY-MM-DD)
+   * @param {string} personKey - Person storage key (default: '' for the default person)
+   * @returns {number} Number of records saved
+   */
+  saveRange(startDate, endDate, records = [], syncedOn, personKey = '') {
+    const db = this.open().db;
+    const updatedAt = new Date().toISOString();
+
+    const upsert = db.prepare(`
+      INSERT INTO sleep_sessions (id, person_id, day, type, bedtime_start, bedtime_end, record, updated_at)
+      VALUES (@id, @person_id, @day, @type, @bedtime_start, @bedtime_end, @record, @updated_at)
+      ON CONFLICT (person_id, id) DO UPDATE SET
+        day = excluded.day,
+        type = excluded.type,
+        bedtime_start = excluded.bedtime_start,
+        bedtime_end = excluded.bedtime_end,
+        record = excluded.record,
+        updated_at = excluded.updated_at
+    `);
+    const existing = db.prepare('SELECT id FROM sleep_sessions WHERE person_id = ? AND day BETWEEN ? AND ?');
+    const remove = db.prepare('DELETE FROM sleep_sessions WHERE person_id = ? AND id = ?');
+    const markSynced = db.prepare(`
+      INSERT INTO synced_days (person_id, day, synced_on) VALUES (?, ?, ?)
+      ON CONFLICT (person_id, day) DO UPDATE SET synced_on = excluded.synced_on
+    `);
+
+    const save = db.transaction(() => {
+      const saved = new Set();
+      for (const record of records) {
+        if (!record?.day) continue;
+        const id = this.getRecordId(record, personKey);
+        upsert.run({
+          id,
+          person_id: personKey,
+          day: record.day,
+          type: record.type || null,
+          bedtime_start: record.bedtime_start || null,
+          bedtime_end: record.bedtime_end || null,
+          record: JSON.stringify(record),
+          updated_at: updatedAt
+        });
+        saved.add(id);
+      }
+
+      for (const { id } of existing.all(personKey, startDate, endDate)) {
+        if (!saved.has(id)) remove.run(personKey, id);
+      }
+
+      for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+        markSynced.run(personKey, day, syncedOn);
+      }
+
+      return saved.size;
+    });
+
+    return save();
+  }
+
+  /**
+   * Find the parts of a date range the store can't answer for yet
+   * A day counts as settled once it was synced at least
+   * SETTLED_AFTER_DAYS days later, since Oura keeps revising recent days
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @param {string} personKey - Person storage key (default: '' for the default person)
+   * @returns {Array<Object>} Contiguous ranges to fetch: [{ startDate, endDate }]
+   */
+  getMissingRanges(startDate, endDate, personKey = '') {
+    const rows = this.open().db
+      .prepare('SELECT day, synced_on FROM synced_days WHERE person_id = ? AND day BETWEEN ? AND ?')
+      .all(personKey, startDate, endDate);
+    const syncedOn = new Map(rows.map(row => [row.day, row.synced_on]));
+
+    const ranges = [];
+    let current = null;
+    for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+      const settled = syncedOn.has(day) &&
+        daysBetween(day, syncedOn.get(day)) >= SleepStore.SETTLED_AFTER_DAYS;
+
+      if (settled) {
+        current = null;
+      } else if (current) {
+        current.endDate = day;
+      } else {
+        current = { startDate: day, endDate: day };
+        ranges.push(current);
+      }
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Summarize what the store holds for a person
+   * @param {string} personKey - Person storage key (default: '' for the default person)
+   * @returns {Object} { sessions, firstDay, lastDay, path }
+   */
+  getStats(personKey = '') {
+    const row = this.open().db
+      .prepare('SELECT COUNT(*) AS sessions, MIN(day) AS firstDay, MAX(day) AS lastDay FROM sleep_sessions WHERE person_id = ?')
+      .get(personKey);
+
+    return { ...row, path: this.path };
+  }
+
+  /**
+   * Delete everything in the store
+   */
+  clear() {
+    this.open().db.exec('DELETE FROM sleep_sessions; DELETE FROM synced_days;');
+  }
+
+  /**
+   * Key for a record: the Oura id, or its person/day/type/start when there is none
+   * @param {Object} record - Oura sleep record
+   * @param {string} personKey - Person storage key
+   * @returns {string} Record key
+   */
+  getRecordId(record, personKey = '') {
+    const prefix = personKey ? `${personKey}:` : '';
+    return record.id || `${prefix}${record.day}:${record.type || 'sleep'}:${record.bedtime_start || ''}`;
+  }
+}
+
+// Export singleton instance
+module.exports = new SleepStore();
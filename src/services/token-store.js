@@ -0,0 +1,102 @@
+/**
+ * Token Store Service
+ * Encrypted on-disk storage for the Oura OAuth tokens
+ *
+ * Tokens are encrypted with a key derived from SESSION_SECRET and written to
+ * OURA_TOKEN_PATH (default: data/oura-tokens.json), so refreshed tokens
+ * survive restarts without redeploying anything. Each person other than the
+ * default gets a sibling file named after their storage key
+ * (e.g. data/oura-tokens.alex.json).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { encrypt, decrypt } = require('../utils/crypto');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_TOKEN_PATH = 'data/oura-tokens.json';
+
+class TokenStore {
+  constructor() {
+    // Decrypted tokens by storage key, so scrypt only runs when a file changes
+    this.tokens = new Map();
+  }
+
+  /**
+   * Path of an encrypted token file
+   * @param {string} personKey - Person storage key (default: '' for the default person)
+   * @returns {string} File path
+   */
+  getPath(personKey = '') {
+    const base = path.resolve(process.env.OURA_TOKEN_PATH || DEFAULT_TOKEN_PATH);
+    if (!personKey) return base;
+
+    const { dir, name, ext } = path.parse(base);
+    return path.join(dir, `${name}.${personKey}${ext}`);
+  }
+
+  /**
+   * Load stored tokens
+   * @param {string} secret - Encryption secret
+   * @param {string} personKey - Person storage key (default: '' for the default person)
+   * @returns {Object|null} { accessToken, refreshToken, expiresAt, scope, userId }, or null if none are stored
+   */
+  load(secret, personKey = '') {
+    if (this.tokens.has(personKey)) return this.tokens.get(personKey);
+
+    let envelope;
+    try {
+      envelope = fs.readFileSync(this.getPath(personKey), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.tokens.set(personKey, null);
+      return null;
+    }
+
+    let tokens = null;
+    try {
+      tokens = JSON.parse(decrypt(envelope, secret));
+    } catch (error) {
+      // Usually a changed SESSION_SECRET: treat as disconnected rather than crash
+      logger.error('Stored Oura tokens could not be decrypted, reconnect at /auth/login', { error: error.message });
+    }
+    this.tokens.set(personKey, tokens);
+    return tokens;
+  }
+
+  /**
+   * Encrypt and save tokens, replacing any stored ones
+   * Written to a temp file and renamed so a crash never leaves a half-written file
+   * @param {Object} tokens - Tokens to store
+   * @param {string} secret - Encryption secret
+   * @param {string} personKey - Person storage key (default: '' for the default person)
+   */
+  save(tokens, secret, personKey = '') {
+    const file = this.getPath(personKey);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, encrypt(JSON.stringify(tokens), secret), { mode: 0o600 });
+    fs.renameSync(temp, file);
+    this.tokens.set(personKey, tokens);
+  }
+
+  /**
+   * Delete stored tokens
+   * @param {string} personKey - Person storage key (default: '' for the default person)
+   */
+  clear(personKey = '') {
+    fs.rmSync(this.getPath(personKey), { force: true });
+    this.tokens.set(personKey, null);
+  }
+
+  /**
+   * Forget the decrypted copies so the next load reads the files again
+   */
+  reset() {
+    this.tokens.clear();
+  }
+}
+
+// Export singleton instance
+module.exports = new TokenStore();
@@ -0,0 +1,292 @@
+/**
+ * Webhook Store Service
+ * SQLite-backed webhook registrations, delivery log and last seen nap verdicts
+ *
+ * Signing secrets are stored as given (the webhook service encrypts them).
+ * The last verdict per person survives restarts, so a change that happened
+ * while the server was down is still delivered once it's back.
+ *
+ * Configure the database file with WEBHOOK_STORE_PATH (default: data/webhooks.db).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORE_PATH = 'data/webhooks.db';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    people TEXT,
+    secret TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    webhook_id TEXT NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+    event_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    next_attempt_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_status ON webhook_deliveries (status);
+
+  CREATE TABLE IF NOT EXISTS nap_verdicts (
+    person_id TEXT PRIMARY KEY,
+    message TEXT NOT NULL,
+    nap_priority TEXT,
+    updated_at TEXT NOT NULL
+  );
+`;
+
+// Bump when SCHEMA changes and add an upgrade step to migrate()
+const SCHEMA_VERSION = 1;
+
+class WebhookStore {
+  constructor() {
+    this.db = null;
+    this.path = null;
+  }
+
+  /**
+   * Open the database, creating the file and schema if needed
+   * Called lazily by every other method
+   * @param {string} storePath - Database file, or ':memory:' (default: WEBHOOK_STORE_PATH or data/webhooks.db)
+   * @returns {WebhookStore} This store
+   */
+  open(storePath) {
+    if (this.db) return this;
+
+    const resolved = storePath || process.env.WEBHOOK_STORE_PATH || DEFAULT_STORE_PATH;
+    if (resolved !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(resolved)), { recursive: true });
+    }
+
+    const Database = require('better-sqlite3');
+    this.db = new Database(resolved);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    this.path = resolved;
+    return this;
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.path = null;
+    }
+  }
+
+  /**
+   * Save a new webhook
+   * @param {Object} webhook - { id, url, description, people, secret, createdAt }; people is null for everyone
+   * @returns {Object} The saved webhook
+   */
+  createWebhook(webhook) {
+    this.open().db
+      .prepare(`
+        INSERT INTO webhooks (id, url, description, people, secret, created_at)
+        VALUES (@id, @url, @description, @people, @secret, @created_at)
+      `)
+      .run({
+        id: webhook.id,
+        url: webhook.url,
+        description: webhook.description || '',
+        people: webhook.people ? JSON.stringify(webhook.people) : null,
+        secret: webhook.secret,
+        created_at: webhook.createdAt
+      });
+    return this.getWebhook(webhook.id);
+  }
+
+  /**
+   * Get a webhook by id
+   * @param {string} id - Webhook id
+   * @returns {Object|null} { id, url, description, people, secret, createdAt }, or null
+   */
+  getWebhook(id) {
+    const row = this.open().db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id);
+    return row ? toWebhook(row) : null;
+  }
+
+  /**
+   * List every webhook, oldest first
+   * @returns {Array<Object>} Webhooks
+   */
+  listWebhooks() {
+    return this.open().db.prepare('SELECT * FROM webhooks ORDER BY created_at, id').all().map(toWebhook);
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * @param {string} id - Webhook id
+   * @returns {boolean} True if there was such a webhook
+   */
+  deleteWebhook(id) {
+    return this.open().db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Log a new delivery, pending its first attempt
+   * @param {Object} delivery - { id, webhookId, eventId, eventType, payload }
+   * @returns {Object} The logged delivery
+   */
+  createDelivery(delivery) {
+    const now = new Date().toISOString();
+    this.open().db
+      .prepare(`
+        INSERT INTO webhook_deliveries (id, webhook_id, event_id, event_type, payload, status, created_at, updated_at)
+        VALUES (@id, @webhook_id, @event_id, @event_type, @payload, 'pending', @now, @now)
+      `)
+      .run({
+        id: delivery.id,
+        webhook_id: delivery.webhookId,
+        event_id: delivery.eventId,
+        event_type: delivery.eventType,
+        payload: delivery.payload,
+        now
+      });
+    return this.getDelivery(delivery.id);
+  }
+
+  /**
+   * Record the outcome of a delivery attempt
+   * @param {string} id - Delivery id
+   * @param {Object} update - { status, attempts, responseStatus, error, nextAttemptAt }
+   * @returns {Object|null} The updated delivery, or null if it was deleted meanwhile
+   */
+  updateDelivery(id, update) {
+    this.open().db
+      .prepare(`
+        UPDATE webhook_deliveries
+        SET status = @status, attempts = @attempts, response_status = @response_status,
+            error = @error, next_attempt_at = @next_attempt_at, updated_at = @updated_at
+        WHERE id = @id
+      `)
+      .run({
+        id,
+        status: update.status,
+        attempts: update.attempts,
+        response_status: update.responseStatus ?? null,
+        error: update.error ?? null,
+        next_attempt_at: update.nextAttemptAt ?? null,
+        updated_at: new Date().toISOString()
+      });
+    return this.getDelivery(id);
+  }
+
+  /**
+   * Get a delivery by id
+   * @param {string} id - Delivery id
+   * @returns {Object|null} Delivery, or null
+   */
+  getDelivery(id) {
+    const row = this.open().db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+    return row ? toDelivery(row) : null;
+  }
+
+  /**
+   * List a webhook's deliveries, newest first
+   * @param {string} webhookId - Webhook id
+   * @param {number} limit - Most deliveries to return (default 50)
+   * @returns {Array<Object>} Deliveries
+   */
+  listDeliveries(webhookId, limit = 50) {
+    return this.open().db
+      .prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?')
+      .all(webhookId, limit)
+      .map(toDelivery);
+  }
+
+  /**
+   * List deliveries still waiting for an attempt
+   * @returns {Array<Object>} Pending deliveries, oldest first
+   */
+  listPendingDeliveries() {
+    return this.open().db
+      .prepare("SELECT * FROM webhook_deliveries WHERE status = 'pending' ORDER BY created_at, rowid")
+      .all()
+      .map(toDelivery);
+  }
+
+  /**
+   * Get the last verdict seen for a person
+   * @param {string} personId - Person id
+   * @returns {Object|null} { message, napPriority, updatedAt }, or null if none was seen yet
+   */
+  getVerdict(personId) {
+    const row = this.open().db.prepare('SELECT * FROM nap_verdicts WHERE person_id = ?').get(personId);
+    return row ? { message: row.message, napPriority: row.nap_priority, updatedAt: row.updated_at } : null;
+  }
+
+  /**
+   * Remember the last verdict seen for a person
+   * @param {string} personId - Person id
+   * @param {Object} verdict - { message, napPriority }
+   */
+  saveVerdict(personId, verdict) {
+    this.open().db
+      .prepare(`
+        INSERT INTO nap_verdicts (person_id, message, nap_priority, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (person_id) DO UPDATE SET
+          message = excluded.message, nap_priority = excluded.nap_priority, updated_at = excluded.updated_at
+      `)
+      .run(personId, verdict.message, verdict.napPriority ?? null, new Date().toISOString());
+  }
+
+  /**
+   * Delete everything in the store
+   */
+  clear() {
+    this.open().db.exec('DELETE FROM webhook_deliveries; DELETE FROM webhooks; DELETE FROM nap_verdicts;');
+  }
+}
+
+// Helper functions
+
+function toWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    description: row.description,
+    people: row.people ? JSON.parse(row.people) : null,
+    secret: row.secret,
+    createdAt: row.created_at
+  };
+}
+
+function toDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    nextAttemptAt: row.next_attempt_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Export singleton instance
+module.exports = new WebhookStore();
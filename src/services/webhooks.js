@@ -0,0 +1,385 @@
+/**
+ * Webhook Service
+ * Signed JSON callbacks when a person's nap verdict changes
+ *
+ * Once started, everyone covered by a webhook is watched through the status
+ * stream (see nap-stream), so verdicts are noticed at window boundaries and
+ * on new Oura data without anyone polling. A verdict is the status message
+ * plus the nap priority in the person's default wording; when it differs
+ * from the last one seen, a "nap-status.changed" event goes to every webhook
+ * covering that person.
+ *
+ * Events are POSTed as JSON with these headers:
+ *   X-Naptime-Event     - event type
+ *   X-Naptime-Delivery  - delivery id (the same across retries)
+ *   X-Naptime-Timestamp - unix seconds when the attempt was signed
+ *   X-Naptime-Signature - "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>" keyed by the webhook secret
+ * Any 2xx answer counts as delivered. Network errors, timeouts, 408, 429 and
+ * 5xx answers are retried with exponential backoff; anything else fails the
+ * delivery. Every delivery and its outcome is kept in the delivery log.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const webhookStore = require('./webhook-store');
+const napStream = require('./nap-stream');
+const napStatus = require('./nap-status');
+const { resolvePeople, getPerson } = require('../config/people');
+const { resolveWebhookConfig, getRetryDelay } = require('../config/webhooks');
+const { encrypt, decrypt, sign } = require('../utils/crypto');
+const { logger } = require('../utils/logger');
+
+class WebhookService {
+  constructor() {
+    // Decrypted signing secrets by webhook id, so scrypt only runs once per webhook
+    this.secrets = new Map();
+    // Stop functions of the status watchers by person id
+    this.watchers = new Map();
+    // Scheduled retries by delivery id
+    this.retries = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Register a webhook
+   * @param {Object} options - Webhook settings
+   * @param {string} options.url - http(s) URL to POST events to
+   * @param {string} options.description - Note for the admin (optional)
+   * @param {Array<string>} options.people - Person ids to send events for (default: everyone)
+   * @param {string} options.secret - Signing secret, at least 16 characters (default: generated)
+   * @returns {Object} The webhook, including its signing secret (only ever returned here)
+   * @throws {Error} With status 400 if a setting is invalid
+   */
+  register({ url, description = '', people = null, secret } = {}) {
+    const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw invalid('`url` must be an absolute http or https URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw invalid('`url` must be an absolute http or https URL');
+    }
+    if (typeof description !== 'string' || description.length > 200) {
+      throw invalid('`description` must be a string of at most 200 characters');
+    }
+    if (people !== null) {
+      if (!Array.isArray(people) || people.length === 0) {
+        throw invalid('`people` must be a non-empty array of person ids');
+      }
+      const unknown = people.filter(id => !getPerson(id));
+      if (unknown.length) throw invalid(`Unknown people: ${unknown.join(', ')}`);
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      throw invalid('`secret` must be a string of at least 16 characters');
+    }
+
+    const signingSecret = secret || `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    const webhook = webhookStore.createWebhook({
+      id: `wh_${crypto.randomBytes(8).toString('hex')}`,
+      url: parsed.toString(),
+      description,
+      people: people ? [...new Set(people)] : null,
+      secret: encrypt(signingSecret, getEncryptionSecret()),
+      createdAt: new Date().toISOString()
+    });
+    this.secrets.set(webhook.id, signingSecret);
+    logger.info('Webhook registered', { webhook: webhook.id, url: webhook.url });
+
+    if (this.started) this.syncWatchers();
+    return { ...describeWebhook(webhook), secret: signingSecret };
+  }
+
+  /**
+   * List the registered webhooks (without their secrets)
+   * @returns {Array<Object>} [{ id, url, description, people, createdAt }]
+   */
+  list() {
+    return webhookStore.listWebhooks().map(describeWebhook);
+  }
+
+  /**
+   * Get a registered webhook (without its secret)
+   * @param {string} id - Webhook id
+   * @returns {Object|null} Webhook, or null if there is none with that id
+   */
+  get(id) {
+    const webhook = webhookStore.getWebhook(id);
+    return webhook ? describeWebhook(webhook) : null;
+  }
+
+  /**
+   * Delete a webhook, its delivery log and any pending retries
+   * @param {string} id - Webhook id
+   * @returns {boolean} True if there was such a webhook
+   */
+  remove(id) {
+    for (const delivery of webhookStore.listPendingDeliveries()) {
+      if (delivery.webhookId === id) this.cancelRetry(delivery.id);
+    }
+
+    const removed = webhookStore.deleteWebhook(id);
+    this.secrets.delete(id);
+    if (removed && this.started) this.syncWatchers();
+    return removed;
+  }
+
+  /**
+   * Get a webhook's delivery log, newest first
+   * @param {string} id - Webhook id
+   * @param {number} limit - Most deliveries to return (default 50)
+   * @returns {Array<Object>} Deliveries with their parsed payload
+   */
+  getDeliveries(id, limit = 50) {
+    return webhookStore.listDeliveries(id, limit).map(describeDelivery);
+  }
+
+  /**
+   * Send a "ping" event to one webhook, to check the receiver
+   * @param {string} id - Webhook id
+   * @returns {Promise<Object|null>} Delivery after its first attempt, or null if there is no such webhook
+   */
+  async ping(id) {
+    const webhook = webhookStore.getWebhook(id);
+    if (!webhook) return null;
+
+    const event = createEvent('ping', { webhook: { id: webhook.id, url: webhook.url } });
+    return describeDelivery(await this.dispatch(webhook, event));
+  }
+
+  /**
+   * Start watching everyone covered by a webhook and resume pending deliveries
+   * Called once the server is listening
+   */
+  start() {
+    this.started = true;
+    this.syncWatchers();
+
+    for (const delivery of webhookStore.listPendingDeliveries()) {
+      this.scheduleRetry(delivery);
+    }
+  }
+
+  /**
+   * Stop every watcher and scheduled retry (pending deliveries stay in the log)
+   */
+  stop() {
+    this.started = false;
+    for (const stopWatching of this.watchers.values()) stopWatching();
+    this.watchers.clear();
+    for (const id of [...this.retries.keys()]) this.cancelRetry(id);
+  }
+
+  /**
+   * Compare a fresh status with the person's last verdict and notify webhooks on a change
+   * The first verdict seen for a person is only recorded
+   * @param {Object} person - Normalized person
+   * @param {Object} status - Nap status in the person's default wording
+   * @returns {Promise<Array<Object>>} Deliveries after their first attempt
+   */
+  async handleStatus(person, status) {
+    const current = { message: status.message, napPriority: status.napPriority ?? null };
+    const previous = webhookStore.getVerdict(person.id);
+    if (previous && previous.message === current.message && previous.napPriority === current.napPriority) {
+      return [];
+    }
+
+    webhookStore.saveVerdict(person.id, current);
+    if (!previous) return [];
+
+    const event = createEvent('nap-status.changed', {
+      person: { id: person.id, name: person.name },
+      previous: { message: previous.message, napPriority: previous.napPriority },
+      current: {
+        ...current,
+        needsNap: status.needsNap,
+        recommendation: status.recommendation,
+        timeWindow: status.timeWindow,
+        hasNappedToday: status.hasNappedToday,
+        possiblySick: status.possiblySick,
+        sleepHours: status.sleepHours,
+        lastUpdated: status.lastUpdated
+      }
+    });
+    logger.info('Nap verdict changed, notifying webhooks', { person: person.id, message: current.message });
+
+    const webhooks = webhookStore.listWebhooks().filter(webhook => coversPerson(webhook, person.id));
+    return Promise.all(webhooks.map(webhook => this.dispatch(webhook, event)));
+  }
+
+  /**
+   * Make the next attempt at a pending delivery
+   * Reschedules itself with backoff while the receiver keeps failing
+   * @param {string} deliveryId - Delivery id
+   * @returns {Promise<Object|null>} Delivery after the attempt, or null if it no longer exists
+   */
+  async attempt(deliveryId) {
+    this.cancelRetry(deliveryId);
+
+    const delivery = webhookStore.getDelivery(deliveryId);
+    if (!delivery || delivery.status !== 'pending') return delivery;
+    const webhook = webhookStore.getWebhook(delivery.webhookId);
+    if (!webhook) return null;
+
+    const config = resolveWebhookConfig();
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const response = await axios.post(webhook.url, delivery.payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'naptime-webhooks',
+          'X-Naptime-Event': delivery.eventType,
+          'X-Naptime-Delivery': delivery.id,
+          'X-Naptime-Timestamp': timestamp,
+          'X-Naptime-Signature': this.signPayload(delivery.payload, timestamp, this.getSecret(webhook))
+        },
+        timeout: config.timeoutSeconds * 1000,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+      responseStatus = response.status;
+      if (responseStatus < 200 || responseStatus >= 300) {
+        error = `Receiver answered ${responseStatus}`;
+      }
+    } catch (requestError) {
+      error = requestError.code === 'ECONNABORTED' ? 'Timed out' : requestError.message;
+    }
+
+    if (!error) {
+      logger.info('Webhook delivery succeeded', { delivery: delivery.id, url: webhook.url, attempts });
+      return webhookStore.updateDelivery(delivery.id, { status: 'succeeded', attempts, responseStatus });
+    }
+
+    if (attempts < config.maxAttempts && isRetryable(responseStatus)) {
+      const nextAttemptAt = new Date(Date.now() + getRetryDelay(attempts, config)).toISOString();
+      logger.warn('Webhook delivery failed, retrying', { delivery: delivery.id, url: webhook.url, error, attempts, nextAttemptAt });
+      const updated = webhookStore.updateDelivery(delivery.id, {
+        status: 'pending', attempts, responseStatus, error, nextAttemptAt
+      });
+      this.scheduleRetry(updated);
+      return updated;
+    }
+
+    logger.error('Webhook delivery failed, giving up', { delivery: delivery.id, url: webhook.url, error, attempts });
+    return webhookStore.updateDelivery(delivery.id, { status: 'failed', attempts, responseStatus, error });
+  }
+
+  /**
+   * Signature header value for a payload, as receivers should compute it
+   * @param {string} body - Exact request body
+   * @param {string} timestamp - Unix seconds sent in X-Naptime-Timestamp
+   * @param {string} secret - Webhook signing secret
+   * @returns {string} "sha256=<hex HMAC>"
+   */
+  signPayload(body, timestamp, secret) {
+    return `sha256=${sign(`${timestamp}.${body}`, secret)}`;
+  }
+
+  // Helper methods
+
+  async dispatch(webhook, event) {
+    const delivery = webhookStore.createDelivery({
+      id: `dlv_${crypto.randomBytes(8).toString('hex')}`,
+      webhookId: webhook.id,
+      eventId: event.id,
+      eventType: event.type,
+      payload: JSON.stringify(event)
+    });
+    return this.attempt(delivery.id);
+  }
+
+  syncWatchers() {
+    const covered = new Set(webhookStore.listWebhooks().flatMap(webhook =>
+      resolvePeople().filter(person => coversPerson(webhook, person.id)).map(person => person.id)
+    ));
+
+    for (const person of resolvePeople()) {
+      if (!covered.has(person.id) || this.watchers.has(person.id)) continue;
+
+      const listener = (event, status) => {
+        if (event !== 'nap-status') return;
+        this.handleStatus(person, status).catch(error => {
+          logger.error('Webhook notification failed', { person: person.id, error: error.message });
+        });
+      };
+      this.watchers.set(person.id, napStream.watch(napStatus.getStatusKey(person), listener, {
+        timeZone: person.timeZone,
+        schedule: person.schedule,
+        compute: ({ forceRefresh }) => napStatus.getLiveNapStatus(person, { forceRefresh })
+      }));
+    }
+
+    for (const [personId, stopWatching] of this.watchers) {
+      if (covered.has(personId)) continue;
+      stopWatching();
+      this.watchers.delete(personId);
+    }
+  }
+
+  scheduleRetry(delivery) {
+    this.cancelRetry(delivery.id);
+    const delay = Math.max(0, Date.parse(delivery.nextAttemptAt || 0) - Date.now());
+    const timer = setTimeout(() => {
+      this.attempt(delivery.id).catch(error => {
+        logger.error('Webhook delivery retry failed', { delivery: delivery.id, error: error.message });
+      });
+    }, delay);
+    timer.unref();
+    this.retries.set(delivery.id, timer);
+  }
+
+  cancelRetry(deliveryId) {
+    clearTimeout(this.retries.get(deliveryId));
+    this.retries.delete(deliveryId);
+  }
+
+  getSecret(webhook) {
+    if (!this.secrets.has(webhook.id)) {
+      this.secrets.set(webhook.id, decrypt(webhook.secret, getEncryptionSecret()));
+    }
+    return this.secrets.get(webhook.id);
+  }
+}
+
+// Helper functions
+
+function getEncryptionSecret() {
+  if (!process.env.SESSION_SECRET) {
+    throw Object.assign(new Error('SESSION_SECRET is required to store webhook secrets'), { status: 503 });
+  }
+  return process.env.SESSION_SECRET;
+}
+
+function createEvent(type, data) {
+  return {
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    type,
+    createdAt: new Date().toISOString(),
+    ...data
+  };
+}
+
+function coversPerson(webhook, personId) {
+  return !webhook.people || webhook.people.includes(personId);
+}
+
+function isRetryable(responseStatus) {
+  return responseStatus === null || responseStatus === 408 || responseStatus === 429 || responseStatus >= 500;
+}
+
+function describeWebhook({ id, url, description, people, createdAt }) {
+  return { id, url, description, people, createdAt };
+}
+
+function describeDelivery(delivery) {
+  return delivery && { ...delivery, payload: JSON.parse(delivery.payload) };
+}
+
+// Export singleton instance
+module.exports = new WebhookService();
@@ -7,12 +7,27 @@ const request = require('supertest');
 const app = require('../index');
 const ouraService = require('../services/oura');
 const napCalculator = require('../services/nap-calculator');
+const napReplay = require('../services/replay');
 const cache = require('../services/cache');
+const sleepStore = require('../services/sleep-store');
+const ouraAuth = require('../services/oura-auth');
+const napStream = require('../services/nap-stream');
 
 // Mock dependencies
 jest.mock('../services/oura');
 jest.mock('../services/nap-calculator');
+jest.mock('../services/replay');
 jest.mock('../services/cache');
+jest.mock('../services/nap-stream');
+
+// Settings the default person passes to the calculator
+const personOptions = {
+  name: 'Emily',
+  timeZone: 'America/Denver',
+  schedule: expect.any(Object),
+  sleepDebt: { windowDays: 7, sleepNeedHours: 8 },
+  locale: 'en'
+};
 
 describe('API Routes', () => {
   beforeEach(() => {
@@ -21,6 +36,7 @@ describe('API Routes', () => {
     cache.flush.mockClear();
     cache.get.mockReturnValue(undefined); // Default: no cache hit
     cache.set.mockReturnValue(true);
+    sleepStore.clear();
     // Set a default API token for tests
     process.env.OURA_API_TOKEN = 'test_api_token';
   });
@@ -93,8 +109,8 @@ describe('API Routes', () => {
       
       expect(response.status).toBe(200);
       expect(response.body).toEqual(mockNapStatus);
-      expect(ouraService.getYesterdaySleep).toHaveBeenCalledWith('test_api_token');
-      expect(napCalculator.calculateNapStatus).toHaveBeenCalledWith(mockSleepData);
+      expect(ouraService.getYesterdaySleep).toHaveBeenCalledWith('test_api_token', { timeZone: 'America/Denver', now: expect.any(Date) });
+      expect(napCalculator.calculateNapStatus).toHaveBeenCalledWith(mockSleepData, { ...personOptions, history: null, readiness: null, now: expect.any(Date) });
     });
 
     it('should return cached results when available', async () => {
@@ -149,6 +165,106 @@ describe('API Routes', () => {
         retryAfter: 60
       });
     });
+
+    it('should pass the sleep debt window history to the calculator', async () => {
+      const mockSleepData = { data: [] };
+      ouraService.getYesterdaySleep.mockResolvedValue(mockSleepData);
+      ouraService.getSleepRange.mockImplementation((token, startDate, endDate) =>
+        Promise.resolve({ data: [{ day: endDate, total_sleep_duration: 18000 }] })
+      );
+      cache.cached.mockImplementation((key, fetchFunction) => fetchFunction());
+      napCalculator.calculateNapStatus.mockReturnValue({ message: 'Maybe Nap Time' });
+
+      const response = await request(app).get('/api/nap-status');
+
+      expect(response.status).toBe(200);
+      const [, startDate, endDate] = ouraService.getSleepRange.mock.calls[0];
+      expect(endDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(startDate < endDate).toBe(true);
+      expect(napCalculator.calculateNapStatus).toHaveBeenCalledWith(
+        mockSleepData,
+        {
+          ...personOptions,
+          history: { data: [{ day: endDate, total_sleep_duration: 18000 }] },
+          readiness: null,
+          now: expect.any(Date)
+        }
+      );
+    });
+
+    it("should pass today's daily readiness to the calculator", async () => {
+      const mockReadiness = { data: [{ day: '2024-07-15', score: 52, temperature_deviation: 0.7 }] };
+      ouraService.getYesterdaySleep.mockResolvedValue({ data: [] });
+      ouraService.getSleepRange.mockResolvedValue(undefined);
+      ouraService.getReadiness.mockResolvedValue(mockReadiness);
+      cache.cached.mockImplementation((key, fetchFunction) => fetchFunction());
+      napCalculator.calculateNapStatus.mockReturnValue({ message: 'Possibly Getting Sick' });
+
+      const response = await request(app).get('/api/nap-status');
+
+      expect(response.status).toBe(200);
+      expect(ouraService.getReadiness).toHaveBeenCalledWith('test_api_token', expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/));
+      expect(napCalculator.calculateNapStatus).toHaveBeenCalledWith(
+        { data: [] },
+        { ...personOptions, history: { data: [] }, readiness: mockReadiness, now: expect.any(Date) }
+      );
+    });
+
+    it('should still answer when the history fetch fails', async () => {
+      ouraService.getYesterdaySleep.mockResolvedValue({ data: [] });
+      ouraService.getSleepRange.mockRejectedValue(new Error('Oura API Error: 500'));
+      ouraService.getReadiness.mockRejectedValue(new Error('Oura API Error: 500'));
+      cache.cached.mockImplementation((key, fetchFunction) => fetchFunction());
+      napCalculator.calculateNapStatus.mockReturnValue({ message: 'Not Nap Time' });
+
+      const response = await request(app).get('/api/nap-status');
+
+      expect(response.status).toBe(200);
+      expect(napCalculator.calculateNapStatus).toHaveBeenCalledWith(
+        { data: [] },
+        { ...personOptions, history: null, readiness: null, now: expect.any(Date) }
+      );
+    });
+
+    it('should calculate as of the ?at= timestamp without touching the cache', async () => {
+      const mockSleepData = { data: [] };
+      ouraService.getYesterdaySleep.mockResolvedValue(mockSleepData);
+      napCalculator.calculateNapStatus.mockReturnValue({ message: 'NAP TIME' });
+      cache.get.mockReturnValue({ message: 'stale cached status' });
+
+      const response = await request(app).get('/api/nap-status?at=2024-07-15T21:00:00Z');
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('NAP TIME');
+      expect(cache.get).not.toHaveBeenCalled();
+      expect(cache.set).not.toHaveBeenCalled();
+
+      const [, options] = napCalculator.calculateNapStatus.mock.calls[0];
+      expect(options.now.toISOString()).toBe('2024-07-15T21:00:00.000Z');
+      expect(ouraService.getYesterdaySleep).toHaveBeenCalledWith('test_api_token', {
+        timeZone: 'America/Denver',
+        now: options.now
+      });
+    });
+
+    it('should accept epoch milliseconds for ?at=', async () => {
+      ouraService.getYesterdaySleep.mockResolvedValue({ data: [] });
+      napCalculator.calculateNapStatus.mockReturnValue({ message: 'NAP TIME' });
+
+      const response = await request(app).get('/api/nap-status?at=1721077200000');
+
+      expect(response.status).toBe(200);
+      const [, options] = napCalculator.calculateNapStatus.mock.calls[0];
+      expect(options.now.toISOString()).toBe('2024-07-15T21:00:00.000Z');
+    });
+
+    it('should reject an invalid ?at= timestamp', async () => {
+      const response = await request(app).get('/api/nap-status?at=last-tuesday');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ error: 'Invalid timestamp' });
+      expect(ouraService.getYesterdaySleep).not.toHaveBeenCalled();
+    });
   });
 
   describe('GET /api/nap-recommendations', () => {
@@ -183,7 +299,333 @@ describe('API Routes', () => {
       
       expect(response.status).toBe(200);
       expect(response.body).toEqual(mockRecommendations);
-      expect(napCalculator.getDetailedRecommendations).toHaveBeenCalledWith(mockSleepData);
+      expect(napCalculator.getDetailedRecommendations).toHaveBeenCalledWith(mockSleepData, { ...personOptions, history: null, readiness: null, now: expect.any(Date) });
+    });
+  });
+
+  describe('GET /api/nap-status?pack=', () => {
+    it('should word the status with the requested pack and cache it separately', async () => {
+      ouraService.getYesterdaySleep.mockResolvedValue({ data: [] });
+      napCalculator.calculateNapStatus.mockReturnValue({ message: 'Sleep Period' });
+
+      const response = await request(app).get('/api/nap-status?pack=clinical');
+
+      expect(response.status).toBe(200);
+      expect(napCalculator.calculateNapStatus.mock.calls[0][1]).toMatchObject({ messagePack: 'clinical' });
+      expect(cache.get).toHaveBeenCalledWith('emily_nap_status:clinical');
+    });
+
+    it('should reject an unknown pack', async () => {
+      const response = await request(app).get('/api/nap-status?pack=pirate');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ error: 'Invalid message pack' });
+      expect(napCalculator.calculateNapStatus).not.toHaveBeenCalled();
+    });
+
+    it('should list the available packs', async () => {
+      const response = await request(app).get('/api/message-packs');
+
+      expect(response.body.default).toBe('snarky');
+      expect(response.body.packs.map(pack => pack.name)).toEqual(['clinical', 'gentle', 'snarky']);
+    });
+  });
+
+  describe('GET /api/nap-status/stream', () => {
+    it('should subscribe an event stream to the person\'s channel', async () => {
+      napStream.subscribe.mockImplementation((key, res) => {
+        res.end('event: nap-status\ndata: {}\n\n');
+        return jest.fn();
+      });
+
+      const response = await request(app).get('/api/people/emily/nap-status/stream?lang=es');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(response.headers['cache-control']).toBe('no-cache, no-transform');
+      expect(response.text).toBe('event: nap-status\ndata: {}\n\n');
+
+      const [key, , source] = napStream.subscribe.mock.calls[0];
+      expect(key).toBe('emily_nap_status:es');
+      expect(source).toMatchObject({ timeZone: 'America/Denver', schedule: expect.any(Object) });
+
+      // Each recomputation is a live status, bypassing the cache when asked
+      ouraService.getYesterdaySleep.mockResolvedValue({ data: [] });
+      napCalculator.calculateNapStatus.mockReturnValue({ message: 'Periodo de sueño' });
+      const status = await source.compute({ forceRefresh: true });
+
+      expect(status.message).toBe('Periodo de sueño');
+      expect(cache.get).not.toHaveBeenCalled();
+      expect(cache.set).toHaveBeenCalledWith('emily_nap_status:es', status, 120);
+      expect(napCalculator.calculateNapStatus.mock.calls[0][1]).toMatchObject({ locale: 'es' });
+    });
+
+    it('should refuse to stream without Oura credentials', async () => {
+      delete process.env.OURA_API_TOKEN;
+
+      const response = await request(app).get('/api/nap-status/stream');
+
+      expect(response.status).toBe(500);
+      expect(response.body).toMatchObject({ error: 'Configuration error' });
+      expect(napStream.subscribe).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/nap-status?lang=', () => {
+    beforeEach(() => {
+      ouraService.getYesterdaySleep.mockResolvedValue({ data: [] });
+      napCalculator.calculateNapStatus.mockReturnValue({ message: 'Periodo de sueño' });
+    });
+
+    it('should answer in the Accept-Language locale and cache it separately', async () => {
+      const response = await request(app)
+        .get('/api/nap-status')
+        .set('Accept-Language', 'fr-FR, es-MX;q=0.9, en;q=0.5');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-language']).toBe('es');
+      expect(response.headers.vary).toMatch(/Accept-Language/);
+      expect(napCalculator.calculateNapStatus.mock.calls[0][1]).toMatchObject({ locale: 'es' });
+      expect(cache.get).toHaveBeenCalledWith('emily_nap_status:es');
+    });
+
+    it('should let ?lang= override Accept-Language', async () => {
+      const response = await request(app)
+        .get('/api/nap-status?lang=en&pack=gentle')
+        .set('Accept-Language', 'es');
+
+      expect(response.headers['content-language']).toBe('en');
+      expect(napCalculator.calculateNapStatus.mock.calls[0][1]).toMatchObject({ locale: 'en', messagePack: 'gentle' });
+      expect(cache.get).toHaveBeenCalledWith('emily_nap_status:gentle');
+    });
+
+    it('should fall back to the default locale for unsupported languages', async () => {
+      const response = await request(app).get('/api/nap-status').set('Accept-Language', 'de, fr;q=0.8');
+
+      expect(response.headers['content-language']).toBe('en');
+      expect(cache.get).toHaveBeenCalledWith('emily_nap_status');
+    });
+
+    it('should reject an unsupported ?lang=', async () => {
+      const response = await request(app).get('/api/nap-status?lang=de');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ error: 'Unsupported language' });
+      expect(napCalculator.calculateNapStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/nap-recommendations?at=', () => {
+    it('should pass the ?at= timestamp to the calculator', async () => {
+      ouraService.getYesterdaySleep.mockResolvedValue({ data: [] });
+      napCalculator.getDetailedRecommendations.mockReturnValue({ recommendations: [] });
+
+      const response = await request(app).get('/api/nap-recommendations?at=2024-07-15T16:00:00-06:00');
+
+      expect(response.status).toBe(200);
+      const [, options] = napCalculator.getDetailedRecommendations.mock.calls[0];
+      expect(options.now.toISOString()).toBe('2024-07-15T22:00:00.000Z');
+    });
+  });
+
+  describe('GET /api/replay', () => {
+    it('should fetch the day plus the debt window and return the timeline', async () => {
+      const mockSleepData = { data: [{ day: '2024-07-16', type: 'long_sleep' }] };
+      ouraService.getSleepRange.mockResolvedValue(mockSleepData);
+      ouraService.getReadiness.mockResolvedValue({ data: [] });
+      napReplay.buildTimeline.mockReturnValue({ date: '2024-07-16', timeZone: 'America/Denver', checkpoints: 6, timeline: [] });
+
+      const response = await request(app).get('/api/replay?date=2024-07-16');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        date: '2024-07-16',
+        timeZone: 'America/Denver',
+        checkpoints: 6,
+        timeline: [],
+        recordsFound: 1
+      });
+      expect(ouraService.getSleepRange).toHaveBeenCalledWith('test_api_token', '2024-07-09', '2024-07-17');
+      expect(napReplay.buildTimeline).toHaveBeenCalledWith(mockSleepData, {
+        ...personOptions,
+        date: '2024-07-16',
+        readiness: { data: [] }
+      });
+      expect(napReplay.statusAt).not.toHaveBeenCalled();
+    });
+
+    it('should replay the local day of ?at= and include the status at that moment', async () => {
+      ouraService.getSleepRange.mockResolvedValue({ data: [] });
+      ouraService.getReadiness.mockRejectedValue(new Error('Oura API Error: 500'));
+      napReplay.buildTimeline.mockReturnValue({ date: '2024-07-16', timeline: [] });
+      napReplay.statusAt.mockReturnValue({ message: 'Maybe Nap Time' });
+
+      // 2 AM UTC on the 17th is still the evening of the 16th in Denver
+      const response = await request(app).get('/api/replay?at=2024-07-17T02:00:00Z');
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toEqual({ message: 'Maybe Nap Time' });
+      expect(napReplay.buildTimeline.mock.calls[0][1]).toMatchObject({ date: '2024-07-16', readiness: null });
+      const [, options] = napReplay.statusAt.mock.calls[0];
+      expect(options.now.toISOString()).toBe('2024-07-17T02:00:00.000Z');
+    });
+
+    it('should reject a missing or impossible date', async () => {
+      const missing = await request(app).get('/api/replay');
+      const impossible = await request(app).get('/api/replay?date=2024-02-30');
+
+      expect(missing.status).toBe(400);
+      expect(impossible.status).toBe(400);
+      expect(impossible.body).toMatchObject({ error: 'Invalid date' });
+      expect(ouraService.getSleepRange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('people', () => {
+    beforeEach(() => {
+      process.env.NAP_PEOPLE = JSON.stringify([
+        { id: 'emily', name: 'Emily' },
+        { id: 'alex', name: 'Alex', timeZone: 'Europe/London', tokenEnv: 'OURA_TOKEN_ALEX', messagePack: 'gentle' },
+        { id: 'sam', name: 'Sam' }
+      ]);
+      process.env.OURA_TOKEN_ALEX = 'alex_token';
+    });
+
+    afterEach(() => {
+      delete process.env.NAP_PEOPLE;
+      delete process.env.OURA_TOKEN_ALEX;
+    });
+
+    it('should list the configured people', async () => {
+      const response = await request(app).get('/api/people');
+
+      expect(response.status).toBe(200);
+      expect(response.body.people).toEqual([
+        { id: 'emily', name: 'Emily', timeZone: 'America/Denver', isDefault: true, messagePack: null, provider: 'oura', oura: 'env' },
+        { id: 'alex', name: 'Alex', timeZone: 'Europe/London', isDefault: false, messagePack: 'gentle', provider: 'oura', oura: 'env' },
+        { id: 'sam', name: 'Sam', timeZone: 'America/Denver', isDefault: false, messagePack: null, provider: 'oura', oura: 'none' }
+      ]);
+    });
+
+    it('should answer /people/:id/nap-status with that person\'s token, timezone and cache', async () => {
+      ouraService.getYesterdaySleep.mockResolvedValue({ data: [] });
+      napCalculator.calculateNapStatus.mockReturnValue({ message: 'NAP TIME' });
+
+      const response = await request(app).get('/api/people/alex/nap-status');
+
+      expect(response.status).toBe(200);
+      expect(ouraService.getYesterdaySleep).toHaveBeenCalledWith('alex_token', expect.objectContaining({ timeZone: 'Europe/London' }));
+      expect(napCalculator.calculateNapStatus.mock.calls[0][1]).toMatchObject({ name: 'Alex', timeZone: 'Europe/London', messagePack: 'gentle' });
+      expect(cache.get).toHaveBeenCalledWith('alex_nap_status');
+      expect(cache.set).toHaveBeenCalledWith('alex_nap_status', expect.any(Object), 120);
+    });
+
+    it('should 404 for an unknown person', async () => {
+      const response = await request(app).get('/api/people/nobody/nap-status');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ error: 'Unknown person' });
+    });
+
+    it('should not lend OURA_API_TOKEN to other people', async () => {
+      const response = await request(app).get('/api/people/sam/nap-status');
+
+      expect(response.status).toBe(500);
+      expect(response.body.message).toBe('Oura API token not configured');
+    });
+
+    it('should rank everyone by nap need in the overview and isolate failures', async () => {
+      ouraService.getYesterdaySleep.mockImplementation(async (token) => {
+        if (token === 'alex_token') throw new Error('Oura API Error: 500');
+        return { data: [] };
+      });
+      napCalculator.calculateNapStatus.mockReturnValue({ needsNap: true, napPriority: 'yes', message: 'NAP TIME' });
+
+      const response = await request(app).get('/api/overview');
+
+      expect(response.status).toBe(200);
+      expect(response.body.needsNap).toEqual(['emily']);
+      expect(response.body.people.map(person => [person.id, person.napPriority])).toEqual([
+        ['emily', 'yes'],
+        ['alex', 'unknown'],
+        ['sam', 'unknown']
+      ]);
+      expect(response.body.people[1].error).toBe('Oura API Error: 500');
+      expect(response.body.people[2].error).toBe('Oura API token not configured');
+    });
+  });
+
+  describe('GET /auth/login', () => {
+    afterEach(() => {
+      ouraAuth.disconnect();
+      process.env.ADMIN_API_TOKEN = 'test-admin-token';
+    });
+
+    it('should redirect to Oura with a signed state and set the nonce cookie', async () => {
+      const response = await request(app).get('/auth/login?token=test-admin-token');
+
+      expect(response.status).toBe(302);
+      const url = new URL(response.headers.location);
+      expect(url.hostname).toBe('cloud.ouraring.com');
+      expect(url.searchParams.get('state')).toMatch(/^[0-9a-f]{32}\.emily\.\d+\.[0-9a-f]{64}$/);
+      expect(response.headers['set-cookie'][0]).toMatch(/^oura_oauth_state=[0-9a-f]{32};.*HttpOnly/);
+    });
+
+    it('should need the admin token to connect the first account', async () => {
+      const anonymous = await request(app).get('/auth/login');
+      const wrong = await request(app).get('/auth/login').set('Authorization', 'Bearer nope');
+      delete process.env.ADMIN_API_TOKEN;
+      const disabled = await request(app).get('/auth/login?token=test-admin-token');
+
+      expect(anonymous.status).toBe(401);
+      expect(wrong.status).toBe(401);
+      expect(disabled.status).toBe(503);
+    });
+
+    it('should let the connected account log in again without the admin token', async () => {
+      ouraAuth.connect({ accessToken: 'a', refreshToken: 'r', expiresAt: new Date(Date.now() + 3600000).toISOString() }, 'emily');
+
+      const response = await request(app).get('/auth/login');
+
+      expect(response.status).toBe(302);
+    });
+  });
+
+  describe('GET /auth/callback', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      ouraAuth.disconnect();
+    });
+
+    it('should reject a callback without a matching state cookie', async () => {
+      const { state } = ouraAuth.createState();
+
+      const response = await request(app).get(`/auth/callback?code=abc&state=${state}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ error: 'Invalid state' });
+    });
+
+    it('should exchange the code, store the tokens and use them for API calls', async () => {
+      const { state, nonce } = ouraAuth.createState();
+      jest.spyOn(ouraAuth, 'exchangeCode').mockResolvedValue({
+        accessToken: 'oauth_access',
+        refreshToken: 'oauth_refresh',
+        expiresAt: new Date(Date.now() + 3600000).toISOString()
+      });
+      ouraService.getUserInfo.mockResolvedValue({ id: 'emily' });
+
+      const response = await request(app)
+        .get(`/auth/callback?code=abc&state=${state}`)
+        .set('Cookie', `oura_oauth_state=${nonce}`);
+
+      expect(response.status).toBe(302);
+      expect(ouraAuth.exchangeCode).toHaveBeenCalledWith('abc');
+      expect(ouraService.getUserInfo).toHaveBeenCalledWith('oauth_access');
+      expect(await ouraAuth.getAccessToken()).toBe('oauth_access');
+
+      const status = await request(app).get('/auth/status');
+      expect(status.body).toMatchObject({ connected: true, source: 'oauth', userId: 'emily' });
     });
   });
 
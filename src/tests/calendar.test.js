@@ -0,0 +1,204 @@
+/**
+ * Nap Calendar Tests
+ * Testing nap windows, past naps, the iCalendar output and the feed route
+ */
+
+const MockDate = require('mockdate');
+const request = require('supertest');
+const app = require('../index');
+const NapCalendar = require('../services/calendar');
+const sleepHistory = require('../services/sleep-history');
+const ouraAuth = require('../services/oura-auth');
+const cache = require('../services/cache');
+const { buildCalendar, escapeText } = require('../utils/ical');
+
+const timeZone = 'America/Denver';
+
+// Monday 2024-01-15, 10 AM MST (UTC-7): a short night, and a nap on Saturday
+const now = new Date('2024-01-15T17:00:00.000Z');
+const sleepData = {
+  data: [
+    {
+      id: 'night-saturday',
+      day: '2024-01-13',
+      type: 'long_sleep',
+      bedtime_start: '2024-01-12T23:00:00-07:00',
+      bedtime_end: '2024-01-13T07:00:00-07:00',
+      total_sleep_duration: 8 * 3600
+    },
+    {
+      id: 'nap-saturday',
+      day: '2024-01-13',
+      type: 'late_nap',
+      bedtime_start: '2024-01-13T15:00:00-07:00',
+      bedtime_end: '2024-01-13T15:40:00-07:00',
+      total_sleep_duration: 40 * 60
+    },
+    {
+      id: 'night-sunday',
+      day: '2024-01-14',
+      type: 'long_sleep',
+      bedtime_start: '2024-01-13T23:00:00-07:00',
+      bedtime_end: '2024-01-14T07:00:00-07:00',
+      total_sleep_duration: 8 * 3600
+    },
+    {
+      id: 'night-monday',
+      day: '2024-01-15',
+      type: 'long_sleep',
+      bedtime_start: '2024-01-15T02:00:00-07:00',
+      bedtime_end: '2024-01-15T07:30:00-07:00',
+      total_sleep_duration: 5 * 3600
+    }
+  ]
+};
+
+const options = { name: 'Emily', personId: 'emily', timeZone, locale: 'en', now };
+
+// Unfold the iCalendar text and pick out the events as { PROPERTY: value } objects
+function parseEvents(ics) {
+  const lines = ics.replace(/\r\n /g, '').split('\r\n');
+  const events = [];
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') events.push({});
+    else if (events.length && line !== 'END:VEVENT' && !line.startsWith('END:VCALENDAR')) {
+      const [key, ...rest] = line.split(':');
+      events[events.length - 1][key] = rest.join(':');
+    }
+  }
+  return events;
+}
+
+describe('NapCalendar', () => {
+  describe('getNapWindows', () => {
+    it('should list the windows that have not ended yet in the local timezone', () => {
+      const windows = NapCalendar.getNapWindows({ timeZone, now, days: 2 });
+
+      expect(windows).toEqual([
+        { date: '2024-01-15', start: new Date('2024-01-15T21:00:00Z'), end: new Date('2024-01-16T00:00:00Z') },
+        { date: '2024-01-16', start: new Date('2024-01-16T21:00:00Z'), end: new Date('2024-01-17T00:00:00Z') }
+      ]);
+    });
+
+    it('should skip a window that is over and follow the weekend schedule', () => {
+      const saturdayEvening = new Date('2024-01-20T01:00:00Z'); // Friday 6 PM MST
+      const schedule = { weekday: {}, weekend: { napStart: '13:00', napEnd: '15:30' } };
+
+      const windows = NapCalendar.getNapWindows({ timeZone, now: saturdayEvening, days: 2, schedule });
+
+      expect(windows).toEqual([
+        { date: '2024-01-20', start: new Date('2024-01-20T20:00:00Z'), end: new Date('2024-01-20T22:30:00Z') }
+      ]);
+    });
+  });
+
+  describe('getPastNaps', () => {
+    it('should only list sessions the nap logic counts as naps', () => {
+      const naps = NapCalendar.getPastNaps(sleepData, { timeZone, now });
+
+      expect(naps.map(record => record.id)).toEqual(['nap-saturday']);
+      expect(NapCalendar.getPastNaps(sleepData, { timeZone, now, since: '2024-01-14' })).toEqual([]);
+    });
+  });
+
+  describe('buildFeed', () => {
+    it('should tag today\'s window with its priority and list past naps', () => {
+      const ics = NapCalendar.buildFeed(sleepData, { ...options, days: 3 });
+      const events = parseEvents(ics);
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics).toContain("X-WR-CALNAME:Emily's naps");
+      expect(events).toHaveLength(4);
+
+      expect(events[0]).toMatchObject({
+        UID: 'nap-nap-saturday@naptime',
+        DTSTART: '20240113T220000Z',
+        DTEND: '20240113T224000Z',
+        SUMMARY: 'Emily napped (40 minutes)',
+        CATEGORIES: 'nap'
+      });
+
+      expect(events[1]).toMatchObject({
+        UID: 'nap-window-emily-2024-01-15@naptime',
+        DTSTART: '20240115T210000Z',
+        DTEND: '20240116T000000Z',
+        SUMMARY: "Emily's nap window (nap priority: Maybe)",
+        CATEGORIES: 'nap-window,priority-maybe',
+        PRIORITY: '5',
+        TRANSP: 'TRANSPARENT'
+      });
+      expect(events[1].DESCRIPTION).toMatch(/\\n/);
+
+      expect(events[2]).toMatchObject({ SUMMARY: "Emily's nap window", CATEGORIES: 'nap-window' });
+      expect(events[2].PRIORITY).toBeUndefined();
+    });
+
+    it('should word the feed in the requested language', () => {
+      const ics = NapCalendar.buildFeed(sleepData, { ...options, locale: 'es', days: 1 });
+
+      expect(ics).toContain('SUMMARY:Emily durmió una siesta (40 minutos)');
+      expect(ics).toContain('prioridad de siesta: Quizás');
+    });
+  });
+
+  describe('iCalendar output', () => {
+    it('should escape text and fold long lines', () => {
+      const ics = buildCalendar({
+        name: 'Naps',
+        now,
+        events: [{
+          uid: 'one@naptime',
+          start: now,
+          end: now,
+          summary: 'Nap; then, coffee',
+          description: 'ñ'.repeat(60)
+        }]
+      });
+
+      expect(escapeText('a\\b;c,d\ne')).toBe('a\\\\b\\;c\\,d\\ne');
+      expect(ics).toContain('SUMMARY:Nap\\; then\\, coffee');
+      for (const line of ics.split('\r\n')) {
+        expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      }
+      expect(parseEvents(ics)[0].DESCRIPTION).toBe('ñ'.repeat(60));
+    });
+  });
+
+  describe('GET /api/calendar.ics', () => {
+    beforeEach(() => {
+      MockDate.set(now);
+      cache.flush();
+      jest.spyOn(ouraAuth, 'getAccessToken').mockResolvedValue('test-token');
+      jest.spyOn(sleepHistory, 'getSleepRange').mockResolvedValue(sleepData);
+    });
+
+    afterEach(() => {
+      MockDate.reset();
+      jest.restoreAllMocks();
+    });
+
+    it('should serve the feed as text/calendar', async () => {
+      const response = await request(app).get('/api/calendar.ics?days=2&history=7');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/calendar; charset=utf-8');
+      expect(parseEvents(response.text).map(event => event.UID)).toEqual([
+        'nap-nap-saturday@naptime',
+        'nap-window-emily-2024-01-15@naptime',
+        'nap-window-emily-2024-01-16@naptime'
+      ]);
+      expect(sleepHistory.getSleepRange).toHaveBeenCalledWith('test-token', '2024-01-08', '2024-01-16', {
+        timeZone,
+        personKey: '',
+        provider: 'oura'
+      });
+    });
+
+    it('should reject out of range parameters', async () => {
+      const tooMany = await request(app).get('/api/calendar.ics?days=61');
+      const negative = await request(app).get('/api/calendar.ics?history=-1');
+
+      expect([tooMany.status, negative.status]).toEqual([400, 400]);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Clock Utility Tests
+ * Testing "as of" instant resolution and ?at= parsing
+ */
+
+const { resolveNow, parseTimestamp } = require('../utils/clock');
+
+describe('clock utils', () => {
+  describe('resolveNow', () => {
+    it('should default to the current time', () => {
+      const before = Date.now();
+      const now = resolveNow();
+      expect(now.getTime()).toBeGreaterThanOrEqual(before);
+      expect(now.getTime()).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('should accept Dates, ISO strings and epoch milliseconds', () => {
+      const expected = '2024-07-15T21:00:00.000Z';
+      expect(resolveNow(new Date(expected)).toISOString()).toBe(expected);
+      expect(resolveNow('2024-07-15T15:00:00-06:00').toISOString()).toBe(expected);
+      expect(resolveNow(1721077200000).toISOString()).toBe(expected);
+    });
+
+    it('should return a copy of a passed Date', () => {
+      const date = new Date('2024-07-15T21:00:00.000Z');
+      expect(resolveNow(date)).not.toBe(date);
+    });
+
+    it('should reject unparseable values', () => {
+      expect(() => resolveNow('not a date')).toThrow('Invalid timestamp');
+    });
+  });
+
+  describe('parseTimestamp', () => {
+    it('should parse ISO strings and epoch milliseconds', () => {
+      expect(parseTimestamp('2024-07-15T21:00:00Z').toISOString()).toBe('2024-07-15T21:00:00.000Z');
+      expect(parseTimestamp('1721077200000').toISOString()).toBe('2024-07-15T21:00:00.000Z');
+    });
+
+    it('should return null for missing or invalid values', () => {
+      expect(parseTimestamp(undefined)).toBe(null);
+      expect(parseTimestamp('')).toBe(null);
+      expect(parseTimestamp('yesterday')).toBe(null);
+      expect(parseTimestamp(['2024-07-15'])).toBe(null);
+    });
+  });
+});
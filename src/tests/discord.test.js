@@ -0,0 +1,172 @@
+/**
+ * Discord Integration Tests
+ * Testing Ed25519 request signatures, PING and the /naptime embed
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../index');
+const napStatus = require('../services/nap-status');
+const discord = require('../services/discord');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+// Raw 32 byte key, as shown in the Discord developer portal
+const PUBLIC_KEY_HEX = publicKey.export({ format: 'der', type: 'spki' }).subarray(12).toString('hex');
+
+const status = {
+  message: 'Sleep Time',
+  napPriority: 'none',
+  sleepHours: '7.4',
+  quality: 'Good',
+  currentTime: '11:30 PM',
+  isSleepTime: true,
+  hasNappedToday: false,
+  locale: 'en',
+  recommendation: 'Go to bed',
+  lastUpdated: '2024-01-16T06:30:00.000Z'
+};
+
+// POST an interaction signed with the test key, the way Discord does
+function interact(interaction, { key = privateKey } = {}) {
+  const body = JSON.stringify(interaction);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.sign(null, Buffer.from(timestamp + body), key).toString('hex');
+  return request(app)
+    .post('/integrations/discord/interactions')
+    .set('Content-Type', 'application/json')
+    .set('X-Signature-Ed25519', signature)
+    .set('X-Signature-Timestamp', timestamp)
+    .send(body);
+}
+
+const naptime = (options) => ({
+  type: 2,
+  application_id: '42',
+  token: 'interaction-token',
+  data: { name: 'naptime', ...(options && { options }) }
+});
+
+describe('Discord integration', () => {
+  let getLiveNapStatus;
+
+  beforeEach(() => {
+    process.env.DISCORD_PUBLIC_KEY = PUBLIC_KEY_HEX;
+    process.env.PUBLIC_BASE_URL = 'https://naptime.example.com';
+    getLiveNapStatus = jest.spyOn(napStatus, 'getLiveNapStatus').mockResolvedValue(status);
+  });
+
+  afterEach(() => {
+    delete process.env.DISCORD_PUBLIC_KEY;
+    delete process.env.PUBLIC_BASE_URL;
+    jest.restoreAllMocks();
+  });
+
+  describe('request signatures', () => {
+    it('should answer a signed PING with a PONG', async () => {
+      const response = await interact({ type: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ type: 1 });
+    });
+
+    it('should reject unsigned and wrongly signed requests', async () => {
+      const otherKey = crypto.generateKeyPairSync('ed25519').privateKey;
+
+      const unsigned = await request(app).post('/integrations/discord/interactions').send({ type: 1 });
+      const wrongKey = await interact({ type: 1 }, { key: otherKey });
+
+      expect([unsigned.status, wrongKey.status]).toEqual([401, 401]);
+    });
+
+    it('should be disabled without DISCORD_PUBLIC_KEY', async () => {
+      delete process.env.DISCORD_PUBLIC_KEY;
+
+      const response = await interact({ type: 1 });
+
+      expect(response.status).toBe(503);
+    });
+  });
+
+  describe('/naptime', () => {
+    it('should answer with an embed of the current verdict and the frontend picture', async () => {
+      const response = await interact(naptime());
+
+      expect(response.status).toBe(200);
+      expect(response.body.type).toBe(4);
+      expect(response.body.data.embeds).toEqual([{
+        title: 'Emily: Sleep Time',
+        description: 'Go to bed',
+        color: 0x2ecc71,
+        fields: [
+          { name: 'Sleep last night', value: '7.4 hours (Good)', inline: true },
+          { name: 'Nap priority', value: 'No', inline: true },
+          { name: 'Local time', value: '11:30 PM', inline: true }
+        ],
+        timestamp: '2024-01-16T06:30:00.000Z',
+        image: { url: 'https://naptime.example.com/i-sleep.png' }
+      }]);
+    });
+
+    it('should show good-for-her.gif after a nap', () => {
+      const embed = discord.buildStatusEmbed(
+        { id: 'emily', name: 'Emily' },
+        { ...status, isSleepTime: false, hasNappedToday: true, napPriority: 'yes' },
+        'https://naptime.example.com'
+      );
+
+      expect(embed.image.url).toBe('https://naptime.example.com/good-for-her.gif');
+      expect(embed.color).toBe(0xe74c3c);
+    });
+
+    it('should reply privately for people it no longer knows and when Oura fails', async () => {
+      const unknown = await interact(naptime([{ name: 'person', type: 3, value: 'bob' }]));
+      expect(unknown.body.data).toEqual({ content: 'Nobody called "bob" here. Try one of: Emily', flags: 64 });
+
+      getLiveNapStatus.mockRejectedValue(new Error('Network Error'));
+      const failed = await interact(naptime());
+      expect(failed.body.data.flags).toBe(64);
+    });
+
+    it('should defer and edit the original response when the status is slow', async () => {
+      let finish;
+      getLiveNapStatus.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+      const patch = jest.spyOn(axios, 'patch').mockResolvedValue({ status: 200 });
+
+      const response = await interact(naptime());
+      expect(response.body).toEqual({ type: 5 });
+
+      finish(status);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(patch).toHaveBeenCalledWith(
+        'https://discord.com/api/v10/webhooks/42/interaction-token/messages/@original',
+        { embeds: [expect.objectContaining({ title: 'Emily: Sleep Time' })] },
+        expect.any(Object)
+      );
+    });
+
+    it('should reject commands it does not know', async () => {
+      const response = await interact({ ...naptime(), data: { name: 'other' } });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('command registration', () => {
+    it('should offer everyone as a choice when there are several people', () => {
+      process.env.NAP_PEOPLE = JSON.stringify([{ id: 'emily', name: 'Emily' }, { id: 'alex', name: 'Alex' }]);
+      try {
+        const [command] = discord.getCommands();
+
+        expect(command).toMatchObject({ name: 'naptime', description: 'Does Emily need a nap?' });
+        expect(command.options[0].choices).toEqual([
+          { name: 'Emily', value: 'emily' },
+          { name: 'Alex', value: 'alex' }
+        ]);
+      } finally {
+        delete process.env.NAP_PEOPLE;
+      }
+    });
+  });
+});
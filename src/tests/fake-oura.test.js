@@ -0,0 +1,165 @@
+/**
+ * Fake Oura Server Tests
+ * Testing the stand-in API on its own and the app running against it over HTTP
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockDate = require('mockdate');
+const request = require('supertest');
+const app = require('../index');
+const cache = require('../services/cache');
+const ouraClient = require('../services/oura-client');
+const ouraService = require('../services/oura');
+const { createFakeOuraApp } = require('../fake-oura');
+const { listScenarios } = require('../fake-oura/scenarios');
+
+// Wednesday 3:45 PM in Denver
+const NOW = '2024-01-17T22:45:00.000Z';
+
+describe('Fake Oura server', () => {
+  let server;
+
+  // Serve a fake Oura app on a free port and point the client at it
+  async function startFakeOura(options) {
+    server = createFakeOuraApp({ timeZone: 'America/Denver', ...options }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    process.env.OURA_API_BASE_URL = `http://127.0.0.1:${server.address().port}/v2`;
+    return server;
+  }
+
+  // Close the fake without waiting out the client's keep-alive sockets
+  async function stopFakeOura() {
+    if (!server) return;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+  }
+
+  beforeEach(() => {
+    MockDate.set(NOW);
+    cache.flush();
+    ouraClient.resetCircuit();
+    process.env.OURA_API_TOKEN = 'fake-token';
+  });
+
+  afterEach(async () => {
+    MockDate.reset();
+    delete process.env.OURA_API_BASE_URL;
+    delete process.env.OURA_API_TOKEN;
+    await stopFakeOura();
+  });
+
+  describe('API', () => {
+    it('should require a bearer token like Oura', async () => {
+      const fake = createFakeOuraApp();
+
+      const response = await request(fake).get('/v2/usercollection/sleep');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should filter by date and page with next_token', async () => {
+      const fake = createFakeOuraApp({ timeZone: 'America/Denver', pageSize: 3 });
+      const get = (query) => request(fake).get('/v2/usercollection/daily_readiness')
+        .query(query)
+        .set('Authorization', 'Bearer fake-token');
+
+      const first = await get({ start_date: '2024-01-10', end_date: '2024-01-17' });
+      expect(first.body.data.map(document => document.day)).toEqual(['2024-01-10', '2024-01-11', '2024-01-12']);
+      expect(first.body.next_token).toEqual(expect.any(String));
+
+      const last = await get({ start_date: '2024-01-10', end_date: '2024-01-17', next_token: 'b2Zmc2V0OjY' });
+      expect(last.body).toEqual({ data: [expect.objectContaining({ day: '2024-01-16' }), expect.objectContaining({ day: '2024-01-17' })], next_token: null });
+
+      expect((await get({ next_token: 'garbage' })).status).toBe(400);
+    });
+
+    it('should switch scenarios at runtime and list them', async () => {
+      const fake = createFakeOuraApp();
+
+      const switched = await request(fake).put('/_fake/scenario').send({ name: 'unauthorized' });
+      const rejected = await request(fake).put('/_fake/scenario').send({ name: 'nope' });
+      const sleep = await request(fake).get('/v2/usercollection/sleep').set('Authorization', 'Bearer fake-token');
+
+      expect(switched.body).toEqual({ scenario: 'unauthorized' });
+      expect(rejected.status).toBe(400);
+      expect(sleep.status).toBe(401);
+      expect(listScenarios().map(({ name }) => name)).toEqual(expect.arrayContaining([
+        'normal', 'sync-delay', 'split-sleep', 'nap-3pm', 'unauthorized', 'rate-limited'
+      ]));
+    });
+
+    it('should serve fixture files in place of generated data', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-oura-'));
+      fs.writeFileSync(path.join(directory, 'workout.json'), JSON.stringify({
+        data: [{ id: 'w1', day: '2024-01-16', activity: 'cycling' }]
+      }));
+
+      try {
+        const fake = createFakeOuraApp({ fixturesDir: directory });
+        const response = await request(fake).get('/v2/usercollection/workout')
+          .query({ start_date: '2024-01-15', end_date: '2024-01-17' })
+          .set('Authorization', 'Bearer fake-token');
+
+        expect(response.body.data).toEqual([{ id: 'w1', day: '2024-01-16', activity: 'cycling' }]);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('app against the fake', () => {
+    it('should follow every page of a long range', async () => {
+      await startFakeOura({ pageSize: 4 });
+
+      const sleep = await ouraService.getSleepRange('fake-token', '2024-01-03', '2024-01-17');
+
+      expect(sleep.data).toHaveLength(15);
+      expect(sleep.next_token).toBeNull();
+    });
+
+    it('should answer from a normal night', async () => {
+      await startFakeOura({ scenario: 'normal' });
+
+      const response = await request(app).get('/api/nap-status');
+
+      expect(response.status).toBe(200);
+      expect(response.body.isStaleData).toBeFalsy();
+      expect(Number(response.body.sleepHours)).toBeGreaterThan(6);
+    });
+
+    it('should report stale data on a sync delay', async () => {
+      await startFakeOura({ scenario: 'sync-delay' });
+
+      const response = await request(app).get('/api/nap-status');
+
+      expect(response.status).toBe(200);
+      expect(response.body.isStaleData).toBe(true);
+    });
+
+    it('should pick up the 3 PM nap', async () => {
+      await startFakeOura({ scenario: 'nap-3pm' });
+
+      const response = await request(app).get('/api/nap-status');
+
+      expect(response.status).toBe(200);
+      expect(response.body.hasNappedToday).toBe(true);
+    });
+
+    it('should pass the 401 and the rate limit on', async () => {
+      await startFakeOura({ scenario: 'unauthorized' });
+      const unauthorized = await request(app).get('/api/nap-status');
+      await stopFakeOura();
+
+      cache.flush();
+      await startFakeOura({ scenario: 'rate-limited', retryAfterSeconds: 90 });
+      const limited = await request(app).get('/api/nap-status');
+
+      expect(unauthorized.status).toBe(401);
+      expect(limited.status).toBe(429);
+      expect(limited.body.retryAfter).toBe(90);
+    });
+  });
+});
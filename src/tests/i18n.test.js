@@ -0,0 +1,55 @@
+/**
+ * Localization Tests
+ * Testing Accept-Language negotiation, the default locale and catalog fallbacks
+ */
+
+const {
+  getSupportedLocales,
+  matchLocale,
+  negotiateLocale,
+  getDefaultLocale,
+  translate
+} = require('../utils/i18n');
+
+describe('i18n', () => {
+  afterEach(() => {
+    delete process.env.NAP_LOCALE;
+  });
+
+  it('should ship English and Spanish catalogs', () => {
+    expect(getSupportedLocales()).toEqual(['en', 'es']);
+  });
+
+  it('should match exact tags, then the base language', () => {
+    expect(matchLocale('es')).toBe('es');
+    expect(matchLocale('ES_mx')).toBe('es');
+    expect(matchLocale('fr-CA')).toBeNull();
+    expect(matchLocale('')).toBeNull();
+  });
+
+  it('should negotiate by quality, then header order', () => {
+    expect(negotiateLocale('fr;q=1, es;q=0.5, en;q=0.8')).toBe('en');
+    expect(negotiateLocale('es-MX, en')).toBe('es');
+    expect(negotiateLocale('es;q=0, en;q=0.1')).toBe('en');
+    expect(negotiateLocale('fr, de')).toBeNull();
+    expect(negotiateLocale(undefined)).toBeNull();
+  });
+
+  it('should use NAP_LOCALE as the default and for a * range', () => {
+    expect(getDefaultLocale()).toBe('en');
+
+    process.env.NAP_LOCALE = 'es-ES';
+    expect(getDefaultLocale()).toBe('es');
+    expect(negotiateLocale('fr, *;q=0.5')).toBe('es');
+
+    process.env.NAP_LOCALE = 'klingon';
+    expect(getDefaultLocale()).toBe('en');
+  });
+
+  it('should fill variables and fall back to English, then the key', () => {
+    expect(translate('es', 'duration.hours', { count: 2 })).toBe('2 horas');
+    expect(translate('xx', 'quality.good')).toBe('Good');
+    expect(translate('es', 'no.such.key')).toBe('no.such.key');
+    expect(translate('en', 'recommendations.sleepDebt', { hours: '3.0' })).toContain('3.0');
+  });
+});
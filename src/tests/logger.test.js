@@ -0,0 +1,149 @@
+/**
+ * Logger Tests
+ * Testing structured output, levels, redaction and request id propagation
+ */
+
+const request = require('supertest');
+const app = require('../index');
+const cache = require('../services/cache');
+const ouraAuth = require('../services/oura-auth');
+const { logger, withLogContext, resolveRequestId, resolveTrace, redact } = require('../utils/logger');
+const { resolveLoggingConfig } = require('../config/logging');
+
+// JSON log entries written so far (console is mocked in setup.js)
+function logEntries() {
+  return [...console.log.mock.calls, ...console.error.mock.calls]
+    .map(([line]) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+describe('Logger', () => {
+  beforeEach(() => {
+    process.env.LOG_FORMAT = 'json';
+    process.env.LOG_LEVEL = 'debug';
+    console.log.mockClear();
+    console.error.mockClear();
+  });
+
+  afterEach(() => {
+    delete process.env.LOG_FORMAT;
+    delete process.env.LOG_LEVEL;
+    delete process.env.GOOGLE_CLOUD_PROJECT;
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveLoggingConfig', () => {
+    it('should default to info, JSON in production and text otherwise', () => {
+      delete process.env.LOG_LEVEL;
+      delete process.env.LOG_FORMAT;
+
+      expect(resolveLoggingConfig()).toEqual({ level: 'info', format: 'text' });
+      expect(resolveLoggingConfig({ format: 'JSON', level: 'WARN' })).toEqual({ level: 'warn', format: 'json' });
+      expect(() => resolveLoggingConfig({ level: 'loud' })).toThrow('LOG_LEVEL');
+    });
+  });
+
+  describe('output', () => {
+    it('should write one JSON object per entry with a Cloud Logging severity', () => {
+      logger.warn('Oura is slow', { durationMs: 4100 });
+
+      expect(console.error).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(console.error.mock.calls[0][0])).toMatchObject({
+        severity: 'WARNING',
+        message: 'Oura is slow',
+        durationMs: 4100
+      });
+    });
+
+    it('should skip entries below LOG_LEVEL', () => {
+      process.env.LOG_LEVEL = 'warn';
+
+      logger.debug('cache hit');
+      logger.info('request');
+      logger.error('failed', new Error('boom'));
+
+      expect(console.log).not.toHaveBeenCalled();
+      expect(logEntries()).toEqual([expect.objectContaining({
+        severity: 'ERROR',
+        error: expect.objectContaining({ message: 'boom', stack: expect.any(String) })
+      })]);
+    });
+
+    it('should carry the context through async work', async () => {
+      process.env.GOOGLE_CLOUD_PROJECT = 'naptime-prod';
+      const trace = resolveTrace('0123456789abcdef0123456789abcdef/1;o=1');
+
+      await withLogContext({ requestId: 'req-1', trace }, async () => {
+        await cache.cached('emily_readiness:2024-01-15', async () => ({ data: [] }));
+      });
+
+      expect(logEntries().find(entry => entry.message === 'Cache MISS')).toMatchObject({
+        requestId: 'req-1',
+        key: 'emily_readiness:2024-01-15',
+        'logging.googleapis.com/trace': 'projects/naptime-prod/traces/0123456789abcdef0123456789abcdef'
+      });
+    });
+  });
+
+  describe('redact', () => {
+    it('should hide credentials in keys, bearer headers and OAuth URLs', () => {
+      const circular = { name: 'loop' };
+      circular.self = circular;
+
+      expect(redact({
+        headers: { Authorization: 'Bearer abc.def', 'Content-Type': 'application/json' },
+        accessToken: 'abc',
+        configured: { ouraApiToken: true },
+        url: '/auth/callback?code=secret-code&state=xyz&person=emily',
+        note: 'sent Bearer abc.def to Oura',
+        circular
+      })).toEqual({
+        headers: { Authorization: '[REDACTED]', 'Content-Type': 'application/json' },
+        accessToken: '[REDACTED]',
+        configured: { ouraApiToken: true },
+        url: '/auth/callback?code=[REDACTED]&state=[REDACTED]&person=emily',
+        note: 'sent Bearer [REDACTED] to Oura',
+        circular: { name: 'loop', self: '[Circular]' }
+      });
+    });
+  });
+
+  describe('request ids', () => {
+    it('should reuse sane inbound ids and generate the rest', () => {
+      expect(resolveRequestId('abc-123')).toBe('abc-123');
+      expect(resolveRequestId('has spaces')).toMatch(/^[0-9a-f-]{36}$/);
+      expect(resolveRequestId(undefined)).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('should return X-Request-Id and tag the request\'s log lines with it', async () => {
+      jest.spyOn(ouraAuth, 'getAccessToken').mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/nap-status?code=oauth-code')
+        .set('X-Request-Id', 'trace-me-1')
+        .set('Authorization', 'Bearer should-not-leak');
+
+      expect(response.headers['x-request-id']).toBe('trace-me-1');
+      expect(response.body.requestId).toBe('trace-me-1');
+
+      const entries = logEntries().filter(entry => entry.requestId === 'trace-me-1');
+      expect(entries.map(entry => entry.message)).toEqual(expect.arrayContaining([
+        'No Oura credentials: connect at /auth/login or set a static token',
+        'GET /api/nap-status?code=[REDACTED] 500'
+      ]));
+      expect(JSON.stringify(logEntries())).not.toMatch(/should-not-leak|oauth-code/);
+    });
+
+    it('should generate an id when the request has none', async () => {
+      const response = await request(app).get('/health');
+
+      expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+  });
+});
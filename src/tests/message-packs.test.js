@@ -0,0 +1,124 @@
+/**
+ * Message Pack Tests
+ * Testing pack loading, fallbacks, validation and custom pack directories
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  WINDOWS,
+  SLEEP_STATES,
+  loadMessagePacks,
+  resolveMessagePack,
+  listMessagePacks,
+  compileMessagePack,
+  resetMessagePacks
+} = require('../config/message-packs');
+
+const entry = (text) => ({ message: text, recommendation: `${text} for {name}` });
+
+// Smallest complete pack: fallbacks cover every window and state
+const minimalPack = () => ({
+  name: 'tiny',
+  windows: {
+    default: { 'no-data': entry('No data'), shambles: entry('Shambles') },
+    sleep: { default: entry('Sleep') },
+    'pre-nap': { struggling: entry('Pre'), ok: entry('Pre'), oversleep: entry('Pre') },
+    nap: { struggling: entry('Nap'), ok: entry('Nap'), oversleep: entry('Nap') },
+    'post-nap': { struggling: entry('Post'), ok: entry('Post'), oversleep: entry('Post') }
+  },
+  napped: entry('Napped'),
+  sick: entry('Sick'),
+  stale: entry('Stale {daysBehind}'),
+  'sleep-debt': { maybe: entry('Maybe'), yes: entry('Yes') }
+});
+
+describe('message packs', () => {
+  afterEach(() => {
+    delete process.env.NAP_MESSAGE_PACK;
+    delete process.env.NAP_MESSAGE_PACKS_DIR;
+    resetMessagePacks();
+  });
+
+  it('should ship complete snarky, gentle and clinical packs', () => {
+    expect(listMessagePacks().map(pack => pack.name)).toEqual(['clinical', 'gentle', 'snarky']);
+
+    for (const { name } of listMessagePacks()) {
+      const messages = resolveMessagePack(name);
+      for (const window of WINDOWS) {
+        for (const state of SLEEP_STATES) {
+          expect(messages[window][state].message).toEqual(expect.any(String));
+        }
+      }
+    }
+  });
+
+  it('should default to snarky unless NAP_MESSAGE_PACK says otherwise', () => {
+    expect(resolveMessagePack().napped.message).toBe('Napping Has Occurred');
+    expect(resolveMessagePack()['pre-nap']['no-data']).toEqual(resolveMessagePack()['post-nap']['no-data']);
+
+    process.env.NAP_MESSAGE_PACK = 'clinical';
+    expect(resolveMessagePack().sleep.ok.message).toBe('Sleep Period');
+    expect(() => resolveMessagePack('pirate')).toThrow('Unknown message pack "pirate"');
+  });
+
+  it('should fill missing states from the window and global defaults', () => {
+    const { messages } = compileMessagePack(minimalPack());
+
+    expect(messages.sleep.shambles.message).toBe('Sleep');
+    expect(messages.nap.shambles.message).toBe('Shambles');
+    expect(messages.nap['no-data'].message).toBe('No data');
+    expect(messages['sleep-debt'].yes.message).toBe('Yes');
+  });
+
+  it('should reject a pack missing a window/state combination', () => {
+    const pack = minimalPack();
+    delete pack.windows.nap.ok;
+
+    expect(() => compileMessagePack(pack)).toThrow('missing a message for window "nap", state "ok"');
+  });
+
+  it('should reject unknown keys, variables and empty messages', () => {
+    expect(() => compileMessagePack({ ...minimalPack(), windows: { ...minimalPack().windows, lunch: {} } }))
+      .toThrow('unknown key "windows.lunch"');
+    expect(() => compileMessagePack({ ...minimalPack(), napped: entry('Hi {nickname}') }))
+      .toThrow('"napped.message" uses unknown variable {nickname}');
+    expect(() => compileMessagePack({ ...minimalPack(), sick: { message: '', recommendation: 'x' } }))
+      .toThrow('"sick.message" must be a non-empty string');
+  });
+
+  it('should resolve translations and fall back to the untranslated pack', () => {
+    expect(listMessagePacks()).toContainEqual(expect.objectContaining({ name: 'snarky', locales: ['es'] }));
+    expect(resolveMessagePack('snarky', 'es')).not.toEqual(resolveMessagePack('snarky'));
+    expect(resolveMessagePack('snarky', 'fr')).toBe(resolveMessagePack('snarky'));
+
+    expect(compileMessagePack({ ...minimalPack(), locale: 'es' }).locale).toBe('es');
+    expect(() => compileMessagePack({ ...minimalPack(), locale: 'xx' })).toThrow('locale "xx" has no catalog');
+    expect(() => compileMessagePack({ ...minimalPack(), name: 'snarky', locale: 'es' }, '/packs/snarky.yaml'))
+      .toThrow('locale "es" does not match the file name');
+  });
+
+  it('should load custom packs from NAP_MESSAGE_PACKS_DIR', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'naptime-packs-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'tiny.json'), JSON.stringify(minimalPack()));
+      fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a pack');
+      process.env.NAP_MESSAGE_PACKS_DIR = dir;
+
+      expect(loadMessagePacks().has('tiny')).toBe(true);
+      expect(resolveMessagePack('tiny').stale.message).toBe('Stale {daysBehind}');
+
+      fs.writeFileSync(path.join(dir, 'orphan.es.json'), JSON.stringify({ ...minimalPack(), name: 'orphan' }));
+      resetMessagePacks();
+      expect(() => loadMessagePacks()).toThrow('no "orphan" pack to translate');
+      fs.rmSync(path.join(dir, 'orphan.es.json'));
+
+      fs.writeFileSync(path.join(dir, 'broken.yaml'), 'name: broken\nnapped: {}\n');
+      resetMessagePacks();
+      expect(() => loadMessagePacks()).toThrow(/Invalid message pack .*broken\.yaml/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Metrics Tests
+ * Testing request, Oura, cache and verdict metrics and the /metrics endpoint
+ */
+
+const MockDate = require('mockdate');
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../index');
+const metrics = require('../services/metrics');
+const cache = require('../services/cache');
+const ouraService = require('../services/oura');
+const ouraAuth = require('../services/oura-auth');
+const sleepHistory = require('../services/sleep-history');
+const napStatus = require('../services/nap-status');
+const { getDefaultPerson } = require('../config/people');
+
+// Value of one series in the exposition text, e.g. 'naptime_sleep_hours{person="emily"}'
+function sample(text, series) {
+  const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe('Metrics', () => {
+  beforeEach(() => {
+    metrics.reset();
+    cache.flush();
+  });
+
+  afterEach(() => {
+    MockDate.reset();
+    jest.restoreAllMocks();
+    delete process.env.METRICS_TOKEN;
+  });
+
+  describe('GET /metrics', () => {
+    it('should count requests by route pattern', async () => {
+      await request(app).get('/health');
+      await request(app).get('/api/people/nobody/nap-status');
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+      expect(sample(response.text, 'naptime_http_requests_total{route="/health",method="GET",status="200"}')).toBe(1);
+      expect(sample(response.text, 'naptime_http_requests_total{route="/api/people/:id/nap-status",method="GET",status="404"}')).toBe(1);
+      expect(sample(response.text, 'naptime_http_request_duration_seconds_count{route="/health",method="GET"}')).toBe(1);
+      expect(response.text).toContain('process_cpu_seconds_total');
+    });
+
+    it('should require the token when METRICS_TOKEN is set', async () => {
+      process.env.METRICS_TOKEN = 'scrape-token';
+
+      const denied = await request(app).get('/metrics');
+      const allowed = await request(app).get('/metrics').set('Authorization', 'Bearer scrape-token');
+
+      expect(denied.status).toBe(401);
+      expect(allowed.status).toBe(200);
+    });
+  });
+
+  describe('Oura API calls', () => {
+    it('should record latency, status and errors per endpoint', async () => {
+      jest.spyOn(axios, 'get')
+        .mockResolvedValueOnce({ status: 200, data: { data: [] } })
+        .mockRejectedValueOnce(Object.assign(new Error('Too Many Requests'), {
+          response: { status: 429, statusText: 'Too Many Requests', data: {}, headers: { 'retry-after': '120' } }
+        }));
+
+      await ouraService.getReadiness('token', '2024-01-15');
+      await expect(ouraService.getReadiness('token', '2024-01-15')).rejects.toMatchObject({ status: 429 });
+
+      const text = await metrics.render();
+      const endpoint = 'endpoint="/usercollection/daily_readiness"';
+      expect(sample(text, `naptime_oura_requests_total{${endpoint},status="200"}`)).toBe(1);
+      expect(sample(text, `naptime_oura_requests_total{${endpoint},status="429"}`)).toBe(1);
+      expect(sample(text, `naptime_oura_errors_total{${endpoint},status="429"}`)).toBe(1);
+      expect(sample(text, `naptime_oura_errors_total{${endpoint},status="200"}`)).toBeUndefined();
+      expect(sample(text, `naptime_oura_request_duration_seconds_count{${endpoint}}`)).toBe(2);
+    });
+  });
+
+  describe('cache lookups', () => {
+    it('should count hits and misses by key without the date suffix', async () => {
+      cache.get('emily_readiness:2024-01-15');
+      cache.set('emily_readiness:2024-01-16', {});
+      cache.get('emily_readiness:2024-01-16');
+      cache.get('emily_readiness:2024-01-16');
+
+      const text = await metrics.render({ cacheKeys: cache.getSizeInfo().keys });
+
+      expect(sample(text, 'naptime_cache_lookups_total{key="emily_readiness",result="miss"}')).toBe(1);
+      expect(sample(text, 'naptime_cache_lookups_total{key="emily_readiness",result="hit"}')).toBe(2);
+      expect(sample(text, 'naptime_cache_keys')).toBe(1);
+    });
+  });
+
+  describe('verdict gauges', () => {
+    it('should publish sleep hours, priority and staleness of a live status', async () => {
+      // Wednesday 2 PM MST, the last synced night is Monday's
+      MockDate.set('2024-01-17T21:00:00.000Z');
+      jest.spyOn(ouraAuth, 'getAccessToken').mockResolvedValue('test-token');
+      jest.spyOn(sleepHistory, 'getSleepRange').mockResolvedValue(null);
+      jest.spyOn(ouraService, 'getReadiness').mockResolvedValue(null);
+      jest.spyOn(sleepHistory, 'getYesterdaySleep').mockResolvedValue({
+        data: [{
+          day: '2024-01-15',
+          type: 'long_sleep',
+          bedtime_start: '2024-01-14T23:00:00-07:00',
+          bedtime_end: '2024-01-15T04:30:00-07:00',
+          total_sleep_duration: 5.5 * 3600,
+          score: 60
+        }]
+      });
+
+      const status = await napStatus.getLiveNapStatus(getDefaultPerson());
+      const text = await metrics.render();
+
+      expect(status.daysBehind).toBe(2);
+      expect(sample(text, 'naptime_sleep_hours{person="emily"}')).toBe(5.5);
+      expect(sample(text, 'naptime_data_days_behind{person="emily"}')).toBe(2);
+      expect(sample(text, `naptime_nap_priority{person="emily",priority="${status.napPriority}"}`)).toBe(1);
+      expect(sample(text, 'naptime_nap_priority{person="emily",priority="unknown"}')).toBe(0);
+      expect(sample(text, 'naptime_status_last_updated_seconds{person="emily"}')).toBe(Date.parse('2024-01-17T21:00:00.000Z') / 1000);
+    });
+  });
+});
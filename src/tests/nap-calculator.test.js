@@ -423,4 +423,581 @@ describe('NapCalculator', () => {
       expect(result.currentTime).toBeDefined();
     });
   });
-});
\ No newline at end of file
+  describe('Configurable Timezone', () => {
+    afterEach(() => {
+      delete process.env.NAP_TIMEZONE;
+    });
+
+    const sleepOn = (day, seconds = 18000) => ({
+      data: [{ type: 'long_sleep', day, total_sleep_duration: seconds }]
+    });
+
+    it('should use the timezone passed in options', () => {
+      // 3:00 PM in Tokyo = 06:00 UTC, which is midnight in Denver
+      MockDate.set('2024-07-15T06:00:00.000Z');
+
+      const result = NapCalculator.calculateNapStatus(sleepOn('2024-07-15'), { timeZone: 'Asia/Tokyo' });
+
+      expect(result.isNapTime).toBe(true);
+      expect(result.isSleepTime).toBe(false);
+      expect(result.timeZone).toBe('Asia/Tokyo');
+      expect(result.currentTime).toMatch(/3:00/);
+    });
+
+    it('should use NAP_TIMEZONE when no timezone is passed', () => {
+      process.env.NAP_TIMEZONE = 'Europe/London';
+      // 2:30 PM BST = 13:30 UTC
+      MockDate.set('2024-07-15T13:30:00.000Z');
+
+      const result = NapCalculator.calculateNapStatus(sleepOn('2024-07-15'));
+
+      expect(result.timeZone).toBe('Europe/London');
+      expect(result.isNapTime).toBe(true);
+    });
+
+    it("should pick today's record by the local date, not the UTC date", () => {
+      // 9:00 PM Denver on July 15 is already July 16 in UTC
+      MockDate.set('2024-07-16T03:00:00.000Z');
+
+      const result = NapCalculator.calculateNapStatus({
+        data: [
+          { type: 'long_sleep', day: '2024-07-16', total_sleep_duration: 10800 },
+          { type: 'long_sleep', day: '2024-07-15', total_sleep_duration: 25200 }
+        ]
+      }, { timeZone: 'America/Denver' });
+
+      expect(result.sleepHours).toBe('7.0');
+    });
+
+    it('should detect naps by their local start hour', () => {
+      // 4:00 PM in Tokyo
+      MockDate.set('2024-07-15T07:00:00.000Z');
+
+      const result = NapCalculator.calculateNapStatus({
+        data: [
+          { type: 'long_sleep', day: '2024-07-15', total_sleep_duration: 14400 },
+          {
+            type: 'late_nap',
+            day: '2024-07-15',
+            bedtime_start: '2024-07-15T14:00:00+09:00', // 2 PM Tokyo, 11 PM the day before in Denver
+            total_sleep_duration: 1800
+          }
+        ]
+      }, { timeZone: 'Asia/Tokyo' });
+
+      expect(result.hasNappedToday).toBe(true);
+      expect(result.message).toBe('Napping Has Occurred');
+    });
+
+    it('should keep 2 PM as nap time on the spring-forward day', () => {
+      // 2024-03-10 is MDT after 2 AM: 2:00 PM MDT = 20:00 UTC
+      MockDate.set('2024-03-10T20:00:00.000Z');
+
+      const result = NapCalculator.calculateNapStatus(sleepOn('2024-03-10'), { timeZone: 'America/Denver' });
+
+      expect(result.isNapTime).toBe(true);
+      expect(result.currentTime).toMatch(/2:00/);
+    });
+
+    it('should treat 1:30 PM as before nap time on the fall-back day', () => {
+      // 2024-11-03 is MST after 2 AM: 1:30 PM MST = 20:30 UTC (a fixed MDT offset would say 2:30 PM)
+      MockDate.set('2024-11-03T20:30:00.000Z');
+
+      const result = NapCalculator.calculateNapStatus(sleepOn('2024-11-03'), { timeZone: 'America/Denver' });
+
+      expect(result.isNapTime).toBe(false);
+      expect(result.currentTime).toMatch(/1:30/);
+    });
+
+    it('should not mark data as stale across the DST change', () => {
+      // 9:00 AM MST on the fall-back day, with that day's sleep synced
+      MockDate.set('2024-11-03T16:00:00.000Z');
+
+      const result = NapCalculator.calculateNapStatus(sleepOn('2024-11-03', 25200), { timeZone: 'America/Denver' });
+
+      expect(result.message).not.toBe("Oura Hasn't Synced");
+      expect(result.sleepHours).toBe('7.0');
+    });
+
+    it('should report time info in the requested timezone', () => {
+      MockDate.set('2024-07-15T21:45:00.000Z');
+
+      const timeInfo = NapCalculator.getMountainTimeInfo({ timeZone: 'America/New_York' });
+
+      expect(timeInfo.hour).toBe(17);
+      expect(timeInfo.minute).toBe(45);
+      expect(timeInfo.timeZone).toBe('America/New_York');
+      expect(timeInfo.isNapTime).toBe(false);
+    });
+  });
+  describe('Configurable Schedule', () => {
+    afterEach(() => {
+      delete process.env.NAP_SCHEDULE;
+    });
+
+    const sleepOn = (day, seconds = 18000) => ({
+      data: [{ type: 'long_sleep', day, total_sleep_duration: seconds }]
+    });
+    const options = (schedule) => ({ timeZone: 'America/Denver', schedule });
+
+    it('should honor minute-precision nap boundaries', () => {
+      const schedule = { weekday: { napStart: '13:30', napEnd: '16:45' } };
+
+      // Monday 1:29 PM MDT
+      MockDate.set('2024-07-15T19:29:00.000Z');
+      expect(NapCalculator.calculateNapStatus(sleepOn('2024-07-15'), options(schedule)).isNapTime).toBe(false);
+
+      // Monday 1:30 PM MDT
+      MockDate.set('2024-07-15T19:30:00.000Z');
+      expect(NapCalculator.calculateNapStatus(sleepOn('2024-07-15'), options(schedule)).isNapTime).toBe(true);
+
+      // Monday 4:45 PM MDT
+      MockDate.set('2024-07-15T22:45:00.000Z');
+      const after = NapCalculator.calculateNapStatus(sleepOn('2024-07-15'), options(schedule));
+      expect(after.isNapTime).toBe(false);
+      expect(after.timeWindow).toBe('post-nap');
+    });
+
+    it('should use the weekend schedule on Saturdays', () => {
+      const schedule = { weekend: { wake: '09:00' } };
+
+      // Saturday 8:00 AM MDT: still sleep time on the weekend
+      MockDate.set('2024-07-13T14:00:00.000Z');
+      const saturday = NapCalculator.calculateNapStatus(sleepOn('2024-07-13'), options(schedule));
+      expect(saturday.isSleepTime).toBe(true);
+      expect(saturday.message).toBe('I Sleep');
+
+      // Friday 8:00 AM MDT: a weekday, so already awake
+      MockDate.set('2024-07-12T14:00:00.000Z');
+      const friday = NapCalculator.calculateNapStatus(sleepOn('2024-07-12'), options(schedule));
+      expect(friday.isSleepTime).toBe(false);
+    });
+
+    it('should put the configured nap start into messages', () => {
+      // Monday 10:00 AM MDT, 3 hours of sleep
+      MockDate.set('2024-07-15T16:00:00.000Z');
+
+      const result = NapCalculator.calculateNapStatus(
+        sleepOn('2024-07-15', 10800),
+        options({ weekday: { napStart: '13:15' } }),
+      );
+
+      expect(result.recommendation).toBe('Emily is in shambles. She needs to survive until nap time at 1:15 PM.');
+      expect(result.schedule.napStart).toBe('1:15 PM');
+    });
+
+    it('should count down to the configured nap start in recommendations', () => {
+      // Monday 11:45 AM MDT, 5 hours of sleep
+      MockDate.set('2024-07-15T17:45:00.000Z');
+
+      const result = NapCalculator.getDetailedRecommendations(
+        sleepOn('2024-07-15'),
+        options({ weekday: { napStart: '14:15', napEnd: '16:00' } }),
+      );
+
+      expect(result.recommendations).toContain('Wait 2 hours 30 minutes until nap time (2:15 PM)');
+    });
+
+    it('should read the schedule from NAP_SCHEDULE by default', () => {
+      process.env.NAP_SCHEDULE = JSON.stringify({ weekday: { napStart: '12:00' } });
+      // Monday 12:30 PM MDT
+      MockDate.set('2024-07-15T18:30:00.000Z');
+
+      const result = NapCalculator.calculateNapStatus(sleepOn('2024-07-15'), { timeZone: 'America/Denver' });
+
+      expect(result.isNapTime).toBe(true);
+      expect(result.message).toBe('Maybe Nap Time');
+    });
+  });
+  describe('Sleep Debt', () => {
+    afterEach(() => {
+      delete process.env.SLEEP_DEBT_DAYS;
+      delete process.env.SLEEP_NEED_HOURS;
+    });
+
+    // Nights ending on the given days, most recent last
+    const nights = (hoursByDay) => ({
+      data: Object.entries(hoursByDay).map(([day, hours]) => ({
+        type: 'long_sleep',
+        day,
+        total_sleep_duration: hours * 3600
+      }))
+    });
+    const week = (lastNight, earlierNights) => nights({
+      '2024-07-09': earlierNights,
+      '2024-07-10': earlierNights,
+      '2024-07-11': earlierNights,
+      '2024-07-12': earlierNights,
+      '2024-07-13': earlierNights,
+      '2024-07-14': earlierNights,
+      '2024-07-15': lastNight
+    });
+    const options = (history) => ({ timeZone: 'America/Denver', history });
+
+    it('should sum nightly shortfalls against the sleep need', () => {
+      const debt = NapCalculator.calculateSleepDebt(week(5, 7), { today: '2024-07-15' });
+
+      // 6 nights 1 hour short + 1 night 3 hours short
+      expect(debt.hours).toBe('9.0');
+      expect(debt.level).toBe('moderate');
+      expect(debt.windowDays).toBe(7);
+      expect(debt.sleepNeedHours).toBe(8);
+      expect(debt.nightsTracked).toBe(7);
+      expect(debt.shortNights).toBe(7);
+      expect(debt.consecutiveShortNights).toBe(7);
+      expect(debt.nights[6]).toEqual({ date: '2024-07-15', sleepHours: '5.0' });
+    });
+
+    it('should let long nights pay back debt and skip nights without data', () => {
+      const debt = NapCalculator.calculateSleepDebt(
+        nights({ '2024-07-12': 10, '2024-07-14': 6, '2024-07-15': 7 }),
+        { today: '2024-07-15', sleepNeedHours: 8 }
+      );
+
+      expect(debt.hours).toBe('1.0');
+      expect(debt.level).toBe('none');
+      expect(debt.nightsTracked).toBe(3);
+      expect(debt.consecutiveShortNights).toBe(2);
+      expect(debt.nights.find(n => n.date === '2024-07-13').sleepHours).toBe(null);
+    });
+
+    it('should count naps toward paying back debt', () => {
+      const debt = NapCalculator.calculateSleepDebt({
+        data: [
+          { type: 'long_sleep', day: '2024-07-15', total_sleep_duration: 6 * 3600 },
+          { type: 'late_nap', day: '2024-07-15', total_sleep_duration: 3600 }
+        ]
+      }, { today: '2024-07-15', windowDays: 1 });
+
+      expect(debt.hours).toBe('1.0');
+    });
+
+    it('should honor SLEEP_DEBT_DAYS and SLEEP_NEED_HOURS', () => {
+      process.env.SLEEP_DEBT_DAYS = '14';
+      process.env.SLEEP_NEED_HOURS = '7';
+
+      const debt = NapCalculator.calculateSleepDebt(week(5, 7), { today: '2024-07-15' });
+
+      expect(debt.windowDays).toBe(14);
+      expect(debt.nights).toHaveLength(14);
+      expect(debt.hours).toBe('2.0');
+    });
+
+    it('should reject out-of-range settings', () => {
+      expect(() => NapCalculator.calculateSleepDebt({ data: [] }, { today: '2024-07-15', windowDays: 0 }))
+        .toThrow('Sleep debt window');
+      expect(() => NapCalculator.calculateSleepDebt({ data: [] }, { today: '2024-07-15', sleepNeedHours: 20 }))
+        .toThrow('Sleep need');
+    });
+
+    it('should keep one bad night after a good week at "maybe"', () => {
+      // Monday 3:00 PM MDT
+      MockDate.set('2024-07-15T21:00:00.000Z');
+
+      const result = NapCalculator.calculateNapStatus(week(5, 8), options(week(5, 8)));
+
+      expect(result.sleepDebt.level).toBe('mild');
+      expect(result.napPriority).toBe('maybe');
+      expect(result.message).toBe('Maybe Nap Time');
+    });
+
+    it('should escalate a bad streak to "yes"', () => {
+      // Monday 3:00 PM MDT, fifth short night in a row
+      MockDate.set('2024-07-15T21:00:00.000Z');
+      const history = nights({
+        '2024-07-09': 8, '2024-07-10': 8,
+        '2024-07-11': 5, '2024-07-12': 5, '2024-07-13': 5, '2024-07-14': 5, '2024-07-15': 5
+      });
+
+      const result = NapCalculator.calculateNapStatus(history, options(history));
+
+      expect(result.sleepHours).toBe('5.0');
+      expect(result.sleepDebt.hours).toBe('15.0');
+      expect(result.sleepDebt.level).toBe('severe');
+      expect(result.needsNap).toBe(true);
+      expect(result.napPriority).toBe('yes');
+      expect(result.message).toBe('NAP TIME');
+      expect(result.recommendation).toContain('15.0 hours behind on sleep over the last 7 days');
+    });
+
+    it('should suggest a nap after an OK night when debt has built up', () => {
+      // Monday 3:00 PM MDT, 7 hours last night but a rough week
+      MockDate.set('2024-07-15T21:00:00.000Z');
+      const history = week(7, 6.8);
+
+      const result = NapCalculator.calculateNapStatus(history, options(history));
+
+      expect(result.sleepCategory).toBe('good');
+      expect(result.sleepDebt.level).toBe('moderate');
+      expect(result.needsNap).toBe(true);
+      expect(result.napPriority).toBe('maybe');
+      expect(result.recommendation).toContain('Emily slept OK last night');
+    });
+
+    it('should not escalate outside nap time', () => {
+      // Monday 10:00 AM MDT
+      MockDate.set('2024-07-15T16:00:00.000Z');
+      const history = week(5, 5);
+
+      const result = NapCalculator.calculateNapStatus(history, options(history));
+
+      expect(result.sleepDebt.level).toBe('severe');
+      expect(result.needsNap).toBe(false);
+      expect(result.napPriority).toBe('none');
+      expect(result.message).toBe('Not Nap Time');
+    });
+
+    it('should not escalate after Emily has napped', () => {
+      // Monday 4:00 PM MDT
+      MockDate.set('2024-07-15T22:00:00.000Z');
+      const history = week(5, 5);
+      history.data.push({
+        type: 'late_nap',
+        day: '2024-07-15',
+        bedtime_start: '2024-07-15T14:00:00-06:00',
+        total_sleep_duration: 1800
+      });
+
+      const result = NapCalculator.calculateNapStatus(history, options(history));
+
+      expect(result.hasNappedToday).toBe(true);
+      expect(result.needsNap).toBe(false);
+      expect(result.message).toBe('Napping Has Occurred');
+    });
+
+    it('should mention debt in detailed recommendations', () => {
+      MockDate.set('2024-07-15T21:00:00.000Z');
+      const history = week(5, 5);
+
+      const result = NapCalculator.getDetailedRecommendations(history, options(history));
+
+      expect(result.recommendations).toContain('You are 21.0 hours behind on sleep over the last 7 days');
+    });
+  });
+  describe('Recovery Signals', () => {
+    // Four earlier nights set an HRV baseline of 50 ms and resting HR of 55 bpm
+    const baselineNights = ['2024-07-11', '2024-07-12', '2024-07-13', '2024-07-14'].map(day => ({
+      type: 'long_sleep',
+      day,
+      total_sleep_duration: 27000,
+      average_hrv: 50,
+      lowest_heart_rate: 55
+    }));
+    const lastNight = (overrides = {}) => ({
+      type: 'long_sleep',
+      day: '2024-07-15',
+      total_sleep_duration: 27000, // 7.5 hours - would normally be fine
+      average_hrv: 48,
+      lowest_heart_rate: 56,
+      readiness: { score: 80, temperature_deviation: 0.1, contributors: {} },
+      ...overrides
+    });
+    const withHistory = (record) => ({ data: [...baselineNights, record] });
+
+    it('should flag possibly sick from fever plus low HRV, regardless of sleep hours', () => {
+      // Monday 10:00 AM MDT
+      MockDate.set('2024-07-15T16:00:00.000Z');
+      const data = withHistory(lastNight({
+        average_hrv: 35,
+        readiness: { score: 78, temperature_deviation: 0.6, contributors: {} }
+      }));
+
+      const result = NapCalculator.calculateNapStatus(data, { timeZone: 'America/Denver' });
+
+      expect(result.sleepCategory).toBe('good');
+      expect(result.possiblySick).toBe(true);
+      expect(result.needsNap).toBe(true);
+      expect(result.napPriority).toBe('yes');
+      expect(result.message).toBe('Possibly Getting Sick');
+      expect(result.recommendation).toContain('body temperature +0.6°C, HRV 30% below normal');
+      expect(result.recovery.hrv).toEqual({ value: 35, baseline: 50, changePercent: -30 });
+    });
+
+    it('should not flag a raised temperature on its own', () => {
+      MockDate.set('2024-07-15T16:00:00.000Z');
+      const data = withHistory(lastNight({
+        readiness: { score: 80, temperature_deviation: 0.7, contributors: {} }
+      }));
+
+      const result = NapCalculator.calculateNapStatus(data, { timeZone: 'America/Denver' });
+
+      expect(result.possiblySick).toBe(false);
+      expect(result.recovery.signals.map(s => s.type)).toEqual(['temperature']);
+      expect(result.message).toBe('Not Nap Time');
+    });
+
+    it('should not infer sickness from oversleeping alone', () => {
+      MockDate.set('2024-07-15T16:00:00.000Z');
+      const data = withHistory(lastNight({ total_sleep_duration: 36000 }));
+
+      const result = NapCalculator.calculateNapStatus(data, { timeZone: 'America/Denver' });
+
+      expect(result.sleepCategory).toBe('oversleep');
+      expect(result.possiblySick).toBe(false);
+    });
+
+    it('should flag three signals without a fever', () => {
+      MockDate.set('2024-07-15T16:00:00.000Z');
+      const data = withHistory(lastNight({
+        average_hrv: 38,
+        lowest_heart_rate: 62,
+        readiness: { score: 55, temperature_deviation: 0.2, contributors: {} }
+      }));
+
+      const result = NapCalculator.calculateNapStatus(data, { timeZone: 'America/Denver' });
+
+      expect(result.possiblySick).toBe(true);
+      expect(result.recovery.restingHeartRate).toEqual({ value: 62, baseline: 55, change: 7 });
+      expect(result.recovery.signals.map(s => s.type)).toEqual(['hrv', 'resting-heart-rate', 'readiness']);
+    });
+
+    it('should fall back to readiness contributors without a baseline', () => {
+      MockDate.set('2024-07-15T16:00:00.000Z');
+      const data = {
+        data: [lastNight({
+          readiness: {
+            score: 70,
+            temperature_deviation: 0.8,
+            contributors: { hrv_balance: 25, resting_heart_rate: 80 }
+          }
+        })]
+      };
+
+      const result = NapCalculator.calculateNapStatus(data, { timeZone: 'America/Denver' });
+
+      expect(result.recovery.hrv.baseline).toBe(null);
+      expect(result.recovery.signals.map(s => s.type)).toEqual(['temperature', 'hrv']);
+      expect(result.possiblySick).toBe(true);
+    });
+
+    it('should prefer daily readiness over the readiness embedded in the sleep record', () => {
+      MockDate.set('2024-07-15T16:00:00.000Z');
+      const readiness = {
+        data: [
+          { day: '2024-07-14', score: 90, temperature_deviation: 0 },
+          { day: '2024-07-15', score: 50, temperature_deviation: 0.9, contributors: {} }
+        ]
+      };
+
+      const result = NapCalculator.calculateNapStatus(
+        withHistory(lastNight()),
+        { timeZone: 'America/Denver', readiness }
+      );
+
+      expect(result.recovery.readinessScore).toBe(50);
+      expect(result.recovery.temperatureDeviation).toBe(0.9);
+      expect(result.possiblySick).toBe(true);
+    });
+
+    it('should not judge the night from another day\'s daily readiness', () => {
+      MockDate.set('2024-07-15T16:00:00.000Z');
+      // Today's readiness hasn't synced yet
+      const readiness = {
+        data: [{ day: '2024-07-14', score: 50, temperature_deviation: 0.9, contributors: {} }]
+      };
+
+      const result = NapCalculator.calculateNapStatus(
+        withHistory(lastNight()),
+        { timeZone: 'America/Denver', readiness }
+      );
+
+      expect(result.recovery.readinessScore).toBe(80);
+      expect(result.recovery.temperatureDeviation).toBe(0.1);
+      expect(result.possiblySick).toBe(false);
+    });
+
+    it('should still say "I Sleep" during sleep time', () => {
+      // Monday 2:00 AM MDT
+      MockDate.set('2024-07-15T08:00:00.000Z');
+      const data = withHistory(lastNight({
+        average_hrv: 30,
+        readiness: { score: 50, temperature_deviation: 1.0, contributors: {} }
+      }));
+
+      const result = NapCalculator.calculateNapStatus(data, { timeZone: 'America/Denver' });
+
+      expect(result.possiblySick).toBe(true);
+      expect(result.message).toBe('I Sleep');
+      expect(result.needsNap).toBe(false);
+    });
+
+    it('should add sick-day advice to detailed recommendations', () => {
+      MockDate.set('2024-07-15T16:00:00.000Z');
+      const data = withHistory(lastNight({
+        average_hrv: 35,
+        readiness: { score: 78, temperature_deviation: 0.6, contributors: {} }
+      }));
+
+      const result = NapCalculator.getDetailedRecommendations(data, { timeZone: 'America/Denver' });
+
+      expect(result.recommendations[0]).toBe('Your body may be fighting something: body temperature +0.6°C, HRV 30% below normal');
+      expect(result.recommendations).toContain('Take a 20-30 minute nap now');
+    });
+  });
+  describe('Injectable Clock', () => {
+    const sleepOn = (day, seconds = 18000) => ({
+      data: [{ type: 'long_sleep', day, total_sleep_duration: seconds }]
+    });
+
+    it('should calculate the status as of the given instant', () => {
+      const result = NapCalculator.calculateNapStatus(sleepOn('2024-07-15'), {
+        timeZone: 'America/Denver',
+        now: '2024-07-15T21:00:00.000Z' // 3:00 PM MDT
+      });
+
+      expect(result.isNapTime).toBe(true);
+      expect(result.message).toBe('Maybe Nap Time');
+      expect(result.currentTime).toMatch(/3:00/);
+      expect(result.lastUpdated).toBe('2024-07-15T21:00:00.000Z');
+    });
+
+    it('should use the same instant for every part of the status', () => {
+      // 4:59:59.999 PM MDT: a second clock read would land in post-nap
+      const now = new Date('2024-07-15T22:59:59.999Z');
+      const result = NapCalculator.calculateNapStatus(sleepOn('2024-07-15'), { timeZone: 'America/Denver', now });
+
+      expect(result.timeWindow).toBe('nap');
+      expect(result.isNapTime).toBe(true);
+      expect(result.lastUpdated).toBe(now.toISOString());
+    });
+
+    it('should answer for past and future moments independently of the real clock', () => {
+      const options = (now) => ({ timeZone: 'America/Denver', now });
+
+      expect(NapCalculator.calculateNapStatus(sleepOn('2031-01-06'), options('2031-01-06T09:00:00Z')).isSleepTime).toBe(true);
+      expect(NapCalculator.calculateNapStatus(sleepOn('2019-03-04'), options('2019-03-04T22:00:00Z')).isNapTime).toBe(true);
+    });
+
+    it('should thread the instant through detailed recommendations and time info', () => {
+      const now = '2024-07-15T17:00:00.000Z'; // 11:00 AM MDT
+
+      const result = NapCalculator.getDetailedRecommendations(sleepOn('2024-07-15'), { timeZone: 'America/Denver', now });
+
+      expect(result.timeInfo.hour).toBe(11);
+      expect(result.timeInfo.minute).toBe(0);
+      expect(result.recommendations).toContain('Wait 3 hours until nap time (2 PM)');
+    });
+
+    it('should describe the given instant in getMountainTimeInfo', () => {
+      const timeInfo = NapCalculator.getMountainTimeInfo({
+        timeZone: 'America/Denver',
+        now: new Date('2024-01-15T22:15:00.000Z') // 3:15 PM MST
+      });
+
+      expect(timeInfo.hour).toBe(15);
+      expect(timeInfo.minute).toBe(15);
+      expect(timeInfo.isNapTime).toBe(true);
+    });
+
+    it('should end the sleep debt window on the given instant', () => {
+      const debt = NapCalculator.calculateSleepDebt(sleepOn('2024-07-15', 6 * 3600), {
+        timeZone: 'America/Denver',
+        now: '2024-07-15T21:00:00Z',
+        windowDays: 3
+      });
+
+      expect(debt.nights.map(night => night.date)).toEqual(['2024-07-13', '2024-07-14', '2024-07-15']);
+      expect(debt.hours).toBe('2.0');
+    });
+  });
+});
@@ -1,26 +1,20 @@
 const NapCalculator = require('../services/nap-calculator');
 
 describe('Nap Calculator Logic', () => {
-  // Simple helper to mock time
+  // Simple helper to calculate at an hour on Monday 2024-01-15, Mountain Time
   const atTime = (hour, sleepHours = 5) => {
-    const mockDate = new Date('2024-01-15T12:00:00-07:00');
-    mockDate.setHours(hour);
-    jest.spyOn(global, 'Date').mockImplementation(() => mockDate);
+    const now = new Date(`2024-01-15T${String(hour).padStart(2, '0')}:00:00-07:00`);
     
     return NapCalculator.calculateNapStatus({
       data: [{
         type: 'long_sleep',
-        day: new Date().toISOString().split('T')[0],
+        day: '2024-01-15',
         total_sleep_duration: sleepHours * 3600,
         efficiency: 85
       }]
-    });
+    }, { timeZone: 'America/Denver', now });
   };
 
-  afterEach(() => {
-    jest.restoreAllMocks();
-  });
-
   describe('Core Business Logic: When should Emily nap?', () => {
     it('Emily ALWAYS needs a nap with <4 hours sleep (shambles)', () => {
       expect(atTime(8, 3).needsNap).toBe(true);   // morning
@@ -88,27 +82,26 @@ describe('Nap Calculator Logic', () => {
 
   describe('Already Napped Logic', () => {
     it('prevents napping twice in one day', () => {
-      const mockDate = new Date('2024-01-15T15:00:00-07:00'); // 3 PM
-      jest.spyOn(global, 'Date').mockImplementation(() => mockDate);
+      const now = new Date('2024-01-15T15:00:00-07:00'); // 3 PM
       
       const dataWithNap = {
         data: [
           {
             type: 'long_sleep',
-            day: new Date().toISOString().split('T')[0],
+            day: '2024-01-15',
             total_sleep_duration: 10800, // 3 hours - shambles!
             efficiency: 85
           },
           {
             type: 'late_nap',
-            day: new Date().toISOString().split('T')[0],
+            day: '2024-01-15',
             total_sleep_duration: 1800, // 30 min nap
-            bedtime_start: new Date().toISOString().replace(/T.*/, 'T14:00:00-07:00')
+            bedtime_start: '2024-01-15T14:00:00-07:00'
           }
         ]
       };
       
-      const result = NapCalculator.calculateNapStatus(dataWithNap);
+      const result = NapCalculator.calculateNapStatus(dataWithNap, { timeZone: 'America/Denver', now });
       
       // Even though Emily is in shambles, she already napped
       expect(result.needsNap).toBe(false);
@@ -145,4 +138,76 @@ describe('Nap Calculator Logic', () => {
     });
 
   });
-});
\ No newline at end of file
+
+  describe('Message Packs', () => {
+    const sleepData = (sleepHours) => ({
+      data: [{ type: 'long_sleep', day: '2024-01-15', total_sleep_duration: sleepHours * 3600 }]
+    });
+
+    it('fills {name}, {sleepHours} and {minutesUntilNap} in the chosen pack', () => {
+      const result = NapCalculator.calculateNapStatus(sleepData(3.5), {
+        timeZone: 'America/Denver',
+        now: new Date('2024-01-15T12:30:00-07:00'),
+        name: 'Alex',
+        messagePack: 'gentle'
+      });
+
+      expect(result.recommendation).toBe(
+        'Only 3.5 hours last night, which is rough. Go easy today, Alex: nap time starts at 2 PM, in 90 minutes.'
+      );
+    });
+
+    it('words the stale data message with {daysBehind}', () => {
+      const result = NapCalculator.calculateNapStatus({
+        data: [{ type: 'long_sleep', day: '2024-01-13', total_sleep_duration: 7 * 3600 }]
+      }, { timeZone: 'America/Denver', now: new Date('2024-01-15T10:00:00-07:00'), messagePack: 'clinical' });
+
+      expect(result.message).toBe("Oura Hasn't Synced");
+      expect(result.recommendation).toBe('Latest sleep record is 2 day(s) old. Sync the Oura ring.');
+    });
+
+    it('applies per-sleeper overrides on top of the pack', () => {
+      const result = NapCalculator.calculateNapStatus(sleepData(7), {
+        timeZone: 'America/Denver',
+        now: new Date('2024-01-15T10:00:00-07:00'),
+        name: 'Alex',
+        messages: { 'pre-nap': { ok: { recommendation: '{name} is fine.' } } }
+      });
+
+      expect(result.message).toBe('Not Nap Time');
+      expect(result.recommendation).toBe('Alex is fine.');
+    });
+  });
+
+  describe('Localization', () => {
+    const sleepData = (sleepHours) => ({
+      data: [{ type: 'long_sleep', day: '2024-01-15', total_sleep_duration: sleepHours * 3600 }]
+    });
+
+    it('uses the pack translation, local time format and catalog labels', () => {
+      const result = NapCalculator.calculateNapStatus(sleepData(3.5), {
+        timeZone: 'America/Denver',
+        now: new Date('2024-01-15T12:30:00-07:00'),
+        locale: 'es'
+      });
+
+      expect(result.locale).toBe('es');
+      expect(result.message).toBe('No Es Hora De La Siesta');
+      expect(result.recommendation).toBe(
+        'Emily está hecha polvo. Tiene que sobrevivir hasta la hora de la siesta, a las 14:00.'
+      );
+      expect(result.currentTime).toBe('12:30');
+      expect(result.quality).toBe('Desconocida');
+    });
+
+    it('translates the detailed recommendations', () => {
+      const result = NapCalculator.getDetailedRecommendations(sleepData(5), {
+        timeZone: 'America/Denver',
+        now: new Date('2024-01-15T12:30:00-07:00'),
+        locale: 'es'
+      });
+
+      expect(result.recommendations).toContain('Espera 1 hora 30 minutos hasta la hora de la siesta (14:00)');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Nap Stream Tests
+ * Testing shared channels, change detection, boundary scheduling and heartbeats
+ */
+
+const napStream = require('../services/nap-stream');
+const { resolveSchedule } = require('../config/schedule');
+
+const timeZone = 'America/Denver';
+const schedule = resolveSchedule();
+
+const mockResponse = () => ({ write: jest.fn(), end: jest.fn() });
+
+// Parse the frames written to a mock response into { id, event, data }
+const eventsOf = (res) => res.write.mock.calls
+  .map(([frame]) => frame)
+  .filter(frame => frame.includes('event: '))
+  .map(frame => {
+    const fields = Object.fromEntries(frame.trim().split('\n').map(line => {
+      const index = line.indexOf(': ');
+      return [line.slice(0, index), line.slice(index + 2)];
+    }));
+    return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+  });
+
+const status = (message, extra = {}) => ({ message, needsNap: false, timeWindow: 'pre-nap', ...extra });
+
+describe('napStream', () => {
+  beforeEach(() => {
+    // Monday 1:58:30 PM in Denver, 90 seconds before the nap window opens
+    jest.useFakeTimers({ now: new Date('2024-01-15T13:58:30-07:00') });
+  });
+
+  afterEach(() => {
+    napStream.reset();
+    jest.useRealTimers();
+  });
+
+  it('should send the current status to every subscriber of a channel', async () => {
+    const compute = jest.fn().mockResolvedValue(status('Not Nap Time'));
+    const first = mockResponse();
+    const second = mockResponse();
+
+    napStream.subscribe('emily_nap_status', first, { compute, timeZone, schedule });
+    await jest.advanceTimersByTimeAsync(0);
+    napStream.subscribe('emily_nap_status', second, { compute, timeZone, schedule });
+
+    expect(first.write.mock.calls[0][0]).toBe('retry: 5000\n\n');
+    expect(eventsOf(first)).toEqual([{ id: '1', event: 'nap-status', data: status('Not Nap Time') }]);
+    expect(eventsOf(second)).toEqual(eventsOf(first));
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(napStream.getStats()).toEqual({ channels: 1, subscribers: 2 });
+  });
+
+  it('should recompute right after the next window boundary, bypassing the cache', async () => {
+    const compute = jest.fn()
+      .mockResolvedValueOnce(status('Not Nap Time'))
+      .mockResolvedValueOnce(status('NAP TIME', { needsNap: true, timeWindow: 'nap' }));
+    const res = mockResponse();
+
+    napStream.subscribe('emily_nap_status', res, { compute, timeZone, schedule });
+    await jest.advanceTimersByTimeAsync(90 * 1000);
+    expect(compute).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(compute).toHaveBeenLastCalledWith({ forceRefresh: true });
+    expect(eventsOf(res).filter(event => event.event === 'nap-status').map(event => [event.id, event.data.message]))
+      .toEqual([['1', 'Not Nap Time'], ['2', 'NAP TIME']]);
+  });
+
+  it('should only send an event when the status visibly changed', async () => {
+    const compute = jest.fn()
+      .mockResolvedValueOnce(status('NAP TIME', { lastUpdated: 'a' }))
+      .mockResolvedValueOnce(status('NAP TIME', { lastUpdated: 'b', cached: true }))
+      .mockResolvedValueOnce(status('Napping Has Occurred', { hasNappedToday: true }));
+    const res = mockResponse();
+
+    // Mid-window, so the refresh interval comes before the next boundary
+    jest.setSystemTime(new Date('2024-01-15T15:00:00-07:00'));
+    napStream.subscribe('emily_nap_status', res, { compute, timeZone, schedule });
+    await jest.advanceTimersByTimeAsync(2 * 120 * 1000);
+
+    expect(compute).toHaveBeenCalledTimes(3);
+    expect(compute).toHaveBeenLastCalledWith({ forceRefresh: false });
+    expect(eventsOf(res).filter(event => event.event === 'nap-status').map(event => event.data.message))
+      .toEqual(['NAP TIME', 'Napping Has Occurred']);
+  });
+
+  it('should send heartbeats and refresh errors', async () => {
+    const compute = jest.fn().mockRejectedValue(Object.assign(new Error('Oura down'), { status: 503 }));
+    const res = mockResponse();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    napStream.subscribe('emily_nap_status', res, { compute, timeZone, schedule });
+    await jest.advanceTimersByTimeAsync(25 * 1000);
+
+    expect(eventsOf(res).map(event => event.event)).toEqual(['nap-error', 'heartbeat']);
+    expect(eventsOf(res)[0].data).toEqual({ error: 'Failed to fetch nap status', status: 503 });
+    console.error.mockRestore();
+  });
+
+  it('should keep refreshing on the default interval when scheduling fails', async () => {
+    const compute = jest.fn().mockResolvedValue(status('Not Nap Time'));
+    const res = mockResponse();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      napStream.subscribe('emily_nap_status', res, { compute, timeZone, schedule });
+      // Broken after the channel opened, so only the rescheduling sees it
+      process.env.NAP_STREAM_REFRESH_SECONDS = '5';
+      await jest.advanceTimersByTimeAsync(0);
+      await jest.advanceTimersByTimeAsync(120 * 1000);
+
+      expect(compute).toHaveBeenCalledTimes(2);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Nap stream scheduling failed'), expect.anything());
+    } finally {
+      delete process.env.NAP_STREAM_REFRESH_SECONDS;
+      console.error.mockRestore();
+    }
+  });
+
+  it('should close a channel and its timers with its last subscriber', async () => {
+    const compute = jest.fn().mockResolvedValue(status('Not Nap Time'));
+    const res = mockResponse();
+
+    const unsubscribe = napStream.subscribe('emily_nap_status', res, { compute, timeZone, schedule });
+    await jest.advanceTimersByTimeAsync(0);
+    unsubscribe();
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+
+    expect(napStream.getStats()).toEqual({ channels: 0, subscribers: 0 });
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(res.write).toHaveBeenCalledTimes(2);
+  });
+
+  it('should find the next boundary, rolling over to tomorrow', () => {
+    const at = (iso) => napStream.getNextCheckpoint(new Date(iso), { timeZone, schedule }).toISOString();
+
+    expect(at('2024-01-15T13:58:30-07:00')).toBe('2024-01-15T21:00:00.000Z');
+    expect(at('2024-01-15T23:30:00-07:00')).toBe('2024-01-16T07:00:00.000Z');
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Oura Auth Tests
+ * Testing OAuth state, token exchange, encrypted storage and refresh rotation
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const ouraAuth = require('../services/oura-auth');
+const tokenStore = require('../services/token-store');
+const { encrypt, decrypt } = require('../utils/crypto');
+const { resolvePeople } = require('../config/people');
+
+jest.mock('axios');
+
+const tokenResponse = (accessToken, refreshToken, expiresIn = 86400) => ({
+  data: { access_token: accessToken, refresh_token: refreshToken, expires_in: expiresIn, scope: 'daily' }
+});
+
+const [, alex] = resolvePeople([{ id: 'emily' }, { id: 'alex', tokenEnv: 'OURA_TOKEN_ALEX' }]);
+
+describe('OuraAuthService', () => {
+  beforeEach(() => {
+    axios.post.mockReset();
+    process.env.OURA_API_TOKEN = 'static_token';
+  });
+
+  afterEach(() => {
+    ouraAuth.disconnect();
+    ouraAuth.disconnect(alex);
+    ouraAuth.tokenOwners.clear();
+    delete process.env.OURA_API_TOKEN;
+    delete process.env.OURA_TOKEN_ALEX;
+  });
+
+  describe('state', () => {
+    it('should accept a state it created with the matching cookie nonce', () => {
+      const { state, nonce } = ouraAuth.createState();
+
+      expect(ouraAuth.verifyState(state, nonce)).toBe('emily');
+      expect(ouraAuth.verifyState(state, 'other-nonce')).toBeNull();
+      expect(ouraAuth.verifyState(state.replace(/.$/, c => (c === '0' ? '1' : '0')), nonce)).toBeNull();
+      expect(ouraAuth.verifyState(undefined, nonce)).toBeNull();
+    });
+
+    it('should carry the person the login is for', () => {
+      const { state, nonce } = ouraAuth.createState(alex);
+
+      expect(ouraAuth.verifyState(state, nonce)).toBe('alex');
+      expect(ouraAuth.verifyState(state.replace('.alex.', '.emily.'), nonce)).toBeNull();
+    });
+
+    it('should build the authorization URL with the client and state', () => {
+      const url = new URL(ouraAuth.getAuthorizationUrl('abc'));
+
+      expect(url.origin + url.pathname).toBe('https://cloud.ouraring.com/oauth/authorize');
+      expect(url.searchParams.get('client_id')).toBe('test-client-id');
+      expect(url.searchParams.get('response_type')).toBe('code');
+      expect(url.searchParams.get('state')).toBe('abc');
+    });
+  });
+
+  describe('tokens', () => {
+    it('should fall back to OURA_API_TOKEN when no account is connected', async () => {
+      expect(await ouraAuth.getAccessToken()).toBe('static_token');
+      expect(ouraAuth.getStatus()).toMatchObject({ configured: true, connected: false, source: 'env' });
+    });
+
+    it('should exchange a code and store the tokens encrypted', async () => {
+      axios.post.mockResolvedValue(tokenResponse('access_1', 'refresh_1'));
+
+      const tokens = await ouraAuth.exchangeCode('the_code');
+      ouraAuth.connect(tokens, 'user_1');
+
+      const body = new URLSearchParams(axios.post.mock.calls[0][1]);
+      expect(body.get('grant_type')).toBe('authorization_code');
+      expect(body.get('code')).toBe('the_code');
+
+      const onDisk = fs.readFileSync(tokenStore.getPath(), 'utf8');
+      expect(onDisk).not.toContain('access_1');
+      expect(onDisk).not.toContain('refresh_1');
+
+      tokenStore.reset();
+      expect(await ouraAuth.getAccessToken()).toBe('access_1');
+      expect(ouraAuth.getStatus()).toMatchObject({ connected: true, source: 'oauth', userId: 'user_1' });
+    });
+
+    it('should refuse to connect a different Oura account', () => {
+      ouraAuth.connect({ accessToken: 'a', refreshToken: 'r', expiresAt: new Date(Date.now() + 3600000).toISOString() }, 'user_1');
+
+      expect(() => ouraAuth.connect({ accessToken: 'b' }, 'user_2')).toThrow('A different Oura account is already connected');
+    });
+
+    it('should rotate tokens before they expire', async () => {
+      ouraAuth.connect({ accessToken: 'old', refreshToken: 'refresh_1', expiresAt: new Date(Date.now() + 30000).toISOString() }, 'user_1');
+      axios.post.mockResolvedValue(tokenResponse('new', 'refresh_2'));
+
+      expect(await ouraAuth.getAccessToken()).toBe('new');
+
+      const body = new URLSearchParams(axios.post.mock.calls[0][1]);
+      expect(body.get('grant_type')).toBe('refresh_token');
+      expect(body.get('refresh_token')).toBe('refresh_1');
+
+      tokenStore.reset();
+      expect(tokenStore.load(process.env.SESSION_SECRET)).toMatchObject({ accessToken: 'new', refreshToken: 'refresh_2', userId: 'user_1' });
+    });
+
+    it('should remember the owner of the token just rotated, but not older ones', async () => {
+      ouraAuth.connect({ accessToken: 'first', refreshToken: 'refresh_1', expiresAt: new Date(Date.now() + 3600000).toISOString() }, 'user_1');
+      expect(await ouraAuth.getAccessToken()).toBe('first');
+
+      tokenStore.save({ ...tokenStore.load(process.env.SESSION_SECRET), expiresAt: new Date(0).toISOString() }, process.env.SESSION_SECRET);
+      axios.post.mockResolvedValue(tokenResponse('second', 'refresh_2'));
+      expect(await ouraAuth.getAccessToken()).toBe('second');
+
+      expect(ouraAuth.tokenOwners.get('first')).toBe('');
+      expect(ouraAuth.tokenOwners.get('second')).toBe('');
+
+      tokenStore.save({ ...tokenStore.load(process.env.SESSION_SECRET), expiresAt: new Date(0).toISOString() }, process.env.SESSION_SECRET);
+      axios.post.mockResolvedValue(tokenResponse('third', 'refresh_3'));
+      expect(await ouraAuth.getAccessToken()).toBe('third');
+
+      expect(ouraAuth.tokenOwners.has('first')).toBe(false);
+      expect(ouraAuth.tokenOwners.get('second')).toBe('');
+    });
+
+    it('should refresh only once for concurrent 401s', async () => {
+      ouraAuth.connect({ accessToken: 'old', refreshToken: 'refresh_1', expiresAt: new Date(Date.now() + 3600000).toISOString() }, 'user_1');
+      axios.post.mockResolvedValue(tokenResponse('new', 'refresh_2'));
+      expect(await ouraAuth.getAccessToken()).toBe('old');
+
+      const results = await Promise.all([
+        ouraAuth.handleUnauthorized('old'),
+        ouraAuth.handleUnauthorized('old')
+      ]);
+
+      expect(results).toEqual(['new', 'new']);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      // A late 401 for an already rotated token just gets the current one
+      expect(await ouraAuth.handleUnauthorized('old')).toBe('new');
+    });
+
+    it('should keep each person\'s tokens separate', async () => {
+      ouraAuth.connect({ accessToken: 'alex_old', refreshToken: 'alex_refresh', expiresAt: new Date(Date.now() + 3600000).toISOString() }, 'user_2', alex);
+      axios.post.mockResolvedValue(tokenResponse('alex_new', 'alex_refresh_2'));
+
+      expect(await ouraAuth.getAccessToken()).toBe('static_token');
+      expect(await ouraAuth.getAccessToken(alex)).toBe('alex_old');
+      expect(tokenStore.getPath('alex')).toMatch(/\.alex\.json$/);
+
+      // A 401 for Alex's token rotates Alex's refresh token, not the default person's
+      expect(await ouraAuth.handleUnauthorized('alex_old')).toBe('alex_new');
+      expect(new URLSearchParams(axios.post.mock.calls[0][1]).get('refresh_token')).toBe('alex_refresh');
+      expect(ouraAuth.getStatus()).toMatchObject({ connected: false, source: 'env' });
+      expect(ouraAuth.getStatus(alex)).toMatchObject({ connected: true, userId: 'user_2' });
+    });
+
+    it('should only give OURA_API_TOKEN to the default person', async () => {
+      expect(await ouraAuth.getAccessToken(alex)).toBeNull();
+
+      process.env.OURA_TOKEN_ALEX = 'alex_static';
+      expect(await ouraAuth.getAccessToken(alex)).toBe('alex_static');
+    });
+
+    it('should not retry a 401 for the static token', async () => {
+      expect(await ouraAuth.handleUnauthorized('static_token')).toBeNull();
+    });
+
+    it('should not retry another person\'s static token with the default person\'s OAuth token', async () => {
+      ouraAuth.connect({ accessToken: 'emily_token', refreshToken: 'emily_refresh', expiresAt: new Date(Date.now() + 3600000).toISOString() }, 'user_1');
+      process.env.OURA_TOKEN_ALEX = 'alex_static';
+
+      expect(await ouraAuth.getAccessToken()).toBe('emily_token');
+      expect(await ouraAuth.getAccessToken(alex)).toBe('alex_static');
+      expect(await ouraAuth.handleUnauthorized('alex_static')).toBeNull();
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('should report a rejected refresh token as a 401', async () => {
+      ouraAuth.connect({ accessToken: 'old', refreshToken: 'revoked', expiresAt: new Date(0).toISOString() }, 'user_1');
+      axios.post.mockRejectedValue({ response: { status: 400, data: { error: 'invalid_grant' } } });
+
+      await expect(ouraAuth.getAccessToken()).rejects.toMatchObject({
+        status: 401,
+        message: 'Oura token request failed: 400 invalid_grant'
+      });
+    });
+  });
+
+  describe('encryption', () => {
+    it('should round-trip and reject a wrong secret', () => {
+      const envelope = encrypt('secret tokens', 'key-1');
+
+      expect(decrypt(envelope, 'key-1')).toBe('secret tokens');
+      expect(() => decrypt(envelope, 'key-2')).toThrow();
+    });
+  });
+});
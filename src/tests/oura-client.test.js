@@ -0,0 +1,161 @@
+/**
+ * Oura Client Tests
+ * Testing timeouts, retries, Retry-After handling and the circuit breaker
+ */
+
+const MockDate = require('mockdate');
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../index');
+const cache = require('../services/cache');
+const ouraClient = require('../services/oura-client');
+const ouraAuth = require('../services/oura-auth');
+const { resolveOuraClientConfig, getRetryDelay } = require('../config/oura-client');
+
+// An axios error carrying an HTTP response
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, statusText: 'Error', data: {}, headers }
+  });
+}
+
+function networkError(code) {
+  return Object.assign(new Error('socket hang up'), { code, request: {} });
+}
+
+describe('Oura Client', () => {
+  beforeEach(() => {
+    // Keep backoff short so retries don't slow the suite down
+    process.env.OURA_RETRY_BASE_MS = '10';
+    ouraClient.resetCircuit();
+    cache.flush();
+  });
+
+  afterEach(() => {
+    MockDate.reset();
+    jest.restoreAllMocks();
+    delete process.env.OURA_RETRY_BASE_MS;
+    delete process.env.OURA_MAX_RETRIES;
+    delete process.env.OURA_BREAKER_THRESHOLD;
+    delete process.env.OURA_TIMEOUT_SECONDS;
+  });
+
+  describe('resolveOuraClientConfig', () => {
+    it('should use env vars over defaults and reject out-of-range values', () => {
+      process.env.OURA_TIMEOUT_SECONDS = '3';
+
+      expect(resolveOuraClientConfig()).toMatchObject({ timeoutSeconds: 3, maxRetries: 2, retryBaseMs: 10 });
+      expect(() => resolveOuraClientConfig({ maxRetries: 9 })).toThrow('retries');
+      expect(getRetryDelay(3, { retryBaseMs: 300 }, () => 0.5)).toBe(600);
+    });
+  });
+
+  describe('retries', () => {
+    it('should retry 5xx and network errors, then return the data', async () => {
+      const get = jest.spyOn(axios, 'get')
+        .mockRejectedValueOnce(httpError(502))
+        .mockRejectedValueOnce(networkError('ECONNRESET'))
+        .mockResolvedValueOnce({ status: 200, data: { data: ['ok'] } });
+
+      await expect(ouraClient.get('/usercollection/sleep', { accessToken: 'token' })).resolves.toEqual({ data: ['ok'] });
+      expect(get).toHaveBeenCalledTimes(3);
+      expect(get.mock.calls[0][1]).toMatchObject({ timeout: 10000 });
+    });
+
+    it('should not retry other 4xx responses', async () => {
+      const get = jest.spyOn(axios, 'get').mockRejectedValue(httpError(400));
+
+      await expect(ouraClient.get('/usercollection/sleep', { accessToken: 'token' })).rejects.toMatchObject({ status: 400 });
+      expect(get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report a timeout as a 503 network error', async () => {
+      jest.spyOn(axios, 'get').mockRejectedValue(networkError('ECONNABORTED'));
+
+      await expect(ouraClient.get('/usercollection/sleep', { accessToken: 'token' })).rejects.toMatchObject({
+        status: 503,
+        source: 'oura',
+        message: 'Network error: Oura API timed out after 10s'
+      });
+    });
+  });
+
+  describe('rate limits', () => {
+    it('should wait out a short Retry-After and try again', async () => {
+      const get = jest.spyOn(axios, 'get')
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+        .mockResolvedValueOnce({ status: 200, data: { data: [] } });
+
+      await expect(ouraClient.get('/usercollection/sleep', { accessToken: 'token' })).resolves.toEqual({ data: [] });
+      expect(get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fail fast with the real wait when Retry-After is long', async () => {
+      const get = jest.spyOn(axios, 'get').mockRejectedValue(httpError(429, { 'retry-after': '120' }));
+
+      await expect(ouraClient.get('/usercollection/sleep', { accessToken: 'token' })).rejects.toMatchObject({
+        status: 429,
+        retryAfter: 120
+      });
+      expect(get).toHaveBeenCalledTimes(1);
+      expect(ouraClient.getCircuitState().state).toBe('closed');
+    });
+
+    it('should pass Oura\'s Retry-After on from the nap status route', async () => {
+      jest.spyOn(ouraAuth, 'getAccessToken').mockResolvedValue('test-token');
+      jest.spyOn(axios, 'get').mockRejectedValue(httpError(429, { 'retry-after': '120' }));
+
+      const response = await request(app).get('/api/nap-status');
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBe('120');
+      expect(response.body).toMatchObject({ retryAfter: 120, circuit: { state: 'closed' } });
+    });
+  });
+
+  describe('circuit breaker', () => {
+    beforeEach(() => {
+      process.env.OURA_MAX_RETRIES = '0';
+      process.env.OURA_BREAKER_THRESHOLD = '2';
+    });
+
+    it('should open after repeated failures and fail fast until the cooldown ends', async () => {
+      MockDate.set('2024-01-15T21:00:00.000Z');
+      const get = jest.spyOn(axios, 'get').mockRejectedValue(httpError(500));
+
+      await expect(ouraClient.get('/usercollection/sleep', { accessToken: 'token' })).rejects.toMatchObject({ status: 500 });
+      await expect(ouraClient.get('/usercollection/sleep', { accessToken: 'token' })).rejects.toMatchObject({ status: 500 });
+      await expect(ouraClient.get('/usercollection/sleep', { accessToken: 'token' })).rejects.toMatchObject({
+        status: 503,
+        code: 'CIRCUIT_OPEN',
+        retryAfter: 30
+      });
+      expect(get).toHaveBeenCalledTimes(2);
+      expect(ouraClient.getCircuitState()).toMatchObject({ state: 'open', retryAt: '2024-01-15T21:00:30.000Z' });
+
+      // After the cooldown one trial call goes through and closes the circuit
+      MockDate.set('2024-01-15T21:00:31.000Z');
+      get.mockResolvedValueOnce({ status: 200, data: { data: [] } });
+
+      await expect(ouraClient.get('/usercollection/sleep', { accessToken: 'token' })).resolves.toEqual({ data: [] });
+      expect(ouraClient.getCircuitState()).toMatchObject({ state: 'closed', failures: 0 });
+    });
+
+    it('should answer 503 with the breaker state from routes and /health', async () => {
+      MockDate.set('2024-01-15T21:00:00.000Z');
+      jest.spyOn(ouraAuth, 'getAccessToken').mockResolvedValue('test-token');
+      jest.spyOn(axios, 'get').mockRejectedValue(networkError('ECONNREFUSED'));
+
+      // Each status makes more than one Oura call, so the first opens the circuit
+      await request(app).get('/api/nap-status');
+      cache.flush();
+      const response = await request(app).get('/api/nap-status');
+      const health = await request(app).get('/health');
+
+      expect(response.status).toBe(503);
+      expect(response.headers['retry-after']).toBe('30');
+      expect(response.body).toMatchObject({ error: 'Service unavailable', circuit: { state: 'open' } });
+      expect(health.body.oura.circuit).toMatchObject({ state: 'open', retryAt: '2024-01-15T21:00:30.000Z' });
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Oura Recorder Tests
+ * Testing recording scrubbed Oura responses, replaying them, and replayed incidents
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const MockDate = require('mockdate');
+const ouraService = require('../services/oura');
+const ouraClient = require('../services/oura-client');
+const ouraRecorder = require('../services/oura-recorder');
+const NapCalculator = require('../services/nap-calculator');
+const { resolveOuraRecordingConfig } = require('../config/oura-recording');
+
+const FIXTURES = path.join(__dirname, 'fixtures/oura');
+
+describe('Oura Recorder', () => {
+  let directory;
+  let cassettePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'oura-recording-'));
+    cassettePath = path.join(directory, 'incident.json');
+    ouraRecorder.reset();
+    ouraClient.resetCircuit();
+  });
+
+  afterEach(() => {
+    MockDate.reset();
+    jest.restoreAllMocks();
+    delete process.env.OURA_RECORD_PATH;
+    delete process.env.OURA_REPLAY_PATH;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('resolveOuraRecordingConfig', () => {
+    it('should be off by default and refuse both modes at once', () => {
+      expect(resolveOuraRecordingConfig()).toBeNull();
+      expect(resolveOuraRecordingConfig({ replayPath: 'a.json' })).toEqual({ mode: 'replay', path: path.resolve('a.json') });
+      expect(() => resolveOuraRecordingConfig({ recordPath: 'a.json', replayPath: 'b.json' })).toThrow('not both');
+    });
+  });
+
+  describe('record', () => {
+    it('should save responses without tokens or personal details', async () => {
+      process.env.OURA_RECORD_PATH = cassettePath;
+      jest.spyOn(axios, 'get')
+        .mockResolvedValueOnce({
+          status: 200,
+          statusText: 'OK',
+          data: { id: 'user-8f2c', email: 'emily@example.com', age: 34, weight: 61.2 }
+        })
+        .mockResolvedValueOnce({
+          status: 200,
+          statusText: 'OK',
+          data: { data: [{ id: 'tag-1', day: '2024-01-15', comment: 'drank too much coffee' }], next_token: null }
+        });
+
+      await ouraService.getUserInfo('secret-access-token');
+      await ouraService.getEnhancedTags('secret-access-token', '2024-01-15', '2024-01-15');
+
+      const text = fs.readFileSync(cassettePath, 'utf8');
+      const cassette = JSON.parse(text);
+      expect(text).not.toMatch(/secret-access-token|emily@example\.com|user-8f2c|coffee/);
+      expect(cassette.interactions).toHaveLength(2);
+      expect(cassette.interactions[0].response.data).toEqual({
+        id: expect.stringMatching(/^[0-9a-f]{16}$/),
+        email: null,
+        age: null,
+        weight: null
+      });
+      expect(cassette.interactions[1].request).toEqual({
+        path: '/usercollection/enhanced_tag',
+        params: { start_date: '2024-01-15', end_date: '2024-01-15' }
+      });
+    });
+
+    it('should keep error responses with their Retry-After', async () => {
+      process.env.OURA_RECORD_PATH = cassettePath;
+      jest.spyOn(axios, 'get').mockRejectedValue(Object.assign(new Error('Too Many Requests'), {
+        response: { status: 429, statusText: 'Too Many Requests', data: {}, headers: { 'retry-after': '600' } }
+      }));
+
+      await expect(ouraService.getReadiness('token', '2024-01-15')).rejects.toMatchObject({ status: 429 });
+
+      const [interaction] = JSON.parse(fs.readFileSync(cassettePath, 'utf8')).interactions;
+      expect(interaction.response).toMatchObject({ status: 429, headers: { 'retry-after': '600' } });
+    });
+  });
+
+  describe('replay', () => {
+    it('should serve recorded responses without calling Oura, errors included', async () => {
+      process.env.OURA_RECORD_PATH = cassettePath;
+      jest.spyOn(axios, 'get')
+        .mockResolvedValueOnce({ status: 200, statusText: 'OK', data: { data: [{ day: '2024-01-15', score: 81 }], next_token: null } })
+        .mockRejectedValueOnce(Object.assign(new Error('Too Many Requests'), {
+          response: { status: 429, statusText: 'Too Many Requests', data: {}, headers: { 'retry-after': '600' } }
+        }));
+      await ouraService.getReadiness('token', '2024-01-15');
+      await ouraService.getReadiness('token', '2024-01-16').catch(() => {});
+
+      delete process.env.OURA_RECORD_PATH;
+      process.env.OURA_REPLAY_PATH = cassettePath;
+      ouraRecorder.reset();
+      axios.get.mockClear();
+
+      await expect(ouraService.getReadiness('other-token', '2024-01-15')).resolves.toEqual({
+        data: [{ day: '2024-01-15', score: 81 }],
+        next_token: null
+      });
+      await expect(ouraService.getReadiness('token', '2024-01-16')).rejects.toMatchObject({ status: 429, retryAfter: 600 });
+      await expect(ouraService.getReadiness('token', '2024-01-17')).rejects.toMatchObject({ code: 'REPLAY_MISS' });
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recorded incidents', () => {
+    // 6:30 PM in Denver is already the next day in UTC; asking Oura for the
+    // UTC date's range misses last night entirely
+    it('should find last night at 6:30 PM Mountain Time', async () => {
+      const file = path.join(FIXTURES, 'late-evening-mountain-time.json');
+      const { recordedAt, timeZone } = ouraRecorder.load(file);
+      process.env.OURA_REPLAY_PATH = file;
+      MockDate.set(recordedAt);
+
+      const sleepData = await ouraService.getYesterdaySleep('token', { timeZone, now: recordedAt });
+      const status = NapCalculator.calculateNapStatus(sleepData, { timeZone, now: recordedAt });
+
+      expect(status.isStaleData).toBe(false);
+      expect(status.sleepHours).toBe('4.6');
+      expect(status.daysBehind).toBe(0);
+    });
+  });
+});
@@ -5,6 +5,9 @@
 
 const axios = require('axios');
 const OuraService = require('../services/oura');
+const MockDate = require('mockdate');
+const ouraAuth = require('../services/oura-auth');
+const { resolvePeople } = require('../config/people');
 
 // Mock axios
 jest.mock('axios');
@@ -91,6 +94,40 @@ describe('OuraService', () => {
       expect(config.params.end_date).toBe(expectedEndDate);
     });
 
+    it('should compute the date range in the configured timezone', async () => {
+      // 10:00 AM in Tokyo on July 16 is still July 15 in Denver and UTC
+      MockDate.set('2024-07-16T01:00:00.000Z');
+      mockedAxios.get.mockResolvedValue({ data: { data: [] } });
+
+      try {
+        await OuraService.getYesterdaySleep('mock_token', { timeZone: 'Asia/Tokyo' });
+        await OuraService.getYesterdaySleep('mock_token', { timeZone: 'America/Denver' });
+      } finally {
+        MockDate.reset();
+      }
+
+      const [, tokyoConfig] = mockedAxios.get.mock.calls[0];
+      expect(tokyoConfig.params.start_date).toBe('2024-07-15');
+      expect(tokyoConfig.params.end_date).toBe('2024-07-17');
+
+      const [, denverConfig] = mockedAxios.get.mock.calls[1];
+      expect(denverConfig.params.start_date).toBe('2024-07-14');
+      expect(denverConfig.params.end_date).toBe('2024-07-16');
+    });
+
+    it('should fetch the date range around the given instant', async () => {
+      mockedAxios.get.mockResolvedValue({ data: { data: [] } });
+
+      await OuraService.getYesterdaySleep('mock_token', {
+        timeZone: 'America/Denver',
+        now: '2024-03-10T18:00:00.000Z'
+      });
+
+      const [, config] = mockedAxios.get.mock.calls[0];
+      expect(config.params.start_date).toBe('2024-03-09');
+      expect(config.params.end_date).toBe('2024-03-11');
+    });
+
     it('should handle API errors gracefully', async () => {
       // Arrange
       const mockAccessToken = 'invalid_token';
@@ -143,7 +180,8 @@ describe('OuraService', () => {
           headers: {
             'Authorization': `Bearer ${mockAccessToken}`,
             'Content-Type': 'application/json'
-          }
+          },
+          timeout: 10000
         }
       );
     });
@@ -228,5 +266,154 @@ describe('OuraService', () => {
       await expect(OuraService.getYesterdaySleep(mockAccessToken))
         .rejects.toThrow('Oura API Error: 429 Too Many Requests');
     });
+
+    it('should refresh a stored OAuth token once on 401 and retry', async () => {
+      ouraAuth.connect({
+        accessToken: 'expired_token',
+        refreshToken: 'refresh_token',
+        expiresAt: new Date(Date.now() + 3600000).toISOString()
+      }, 'user_1');
+      const unauthorized = new Error('Unauthorized');
+      unauthorized.response = { status: 401, statusText: 'Unauthorized' };
+      mockedAxios.get
+        .mockRejectedValueOnce(unauthorized)
+        .mockResolvedValueOnce({ data: { id: 'user_1' } });
+      mockedAxios.post.mockResolvedValue({
+        data: { access_token: 'fresh_token', refresh_token: 'next_refresh', expires_in: 86400 }
+      });
+
+      try {
+        const result = await OuraService.getUserInfo(await ouraAuth.getAccessToken());
+
+        expect(result).toEqual({ id: 'user_1' });
+        expect(mockedAxios.post).toHaveBeenCalledTimes(1);
+        expect(mockedAxios.get.mock.calls[1][1].headers.Authorization).toBe('Bearer fresh_token');
+      } finally {
+        ouraAuth.disconnect();
+      }
+    });
+  });
+
+  describe('collections', () => {
+    it('should follow next_token until the last page', async () => {
+      mockedAxios.get
+        .mockResolvedValueOnce({ data: { data: [{ id: 'sleep_1' }], next_token: 'page-2' } })
+        .mockResolvedValueOnce({ data: { data: [{ id: 'sleep_2' }, { id: 'sleep_3' }], next_token: null } });
+
+      const result = await OuraService.getSleepRange('mock_token', '2023-01-01', '2024-01-15');
+
+      expect(result).toEqual({ data: [{ id: 'sleep_1' }, { id: 'sleep_2' }, { id: 'sleep_3' }], next_token: null });
+      expect(mockedAxios.get).toHaveBeenCalledTimes(2);
+      expect(mockedAxios.get.mock.calls[1][1].params).toEqual({
+        start_date: '2023-01-01',
+        end_date: '2024-01-15',
+        next_token: 'page-2'
+      });
+    });
+
+    it('should iterate documents lazily and stop fetching when the caller stops', async () => {
+      mockedAxios.get
+        .mockResolvedValueOnce({ data: { data: [{ id: 'w1' }, { id: 'w2' }], next_token: 'page-2' } })
+        .mockResolvedValueOnce({ data: { data: [{ id: 'w3' }], next_token: 'page-3' } });
+
+      const ids = [];
+      for await (const workout of OuraService.iterateCollection('mock_token', 'workout', { start_date: '2024-01-01' })) {
+        ids.push(workout.id);
+        if (ids.length === 3) break;
+      }
+
+      expect(ids).toEqual(['w1', 'w2', 'w3']);
+      expect(mockedAxios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fail instead of looping on a repeated next_token', async () => {
+      mockedAxios.get.mockResolvedValue({ data: { data: [], next_token: 'same' } });
+
+      await expect(OuraService.getTags('mock_token', '2024-01-01', '2024-01-15'))
+        .rejects.toMatchObject({ status: 502 });
+      expect(mockedAxios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip a later page without a data array', async () => {
+      mockedAxios.get
+        .mockResolvedValueOnce({ data: { data: [{ id: 'sleep_1' }], next_token: 'page-2' } })
+        .mockResolvedValueOnce({ data: { data: null, next_token: 'page-3' } });
+
+      const result = await OuraService.getSleepRange('mock_token', '2024-01-01', '2024-01-15');
+
+      expect(result).toEqual({ data: [{ id: 'sleep_1' }], next_token: null });
+      expect(mockedAxios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep a non-default person\'s later pages on their own token after a refresh', async () => {
+      const [emily, alex] = resolvePeople([{ id: 'emily' }, { id: 'alex' }]);
+      const expiresAt = new Date(Date.now() + 3600000).toISOString();
+      ouraAuth.connect({ accessToken: 'emily_token', refreshToken: 'emily_refresh', expiresAt }, 'user_1', emily);
+      ouraAuth.connect({ accessToken: 'alex_old', refreshToken: 'alex_refresh', expiresAt }, 'user_2', alex);
+      const unauthorized = Object.assign(new Error('Unauthorized'), { response: { status: 401, statusText: 'Unauthorized' } });
+      mockedAxios.post.mockResolvedValue({
+        data: { access_token: 'alex_new', refresh_token: 'alex_refresh_2', expires_in: 86400 }
+      });
+      mockedAxios.get
+        .mockImplementationOnce(async () => {
+          // Another of Alex's requests rotates the token while this range is paging
+          await ouraAuth.refresh(alex.storageKey);
+          return { data: { data: [{ id: 'alex_1' }], next_token: 'page-2' } };
+        })
+        .mockRejectedValueOnce(unauthorized)
+        .mockResolvedValueOnce({ data: { data: [{ id: 'alex_2' }], next_token: null } });
+
+      try {
+        const result = await OuraService.getSleepRange(await ouraAuth.getAccessToken(alex), '2024-01-01', '2024-01-15');
+
+        expect(result.data).toEqual([{ id: 'alex_1' }, { id: 'alex_2' }]);
+        const tokens = mockedAxios.get.mock.calls.map(([, config]) => config.headers.Authorization);
+        expect(tokens).toEqual(['Bearer alex_old', 'Bearer alex_old', 'Bearer alex_new']);
+        expect(mockedAxios.post).toHaveBeenCalledTimes(1);
+        expect(new URLSearchParams(mockedAxios.post.mock.calls[0][1]).get('refresh_token')).toBe('alex_refresh');
+      } finally {
+        ouraAuth.disconnect(emily);
+        ouraAuth.disconnect(alex);
+      }
+    });
+
+    it('should call each endpoint with its range parameters', async () => {
+      mockedAxios.get.mockResolvedValue({ data: { data: [], next_token: null } });
+
+      await OuraService.getDailySleep('mock_token', '2024-01-01', '2024-01-15');
+      await OuraService.getDailyActivity('mock_token', '2024-01-01', '2024-01-15');
+      await OuraService.getDailyStress('mock_token', '2024-01-01', '2024-01-15');
+      await OuraService.getSessions('mock_token', '2024-01-01', '2024-01-15');
+      await OuraService.getEnhancedTags('mock_token', '2024-01-01', '2024-01-15');
+      await OuraService.getWorkouts('mock_token', '2024-01-01', '2024-01-15');
+      await OuraService.getHeartRate('mock_token', new Date('2024-01-15T20:00:00Z'), '2024-01-15T21:00:00Z');
+
+      const paths = mockedAxios.get.mock.calls.map(([url]) => url.replace('https://api.ouraring.com/v2/usercollection/', ''));
+      expect(paths).toEqual(['daily_sleep', 'daily_activity', 'daily_stress', 'session', 'enhanced_tag', 'workout', 'heartrate']);
+      expect(mockedAxios.get.mock.calls[0][1].params).toEqual({ start_date: '2024-01-01', end_date: '2024-01-15' });
+      expect(mockedAxios.get.mock.calls[6][1].params).toEqual({
+        start_datetime: '2024-01-15T20:00:00.000Z',
+        end_datetime: '2024-01-15T21:00:00.000Z'
+      });
+    });
+
+    it('should reject unknown collections and bad instants without calling Oura', async () => {
+      await expect(OuraService.getCollection('mock_token', 'personal_info')).rejects.toMatchObject({ status: 400 });
+      await expect(OuraService.getHeartRate('mock_token', 'yesterday', 'today')).rejects.toMatchObject({ status: 400 });
+      expect(mockedAxios.get).not.toHaveBeenCalled();
+    });
+
+    it('should map errors the same way on every endpoint', async () => {
+      const serverError = new Error('Bad Request');
+      serverError.response = { status: 400, statusText: 'Bad Request', data: { detail: 'bad range' } };
+      mockedAxios.get.mockRejectedValue(serverError);
+
+      await expect(OuraService.getDailyActivity('mock_token', '2024-01-15', '2024-01-01')).rejects.toMatchObject({
+        message: 'Oura API Error: 400 Bad Request',
+        status: 400,
+        source: 'oura',
+        data: { detail: 'bad range' }
+      });
+    });
   });
-});
\ No newline at end of file
+});
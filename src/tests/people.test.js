@@ -0,0 +1,59 @@
+/**
+ * People Config Tests
+ * Testing defaults, per-person overrides and validation
+ */
+
+const { resolvePeople, getPerson, getDefaultPerson } = require('../config/people');
+
+describe('people config', () => {
+  afterEach(() => {
+    delete process.env.NAP_PEOPLE;
+    delete process.env.NAP_PEOPLE_FILE;
+  });
+
+  it('should default to Emily with the global settings', () => {
+    const [emily] = resolvePeople();
+
+    expect(resolvePeople()).toHaveLength(1);
+    expect(emily).toMatchObject({
+      id: 'emily',
+      name: 'Emily',
+      timeZone: 'America/Denver',
+      sleepDebt: { windowDays: 7, sleepNeedHours: 8 },
+      isDefault: true,
+      storageKey: ''
+    });
+    expect(emily.schedule.weekday).toMatchObject({ napStart: 840, napEnd: 1020 });
+  });
+
+  it('should read NAP_PEOPLE and apply per-person overrides', () => {
+    process.env.NAP_PEOPLE = JSON.stringify([
+      { id: 'emily' },
+      { id: 'alex', name: 'Alex', timeZone: 'Europe/London', schedule: { weekday: { napStart: '13:00' } }, sleepDebt: { sleepNeedHours: 9 } }
+    ]);
+
+    const alex = getPerson('alex');
+
+    expect(getDefaultPerson().id).toBe('emily');
+    expect(alex).toMatchObject({
+      name: 'Alex',
+      timeZone: 'Europe/London',
+      sleepDebt: { windowDays: 7, sleepNeedHours: 9 },
+      isDefault: false,
+      storageKey: 'alex'
+    });
+    expect(alex.schedule.weekday.napStart).toBe(780);
+    expect(getPerson('nobody')).toBeNull();
+  });
+
+  it('should reject malformed config', () => {
+    expect(() => resolvePeople([])).toThrow('non-empty array');
+    expect(() => resolvePeople([{ id: 'Emily Smith' }])).toThrow('Invalid person id');
+    expect(() => resolvePeople([{ id: 'a' }, { id: 'a' }])).toThrow('Duplicate person id "a"');
+    expect(() => resolvePeople([{ id: 'a', timeZone: 'Mars/Olympus' }])).toThrow('Person "a": Invalid timezone');
+    expect(() => resolvePeople([{ id: 'a', messagePack: 'pirate' }])).toThrow('Person "a": unknown message pack "pirate"');
+
+    process.env.NAP_PEOPLE = '[{';
+    expect(() => resolvePeople()).toThrow('NAP_PEOPLE is not valid JSON');
+  });
+});
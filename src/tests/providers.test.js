@@ -0,0 +1,185 @@
+/**
+ * Sleep Provider Tests
+ * Testing the Fitbit, Whoop and Garmin adapters against their local
+ * stand-ins, and per-person provider selection through the API
+ */
+
+const MockDate = require('mockdate');
+const request = require('supertest');
+const app = require('../index');
+const cache = require('../services/cache');
+const sleepStore = require('../services/sleep-store');
+const { getProvider, listProviders } = require('../services/providers');
+const { createSession } = require('../services/providers/session');
+const { resolveProviderConfig } = require('../config/providers');
+const { resolvePeople } = require('../config/people');
+const { createFakeProviderApp } = require('../fake-oura/providers');
+const { buildScenario } = require('../fake-oura/scenarios');
+
+// Wednesday 3:45 PM in Denver
+const NOW = '2024-01-17T22:45:00.000Z';
+const timeZone = 'America/Denver';
+
+describe('Sleep providers', () => {
+  let server;
+  let baseUrlEnv;
+
+  // Serve a provider's stand-in on a free port and point the provider at it
+  async function startFake(provider, options) {
+    server = createFakeProviderApp(provider, { timeZone, ...options }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrlEnv = `${provider.toUpperCase()}_API_BASE_URL`;
+    process.env[baseUrlEnv] = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  async function stopFake() {
+    if (!server) return;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+  }
+
+  // What the adapters should agree on with Oura, to the minute
+  function summarize(session) {
+    return {
+      day: session.day,
+      type: session.type,
+      start: Math.round(Date.parse(session.bedtime_start) / 60000),
+      sleepMinutes: Math.round(session.total_sleep_duration / 60)
+    };
+  }
+
+  beforeEach(() => {
+    MockDate.set(NOW);
+    cache.flush();
+    sleepStore.close();
+  });
+
+  afterEach(async () => {
+    MockDate.reset();
+    delete process.env[baseUrlEnv];
+    delete process.env.NAP_PEOPLE;
+    delete process.env.FITBIT_ACCESS_TOKEN;
+    delete process.env.WHOOP_ACCESS_TOKEN;
+    await stopFake();
+  });
+
+  describe('config', () => {
+    it('should default everyone to Oura and reject unknown providers', () => {
+      expect(resolvePeople()[0].provider).toBe('oura');
+      expect(resolvePeople([{ id: 'emily', provider: 'whoop' }])[0].provider).toBe('whoop');
+      expect(() => resolvePeople([{ id: 'emily', provider: 'jawbone' }])).toThrow('unknown sleep provider "jawbone"');
+      expect(listProviders().map(({ id }) => id)).toEqual(['oura', 'fitbit', 'whoop', 'garmin', 'import']);
+      expect(() => resolveProviderConfig('fitbit', { baseUrl: 'ftp://example.com' })).toThrow('FITBIT_API_BASE_URL');
+      expect(resolveProviderConfig('whoop').timeoutSeconds).toBe(10);
+      expect(resolveProviderConfig('whoop', { timeoutSeconds: '30' }).timeoutSeconds).toBe(30);
+      expect(() => resolveProviderConfig('garmin', { timeoutSeconds: 0 })).toThrow('GARMIN_TIMEOUT_SECONDS');
+    });
+
+    it('should refuse sessions missing what the calculator needs', () => {
+      expect(() => createSession({ id: 'x', day: '2024-01-15', type: 'nap' })).toThrow('unknown type');
+    });
+  });
+
+  describe.each(['fitbit', 'whoop', 'garmin'])('%s adapter', (id) => {
+    it('should map a week of nights onto the same sessions as Oura', async () => {
+      await startFake(id);
+      const oura = buildScenario('normal', { now: new Date(NOW), timeZone }).collections.sleep
+        .filter(session => session.day >= '2024-01-10');
+
+      const { data } = await getProvider(id).getSleepRange('fake-token', '2024-01-10', '2024-01-17', { timeZone });
+
+      expect(data.map(summarize)).toEqual(oura.map(summarize));
+      expect(data[0].id).toMatch(new RegExp(`^${id}:`));
+      expect(data[0].bedtime_start).toMatch(/-07:00$/);
+    });
+
+    it('should pass rate limits on with the provider as the source', async () => {
+      await startFake(id, { scenario: 'rate-limited', retryAfterSeconds: 90 });
+
+      await expect(getProvider(id).getSleepRange('fake-token', '2024-01-16', '2024-01-17', { timeZone }))
+        .rejects.toMatchObject({ status: 429, retryAfter: 90, source: id });
+    });
+  });
+
+  describe('whoop', () => {
+    it('should page through sleeps and take readiness from recovery', async () => {
+      await startFake('whoop');
+
+      const { data } = await getProvider('whoop').getSleepRange('fake-token', '2024-01-03', '2024-01-17', { timeZone });
+      const readiness = await getProvider('whoop').getReadiness('fake-token', '2024-01-17', { timeZone });
+      const oura = buildScenario('normal', { now: new Date(NOW), timeZone }).collections.sleep.at(-1);
+
+      expect(data).toHaveLength(15);
+      expect(data.at(-1)).toMatchObject({ lowest_heart_rate: oura.lowest_heart_rate, average_hrv: oura.average_hrv });
+      expect(readiness.data).toEqual([expect.objectContaining({ day: '2024-01-17', score: oura.readiness.score })]);
+    });
+
+    it('should tell the main sleep from a split night and a nap', async () => {
+      await startFake('whoop', { scenario: 'split-sleep' });
+      const { data: split } = await getProvider('whoop').getYesterdaySleep('fake-token', { timeZone, now: NOW });
+      await stopFake();
+
+      await startFake('whoop', { scenario: 'nap-3pm', now: '2024-01-17T23:45:00.000Z' });
+      const { data: napped } = await getProvider('whoop').getYesterdaySleep('fake-token', { timeZone, now: NOW });
+
+      const today = sessions => sessions.filter(session => session.day === '2024-01-17').map(session => session.type);
+      expect(today(split)).toEqual(['sleep', 'long_sleep']);
+      expect(today(napped)).toEqual(['long_sleep', 'late_nap']);
+    });
+
+    it('should stop paging when the API repeats a next_token', async () => {
+      const whoop = getProvider('whoop');
+      const request = jest.spyOn(whoop, 'request').mockResolvedValue({ records: [], next_token: 'again' });
+
+      await expect(whoop.getSleepRange('fake-token', '2024-01-16', '2024-01-17', { timeZone }))
+        .rejects.toMatchObject({ status: 502, source: 'whoop' });
+      expect(request.mock.calls.length).toBeLessThanOrEqual(4);
+      request.mockRestore();
+    });
+  });
+
+  describe('app with a person on another provider', () => {
+    it('should answer nap status from Fitbit', async () => {
+      process.env.NAP_PEOPLE = JSON.stringify([{ id: 'emily', provider: 'fitbit' }]);
+      process.env.FITBIT_ACCESS_TOKEN = 'fake-token';
+      await startFake('fitbit', { scenario: 'nap-3pm', now: '2024-01-17T23:45:00.000Z' });
+      MockDate.set('2024-01-17T23:45:00.000Z');
+
+      const response = await request(app).get('/api/nap-status');
+
+      expect(response.status).toBe(200);
+      expect(response.body.hasNappedToday).toBe(true);
+      expect(response.body.isStaleData).toBeFalsy();
+    });
+
+    it('should report the short night from Whoop for a second person', async () => {
+      process.env.NAP_PEOPLE = JSON.stringify([{ id: 'emily' }, { id: 'alex', provider: 'whoop', tokenEnv: 'WHOOP_ACCESS_TOKEN' }]);
+      process.env.WHOOP_ACCESS_TOKEN = 'fake-token';
+      await startFake('whoop', { scenario: 'short-night' });
+
+      const response = await request(app).get('/api/people/alex/nap-status');
+      const people = await request(app).get('/api/people');
+
+      expect(response.status).toBe(200);
+      expect(response.body.sleepHours).toBe('4.6');
+      expect(people.body.people[1]).toMatchObject({ id: 'alex', provider: 'whoop', oura: null });
+    });
+
+    it('should name the provider when its token is missing or it is rate limited', async () => {
+      process.env.NAP_PEOPLE = JSON.stringify([{ id: 'emily', provider: 'garmin', tokenEnv: 'GARMIN_TOKEN_EMILY' }]);
+      const missing = await request(app).get('/api/nap-status');
+
+      process.env.GARMIN_TOKEN_EMILY = 'fake-token';
+      await startFake('garmin', { scenario: 'rate-limited', retryAfterSeconds: 90 });
+      const limited = await request(app).get('/api/nap-status');
+      delete process.env.GARMIN_TOKEN_EMILY;
+
+      expect(missing.status).toBe(500);
+      expect(missing.body.message).toBe('Garmin API token not configured');
+      expect(limited.status).toBe(429);
+      expect(limited.body).toMatchObject({ message: expect.stringContaining('Garmin API'), retryAfter: 90 });
+      expect(limited.body.circuit).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Nap Replay Tests
+ * Testing checkpoints, sync visibility and the day timeline
+ */
+
+const NapReplay = require('../services/replay');
+const { resolveSchedule } = require('../config/schedule');
+
+const timeZone = 'America/Denver';
+
+// Monday 2024-01-15 (MST, UTC-7): last night's sleep syncs late at 9:30 AM,
+// then a nap ends at 3:40 PM
+const sleepData = {
+  data: [
+    {
+      day: '2024-01-14',
+      type: 'long_sleep',
+      bedtime_start: '2024-01-13T23:00:00-07:00',
+      bedtime_end: '2024-01-14T07:00:00-07:00',
+      total_sleep_duration: 7 * 3600
+    },
+    {
+      day: '2024-01-15',
+      type: 'long_sleep',
+      bedtime_start: '2024-01-15T01:00:00-07:00',
+      bedtime_end: '2024-01-15T09:30:00-07:00',
+      total_sleep_duration: 5 * 3600
+    },
+    {
+      day: '2024-01-15',
+      type: 'late_nap',
+      bedtime_start: '2024-01-15T15:00:00-07:00',
+      bedtime_end: '2024-01-15T15:40:00-07:00',
+      total_sleep_duration: 40 * 60
+    },
+    {
+      day: '2024-01-16',
+      type: 'long_sleep',
+      bedtime_start: '2024-01-15T23:30:00-07:00',
+      bedtime_end: '2024-01-16T07:00:00-07:00',
+      total_sleep_duration: 7 * 3600
+    }
+  ]
+};
+
+describe('NapReplay', () => {
+  describe('getCheckpoints', () => {
+    it('should include window boundaries, the sync hour and session ends within the day', () => {
+      const checkpoints = NapReplay.getCheckpoints(sleepData, {
+        date: '2024-01-15',
+        timeZone,
+        schedule: resolveSchedule()
+      });
+
+      expect(checkpoints.map(c => c.at.toISOString())).toEqual([
+        '2024-01-15T07:00:00.000Z',
+        '2024-01-15T14:00:00.000Z',
+        '2024-01-15T15:00:00.000Z',
+        '2024-01-15T16:30:00.000Z',
+        '2024-01-15T21:00:00.000Z',
+        '2024-01-15T22:40:00.000Z',
+        '2024-01-16T00:00:00.000Z',
+        '2024-01-16T06:00:00.000Z'
+      ]);
+      expect(checkpoints[3].reasons).toEqual(['long_sleep session ends']);
+    });
+
+    it('should merge reasons that land on the same instant', () => {
+      const checkpoints = NapReplay.getCheckpoints({ data: [] }, {
+        date: '2024-01-15',
+        timeZone,
+        schedule: resolveSchedule({ weekday: { wake: '08:00' } })
+      });
+
+      const eight = checkpoints.find(c => c.at.toISOString() === '2024-01-15T15:00:00.000Z');
+      expect(eight.reasons).toEqual(['pre-nap window starts', 'Oura sync hour']);
+    });
+  });
+
+  describe('statusAt', () => {
+    it('should hide sessions that had not ended yet', () => {
+      const status = NapReplay.statusAt(sleepData, {
+        timeZone,
+        now: '2024-01-15T09:00:00-07:00'
+      });
+
+      expect(status.message).toBe("Oura Hasn't Synced");
+      expect(status.sleepHours).toBe('7.0');
+      expect(status.isStaleData).toBe(true);
+    });
+
+    it('should match the live calculation once everything has synced', () => {
+      const status = NapReplay.statusAt(sleepData, {
+        timeZone,
+        now: '2024-01-15T15:00:00-07:00'
+      });
+
+      expect(status.message).toBe('Maybe Nap Time');
+      expect(status.sleepHours).toBe('5.0');
+      expect(status.hasNappedToday).toBe(false);
+    });
+  });
+
+  describe('buildTimeline', () => {
+    it('should record every message, window and sync-state change across the day', () => {
+      const { date, timeline } = NapReplay.buildTimeline(sleepData, { date: '2024-01-15', timeZone });
+
+      expect(date).toBe('2024-01-15');
+      expect(timeline.map(e => [e.localTime, e.message, e.timeWindow, e.syncState])).toEqual([
+        ['12:00 AM', 'I Sleep', 'sleep', 'synced'],
+        ['7:00 AM', 'Not Nap Time', 'pre-nap', 'synced'],
+        ['8:00 AM', "Oura Hasn't Synced", 'pre-nap', 'stale'],
+        ['9:30 AM', 'Not Nap Time', 'pre-nap', 'synced'],
+        ['2:00 PM', 'Maybe Nap Time', 'nap', 'synced'],
+        ['3:40 PM', 'Napping Has Occurred', 'nap', 'synced'],
+        ['5:00 PM', 'Napping Has Occurred', 'post-nap', 'synced'],
+        ['11:00 PM', 'I Sleep', 'sleep', 'synced']
+      ]);
+      expect(timeline[4].napPriority).toBe('maybe');
+    });
+
+    it('should skip checkpoints where nothing changed', () => {
+      // Without any sleep data the sync hour changes nothing
+      const { checkpoints, timeline } = NapReplay.buildTimeline({ data: [] }, { date: '2024-01-15', timeZone });
+
+      expect(checkpoints).toBe(6);
+      expect(timeline.map(e => e.timeWindow)).toEqual(['sleep', 'pre-nap', 'nap', 'post-nap', 'sleep']);
+      expect(timeline.every(e => e.syncState === 'no-data')).toBe(true);
+    });
+
+    it('should use local midnight across a DST change', () => {
+      // 2024-03-10 springs forward in Denver: midnight is still MST
+      const { timeline } = NapReplay.buildTimeline({ data: [] }, { date: '2024-03-10', timeZone });
+
+      expect(timeline[0].at).toBe('2024-03-10T07:00:00.000Z');
+      expect(timeline[1].at).toBe('2024-03-10T13:00:00.000Z');
+    });
+  });
+});
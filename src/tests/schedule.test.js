@@ -0,0 +1,142 @@
+/**
+ * Schedule Config Tests
+ * Testing window boundaries, weekend overrides and validation
+ */
+
+const {
+  parseClockTime,
+  formatClockTime,
+  normalizeSchedule,
+  resolveSchedule,
+  getDaySchedule,
+  getScheduleAt,
+  getWindowAt
+} = require('../config/schedule');
+const NapCalculator = require('../services/nap-calculator');
+
+describe('schedule config', () => {
+  afterEach(() => {
+    delete process.env.NAP_SCHEDULE;
+  });
+
+  describe('parseClockTime / formatClockTime', () => {
+    it('should parse HH:MM into minutes since midnight', () => {
+      expect(parseClockTime('00:00')).toBe(0);
+      expect(parseClockTime('7:05')).toBe(425);
+      expect(parseClockTime('23:59')).toBe(1439);
+    });
+
+    it('should reject malformed times', () => {
+      expect(() => parseClockTime('24:00')).toThrow('Invalid schedule time');
+      expect(() => parseClockTime('2pm')).toThrow('Invalid schedule time');
+      expect(() => parseClockTime('14:60')).toThrow('Invalid schedule time');
+    });
+
+    it('should format minutes for display', () => {
+      expect(formatClockTime(840)).toBe('2 PM');
+      expect(formatClockTime(870)).toBe('2:30 PM');
+      expect(formatClockTime(0)).toBe('12 AM');
+      expect(formatClockTime(725)).toBe('12:05 PM');
+    });
+  });
+
+  describe('normalizeSchedule', () => {
+    it('should default to 11 PM-7 AM sleep and 2-5 PM nap', () => {
+      const schedule = normalizeSchedule();
+      expect(schedule.weekday).toEqual({ wake: 420, napStart: 840, napEnd: 1020, bedtime: 1380 });
+      expect(schedule.weekend).toEqual(schedule.weekday);
+    });
+
+    it('should fall back to weekday values for missing weekend values', () => {
+      const schedule = normalizeSchedule({
+        weekday: { napStart: '13:30' },
+        weekend: { wake: '09:15' }
+      });
+      expect(schedule.weekday.napStart).toBe(810);
+      expect(schedule.weekend.wake).toBe(555);
+      expect(schedule.weekend.napStart).toBe(810);
+    });
+
+    it('should reject windows that are out of order', () => {
+      expect(() => normalizeSchedule({ weekday: { napStart: '18:00' } }))
+        .toThrow('wake < napStart < napEnd');
+      expect(() => normalizeSchedule({ weekday: { bedtime: '16:00' } }))
+        .toThrow('bedtime must be after napEnd or before wake');
+    });
+  });
+
+  describe('resolveSchedule', () => {
+    it('should read NAP_SCHEDULE when no schedule is passed', () => {
+      process.env.NAP_SCHEDULE = JSON.stringify({ weekday: { napEnd: '16:45' } });
+      expect(resolveSchedule().weekday.napEnd).toBe(1005);
+    });
+
+    it('should report invalid NAP_SCHEDULE JSON', () => {
+      process.env.NAP_SCHEDULE = '{not json';
+      expect(() => resolveSchedule()).toThrow('NAP_SCHEDULE is not valid JSON');
+    });
+
+    it('should pass an already-normalized schedule through', () => {
+      const schedule = normalizeSchedule({ weekend: { wake: '10:00' } });
+      expect(resolveSchedule(schedule)).toBe(schedule);
+    });
+  });
+
+  describe('getWindowAt', () => {
+    const day = normalizeSchedule().weekday;
+
+    it('should map each boundary minute to the window it starts', () => {
+      expect(getWindowAt(419, day)).toBe('sleep');
+      expect(getWindowAt(420, day)).toBe('pre-nap');
+      expect(getWindowAt(839, day)).toBe('pre-nap');
+      expect(getWindowAt(840, day)).toBe('nap');
+      expect(getWindowAt(1019, day)).toBe('nap');
+      expect(getWindowAt(1020, day)).toBe('post-nap');
+      expect(getWindowAt(1379, day)).toBe('post-nap');
+      expect(getWindowAt(1380, day)).toBe('sleep');
+    });
+
+    it('should support a bedtime after midnight', () => {
+      const lateDay = normalizeSchedule({ weekday: { bedtime: '00:30' } }).weekday;
+      expect(getWindowAt(1430, lateDay)).toBe('post-nap'); // 11:50 PM
+      expect(getWindowAt(15, lateDay)).toBe('post-nap');   // 12:15 AM
+      expect(getWindowAt(30, lateDay)).toBe('sleep');      // 12:30 AM
+      expect(getWindowAt(419, lateDay)).toBe('sleep');
+    });
+
+    it('should use the weekend schedule on Saturday and Sunday', () => {
+      const schedule = normalizeSchedule({ weekend: { wake: '09:00' } });
+      expect(getDaySchedule(schedule, 0)).toBe(schedule.weekend);
+      expect(getDaySchedule(schedule, 6)).toBe(schedule.weekend);
+      expect(getDaySchedule(schedule, 3)).toBe(schedule.weekday);
+    });
+
+    it('should keep the previous night\'s bedtime until wake', () => {
+      const schedule = normalizeSchedule({ weekend: { wake: '09:00', bedtime: '00:30' } });
+      expect(getScheduleAt(schedule, 6, 15)).toEqual({ ...schedule.weekend, bedtime: schedule.weekday.bedtime });
+      expect(getScheduleAt(schedule, 6, 540)).toBe(schedule.weekend);
+      expect(getScheduleAt(schedule, 1, 15)).toEqual({ ...schedule.weekday, bedtime: schedule.weekend.bedtime });
+      expect(getScheduleAt(schedule, 3, 15)).toBe(schedule.weekday);
+    });
+  });
+
+  describe('late bedtimes around midnight', () => {
+    // Weekday bedtime 23:00, weekend bedtime 00:30
+    const schedule = { weekend: { bedtime: '00:30' } };
+    const windowAt = now => NapCalculator.getMountainTimeInfo({ timeZone: 'America/Denver', schedule, now }).timeWindow;
+
+    it('should stay asleep from Friday night into Saturday', () => {
+      expect(windowAt('2024-01-19T23:00:00-07:00')).toBe('sleep');
+      expect(windowAt('2024-01-20T00:00:00-07:00')).toBe('sleep');
+      expect(windowAt('2024-01-20T00:29:00-07:00')).toBe('sleep');
+      expect(windowAt('2024-01-20T07:00:00-07:00')).toBe('pre-nap');
+    });
+
+    it('should stay up from Sunday evening until Sunday\'s late bedtime', () => {
+      expect(windowAt('2024-01-21T23:00:00-07:00')).toBe('post-nap');
+      expect(windowAt('2024-01-22T00:15:00-07:00')).toBe('post-nap');
+      expect(windowAt('2024-01-22T00:30:00-07:00')).toBe('sleep');
+      expect(windowAt('2024-01-22T06:59:00-07:00')).toBe('sleep');
+    });
+  });
+});
@@ -8,6 +8,13 @@ process.env.NODE_ENV = 'test';
 process.env.SESSION_SECRET = 'test-secret-key';
 process.env.OURA_CLIENT_ID = 'test-client-id';
 process.env.OURA_CLIENT_SECRET = 'test-client-secret';
+process.env.SLEEP_STORE_PATH = ':memory:';
+process.env.WEBHOOK_STORE_PATH = ':memory:';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+process.env.OURA_TOKEN_PATH = require('path').join(
+  require('os').tmpdir(),
+  `naptime-test-tokens-${process.pid}.json`
+);
 
 // Increase Jest timeout for integration tests
 jest.setTimeout(10000);
@@ -0,0 +1,132 @@
+/**
+ * Share Tests
+ * Testing the status badge, the Open Graph image and the link preview tags
+ */
+
+const request = require('supertest');
+const app = require('../index');
+const napStatus = require('../services/nap-status');
+const share = require('../services/share');
+const cache = require('../services/cache');
+const { getDefaultPerson } = require('../config/people');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const status = {
+  message: 'FUCK YES',
+  napPriority: 'yes',
+  sleepCategory: 'terrible',
+  sleepHours: '4.2',
+  currentTime: '2:15 PM',
+  shouldNap: true,
+  isSleepTime: false,
+  locale: 'en',
+  recommendation: 'Take a nap now',
+  lastUpdated: '2024-01-16T21:15:00.000Z'
+};
+
+const emily = { id: 'emily', name: 'Emily' };
+
+describe('Share', () => {
+  beforeEach(() => {
+    cache.flush();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildBadge', () => {
+    it('should color the badge by nap priority', () => {
+      expect(share.buildBadge('Emily', status)).toContain('fill="#e05d44"');
+      expect(share.buildBadge('Emily', { ...status, napPriority: 'maybe' })).toContain('fill="#dfb317"');
+      expect(share.buildBadge('Emily', { ...status, napPriority: 'none' })).toContain('fill="#4c1"');
+    });
+
+    it('should fall back to a grey badge when the status is unavailable', () => {
+      const svg = share.buildBadge('Emily & Co', null, 'es');
+
+      expect(svg).toContain('fill="#9f9f9f"');
+      expect(svg).toContain('<title>Emily &amp; Co: Estado no disponible</title>');
+    });
+  });
+
+  describe('buildMetaTags', () => {
+    it('should describe the live verdict and version the image URL', () => {
+      const tags = share.buildMetaTags(emily, { ...status, recommendation: 'Nap "now"' }, {
+        baseUrl: 'https://naptime.example.com',
+        locale: 'en'
+      });
+
+      expect(tags).toContain('<meta property="og:title" content="Emily: FUCK YES" />');
+      expect(tags).toContain('<meta property="og:description" content="Nap &quot;now&quot; Emily slept 4.2 hours last night" />');
+      expect(tags).toContain('<meta property="og:image" content="https://naptime.example.com/api/og-image.png?lang=en&amp;v=2024-01-16T21%3A15%3A00.000Z" />');
+      expect(tags).toContain('<meta name="twitter:card" content="summary_large_image" />');
+    });
+  });
+
+  describe('GET /api/badge.svg', () => {
+    it('should serve an uncached SVG with a custom label', async () => {
+      jest.spyOn(napStatus, 'getLiveNapStatus').mockResolvedValue(status);
+
+      const response = await request(app).get('/api/badge.svg?label=nap');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^image\/svg\+xml/);
+      expect(response.headers['cache-control']).toBe('no-cache, max-age=0');
+      expect(response.body.toString()).toContain('<title>nap: FUCK YES</title>');
+    });
+
+    it('should still render when Oura fails', async () => {
+      jest.spyOn(napStatus, 'getLiveNapStatus').mockRejectedValue(new Error('Oura is down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app).get('/api/badge.svg');
+
+      expect(response.status).toBe(200);
+      expect(response.body.toString()).toContain('fill="#9f9f9f"');
+    });
+  });
+
+  describe('GET /api/og-image.png', () => {
+    it('should render the card as a PNG', async () => {
+      jest.spyOn(napStatus, 'getLiveNapStatus').mockResolvedValue(status);
+
+      const response = await request(app).get('/api/og-image.png');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(response.body.subarray(0, 8)).toEqual(PNG_SIGNATURE);
+      expect(response.body.readUInt32BE(16)).toBe(1200);
+      expect(response.body.readUInt32BE(20)).toBe(630);
+    });
+  });
+
+  describe('GET /', () => {
+    it('should include link preview tags for the cached verdict', async () => {
+      const live = jest.spyOn(napStatus, 'getLiveNapStatus');
+      cache.set(napStatus.getStatusKey(getDefaultPerson()), status, 120);
+
+      const response = await request(app).get('/').set('Host', 'naptime.test');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<meta property="og:title" content="Emily: FUCK YES" />');
+      expect(response.text).toContain('content="http://naptime.test/api/og-image.png?lang=en&amp;v=');
+      expect(live).not.toHaveBeenCalled();
+    });
+
+    it('should serve generic tags without waiting on the sleep API', async () => {
+      let finish;
+      const live = jest.spyOn(napStatus, 'getLiveNapStatus').mockReturnValue(new Promise(resolve => { finish = resolve; }));
+
+      const first = await request(app).get('/');
+      const second = await request(app).get('/');
+      finish(status);
+
+      expect(first.status).toBe(200);
+      expect(first.text).toContain('<meta property="og:title" content="Does Emily Need a Nap?" />');
+      expect(second.status).toBe(200);
+      expect(live).toHaveBeenCalledTimes(1);
+    });
+  });
+});
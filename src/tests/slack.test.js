@@ -0,0 +1,189 @@
+/**
+ * Slack Integration Tests
+ * Testing request signatures, the slash command's Block Kit reply and the refresh button
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../index');
+const napStatus = require('../services/nap-status');
+const slack = require('../services/slack');
+
+const SIGNING_SECRET = 'test-slack-signing-secret';
+
+const status = {
+  message: 'NAP TIME',
+  needsNap: true,
+  napPriority: 'yes',
+  sleepHours: '5.2',
+  quality: 'Fair',
+  currentTime: '3:00 PM',
+  timeZone: 'America/Denver',
+  locale: 'en',
+  recommendation: 'Take a 20-30 minute nap now',
+  lastUpdated: '2024-01-15T22:00:00.000Z',
+  details: {
+    totalSleepDurationSeconds: 18720,
+    efficiency: 84,
+    deepSleepMinutes: 65,
+    remSleepMinutes: 80,
+    lightSleepMinutes: 167
+  }
+};
+
+// POST a form body signed the way Slack does
+function slackPost(path, form, { secret = SIGNING_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const body = new URLSearchParams(form).toString();
+  const signature = `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+  return request(app)
+    .post(path)
+    .set('Content-Type', 'application/x-www-form-urlencoded')
+    .set('X-Slack-Request-Timestamp', String(timestamp))
+    .set('X-Slack-Signature', signature)
+    .send(body);
+}
+
+describe('Slack integration', () => {
+  let getLiveNapStatus;
+  let post;
+
+  beforeEach(() => {
+    process.env.SLACK_SIGNING_SECRET = SIGNING_SECRET;
+    getLiveNapStatus = jest.spyOn(napStatus, 'getLiveNapStatus').mockResolvedValue(status);
+    post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 200 });
+  });
+
+  afterEach(() => {
+    delete process.env.SLACK_SIGNING_SECRET;
+    delete process.env.SLACK_RESPONSE_SECONDS;
+    jest.restoreAllMocks();
+  });
+
+  describe('request signatures', () => {
+    it('should reject unsigned, wrongly signed and stale requests', async () => {
+      const unsigned = await request(app).post('/integrations/slack/command').type('form').send({ text: '' });
+      const wrongSecret = await slackPost('/integrations/slack/command', { text: '' }, { secret: 'not-the-secret' });
+      const stale = await slackPost('/integrations/slack/command', { text: '' }, {
+        timestamp: Math.floor(Date.now() / 1000) - 10 * 60
+      });
+
+      expect([unsigned.status, wrongSecret.status, stale.status]).toEqual([401, 401, 401]);
+      expect(getLiveNapStatus).not.toHaveBeenCalled();
+    });
+
+    it('should be disabled without SLACK_SIGNING_SECRET', async () => {
+      delete process.env.SLACK_SIGNING_SECRET;
+
+      const response = await slackPost('/integrations/slack/command', { text: '' });
+
+      expect(response.status).toBe(503);
+      expect(response.body.error).toBe('Slack integration disabled');
+    });
+  });
+
+  describe('slash command', () => {
+    it('should answer in the channel with the status, sleep, phases and a refresh button', async () => {
+      const response = await slackPost('/integrations/slack/command', { command: '/nap', text: '' });
+
+      expect(response.status).toBe(200);
+      expect(getLiveNapStatus).toHaveBeenCalledWith(expect.objectContaining({ id: 'emily' }), { forceRefresh: false });
+
+      const { response_type: responseType, text, blocks } = response.body;
+      expect(responseType).toBe('in_channel');
+      expect(text).toBe('Emily: NAP TIME');
+      expect(blocks.map(block => block.type)).toEqual(['header', 'section', 'section', 'context', 'actions']);
+      expect(blocks[1].fields.map(field => field.text)).toEqual([
+        '*Sleep last night*\n5.2 hours (Fair)',
+        '*Nap priority*\nYes',
+        '*Local time*\n3:00 PM'
+      ]);
+      expect(blocks[2].text.text).toBe('Take a 20-30 minute nap now');
+      expect(blocks[3].elements[0].text).toBe('Deep 1 hour 5 minutes · REM 1 hour 20 minutes · Light 2 hours 47 minutes');
+      expect(blocks[3].elements[1].text).toBe('84% efficiency');
+      expect(blocks[4].elements[0]).toMatchObject({ action_id: 'refresh_nap_status', value: 'emily' });
+    });
+
+    it('should explain usage for help and unknown names', async () => {
+      const help = await slackPost('/integrations/slack/command', { command: '/nap', text: 'help' });
+      const unknown = await slackPost('/integrations/slack/command', { command: '/nap', text: 'Bob' });
+
+      expect(help.body).toEqual({
+        response_type: 'ephemeral',
+        text: '`/nap` asks whether Emily needs a nap. Add a name to ask about someone else: Emily'
+      });
+      expect(unknown.body.text).toBe('Nobody called "Bob" here. Try one of: Emily');
+      expect(getLiveNapStatus).not.toHaveBeenCalled();
+    });
+
+    it('should accept a name in any case', () => {
+      expect(slack.parseCommand(' EMILY ').person.id).toBe('emily');
+    });
+
+    it('should reply privately when Oura is unavailable', async () => {
+      getLiveNapStatus.mockRejectedValue(Object.assign(new Error('Network Error'), { status: 503 }));
+
+      const response = await slackPost('/integrations/slack/command', { text: '' });
+
+      expect(response.body).toEqual({
+        response_type: 'ephemeral',
+        text: "Couldn't get Emily's nap status right now, try again in a minute."
+      });
+    });
+
+    it('should follow up through response_url when the status is slow', async () => {
+      process.env.SLACK_RESPONSE_SECONDS = '1';
+      let finish;
+      getLiveNapStatus.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+
+      const response = await slackPost('/integrations/slack/command', {
+        text: '',
+        response_url: 'https://hooks.slack.com/commands/T1/2/abc'
+      });
+
+      expect(response.body).toEqual({ response_type: 'ephemeral', text: "Checking Emily's Oura data…" });
+
+      finish(status);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(post).toHaveBeenCalledWith(
+        'https://hooks.slack.com/commands/T1/2/abc',
+        expect.objectContaining({ response_type: 'in_channel', text: 'Emily: NAP TIME' }),
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('refresh button', () => {
+    const press = (value) => ({
+      payload: JSON.stringify({
+        type: 'block_actions',
+        response_url: 'https://hooks.slack.com/actions/T1/2/xyz',
+        actions: [{ action_id: 'refresh_nap_status', value }]
+      })
+    });
+
+    it('should force a refresh and replace the original message', async () => {
+      const response = await slackPost('/integrations/slack/interactive', press('emily'));
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(response.status).toBe(200);
+      expect(getLiveNapStatus).toHaveBeenCalledWith(expect.objectContaining({ id: 'emily' }), { forceRefresh: true });
+      expect(post).toHaveBeenCalledWith(
+        'https://hooks.slack.com/actions/T1/2/xyz',
+        expect.objectContaining({ replace_original: true, text: 'Emily: NAP TIME' }),
+        expect.any(Object)
+      );
+    });
+
+    it('should ignore other actions and reject malformed payloads', async () => {
+      const unknownPerson = await slackPost('/integrations/slack/interactive', press('nobody'));
+      const malformed = await slackPost('/integrations/slack/interactive', { payload: '{not json' });
+
+      expect(unknownPerson.status).toBe(200);
+      expect(malformed.status).toBe(400);
+      expect(getLiveNapStatus).not.toHaveBeenCalled();
+      expect(post).not.toHaveBeenCalled();
+    });
+  });
+});
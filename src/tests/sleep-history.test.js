@@ -0,0 +1,110 @@
+/**
+ * Sleep History Service Tests
+ * Testing store-first reads and the backfill walk
+ */
+
+const ouraService = require('../services/oura');
+const sleepStore = require('../services/sleep-store');
+const sleepHistory = require('../services/sleep-history');
+
+jest.mock('../services/oura');
+
+const timeZone = 'America/Denver';
+
+describe('SleepHistoryService', () => {
+  beforeEach(() => {
+    sleepStore.clear();
+    ouraService.getSleepRange.mockReset();
+    ouraService.getYesterdaySleep.mockReset();
+  });
+
+  describe('getSleepRange', () => {
+    it('should fetch missing days from Oura and serve settled days from the store', async () => {
+      ouraService.getSleepRange.mockResolvedValue({
+        data: [{ id: 'a', day: '2024-07-02', type: 'long_sleep', total_sleep_duration: 25200 }]
+      });
+
+      const first = await sleepHistory.getSleepRange('token', '2024-07-01', '2024-07-03', { timeZone });
+      const second = await sleepHistory.getSleepRange('token', '2024-07-01', '2024-07-03', { timeZone });
+
+      expect(ouraService.getSleepRange).toHaveBeenCalledTimes(1);
+      expect(ouraService.getSleepRange).toHaveBeenCalledWith('token', '2024-07-01', '2024-07-03');
+      expect(first.data.map(r => r.id)).toEqual(['a']);
+      expect(second).toEqual(first);
+    });
+
+    it('should only request the days the store is missing', async () => {
+      ouraService.getSleepRange.mockResolvedValue({ data: [] });
+      await sleepHistory.getSleepRange('token', '2024-07-03', '2024-07-05', { timeZone });
+      ouraService.getSleepRange.mockClear();
+
+      await sleepHistory.getSleepRange('token', '2024-07-01', '2024-07-07', { timeZone });
+
+      expect(ouraService.getSleepRange.mock.calls.map(call => call.slice(1))).toEqual([
+        ['2024-07-01', '2024-07-02'],
+        ['2024-07-06', '2024-07-07']
+      ]);
+    });
+  });
+
+  describe('getYesterdaySleep', () => {
+    it('should always ask Oura for the live day and save the result', async () => {
+      const sleepData = { data: [{ id: 'live', day: '2024-07-15', type: 'long_sleep' }] };
+      ouraService.getYesterdaySleep.mockResolvedValue(sleepData);
+
+      const now = new Date();
+      const result = await sleepHistory.getYesterdaySleep('token', { timeZone, now });
+
+      expect(result).toBe(sleepData);
+      expect(ouraService.getYesterdaySleep).toHaveBeenCalledWith('token', { timeZone, now });
+    });
+
+    it('should answer past instants from the store once those days are settled', async () => {
+      ouraService.getSleepRange.mockResolvedValue({
+        data: [{ id: 'a', day: '2024-07-15', type: 'long_sleep', total_sleep_duration: 21600 }]
+      });
+      await sleepHistory.getSleepRange('token', '2024-07-14', '2024-07-16', { timeZone });
+
+      const result = await sleepHistory.getYesterdaySleep('token', {
+        timeZone,
+        now: '2024-07-15T15:00:00-06:00'
+      });
+
+      expect(ouraService.getYesterdaySleep).not.toHaveBeenCalled();
+      expect(result.data.map(r => r.id)).toEqual(['a']);
+    });
+  });
+
+  describe('backfill', () => {
+    it('should walk back in chunks until the history runs out', async () => {
+      ouraService.getSleepRange.mockImplementation((token, startDate) =>
+        Promise.resolve({
+          data: startDate >= '2024-06-01' ? [{ id: startDate, day: startDate, type: 'long_sleep' }] : []
+        })
+      );
+
+      const result = await sleepHistory.backfill('token', {
+        timeZone,
+        until: '2024-06-30',
+        chunkDays: 10,
+        maxEmptyChunks: 2
+      });
+
+      // 3 chunks with data (June), then 2 empty chunks before stopping
+      expect(result).toEqual({ startDate: '2024-05-12', endDate: '2024-06-30', chunks: 5, requests: 5, sessions: 3 });
+      expect(sleepStore.getStats().sessions).toBe(3);
+    });
+
+    it('should stop at since and skip settled days unless forced', async () => {
+      ouraService.getSleepRange.mockResolvedValue({ data: [] });
+      await sleepHistory.backfill('token', { timeZone, since: '2024-06-01', until: '2024-06-30', chunkDays: 10 });
+      ouraService.getSleepRange.mockClear();
+
+      const resumed = await sleepHistory.backfill('token', { timeZone, since: '2024-06-01', until: '2024-06-30', chunkDays: 10 });
+      const forced = await sleepHistory.backfill('token', { timeZone, since: '2024-06-01', until: '2024-06-30', chunkDays: 10, force: true });
+
+      expect(resumed).toMatchObject({ startDate: '2024-06-01', chunks: 3, requests: 0 });
+      expect(forced).toMatchObject({ startDate: '2024-06-01', chunks: 3, requests: 3 });
+    });
+  });
+});
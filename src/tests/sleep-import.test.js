@@ -0,0 +1,140 @@
+/**
+ * Sleep Import Tests
+ * Testing Apple Health and Google Fit exports turned into stored sessions,
+ * and nap status for a person whose sleep is only ever imported
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockDate = require('mockdate');
+const request = require('supertest');
+const app = require('../index');
+const cache = require('../services/cache');
+const sleepStore = require('../services/sleep-store');
+const sleepImport = require('../services/sleep-import');
+const NapCalculator = require('../services/nap-calculator');
+
+const APPLE_EXPORT = path.join(__dirname, 'fixtures/apple-health/export.xml');
+const GOOGLE_TAKEOUT = path.join(__dirname, 'fixtures/google-fit');
+
+// Wednesday 4:45 PM in Denver, after the 1:30 PM nap in both exports
+const NOW = '2024-01-17T23:45:00.000Z';
+const timeZone = 'America/Denver';
+
+describe('Sleep import', () => {
+  beforeEach(() => {
+    MockDate.set(NOW);
+    cache.flush();
+    sleepStore.close();
+  });
+
+  afterEach(() => {
+    MockDate.reset();
+    delete process.env.NAP_PEOPLE;
+  });
+
+  describe('reading exports', () => {
+    it('should turn Apple Health sleep analysis into a staged night and a nap', async () => {
+      const { format, samples, sessions } = await sleepImport.readExport(APPLE_EXPORT, { timeZone, personKey: 'emily' });
+
+      expect(format).toBe('apple-health');
+      expect(samples).toBe(7);
+      expect(sessions).toEqual([
+        expect.objectContaining({
+          id: 'apple-health:emily:1705469400',
+          day: '2024-01-17',
+          type: 'long_sleep',
+          bedtime_start: '2024-01-16T22:30:00-07:00',
+          bedtime_end: '2024-01-17T06:15:00-07:00',
+          total_sleep_duration: 405 * 60,
+          time_in_bed: 465 * 60,
+          deep_sleep_duration: 70 * 60,
+          light_sleep_duration: 270 * 60,
+          rem_sleep_duration: 65 * 60,
+          efficiency: 87
+        }),
+        expect.objectContaining({
+          day: '2024-01-17',
+          type: 'late_nap',
+          bedtime_start: '2024-01-17T13:30:00-07:00',
+          total_sleep_duration: 50 * 60,
+          deep_sleep_duration: null
+        })
+      ]);
+    });
+
+    it('should count a Google Fit night once when both sessions and data points have it', async () => {
+      const { format, samples, sessions } = await sleepImport.readExport(GOOGLE_TAKEOUT, { timeZone });
+
+      expect(format).toBe('google-fit');
+      expect(samples).toBe(11);
+      expect(sessions.map(({ type, total_sleep_duration }) => [type, total_sleep_duration / 60])).toEqual([
+        ['long_sleep', 405],
+        ['late_nap', 50]
+      ]);
+      expect(sessions[0].id).toBe('google-fit:1705470600');
+    });
+
+    it('should count phone-only time in bed as sleep and drop short blips', () => {
+      const at = time => Date.parse(`2024-01-17T${time}:00-07:00`);
+      const sessions = sleepImport.buildSessions([
+        { start: at('00:10'), end: at('07:40'), stage: 'inBed' },
+        { start: at('11:00'), end: at('11:05'), stage: 'asleep' }
+      ], { timeZone, format: 'apple-health' });
+
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0]).toMatchObject({ type: 'long_sleep', total_sleep_duration: 450 * 60, awake_time: 0, efficiency: 100 });
+    });
+
+    it('should type naps by the calculator\'s nap window', () => {
+      const at = time => Date.parse(`2024-01-17T${time}:00-07:00`);
+      const sessions = sleepImport.buildSessions([
+        { start: at('00:00'), end: at('07:00'), stage: 'asleep' },
+        { start: at('09:30'), end: at('10:30'), stage: 'asleep' },
+        { start: at('20:30'), end: at('22:30'), stage: 'asleep' }
+      ], { timeZone });
+
+      expect(sessions.map(({ type }) => type)).toEqual(['long_sleep', 'sleep', 'late_nap']);
+      expect(NapCalculator.isNap(sessions[2], timeZone)).toBe(true);
+    });
+
+    it('should refuse files that are not exports', async () => {
+      const notExport = path.join(os.tmpdir(), `not-an-export-${process.pid}.xml`);
+      fs.writeFileSync(notExport, '<?xml version="1.0"?><rss></rss>');
+      try {
+        await expect(sleepImport.readExport(notExport, { timeZone })).rejects.toMatchObject({ status: 400 });
+      } finally {
+        fs.unlinkSync(notExport);
+      }
+      expect(() => sleepImport.detectFormat(__filename)).toThrow('expected an Apple Health export.xml');
+    });
+  });
+
+  describe('app with a person on imported sleep', () => {
+    it('should answer nap status from an import with no sleep API configured', async () => {
+      process.env.NAP_PEOPLE = JSON.stringify([{ id: 'emily', provider: 'import' }]);
+
+      const result = await sleepImport.importExport(APPLE_EXPORT, { timeZone });
+      const response = await request(app).get('/api/nap-status');
+
+      expect(result).toMatchObject({ sessions: 2, startDate: '2024-01-17', endDate: '2024-01-17' });
+      expect(response.status).toBe(200);
+      expect(response.body.hasNappedToday).toBe(true);
+      expect(response.body.sleepHours).toBe('6.8');
+    });
+
+    it('should keep each person\'s imports apart and replace a re-imported range', async () => {
+      process.env.NAP_PEOPLE = JSON.stringify([{ id: 'emily' }, { id: 'alex', provider: 'import', timeZone }]);
+
+      await sleepImport.importExport(GOOGLE_TAKEOUT, { timeZone, personKey: 'alex' });
+      await sleepImport.importExport(GOOGLE_TAKEOUT, { timeZone, personKey: 'alex' });
+      const response = await request(app).get('/api/people/alex/nap-status');
+
+      expect(sleepStore.getSessions('2024-01-17', '2024-01-17', 'alex').data).toHaveLength(2);
+      expect(sleepStore.getSessions('2024-01-17', '2024-01-17', '').data).toHaveLength(0);
+      expect(response.status).toBe(200);
+      expect(response.body.hasNappedToday).toBe(true);
+    });
+  });
+});
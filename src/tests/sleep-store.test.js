@@ -0,0 +1,137 @@
+/**
+ * Sleep Store Tests
+ * Testing upserts, revisions and which days still need fetching
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const sleepStore = require('../services/sleep-store');
+
+const session = (id, day, hours, extra = {}) => ({
+  id,
+  day,
+  type: 'long_sleep',
+  bedtime_start: `${day}T00:00:00-07:00`,
+  total_sleep_duration: hours * 3600,
+  ...extra
+});
+
+describe('SleepStore', () => {
+  beforeEach(() => {
+    sleepStore.clear();
+  });
+
+  describe('saveRange / getSessions', () => {
+    it('should save sessions and read them back by day', () => {
+      sleepStore.saveRange('2024-07-01', '2024-07-03', [
+        session('b', '2024-07-02', 7),
+        session('a', '2024-07-01', 6)
+      ], '2024-07-10');
+
+      expect(sleepStore.getSessions('2024-07-01', '2024-07-03').data.map(r => r.id)).toEqual(['a', 'b']);
+      expect(sleepStore.getSessions('2024-07-02', '2024-07-02').data).toEqual([session('b', '2024-07-02', 7)]);
+    });
+
+    it('should replace a revised record with the same id', () => {
+      sleepStore.saveRange('2024-07-01', '2024-07-01', [session('a', '2024-07-01', 6)], '2024-07-01');
+      sleepStore.saveRange('2024-07-01', '2024-07-01', [session('a', '2024-07-01', 6.5, { score: 80 })], '2024-07-03');
+
+      const { data } = sleepStore.getSessions('2024-07-01', '2024-07-01');
+      expect(data).toHaveLength(1);
+      expect(data[0]).toMatchObject({ total_sleep_duration: 6.5 * 3600, score: 80 });
+    });
+
+    it('should drop sessions Oura no longer returns for a refetched range', () => {
+      sleepStore.saveRange('2024-07-01', '2024-07-02', [
+        session('a', '2024-07-01', 6),
+        session('b', '2024-07-02', 7)
+      ], '2024-07-02');
+      sleepStore.saveRange('2024-07-02', '2024-07-02', [], '2024-07-05');
+
+      expect(sleepStore.getSessions('2024-07-01', '2024-07-02').data.map(r => r.id)).toEqual(['a']);
+    });
+
+    it('should key records without an id by day, type and start', () => {
+      const record = { day: '2024-07-01', type: 'late_nap', bedtime_start: '2024-07-01T15:00:00-06:00' };
+      sleepStore.saveRange('2024-07-01', '2024-07-01', [record, record], '2024-07-05');
+
+      expect(sleepStore.getStats()).toMatchObject({ sessions: 1, firstDay: '2024-07-01', lastDay: '2024-07-01' });
+    });
+  });
+
+  describe('getMissingRanges', () => {
+    it('should report the whole range when nothing is stored', () => {
+      expect(sleepStore.getMissingRanges('2024-07-01', '2024-07-07')).toEqual([
+        { startDate: '2024-07-01', endDate: '2024-07-07' }
+      ]);
+    });
+
+    it('should only skip days synced at least two days later', () => {
+      // Synced on the 5th: the 1st-3rd are settled, the 4th and 5th may still change
+      sleepStore.saveRange('2024-07-01', '2024-07-05', [], '2024-07-05');
+
+      expect(sleepStore.getMissingRanges('2024-06-29', '2024-07-06')).toEqual([
+        { startDate: '2024-06-29', endDate: '2024-06-30' },
+        { startDate: '2024-07-04', endDate: '2024-07-06' }
+      ]);
+    });
+  });
+
+  describe('people', () => {
+    it('should keep each person\'s sessions and synced days apart', () => {
+      sleepStore.saveRange('2024-07-01', '2024-07-01', [session('a', '2024-07-01', 6)], '2024-07-10');
+      sleepStore.saveRange('2024-07-01', '2024-07-02', [session('x', '2024-07-01', 8)], '2024-07-10', 'alex');
+
+      expect(sleepStore.getSessions('2024-07-01', '2024-07-02').data.map(r => r.id)).toEqual(['a']);
+      expect(sleepStore.getSessions('2024-07-01', '2024-07-02', 'alex').data.map(r => r.id)).toEqual(['x']);
+      expect(sleepStore.getMissingRanges('2024-07-01', '2024-07-02')).toEqual([
+        { startDate: '2024-07-02', endDate: '2024-07-02' }
+      ]);
+      expect(sleepStore.getMissingRanges('2024-07-01', '2024-07-02', 'alex')).toEqual([]);
+      expect(sleepStore.getStats('alex')).toMatchObject({ sessions: 1 });
+    });
+
+    it('should keep two people\'s sessions with the same id', () => {
+      sleepStore.saveRange('2024-07-01', '2024-07-01', [session('fitbit:1', '2024-07-01', 6)], '2024-07-10');
+      sleepStore.saveRange('2024-07-01', '2024-07-01', [session('fitbit:1', '2024-07-01', 8)], '2024-07-10', 'alex');
+      sleepStore.saveRange('2024-07-01', '2024-07-01', [], '2024-07-10', 'alex');
+
+      expect(sleepStore.getSessions('2024-07-01', '2024-07-01').data).toEqual([session('fitbit:1', '2024-07-01', 6)]);
+      expect(sleepStore.getSessions('2024-07-01', '2024-07-01', 'alex').data).toEqual([]);
+    });
+  });
+
+  describe('migrations', () => {
+    const storePath = path.join(os.tmpdir(), `sleep-store-v1-${process.pid}.db`);
+
+    afterEach(() => {
+      sleepStore.close();
+      for (const suffix of ['', '-wal', '-shm']) fs.rmSync(storePath + suffix, { force: true });
+    });
+
+    it('should re-key a version 1 store by person and id', () => {
+      const db = new Database(storePath);
+      db.exec(`
+        CREATE TABLE sleep_sessions (
+          id TEXT PRIMARY KEY, person_id TEXT NOT NULL DEFAULT '', day TEXT NOT NULL, type TEXT,
+          bedtime_start TEXT, bedtime_end TEXT, record TEXT NOT NULL, updated_at TEXT NOT NULL
+        );
+        CREATE TABLE synced_days (person_id TEXT NOT NULL DEFAULT '', day TEXT NOT NULL, synced_on TEXT NOT NULL, PRIMARY KEY (person_id, day));
+      `);
+      db.prepare("INSERT INTO sleep_sessions VALUES ('fitbit:1', '', '2024-07-01', 'long_sleep', NULL, NULL, ?, '2024-07-10')")
+        .run(JSON.stringify(session('fitbit:1', '2024-07-01', 6)));
+      db.pragma('user_version = 1');
+      db.close();
+
+      sleepStore.close();
+      sleepStore.open(storePath);
+      sleepStore.saveRange('2024-07-01', '2024-07-01', [session('fitbit:1', '2024-07-01', 8)], '2024-07-10', 'alex');
+
+      expect(sleepStore.db.pragma('user_version', { simple: true })).toBe(2);
+      expect(sleepStore.getSessions('2024-07-01', '2024-07-01').data.map(r => r.total_sleep_duration)).toEqual([6 * 3600]);
+      expect(sleepStore.getSessions('2024-07-01', '2024-07-01', 'alex').data.map(r => r.total_sleep_duration)).toEqual([8 * 3600]);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Timezone Utility Tests
+ * Testing local date/hour calculations across timezones and DST transitions
+ */
+
+const {
+  isValidTimezone,
+  resolveTimezone,
+  getZonedParts,
+  getLocalDateString,
+  getLocalHour,
+  zonedTimeToInstant,
+  addDays,
+  daysBetween
+} = require('../utils/timezone');
+
+describe('timezone utils', () => {
+  afterEach(() => {
+    delete process.env.NAP_TIMEZONE;
+  });
+
+  describe('resolveTimezone', () => {
+    it('should default to America/Denver', () => {
+      expect(resolveTimezone()).toBe('America/Denver');
+    });
+
+    it('should use NAP_TIMEZONE when set', () => {
+      process.env.NAP_TIMEZONE = 'Europe/London';
+      expect(resolveTimezone()).toBe('Europe/London');
+    });
+
+    it('should prefer an explicit timezone over NAP_TIMEZONE', () => {
+      process.env.NAP_TIMEZONE = 'Europe/London';
+      expect(resolveTimezone('Asia/Tokyo')).toBe('Asia/Tokyo');
+    });
+
+    it('should reject invalid timezones', () => {
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(() => resolveTimezone('Mars/Olympus_Mons')).toThrow('Invalid timezone');
+    });
+
+    it('should fall back to America/Denver for an invalid NAP_TIMEZONE', () => {
+      process.env.NAP_TIMEZONE = 'Mars/Olympus_Mons';
+      expect(resolveTimezone()).toBe('America/Denver');
+      expect(resolveTimezone('Asia/Tokyo')).toBe('Asia/Tokyo');
+    });
+  });
+
+  describe('getZonedParts', () => {
+    it('should return the local date when UTC has already rolled over', () => {
+      // 11:30 PM MDT on July 15 is 05:30 UTC on July 16
+      const instant = new Date('2024-07-16T05:30:00.000Z');
+      expect(getLocalDateString(instant, 'America/Denver')).toBe('2024-07-15');
+      expect(getLocalDateString(instant, 'Asia/Tokyo')).toBe('2024-07-16');
+    });
+
+    it('should report midnight as hour 0, not 24', () => {
+      const instant = new Date('2024-07-15T06:00:00.000Z'); // 00:00 MDT
+      expect(getLocalHour(instant, 'America/Denver')).toBe(0);
+    });
+
+    it('should include the local weekday', () => {
+      // Sunday July 14 in Denver, already Monday in Tokyo
+      const instant = new Date('2024-07-15T03:00:00.000Z');
+      expect(getZonedParts(instant, 'America/Denver').weekday).toBe(0);
+      expect(getZonedParts(instant, 'Asia/Tokyo').weekday).toBe(1);
+    });
+
+    it('should follow the spring-forward DST transition', () => {
+      // 2024-03-10: Denver jumps from 2:00 AM MST to 3:00 AM MDT at 09:00 UTC
+      expect(getLocalHour(new Date('2024-03-10T08:59:00.000Z'), 'America/Denver')).toBe(1);
+      expect(getLocalHour(new Date('2024-03-10T09:00:00.000Z'), 'America/Denver')).toBe(3);
+    });
+
+    it('should follow the fall-back DST transition', () => {
+      // 2024-11-03: Denver repeats 1:00 AM (MDT then MST)
+      expect(getLocalHour(new Date('2024-11-03T07:30:00.000Z'), 'America/Denver')).toBe(1);
+      expect(getLocalHour(new Date('2024-11-03T08:30:00.000Z'), 'America/Denver')).toBe(1);
+      expect(getLocalHour(new Date('2024-11-03T09:30:00.000Z'), 'America/Denver')).toBe(2);
+    });
+  });
+
+  describe('zonedTimeToInstant', () => {
+    it('should convert local wall-clock times to instants', () => {
+      expect(zonedTimeToInstant('2024-07-15', 14 * 60, 'America/Denver').toISOString())
+        .toBe('2024-07-15T20:00:00.000Z');
+      expect(zonedTimeToInstant('2024-01-15', 14 * 60, 'America/Denver').toISOString())
+        .toBe('2024-01-15T21:00:00.000Z');
+      expect(zonedTimeToInstant('2024-07-15', 0, 'Asia/Tokyo').toISOString())
+        .toBe('2024-07-14T15:00:00.000Z');
+    });
+
+    it('should treat 1440 minutes as the next local midnight', () => {
+      expect(zonedTimeToInstant('2024-07-15', 1440, 'America/Denver').toISOString())
+        .toBe('2024-07-16T06:00:00.000Z');
+    });
+
+    it('should use the right offset on both sides of a DST change', () => {
+      // 2024-03-10: midnight is MST, 2 PM is MDT
+      expect(zonedTimeToInstant('2024-03-10', 0, 'America/Denver').toISOString())
+        .toBe('2024-03-10T07:00:00.000Z');
+      expect(zonedTimeToInstant('2024-03-10', 14 * 60, 'America/Denver').toISOString())
+        .toBe('2024-03-10T20:00:00.000Z');
+    });
+
+    it('should land just after a spring-forward gap', () => {
+      // 2:30 AM does not exist in Denver on 2024-03-10
+      const instant = zonedTimeToInstant('2024-03-10', 150, 'America/Denver');
+      expect(getLocalHour(instant, 'America/Denver')).toBe(3);
+    });
+  });
+
+  describe('date arithmetic', () => {
+    it('should add and subtract calendar days across month and year boundaries', () => {
+      expect(addDays('2024-07-15', 1)).toBe('2024-07-16');
+      expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+      expect(addDays('2023-12-31', 1)).toBe('2024-01-01');
+      expect(addDays('2024-01-01', -1)).toBe('2023-12-31');
+    });
+
+    it('should not be affected by DST transition days', () => {
+      expect(addDays('2024-03-10', 1)).toBe('2024-03-11');
+      expect(addDays('2024-11-03', -1)).toBe('2024-11-02');
+    });
+
+    it('should count days between dates', () => {
+      expect(daysBetween('2024-07-13', '2024-07-15')).toBe(2);
+      expect(daysBetween('2024-02-28', '2024-03-01')).toBe(2);
+      expect(daysBetween('2024-07-15', '2024-07-15')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Webhook Tests
+ * Testing verdict changes, signed deliveries to a local receiver, retries and the admin API
+ */
+
+const http = require('http');
+const request = require('supertest');
+const app = require('../index');
+const webhooks = require('../services/webhooks');
+const webhookStore = require('../services/webhook-store');
+const napStream = require('../services/nap-stream');
+const { getDefaultPerson } = require('../config/people');
+
+const admin = (req) => req.set('Authorization', 'Bearer test-admin-token');
+
+const status = (message, napPriority, extra = {}) => ({
+  message,
+  napPriority,
+  needsNap: napPriority === 'yes',
+  recommendation: `${message}!`,
+  timeWindow: 'nap',
+  lastUpdated: '2024-01-15T21:00:00.000Z',
+  ...extra
+});
+
+describe('webhooks', () => {
+  let receiver;
+  let received;
+  let answers;
+  let baseUrl;
+
+  // Local receiver: records every request and answers with the queued status codes (then 200)
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        res.writeHead(answers.shift() || 200).end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => receiver.close(resolve)));
+
+  beforeEach(() => {
+    received = [];
+    answers = [];
+    webhookStore.clear();
+  });
+
+  afterEach(() => {
+    webhooks.stop();
+  });
+
+  describe('deliveries', () => {
+    const emily = getDefaultPerson();
+
+    it('should send a signed event when the verdict changes', async () => {
+      const { id, secret } = webhooks.register({ url: `${baseUrl}/hook` });
+
+      // The first verdict is only the baseline, an unchanged one is ignored
+      expect(await webhooks.handleStatus(emily, status('Not Nap Time', 'none'))).toEqual([]);
+      expect(await webhooks.handleStatus(emily, status('Not Nap Time', 'none', { sleepHours: '6.1' }))).toEqual([]);
+
+      const [delivery] = await webhooks.handleStatus(emily, status('NAP TIME', 'yes'));
+
+      expect(delivery).toMatchObject({ webhookId: id, status: 'succeeded', attempts: 1, responseStatus: 200 });
+      expect(received).toHaveLength(1);
+
+      const { headers, body } = received[0];
+      expect(headers['x-naptime-event']).toBe('nap-status.changed');
+      expect(headers['x-naptime-delivery']).toBe(delivery.id);
+      expect(headers['x-naptime-signature']).toBe(webhooks.signPayload(body, headers['x-naptime-timestamp'], secret));
+      expect(JSON.parse(body)).toMatchObject({
+        type: 'nap-status.changed',
+        person: { id: 'emily', name: 'Emily' },
+        previous: { message: 'Not Nap Time', napPriority: 'none' },
+        current: { message: 'NAP TIME', napPriority: 'yes', needsNap: true }
+      });
+    });
+
+    it('should only notify webhooks covering the person', async () => {
+      webhooks.register({ url: `${baseUrl}/emily-only`, people: ['emily'] });
+      webhookStore.saveVerdict('emily', { message: 'Not Nap Time', napPriority: 'none' });
+
+      await webhooks.handleStatus(emily, status('NAP TIME', 'yes'));
+      await webhooks.handleStatus({ id: 'alex', name: 'Alex' }, status('NAP TIME', 'yes'));
+
+      expect(received.map(request => request.path)).toEqual(['/emily-only']);
+    });
+
+    it('should retry failed attempts with backoff and give up on client errors', async () => {
+      const { id } = webhooks.register({ url: `${baseUrl}/hook` });
+      webhookStore.saveVerdict('emily', { message: 'Not Nap Time', napPriority: 'none' });
+      answers = [503];
+
+      const [delivery] = await webhooks.handleStatus(emily, status('NAP TIME', 'yes'));
+
+      expect(delivery).toMatchObject({ status: 'pending', attempts: 1, responseStatus: 503, error: 'Receiver answered 503' });
+      const wait = Date.parse(delivery.nextAttemptAt) - Date.now();
+      expect(wait).toBeGreaterThan(25 * 1000);
+      expect(wait).toBeLessThanOrEqual(30 * 1000);
+
+      const retried = await webhooks.attempt(delivery.id);
+      expect(retried).toMatchObject({ status: 'succeeded', attempts: 2, responseStatus: 200 });
+      expect(received[1].headers['x-naptime-delivery']).toBe(received[0].headers['x-naptime-delivery']);
+
+      answers = [410];
+      const ping = await webhooks.ping(id);
+      expect(ping).toMatchObject({ status: 'failed', attempts: 1, responseStatus: 410, payload: { type: 'ping' } });
+      expect(webhooks.getDeliveries(id).map(entry => entry.status)).toEqual(['failed', 'succeeded']);
+    });
+
+    it('should keep retrying unreachable receivers until the attempts run out', async () => {
+      process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+      try {
+        const { id } = webhooks.register({ url: 'http://127.0.0.1:1/closed' });
+
+        const first = await webhooks.ping(id);
+        expect(first).toMatchObject({ status: 'pending', attempts: 1, responseStatus: null });
+        expect(first.error).toMatch(/ECONNREFUSED/);
+
+        expect(await webhooks.attempt(first.id)).toMatchObject({ status: 'failed', attempts: 2 });
+      } finally {
+        delete process.env.WEBHOOK_MAX_ATTEMPTS;
+      }
+    });
+
+    it('should watch the people covered by a webhook once started', () => {
+      webhooks.start();
+      expect(napStream.getStats().channels).toBe(0);
+
+      const { id } = webhooks.register({ url: `${baseUrl}/hook` });
+      expect(napStream.channels.has('emily_nap_status')).toBe(true);
+
+      webhooks.remove(id);
+      expect(napStream.getStats().channels).toBe(0);
+    });
+
+    it('should reject invalid registrations', () => {
+      expect(() => webhooks.register({ url: 'ftp://example.com' })).toThrow('`url` must be an absolute http or https URL');
+      expect(() => webhooks.register({ url: baseUrl, people: ['nobody'] })).toThrow('Unknown people: nobody');
+      expect(() => webhooks.register({ url: baseUrl, secret: 'short' })).toThrow('at least 16 characters');
+    });
+  });
+
+  describe('admin API', () => {
+    it('should require the admin token', async () => {
+      expect((await request(app).get('/api/webhooks')).status).toBe(401);
+      expect((await request(app).get('/api/webhooks').set('Authorization', 'Bearer wrong')).status).toBe(401);
+    });
+
+    it('should be disabled without ADMIN_API_TOKEN', async () => {
+      delete process.env.ADMIN_API_TOKEN;
+      try {
+        const response = await admin(request(app).get('/api/webhooks'));
+        expect(response.status).toBe(503);
+      } finally {
+        process.env.ADMIN_API_TOKEN = 'test-admin-token';
+      }
+    });
+
+    it('should register, list, ping and delete webhooks', async () => {
+      const created = await admin(request(app).post('/api/webhooks'))
+        .send({ url: `${baseUrl}/hook`, description: 'Home Assistant', people: ['emily'] });
+
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({ url: `${baseUrl}/hook`, people: ['emily'], secret: expect.stringMatching(/^whsec_/) });
+
+      const list = await admin(request(app).get('/api/webhooks'));
+      expect(list.body.webhooks).toEqual([expect.objectContaining({ id: created.body.id, description: 'Home Assistant' })]);
+      expect(list.body.webhooks[0].secret).toBeUndefined();
+
+      const ping = await admin(request(app).post(`/api/webhooks/${created.body.id}/ping`));
+      expect(ping.body).toMatchObject({ status: 'succeeded', eventType: 'ping' });
+
+      const log = await admin(request(app).get(`/api/webhooks/${created.body.id}/deliveries?limit=10`));
+      expect(log.body.deliveries).toEqual([expect.objectContaining({ id: ping.body.id })]);
+
+      expect((await admin(request(app).delete(`/api/webhooks/${created.body.id}`))).status).toBe(204);
+      expect((await admin(request(app).get(`/api/webhooks/${created.body.id}`))).status).toBe(404);
+    });
+
+    it('should reject an invalid webhook', async () => {
+      const response = await admin(request(app).post('/api/webhooks')).send({ url: 'not a url' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ error: 'Invalid webhook' });
+    });
+  });
+});
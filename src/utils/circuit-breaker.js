@@ -0,0 +1,83 @@
+/**
+ * Circuit Breaker
+ * Stops calling a failing dependency for a while, then tries it again
+ *
+ * closed    - calls go through; consecutive failures are counted
+ * open      - after `threshold` failures in a row, calls are refused until the cooldown ends
+ * half-open - after the cooldown, one trial call goes through: success closes the
+ *             circuit, failure opens it for another cooldown
+ */
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options - { now } clock in milliseconds (for tests)
+   */
+  constructor({ now = () => Date.now() } = {}) {
+    this.now = now;
+    this.reset();
+  }
+
+  /**
+   * Whether a call may go through now
+   * Moves an open circuit whose cooldown is over to half-open and lets that caller be the trial
+   * @returns {boolean} True if the caller may make the call
+   */
+  allowRequest() {
+    if (this.state === 'open' && this.now() >= this.retryAt) {
+      this.state = 'half-open';
+      this.trialInFlight = false;
+    }
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+      return true;
+    }
+    return this.state === 'closed';
+  }
+
+  /**
+   * Record a call that showed the dependency is up
+   */
+  recordSuccess() {
+    this.reset();
+  }
+
+  /**
+   * Record a failed call, opening the circuit when there have been too many
+   * @param {Object} options - { threshold, cooldownMs }
+   */
+  recordFailure({ threshold, cooldownMs }) {
+    this.failures += 1;
+    if (this.state === 'half-open' || this.failures >= threshold) {
+      this.state = 'open';
+      this.retryAt = this.now() + cooldownMs;
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Describe the circuit
+   * @returns {Object} { state, failures, retryAt (ISO, when open), retryAfter (seconds, when open) }
+   */
+  getState() {
+    const open = this.state === 'open';
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAt: open ? new Date(this.retryAt).toISOString() : null,
+      retryAfter: open ? Math.max(0, Math.ceil((this.retryAt - this.now()) / 1000)) : null
+    };
+  }
+
+  /**
+   * Close the circuit and forget past failures
+   */
+  reset() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.retryAt = null;
+    this.trialInFlight = false;
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,43 @@
+/**
+ * Clock Utilities
+ * Resolve the "as of" instant that a calculation runs at
+ *
+ * Services take an optional `now` so that one status is computed against a
+ * single instant, and so callers can ask what the answer was (or would be)
+ * at any moment.
+ */
+
+/**
+ * Resolve an "as of" value to a Date
+ * @param {Date|string|number} now - Date, ISO 8601 timestamp or epoch milliseconds (default: current time)
+ * @returns {Date} Resolved instant
+ * @throws {Error} If the value cannot be parsed
+ */
+function resolveNow(now) {
+  if (now === undefined || now === null) return new Date();
+
+  const date = now instanceof Date ? new Date(now.getTime()) : new Date(now);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid timestamp: ${now}`);
+  }
+  return date;
+}
+
+/**
+ * Parse a timestamp from a query string value
+ * Accepts ISO 8601 strings or epoch milliseconds
+ * @param {string} value - Raw query value
+ * @returns {Date|null} Parsed instant, or null if the value is not a valid timestamp
+ */
+function parseTimestamp(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+
+  const trimmed = value.trim();
+  const date = /^\d+$/.test(trimmed) ? new Date(Number(trimmed)) : new Date(trimmed);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+  resolveNow,
+  parseTimestamp
+};
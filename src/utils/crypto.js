@@ -0,0 +1,92 @@
+/**
+ * Crypto Utilities
+ * Encryption at rest and HMAC signatures keyed by a server secret
+ */
+
+const crypto = require('crypto');
+
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Encrypt a string with a key derived from a secret
+ * @param {string} plaintext - Data to encrypt
+ * @param {string} secret - Server secret (e.g. SESSION_SECRET)
+ * @returns {string} JSON envelope with the salt, IV, auth tag and ciphertext (base64)
+ */
+function encrypt(plaintext, secret) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(secret, salt), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return JSON.stringify({
+    v: 1,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  });
+}
+
+/**
+ * Decrypt an envelope produced by encrypt()
+ * @param {string} envelope - JSON envelope
+ * @param {string} secret - Server secret used to encrypt
+ * @returns {string} Decrypted plaintext
+ * @throws {Error} If the envelope is malformed, tampered with, or the secret is wrong
+ */
+function decrypt(envelope, secret) {
+  const { v, salt, iv, tag, data } = JSON.parse(envelope);
+  if (v !== 1) {
+    throw new Error(`Unsupported encryption envelope version: ${v}`);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    CIPHER,
+    deriveKey(secret, Buffer.from(salt, 'base64')),
+    Buffer.from(iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * HMAC-SHA256 signature of a value
+ * @param {string} value - Value to sign
+ * @param {string} secret - Signing secret
+ * @returns {string} Hex signature
+ */
+function sign(value, secret) {
+  return crypto.createHmac('sha256', secret).update(value).digest('hex');
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Helper functions
+
+function deriveKey(secret, salt) {
+  if (!secret) {
+    throw new Error('An encryption secret is required');
+  }
+  return crypto.scryptSync(secret, salt, 32);
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  sign,
+  safeEqual
+};
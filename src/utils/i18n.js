@@ -0,0 +1,119 @@
+/**
+ * Localization Utilities
+ * Locale negotiation and translation catalogs
+ *
+ * Catalogs are JSON files in src/config/locales named after their language
+ * (en.json, es.json). English is the fallback for anything a catalog lacks;
+ * NAP_LOCALE changes the locale used when a request doesn't ask for one.
+ * Nap messages themselves come from message packs, which are translated per
+ * pack (see config/message-packs).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '../config/locales');
+const FALLBACK_LOCALE = 'en';
+
+// Parsed catalogs by locale, and the locale list (the files don't change at runtime)
+const catalogs = new Map();
+let supportedLocales = null;
+
+/**
+ * List the locales that have a catalog
+ * @returns {Array<string>} Locale codes, e.g. ['en', 'es']
+ */
+function getSupportedLocales() {
+  if (!supportedLocales) {
+    supportedLocales = fs.readdirSync(LOCALES_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .sort();
+  }
+  return supportedLocales;
+}
+
+/**
+ * Match a language tag to a supported locale
+ * Exact matches win, then the tag's base language ("es-MX" -> "es")
+ * @param {string} tag - BCP 47 language tag
+ * @returns {string|null} Supported locale, or null if there is none for the tag
+ */
+function matchLocale(tag) {
+  if (typeof tag !== 'string' || tag.trim() === '') return null;
+
+  const normalized = tag.trim().toLowerCase().replace(/_/g, '-');
+  const supported = getSupportedLocales();
+  if (supported.includes(normalized)) return normalized;
+
+  const base = normalized.split('-')[0];
+  return supported.includes(base) ? base : null;
+}
+
+/**
+ * Pick the best supported locale for an Accept-Language header
+ * @param {string} header - Accept-Language value, e.g. "es-MX,es;q=0.9,en;q=0.8"
+ * @returns {string|null} Supported locale, or null if none of the languages are supported
+ */
+function negotiateLocale(header) {
+  if (!header) return null;
+
+  const ranges = String(header).split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { tag: tag.trim(), quality: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(range => range.tag && range.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  for (const { tag } of ranges) {
+    if (tag === '*') return getDefaultLocale();
+    const locale = matchLocale(tag);
+    if (locale) return locale;
+  }
+  return null;
+}
+
+/**
+ * Locale used when a request doesn't ask for one
+ * @returns {string} NAP_LOCALE if it is supported, otherwise English
+ */
+function getDefaultLocale() {
+  return matchLocale(process.env.NAP_LOCALE) || FALLBACK_LOCALE;
+}
+
+/**
+ * Translate a catalog key
+ * @param {string} locale - Supported locale (default: the default locale)
+ * @param {string} key - Dotted catalog key, e.g. "quality.good"
+ * @param {Object} variables - Values for {placeholders} (optional)
+ * @returns {string} Translation, the English text if the locale lacks it, or the key itself
+ */
+function translate(locale, key, variables = {}) {
+  const text = lookup(locale || getDefaultLocale(), key) ?? lookup(FALLBACK_LOCALE, key) ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    variables[name] !== undefined ? variables[name] : match
+  );
+}
+
+// Helper functions
+
+function lookup(locale, key) {
+  if (!catalogs.has(locale)) {
+    const file = path.join(LOCALES_DIR, `${locale}.json`);
+    catalogs.set(locale, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+  }
+
+  const value = key.split('.').reduce((node, part) => node?.[part], catalogs.get(locale));
+  return typeof value === 'string' ? value : undefined;
+}
+
+module.exports = {
+  FALLBACK_LOCALE,
+  getSupportedLocales,
+  matchLocale,
+  negotiateLocale,
+  getDefaultLocale,
+  translate
+};
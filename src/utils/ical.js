@@ -0,0 +1,98 @@
+/**
+ * iCalendar Utilities
+ * Serialize events as an RFC 5545 calendar that Google Calendar, Apple
+ * Calendar and Outlook can subscribe to
+ */
+
+// Lines longer than this many octets must be folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Serialize a calendar
+ * @param {Object} calendar - Calendar to serialize
+ * @param {string} calendar.name - Calendar name shown by the client
+ * @param {string} calendar.timeZone - IANA timezone hint for the client (optional)
+ * @param {number} calendar.refreshMinutes - How often clients should refetch (default: 60)
+ * @param {Array<Object>} calendar.events - { uid, start, end, summary, description, categories, priority, transparent }
+ * @param {Date} calendar.now - Instant used for DTSTAMP (default: current time)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar({ name, timeZone, refreshMinutes = 60, events = [], now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Naptime//Nap Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+    `X-PUBLISHED-TTL:PT${refreshMinutes}M`
+  ];
+  if (timeZone) lines.push(`X-WR-TIMEZONE:${timeZone}`);
+
+  const stamp = formatDateTime(now);
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    if (event.priority !== undefined) lines.push(`PRIORITY:${event.priority}`);
+    lines.push(`TRANSP:${event.transparent ? 'TRANSPARENT' : 'OPAQUE'}`, 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Format an instant as a UTC date-time (e.g. 20240115T210000Z)
+ * @param {Date|string|number} date - Instant
+ * @returns {string} iCalendar UTC date-time
+ */
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT value (backslashes, commas, semicolons and newlines)
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/([,;])/g, '\\$1')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Helper functions
+
+// Split long lines into 75 octet chunks, continuation lines start with a space
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const chunks = [];
+  let chunk = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(chunk + char) > limit) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+module.exports = {
+  buildCalendar,
+  formatDateTime,
+  escapeText
+};
@@ -0,0 +1,204 @@
+/**
+ * Logger
+ * Leveled, structured logging with per-request context and secret redaction
+ *
+ * JSON output is one object per line with the fields Cloud Logging reads
+ * (severity, message, httpRequest, logging.googleapis.com/trace); text
+ * output is for reading in a terminal. Anything logged while handling a
+ * request carries its requestId, however deep in the services it happens:
+ * the request middleware runs the handlers inside withLogContext.
+ *
+ * Values under keys that look like credentials (authorization, token,
+ * secret, password, cookie...), bearer tokens and OAuth codes in URLs are
+ * replaced with [REDACTED] before anything is written.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { resolveLoggingConfig, LOG_LEVELS } = require('../config/logging');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('./timezone');
+
+const SEVERITY = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+
+const REDACTED = '[REDACTED]';
+const SECRET_KEY = /authorization|cookie|password|secret|token|api[-_]?key|signature|code_verifier/i;
+const BEARER = /\b(Bearer|Basic)\s+[\w\-.~+/]+=*/gi;
+const SECRET_QUERY = /([?&](?:code|state|token|access_token|refresh_token|client_secret|api_key)=)[^&#\s"]+/gi;
+
+// Inbound X-Request-Id values are reused only when they look like an id
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run a function with fields added to every log line written during it (sync or async)
+ * @param {Object} fields - e.g. { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {*} Whatever fn returns
+ */
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Fields of the current log context
+ * @returns {Object} e.g. { requestId }, or {} outside a request
+ */
+function getLogContext() {
+  return context.getStore() || {};
+}
+
+/**
+ * Pick the id for a request: the caller's X-Request-Id when it's sane, or a new UUID
+ * @param {string} header - Inbound X-Request-Id (optional)
+ * @returns {string} Request id
+ */
+function resolveRequestId(header) {
+  return typeof header === 'string' && REQUEST_ID.test(header) ? header : crypto.randomUUID();
+}
+
+/**
+ * Cloud Logging trace name from Cloud Run's X-Cloud-Trace-Context header
+ * @param {string} header - "TRACE_ID/SPAN_ID;o=1" (optional)
+ * @param {string} projectId - Google Cloud project (default: GOOGLE_CLOUD_PROJECT)
+ * @returns {string|null} "projects/<project>/traces/<trace id>", or null
+ */
+function resolveTrace(header, projectId = process.env.GOOGLE_CLOUD_PROJECT) {
+  const traceId = typeof header === 'string' ? header.split('/')[0] : '';
+  if (!projectId || !/^[0-9a-f]{32}$/i.test(traceId)) return null;
+  return `projects/${projectId}/traces/${traceId}`;
+}
+
+/**
+ * Replace credentials in a value before it's logged
+ * @param {*} value - String, Error, array or object (nested values are redacted too)
+ * @returns {*} Redacted copy
+ */
+function redact(value) {
+  return redactValue(value, new WeakSet(), 0);
+}
+
+/**
+ * Write one log entry
+ * @param {string} level - debug, info, warn or error
+ * @param {string} message - What happened
+ * @param {Object|Error|string} fields - Structured data; an Error becomes { error }, a string { detail }
+ */
+function log(level, message, fields) {
+  const config = getConfig();
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(config.level)) return;
+
+  const { trace, ...requestContext } = getLogContext();
+  const data = redact({ ...requestContext, ...normalizeFields(fields) });
+  const text = redact(String(message));
+  const write = level === 'warn' || level === 'error' ? console.error : console.log;
+
+  if (config.format === 'json') {
+    write(JSON.stringify({
+      severity: SEVERITY[level],
+      message: text,
+      time: new Date().toISOString(),
+      ...(trace && { 'logging.googleapis.com/trace': trace }),
+      ...data
+    }));
+    return;
+  }
+
+  const { requestId, ...rest } = data;
+  const line = [
+    formatTimestamp(new Date()),
+    `[${level.toUpperCase()}]`,
+    requestId ? `[${requestId}]` : null,
+    text
+  ].filter(Boolean).join(' ');
+  if (Object.keys(rest).length) {
+    write(line, rest);
+  } else {
+    write(line);
+  }
+}
+
+const logger = {
+  debug: (message, fields) => log('debug', message, fields),
+  info: (message, fields) => log('info', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  error: (message, fields) => log('error', message, fields)
+};
+
+// Helper functions
+
+// A bad LOG_LEVEL/LOG_FORMAT is reported at startup; logging goes on with the defaults
+function getConfig() {
+  try {
+    return resolveLoggingConfig();
+  } catch {
+    return resolveLoggingConfig({ level: 'info', format: process.env.NODE_ENV === 'production' ? 'json' : 'text' });
+  }
+}
+
+function normalizeFields(fields) {
+  if (fields === undefined || fields === null) return {};
+  if (fields instanceof Error) return { error: serializeError(fields) };
+  if (typeof fields !== 'object' || Array.isArray(fields)) return { detail: fields };
+  return fields;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.status && { status: error.status }),
+    ...(error.code && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+function redactValue(value, seen, depth) {
+  if (typeof value === 'string') {
+    return value.replace(BEARER, `$1 ${REDACTED}`).replace(SECRET_QUERY, `$1${REDACTED}`);
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) return redactValue(serializeError(value), seen, depth);
+  if (seen.has(value) || depth > 8) return '[Circular]';
+
+  // Only the current path counts, an object logged twice side by side is fine
+  seen.add(value);
+  let copy;
+  if (Array.isArray(value)) {
+    copy = value.map(item => redactValue(item, seen, depth + 1));
+  } else {
+    copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = SECRET_KEY.test(key) && item !== undefined && item !== null && typeof item !== 'boolean'
+        ? REDACTED
+        : redactValue(item, seen, depth + 1);
+    }
+  }
+  seen.delete(value);
+  return copy;
+}
+
+// "[2024-01-15T21:00:00.000Z] [America/Denver: 01/15/2024, 02:00:00 PM]", like the server always logged
+function formatTimestamp(now) {
+  const timeZone = isValidTimezone(process.env.NAP_TIMEZONE) ? process.env.NAP_TIMEZONE : DEFAULT_TIMEZONE;
+  const localTime = now.toLocaleString('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  return `[${now.toISOString()}] [${timeZone}: ${localTime}]`;
+}
+
+module.exports = {
+  logger,
+  withLogContext,
+  getLogContext,
+  resolveRequestId,
+  resolveTrace,
+  redact
+};
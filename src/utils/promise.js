@@ -0,0 +1,34 @@
+/**
+ * Promise Utilities
+ * Helpers for answering within a chat platform's response deadline and waiting between retries
+ */
+
+/**
+ * Wait for a promise, but no longer than a deadline
+ * The promise keeps running after the deadline, so callers can still use its result later
+ * @param {Promise} promise - Work to wait for
+ * @param {number} ms - Most milliseconds to wait
+ * @returns {Promise<*>} The promise's result, or null if the deadline passed first
+ */
+function withDeadline(promise, ms) {
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(resolve, ms, null);
+    timer.unref();
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Wait a while
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  withDeadline,
+  delay
+};
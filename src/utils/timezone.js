@@ -0,0 +1,213 @@
+/**
+ * Timezone Utilities
+ * Date and hour calculations in the sleeper's configured IANA timezone
+ */
+
+const DEFAULT_TIMEZONE = 'America/Denver';
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ * @param {string} timeZone - Timezone name (e.g. 'America/Denver')
+ * @returns {boolean} True if the runtime recognizes the timezone
+ */
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolve the timezone to use, falling back to NAP_TIMEZONE and then Mountain Time
+ * An invalid NAP_TIMEZONE falls back to Mountain Time too (the server warns at startup)
+ * @param {string} timeZone - Explicit timezone (optional)
+ * @returns {string} Valid IANA timezone name
+ * @throws {Error} If the requested timezone is not valid
+ */
+function resolveTimezone(timeZone) {
+  if (!timeZone) {
+    return isValidTimezone(process.env.NAP_TIMEZONE) ? process.env.NAP_TIMEZONE : DEFAULT_TIMEZONE;
+  }
+  if (!isValidTimezone(timeZone)) {
+    throw new Error(`Invalid timezone: ${timeZone}`);
+  }
+  return timeZone;
+}
+
+/**
+ * Break an instant into calendar/clock parts as seen in a timezone
+ * Uses Intl so DST transitions are handled by the runtime's tz database
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { year, month, day, hour, minute, second, weekday, dateString }
+ */
+function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  });
+
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  const year = parseInt(parts.year, 10);
+  const month = parseInt(parts.month, 10);
+  const day = parseInt(parts.day, 10);
+
+  return {
+    year,
+    month,
+    day,
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    dateString: toDateString(year, month, day)
+  };
+}
+
+/**
+ * Get the calendar date (YYYY-MM-DD) of an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+function getLocalDateString(date, timeZone) {
+  return getZonedParts(date, timeZone).dateString;
+}
+
+/**
+ * Get the hour (0-23) of an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Hour in 24-hour format
+ */
+function getLocalHour(date, timeZone) {
+  return getZonedParts(date, timeZone).hour;
+}
+
+/**
+ * Format an instant as a short local time (e.g. "3:30 PM", or "15:30" in Spanish)
+ * @param {Date} date - Instant to format
+ * @param {string} timeZone - IANA timezone name
+ * @param {string} locale - Language tag for the format (default: en-US)
+ * @returns {string} Formatted time
+ */
+function formatLocalTime(date, timeZone, locale = 'en-US') {
+  return date.toLocaleString(locale, { timeZone, timeStyle: 'short' });
+}
+
+/**
+ * Convert a local wall-clock time in a timezone to an instant
+ * Times skipped by a spring-forward transition land just after the gap;
+ * times repeated by a fall-back transition resolve to one of the two instants
+ * @param {string} dateString - Local date in YYYY-MM-DD format
+ * @param {number} minutesOfDay - Minutes since local midnight (may be 1440 for the next midnight)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} Instant of that local time
+ */
+function zonedTimeToInstant(dateString, minutesOfDay, timeZone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const target = Date.UTC(year, month - 1, day, 0, minutesOfDay);
+
+  const first = target - getOffset(target, timeZone);
+  const second = target - getOffset(first, timeZone);
+  if (first === second) return new Date(first);
+
+  // Offset changed in between: keep the candidate that reads back as the
+  // requested wall-clock time, or the later one when the time was skipped
+  const readsBack = getOffset(second, timeZone) === target - second;
+  return new Date(readsBack ? second : Math.max(first, second));
+}
+
+/**
+ * Shift a YYYY-MM-DD date string by a number of calendar days
+ * Pure calendar arithmetic, so the server's own timezone never leaks in
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Shifted date in YYYY-MM-DD format
+ */
+function addDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const shifted = civilFromDays(daysFromCivil(year, month, day) + days);
+  return toDateString(shifted.year, shifted.month, shifted.day);
+}
+
+/**
+ * Count calendar days between two YYYY-MM-DD date strings
+ * @param {string} fromDate - Earlier date
+ * @param {string} toDate - Later date
+ * @returns {number} Whole days from fromDate to toDate
+ */
+function daysBetween(fromDate, toDate) {
+  const [fy, fm, fd] = fromDate.split('-').map(Number);
+  const [ty, tm, td] = toDate.split('-').map(Number);
+  return daysFromCivil(ty, tm, td) - daysFromCivil(fy, fm, fd);
+}
+
+// Helper functions
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function getOffset(instant, timeZone) {
+  const parts = getZonedParts(new Date(instant), timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (instant - (instant % 1000));
+}
+
+function toDateString(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Days since 1970-01-01 for a proleptic Gregorian date
+ */
+function daysFromCivil(year, month, day) {
+  const y = month <= 2 ? year - 1 : year;
+  const era = Math.floor(y / 400);
+  const yoe = y - era * 400;
+  const doy = Math.floor((153 * (month + (month > 2 ? -3 : 9)) + 2) / 5) + day - 1;
+  const doe = yoe * 365 + Math.floor(yoe / 4) - Math.floor(yoe / 100) + doy;
+  return era * 146097 + doe - 719468;
+}
+
+/**
+ * Inverse of daysFromCivil
+ */
+function civilFromDays(days) {
+  const z = days + 719468;
+  const era = Math.floor(z / 146097);
+  const doe = z - era * 146097;
+  const yoe = Math.floor((doe - Math.floor(doe / 1460) + Math.floor(doe / 36524) - Math.floor(doe / 146096)) / 365);
+  const doy = doe - (365 * yoe + Math.floor(yoe / 4) - Math.floor(yoe / 100));
+  const mp = Math.floor((5 * doy + 2) / 153);
+  const day = doy - Math.floor((153 * mp + 2) / 5) + 1;
+  const month = mp < 10 ? mp + 3 : mp - 9;
+  return { year: yoe + era * 400 + (month <= 2 ? 1 : 0), month, day };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  getZonedParts,
+  getLocalDateString,
+  getLocalHour,
+  formatLocalTime,
+  zonedTimeToInstant,
+  addDays,
+  daysBetween
+};